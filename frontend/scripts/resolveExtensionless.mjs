@@ -0,0 +1,16 @@
+// scripts/resolveExtensionless.mjs - NODE RESOLVE HOOK
+// The app's modules import each other without file extensions ('./battleEngine'),
+// which Vite resolves but plain Node does not. Registered by the Node scripts in
+// this folder, this hook retries a failed relative import with '.js' appended.
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !isRelative || specifier.endsWith('.js')) {
+      throw error;
+    }
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
@@ -0,0 +1,75 @@
+// scripts/simulateBattles.mjs - BATCH BATTLE SIMULATION FROM THE COMMAND LINE
+// Runs runBatchSimulation (src/utils/battleSimulator.js) in plain Node, with no
+// browser or build step, and prints the win-rate and per-species / tool / spell
+// report. Teams are generated like PvE enemies from the seed, so the same
+// arguments always give the same report.
+//
+// Usage (from frontend/, Node 20.6+):
+//   node scripts/simulateBattles.mjs --teams 4 --matches 25 --difficulty medium --difficulty hard
+//
+// Options:
+//   --teams <n>         Generated player teams (default 3)
+//   --team-tier <tier>  Difficulty tier the teams are generated at (default medium)
+//   --matches <n>       Battles per team and difficulty (default 20)
+//   --difficulty <d>    Repeatable; defaults to all four difficulties
+//   --seed <seed>       Batch seed (default balance)
+//   --max-turns <n>     Turns before a battle counts as a draw (default 50)
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+
+register(new URL('./resolveExtensionless.mjs', import.meta.url));
+
+const { runBatchSimulation, printSimulationReport, SIMULATION_DIFFICULTIES, DEFAULT_MAX_TURNS } =
+  await import('../src/utils/battleSimulator.js');
+const { generateEnemyCreatures, generateEnemyItems } = await import('../src/utils/difficultySettings.js');
+const { createRng, withRandomSource } = await import('../src/utils/random.js');
+
+const { values: options } = parseArgs({
+  options: {
+    teams: { type: 'string', default: '3' },
+    'team-tier': { type: 'string', default: 'medium' },
+    matches: { type: 'string', default: '20' },
+    difficulty: { type: 'string', multiple: true },
+    seed: { type: 'string', default: 'balance' },
+    'max-turns': { type: 'string', default: String(DEFAULT_MAX_TURNS) }
+  }
+});
+
+const difficulties = options.difficulty || SIMULATION_DIFFICULTIES;
+const unknown = difficulties.filter(difficulty => !SIMULATION_DIFFICULTIES.includes(difficulty));
+if (unknown.length > 0) {
+  console.error(`Unknown difficulty: ${unknown.join(', ')} (expected ${SIMULATION_DIFFICULTIES.join(', ')})`);
+  process.exit(1);
+}
+
+// Player teams are built the way PvE enemies are, with their own ids
+const createTeam = (index) => withRandomSource(createRng(`${options.seed}:team:${index}`), () => {
+  const name = `Team ${index + 1}`;
+  const items = generateEnemyItems(options['team-tier']);
+
+  return {
+    name,
+    creatures: generateEnemyCreatures(options['team-tier'], 5).map((creature, i) => ({ ...creature, id: `team${index}-creature-${i}` })),
+    tools: items.tools.map((tool, i) => ({ ...tool, id: `team${index}-tool-${i}` })),
+    spells: items.spells.map((spell, i) => ({ ...spell, id: `team${index}-spell-${i}` }))
+  };
+});
+
+const teams = Array.from({ length: Number(options.teams) }, (_, index) => createTeam(index));
+const startedAt = Date.now();
+
+const report = runBatchSimulation({
+  teams,
+  difficulties,
+  matches: Number(options.matches),
+  seed: options.seed,
+  maxTurns: Number(options['max-turns']),
+  onProgress: (completed, total) => {
+    if (completed % 10 === 0 || completed === total) {
+      process.stderr.write(`\r${completed}/${total} battles`);
+    }
+  }
+});
+
+process.stderr.write(` in ${((Date.now() - startedAt) / 1000).toFixed(1)}s\n`);
+printSimulationReport(report);
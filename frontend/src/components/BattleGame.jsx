@@ -1,5 +1,5 @@
 // src/components/BattleGame.jsx - ENHANCED VERSION WITH TEAM SELECTION - FIXED ENERGY REGENERATION AND AI ATTACK SEQUENCE
-import React, { useState, useEffect, useContext, useCallback, useReducer, useRef } from 'react';
+import React, { useState, useEffect, useContext, useCallback, useRef } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
 import Battlefield from './battle/Battlefield';
@@ -10,23 +10,66 @@ import BattleHeader from './battle/BattleHeader';
 import DifficultySelector from './battle/DifficultySelector';
 import TeamSelector from './battle/TeamSelector';
 import BattleResult from './battle/BattleResult';
+import ReplayViewer from './battle/ReplayViewer';
+import AIDebugOverlay from './battle/AIDebugOverlay';
+import AutoBattleControls from './battle/AutoBattleControls';
 import { calculateDerivedStats } from '../utils/battleCalculations';
-import { determineAIAction, determineAIStrategy } from '../utils/battleAI';
-import { 
-  processAttack, 
-  applyTool, 
-  applySpell, 
-  defendCreature,
-  applyFieldSynergies,
-  recalculateDerivedStats,
-  createSynergyEffectData,
-  processEnergyMomentum,
-  updateChargeEffects,
-  checkFieldSynergies,
-  getMaxHandSize  // ADD THIS IMPORT
-} from '../utils/battleCore';
-import { generateEnemyCreatures, getDifficultySettings, generateEnemyItems } from '../utils/difficultySettings';
-import { processTimedEffect } from '../utils/itemEffects';
+import { determineAIAction, determineAIStrategy, getAIStrategyVisuals } from '../utils/battleAI';
+import { createSynergyEffectData } from '../utils/battleCore';
+import { getDifficultySettings, getAdaptiveBaseDifficulty, getCustomDifficultySettings, calculateDifficultyScore, ADAPTIVE_DIFFICULTY, CUSTOM_DIFFICULTY } from '../utils/difficultySettings';
+import { loadAdaptiveProfile, recordAdaptiveResult } from '../utils/adaptiveDifficulty';
+import { loadCustomPresets, saveCustomPreset, deleteCustomPreset } from '../utils/customDifficulty';
+import { CAMPAIGN_MODE, getCampaignEncounter, getCampaignBattleConfig, loadCampaignProgress, recordCampaignResult } from '../utils/campaign';
+import { isBossCreature } from '../utils/bossCreatures';
+import {
+  DAILY_MODE,
+  getDailyChallenge,
+  getDailyChallengeDate,
+  getDailyBattleConfig,
+  describeDailyChallenge,
+  describeDailyTeam,
+  loadDailyProgress,
+  startDailyAttempt,
+  recordDailyResult,
+  submitDailyResult,
+  submitPendingDailyResults
+} from '../utils/dailyChallenge';
+import {
+  GAUNTLET_MODE,
+  getGauntletWaveDifficulty,
+  getGauntletWaveSettings,
+  getGauntletBattleConfig,
+  createGauntletRun,
+  carryOverGauntletTeam,
+  rollGauntletBoons,
+  chooseGauntletBoon,
+  describeGauntletWave,
+  loadGauntletProgress,
+  recordGauntletWave
+} from '../utils/gauntlet';
+import { MIRROR_MODE, getMirrorLevel, getMirrorBattleConfig, getMirrorSettings, getMirrorSynergyReport } from '../utils/mirrorMatch';
+import { DRAFT_MODE, getDraftLevel, createDraft, pickDraftOption, getDraftBattleConfig, getDraftSettings } from '../utils/draftMode';
+import { pickEnemyArchetype } from '../utils/enemyArchetypes';
+import { createRng, generateSeed } from '../utils/random';
+import { createReplay, saveReplay } from '../utils/battleReplay';
+import { toRolloutState, findWinProbabilitySwings } from '../utils/battleSimulator';
+import { getBattleHint, getHintLimit } from '../utils/battleHints';
+import { describeRationale } from '../utils/aiRationale';
+import { canCreatureAct, describeActionBlocker, isValidTarget } from '../utils/statusConditions';
+import { canReachTarget, describeFormationBlock, getDefaultRow, hasRowSpace } from '../utils/battleFormation';
+import {
+  createBattle,
+  applyAction,
+  getBattleOutcome,
+  getAttackType,
+  getDeployCost,
+  ENGINE_ACTIONS,
+  ATTACK_ENERGY_COST,
+  DEFEND_ENERGY_COST,
+  SPELL_ENERGY_COST,
+  MAX_ENERGY,
+  PLAYER_MAX_FIELD_SIZE
+} from '../utils/battleEngine';
 
 // Import enhanced animation utilities
 import {
@@ -48,12 +91,64 @@ import {
   animateStatusEffect,
   animateEnergyRegen,
   animateSynergyActivation,
+  setAnimationSpeed,
+  scaleAnimationDuration,
   ANIMATION_DURATIONS
 } from '../utils/battleAnimations';
 
 // Import animation CSS
 import '../BattleAnimations.css';
 
+// NEW: How long the AI worker gets to plan before the easy planner takes over
+const AI_PLAN_TIMEOUT_MS = 4000;
+
+// NEW: Auto-battle - pause between the player's auto actions at 1x speed
+const AUTO_STEP_DELAY = 600;
+
+// NEW: The player's team as a battle started, and what is left of it in a later state
+const getStartingTeam = (battle) => [...battle.playerHand, ...battle.playerDeck];
+const getRemainingTeam = (battle) => [...battle.playerField, ...battle.playerHand, ...battle.playerDeck];
+const countCreaturesLost = (startBattle, battle) => getStartingTeam(startBattle).length - getRemainingTeam(battle).length;
+
+// NEW: Turn one of the AI's planned actions into handlePlayerAction's arguments
+// (action, target, source). Creatures are looked up again in case the battle
+// moved on since the plan was made; null when the action no longer applies.
+const toAutoPlayerAction = (aiAction, { playerHand, playerField, enemyField }) => {
+  const find = (creatures, creature) => creature ? creatures.find(c => c.id === creature.id) || null : null;
+  
+  switch (aiAction.type) {
+    case ENGINE_ACTIONS.DEPLOY: {
+      const creature = find(playerHand, aiAction.creature);
+      return creature ? [{ type: 'deploy', row: aiAction.row }, null, creature] : null;
+    }
+    
+    case ENGINE_ACTIONS.ATTACK: {
+      const attacker = find(playerField, aiAction.attacker);
+      const target = find(enemyField, aiAction.target);
+      return attacker && target ? [{ type: 'attack' }, target, attacker] : null;
+    }
+    
+    case ENGINE_ACTIONS.USE_TOOL: {
+      const target = find(playerField, aiAction.target);
+      return target ? [{ type: 'useTool', tool: aiAction.tool }, null, target] : null;
+    }
+    
+    case ENGINE_ACTIONS.USE_SPELL: {
+      const caster = find(playerField, aiAction.caster);
+      const target = find([...enemyField, ...playerField], aiAction.target);
+      return caster ? [{ type: 'useSpell', spell: aiAction.spell }, target, caster] : null;
+    }
+    
+    case ENGINE_ACTIONS.DEFEND: {
+      const creature = find(playerField, aiAction.creature);
+      return creature ? [{ type: 'defend' }, null, creature] : null;
+    }
+    
+    default:
+      return null;
+  }
+};
+
 // Browser detection utility for targeted fixes
 const getBrowserInfo = () => {
   const userAgent = navigator.userAgent;
@@ -150,29 +245,18 @@ const createHealthTracker = () => {
   };
 };
 
-// BALANCED CONSTANTS for strategic gameplay
-const ATTACK_ENERGY_COST = 2;           
-const DEFEND_ENERGY_COST = 1;           
-const BASE_ENERGY_REGEN = 3;            
-const SPELL_ENERGY_COST = 4;            
-const TOOL_ENERGY_COST = 0;             
-const MAX_ENERGY = 25;                  
-const ENERGY_DECAY_RATE = 0.1;          
-
 // Action types for our reducer
 const ACTIONS = {
   SET_DIFFICULTY: 'SET_DIFFICULTY',
+  SET_ENEMY_ARCHETYPE: 'SET_ENEMY_ARCHETYPE', // NEW
   SET_TEAM: 'SET_TEAM',
   START_BATTLE: 'START_BATTLE',
   DEPLOY_CREATURE: 'DEPLOY_CREATURE',
   ENEMY_DEPLOY_CREATURE: 'ENEMY_DEPLOY_CREATURE',
-  UPDATE_CREATURE: 'UPDATE_CREATURE',
   ATTACK: 'ATTACK',
   USE_TOOL: 'USE_TOOL',
   USE_SPELL: 'USE_SPELL',
   DEFEND: 'DEFEND',
-  DRAW_CARD: 'DRAW_CARD',
-  REGENERATE_ENERGY: 'REGENERATE_ENERGY',
   CALCULATE_AND_REGENERATE_ENERGY: 'CALCULATE_AND_REGENERATE_ENERGY', // NEW
   APPLY_ENERGY_DECAY: 'APPLY_ENERGY_DECAY',
   SET_ACTIVE_PLAYER: 'SET_ACTIVE_PLAYER',
@@ -180,11 +264,8 @@ const ACTIONS = {
   SET_GAME_STATE: 'SET_GAME_STATE',
   APPLY_ONGOING_EFFECTS: 'APPLY_ONGOING_EFFECTS',
   ADD_LOG: 'ADD_LOG',
-  SPEND_ENERGY: 'SPEND_ENERGY',
-  EXECUTE_AI_ACTION: 'EXECUTE_AI_ACTION',
   EXECUTE_AI_ACTION_SEQUENCE: 'EXECUTE_AI_ACTION_SEQUENCE',
   COMBO_BONUS: 'COMBO_BONUS',
-  SET_ENEMY_ENERGY: 'SET_ENEMY_ENERGY',
   
   // New action types for animation states
   SET_ANIMATION_IN_PROGRESS: 'SET_ANIMATION_IN_PROGRESS',
@@ -192,7 +273,6 @@ const ACTIONS = {
   DEQUEUE_ANIMATION: 'DEQUEUE_ANIMATION',
   
   // New action types for synergies and momentum
-  APPLY_SYNERGIES: 'APPLY_SYNERGIES',
   UPDATE_ENERGY_MOMENTUM: 'UPDATE_ENERGY_MOMENTUM',
   SHOW_AI_STRATEGY: 'SHOW_AI_STRATEGY',
   UPDATE_CHARGE_EFFECTS: 'UPDATE_CHARGE_EFFECTS',
@@ -207,57 +287,26 @@ const ACTIONS = {
   END_TURN: 'END_TURN',
 };
 
-// FIXED: Calculate energy cost for a creature
-const calculateCreatureEnergyCost = (creature) => {
-  let energyCost = 5;
-  
-  if (creature.form !== undefined && creature.form !== null) {
-    energyCost += parseInt(creature.form) || 0;
-  }
-  
-  return energyCost;
-};
-
-// FIXED: Helper function to process attack with current health values
-const processAttackWithCurrentHealth = (attacker, defender, attackType = 'auto', comboLevel = 0) => {
-  // CRITICAL FIX: Instead of deep cloning, create new objects with explicit health values
-  // This avoids any issues with lost properties during cloning
-  const attackerWithHealth = {
-    ...attacker,
-    id: attacker.id,
-    species_name: attacker.species_name,
-    currentHealth: attacker.currentHealth,
-    battleStats: { ...attacker.battleStats },
-    activeEffects: attacker.activeEffects ? [...attacker.activeEffects] : []
-  };
-  
-  const defenderWithHealth = {
-    ...defender,
-    id: defender.id,
-    species_name: defender.species_name,
-    currentHealth: defender.currentHealth,
-    battleStats: { ...defender.battleStats },
-    activeEffects: defender.activeEffects ? [...defender.activeEffects] : []
-  };
-  
-  console.log(`processAttackWithCurrentHealth: Attacker ${attackerWithHealth.species_name} (${attackerWithHealth.currentHealth} HP) vs Defender ${defenderWithHealth.species_name} (${defenderWithHealth.currentHealth} HP)`);
-  
-  // Call the original processAttack with our prepared objects
-  const result = processAttack(attackerWithHealth, defenderWithHealth, attackType, comboLevel);
-  
-  // Log the result to verify health changes
-  console.log(`processAttackWithCurrentHealth result: Defender health changed from ${defenderWithHealth.currentHealth} to ${result.updatedDefender.currentHealth}, damage = ${result.damage}`);
-  
-  return result;
-};
-
-// ENHANCED Battle state reducer with team selection and better energy management
+// ENHANCED Battle state reducer - game rules live in utils/battleEngine, this only adds UI state
 const battleReducer = (state, action) => {
   switch (action.type) {
     case ACTIONS.SET_DIFFICULTY:
       return {
         ...state,
-        difficulty: action.difficulty
+        difficulty: action.difficulty,
+        adaptiveRating: action.adaptiveRating ?? null,
+        customDifficulty: action.customDifficulty ?? null,
+        campaignEncounterId: action.campaignEncounterId ?? null,
+        dailyChallengeDate: action.dailyChallengeDate ?? null,
+        gauntletWave: action.gauntletWave ?? null,
+        mirrorMatch: !!action.mirrorMatch,
+        draftMatch: !!action.draftMatch
+      };
+      
+    case ACTIONS.SET_ENEMY_ARCHETYPE:
+      return {
+        ...state,
+        enemyArchetype: action.enemyArchetype
       };
       
     case ACTIONS.SET_TEAM:
@@ -268,173 +317,35 @@ const battleReducer = (state, action) => {
       };
       
     case ACTIONS.START_BATTLE:
+      // action.battle comes from createBattle()
       return {
         ...state,
+        ...action.battle,
         gameState: 'battle',
-        playerDeck: action.playerDeck,
-        playerHand: action.playerHand,
-        playerField: [],
-        enemyDeck: action.enemyDeck,
-        enemyHand: action.enemyHand,
-        enemyField: [],
-        playerEnergy: action.playerStartingEnergy || 10,
-        enemyEnergy: action.enemyStartingEnergy || 10,       
-        turn: 1,
-        activePlayer: 'player',
-        battleLog: [{
-          id: Date.now(),
-          turn: 1,
-          message: `Battle started! Difficulty: ${action.difficulty.charAt(0).toUpperCase() + action.difficulty.slice(1)} - Enemy starts with ${action.enemyStartingEnergy || 10} energy!`
-        }],
-        playerTools: action.playerTools,
-        playerSpells: action.playerSpells,
-        enemyTools: action.enemyTools || [],
-        enemySpells: action.enemySpells || [],
-        difficulty: action.difficulty,
-        consecutiveActions: { player: 0, enemy: 0 },
-        energyMomentum: { player: 0, enemy: 0 },
         // Initialize animation state
         animationInProgress: false,
         animationQueue: [],
-        lastAttack: null,
-        lastSpellCast: null,
-        lastToolUse: null,
-        lastDefend: null,
-        // Initialize synergy and momentum state
-        activeSynergies: [],
-        enemyActiveSynergies: [], // NEW: Track enemy synergies
-        energyMomentumDetails: { player: null, enemy: null },
-        currentAIStrategy: null,
-        lastRegenAmounts: null, // FIXED: Initialize lastRegenAmounts
+        currentAIStrategy: null
       };
     
     case ACTIONS.DEPLOY_CREATURE:
-      console.log("=== DEPLOY_CREATURE ACTION ===");
-      console.log("Creature being deployed:", action.creature);
-      console.log("Creature form:", action.creature.form);
-      console.log("Creature battleStats:", action.creature.battleStats);
-      console.log("Energy cost from action:", action.energyCost);
-      console.log("Energy cost from battleStats:", action.creature.battleStats?.energyCost);
-      
-      const formLevel = parseInt(action.creature.form) || 0;
-      const correctCost = 5 + formLevel;
-      console.log("3. Form-based calculation: 5 + " + action.creature.form + " (parsed: " + formLevel + ") = " + correctCost);
-      
-      const deployEnergyCost = action.energyCost || action.creature.battleStats?.energyCost || correctCost;
-      console.log("Final deploy energy cost:", deployEnergyCost);
-      
-      if (state.playerEnergy < deployEnergyCost) {
-        console.error("Not enough energy to deploy creature");
-        return state;
-      }
-      
-      // CRITICAL FIX: Ensure the deployed creature has proper initial health
-      const deployedCreature = {
-        ...action.creature,
-        currentHealth: action.creature.currentHealth || action.creature.battleStats?.maxHealth || action.creature.health,
-        maxHealth: action.creature.battleStats?.maxHealth || action.creature.health
-      };
-      
-      const newPlayerField = [...state.playerField, deployedCreature];
-      
-      // FIXED: Apply synergies after deployment
-      const playerSynergies = checkFieldSynergies(newPlayerField);
-      const synergizedPlayerField = applyFieldSynergies(newPlayerField);
-      
-      return {
-        ...state,
-        playerHand: state.playerHand.filter(c => c.id !== action.creature.id),
-        playerField: synergizedPlayerField,
-        playerEnergy: Math.max(0, state.playerEnergy - deployEnergyCost),
-        consecutiveActions: { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 },
-        energyMomentum: { ...state.energyMomentum, player: state.energyMomentum.player + deployEnergyCost },
-        activeSynergies: playerSynergies
-      };
+      return applyAction(state, {
+        type: ENGINE_ACTIONS.DEPLOY,
+        player: 'player',
+        creature: action.creature,
+        row: action.row,
+        rngState: action.rngState
+      });
     
     case ACTIONS.ENEMY_DEPLOY_CREATURE:
       console.log(`REDUCER: Deploying enemy creature ${action.creature.species_name} to field`);
-      
-      const enemyDeployCost = action.energyCost || action.creature.battleStats.energyCost || 3;
-      
-      if (state.enemyEnergy < enemyDeployCost) {
-        console.error("Enemy doesn't have enough energy to deploy");
-        return state;
-      }
-      
-      if (state.enemyField.some(c => c.id === action.creature.id)) {
-        console.error("Creature already deployed!");
-        return state;
-      }
-      
-      // CRITICAL FIX: Ensure enemy creature has proper initial health
-      const enemyDeployedCreature = {
-        ...action.creature,
-        currentHealth: action.creature.currentHealth || action.creature.battleStats?.maxHealth || action.creature.health,
-        maxHealth: action.creature.battleStats?.maxHealth || action.creature.health
-      };
-      
-      const newEnemyFieldDeploy = [...state.enemyField, enemyDeployedCreature];
-      
-      // FIXED: Apply enemy synergies
-      const enemySynergies = checkFieldSynergies(newEnemyFieldDeploy);
-      const synergizedEnemyField = applyFieldSynergies(newEnemyFieldDeploy);
-      
-      return {
-        ...state,
-        enemyHand: state.enemyHand.filter(c => c.id !== action.creature.id),
-        enemyField: synergizedEnemyField,
-        enemyEnergy: Math.max(0, state.enemyEnergy - enemyDeployCost),
-        consecutiveActions: { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
-        energyMomentum: { ...state.energyMomentum, enemy: state.energyMomentum.enemy + enemyDeployCost },
-        enemyActiveSynergies: enemySynergies
-      };
-    
-    case ACTIONS.UPDATE_CREATURE:
-      // FIXED: Maintain synergies when updating individual creatures
-      if (action.isPlayer) {
-        // Check if synergies need to be recalculated
-        const updatedPlayerField = state.playerField.map(c => 
-          c.id === action.creature.id ? action.creature : c
-        );
-        
-        // Only recalculate synergies if field composition changed
-        if (updatedPlayerField.filter(c => c.currentHealth > 0).length !== state.playerField.filter(c => c.currentHealth > 0).length) {
-          const newSynergies = checkFieldSynergies(updatedPlayerField.filter(c => c.currentHealth > 0));
-          const resynergizedField = applyFieldSynergies(updatedPlayerField.filter(c => c.currentHealth > 0));
-          
-          return {
-            ...state,
-            playerField: resynergizedField,
-            activeSynergies: newSynergies
-          };
-        }
-        
-        return {
-          ...state,
-          playerField: updatedPlayerField
-        };
-      } else {
-        // Same for enemy field
-        const updatedEnemyField = state.enemyField.map(c => 
-          c.id === action.creature.id ? action.creature : c
-        );
-        
-        if (updatedEnemyField.filter(c => c.currentHealth > 0).length !== state.enemyField.filter(c => c.currentHealth > 0).length) {
-          const newSynergies = checkFieldSynergies(updatedEnemyField.filter(c => c.currentHealth > 0));
-          const resynergizedField = applyFieldSynergies(updatedEnemyField.filter(c => c.currentHealth > 0));
-          
-          return {
-            ...state,
-            enemyField: resynergizedField,
-            enemyActiveSynergies: newSynergies
-          };
-        }
-        
-        return {
-          ...state,
-          enemyField: updatedEnemyField
-        };
-      }
+      return applyAction(state, {
+        type: ENGINE_ACTIONS.DEPLOY,
+        player: 'enemy',
+        creature: action.creature,
+        row: action.row,
+        rngState: action.rngState
+      });
     
     // FIXED: New action to update all creatures at once
     case ACTIONS.UPDATE_ALL_CREATURES:
@@ -445,400 +356,60 @@ const battleReducer = (state, action) => {
         lastRegenAmounts: action.lastRegenAmounts !== undefined ? action.lastRegenAmounts : state.lastRegenAmounts
       };
     
+    // Combat actions carry only the intent - the engine rolls the outcome from
+    // rngState, and the component reads it back from lastAttack, lastSpellCast...
     case ACTIONS.ATTACK:
-      const { attackResult } = action;
-      const isPlayerAttacker = state.playerField.some(c => c.id === attackResult.updatedAttacker.id);
-      const isPlayerDefender = state.playerField.some(c => c.id === attackResult.updatedDefender.id);
-      
-      // Extract damage from attackResult with multiple fallbacks
-      let attackDamage = attackResult.damage ?? 
-                          attackResult.finalDamage ?? 
-                          attackResult.totalDamage ??
-                          attackResult.damageDealt ??
-                          null;
-      
-      // If no damage property found, try to find it from the action
-      if (attackDamage === null && action.attackResult && action.attackResult.damage !== undefined) {
-        attackDamage = action.attackResult.damage;
-      }
-      
-      // Final fallback to 0
-      if (attackDamage === null || attackDamage === undefined) {
-        attackDamage = 0;
-      }
-      
-      console.log('REDUCER: Attack damage extracted:', attackDamage, 'from result:', attackResult);
-      
-      let comboMultiplier = 1.0;
-      if (isPlayerAttacker && state.consecutiveActions.player > 1) {
-        comboMultiplier = 1 + (state.consecutiveActions.player * 0.05);
-      } else if (!isPlayerAttacker && state.consecutiveActions.enemy > 1) {
-        comboMultiplier = 1 + (state.consecutiveActions.enemy * 0.05);
-      }
-      
-      if (isPlayerAttacker && state.playerEnergy < action.energyCost) {
-        console.error("Not enough energy for attack");
-        return state;
-      }
-      if (!isPlayerAttacker && state.enemyEnergy < action.energyCost) {
-        console.error("Enemy doesn't have enough energy for attack");
-        return state;
-      }
-      
-      const updatedPlayerEnergy = isPlayerAttacker 
-        ? Math.max(0, state.playerEnergy - action.energyCost)
-        : state.playerEnergy;
-        
-      const updatedEnemyEnergy = !isPlayerAttacker 
-        ? Math.max(0, state.enemyEnergy - action.energyCost)
-        : state.enemyEnergy;
-      
-      // FIXED: Remove defeated creatures and reapply synergies
-      const updatedPlayerFieldAfterAttack = state.playerField.map(c => {
-        if (isPlayerAttacker && c.id === attackResult.updatedAttacker.id) {
-          return attackResult.updatedAttacker;
-        }
-        if (isPlayerDefender && c.id === attackResult.updatedDefender.id) {
-          return attackResult.updatedDefender;
-        }
-        return c;
-      }).filter(c => c.currentHealth > 0);
-      
-      const updatedEnemyFieldAfterAttack = state.enemyField.map(c => {
-        if (!isPlayerAttacker && c.id === attackResult.updatedAttacker.id) {
-          return attackResult.updatedAttacker;
-        }
-        if (!isPlayerDefender && c.id === attackResult.updatedDefender.id) {
-          return attackResult.updatedDefender;
-        }
-        return c;
-      }).filter(c => c.currentHealth > 0);
-      
-      // Reapply synergies if field changed
-      const resynergizedPlayerField = applyFieldSynergies(updatedPlayerFieldAfterAttack);
-      const resynergizedEnemyField = applyFieldSynergies(updatedEnemyFieldAfterAttack);
-      const newActiveSynergies = checkFieldSynergies(resynergizedPlayerField);
-      const newEnemyActiveSynergies = checkFieldSynergies(resynergizedEnemyField);
-      
-      return {
-        ...state,
-        playerEnergy: updatedPlayerEnergy,
-        enemyEnergy: updatedEnemyEnergy,
-        playerField: resynergizedPlayerField,
-        enemyField: resynergizedEnemyField,
-        activeSynergies: newActiveSynergies,
-        enemyActiveSynergies: newEnemyActiveSynergies, // Update enemy synergies
-        consecutiveActions: isPlayerAttacker 
-          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
-          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
-        energyMomentum: isPlayerAttacker
-          ? { ...state.energyMomentum, player: state.energyMomentum.player + action.energyCost }
-          : { ...state.energyMomentum, enemy: state.energyMomentum.enemy + action.energyCost },
-        // Track the last attack for animation with the correct damage value
-        lastAttack: {
-          attackerId: attackResult.updatedAttacker.id,
-          targetId: attackResult.updatedDefender.id,
-          damage: attackDamage,
-          isCritical: attackResult.isCritical || false,
-          attackType: attackResult.attackType || 'physical',
-          isBlocked: attackResult.isBlocked || false,
-          damageType: attackResult.damageResult?.damageType || 'normal'
-        }
-      };
+      return applyAction(state, {
+        type: ENGINE_ACTIONS.ATTACK,
+        attackerId: action.attackerId,
+        targetId: action.targetId,
+        attackType: action.attackType,
+        rngState: action.rngState
+      });
     
     case ACTIONS.USE_TOOL:
-      const isPlayerToolTarget = state.playerField.some(c => c.id === action.result.updatedCreature.id);
-      
-      if (!action.result || !action.result.updatedCreature) {
-        console.error("Invalid tool result:", action.result);
-        return state;
-      }
-      
-      return {
-        ...state,
-        playerField: isPlayerToolTarget
-          ? state.playerField.map(c => c.id === action.result.updatedCreature.id ? action.result.updatedCreature : c)
-          : state.playerField,
-        enemyField: !isPlayerToolTarget
-          ? state.enemyField.map(c => c.id === action.result.updatedCreature.id ? action.result.updatedCreature : c)
-          : state.enemyField,
-        playerTools: action.isPlayerTool ? state.playerTools.filter(t => t.id !== action.tool.id) : state.playerTools,
-        enemyTools: action.isEnemyTool ? state.enemyTools.filter(t => t.id !== action.tool.id) : state.enemyTools,
-        consecutiveActions: action.isPlayerTool
-          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
-          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
-        // Add animation tracking for tools
-        lastToolUse: {
-          toolId: action.tool.id,
-          targetId: action.result.updatedCreature.id,
-          tool: action.tool
-        }
-      };
+      return applyAction(state, {
+        type: ENGINE_ACTIONS.USE_TOOL,
+        player: action.isEnemyTool ? 'enemy' : 'player',
+        toolId: action.toolId,
+        targetId: action.targetId,
+        rngState: action.rngState
+      });
     
     case ACTIONS.USE_SPELL:
-      const { spellResult, spell } = action;
-      
-      if (!spellResult || !spellResult.updatedCaster || !spellResult.updatedTarget) {
-        console.error("Invalid spell result:", spellResult);
-        return state;
-      }
-      
-      const isPlayerCaster = state.playerField.some(c => c.id === spellResult.updatedCaster.id);
-      const isPlayerTarget = state.playerField.some(c => c.id === spellResult.updatedTarget.id);
-      
-      if (isPlayerCaster && state.playerEnergy < (action.energyCost || SPELL_ENERGY_COST)) {
-        console.error("Not enough energy for spell");
-        return state;
-      }
-      if (!isPlayerCaster && state.enemyEnergy < (action.energyCost || SPELL_ENERGY_COST)) {
-        console.error("Enemy doesn't have enough energy for spell");
-        return state;
-      }
-      
-      return {
-        ...state,
-        playerField: state.playerField.map(c => {
-          if (isPlayerCaster && c.id === spellResult.updatedCaster.id) {
-            return spellResult.updatedCaster;
-          }
-          if (isPlayerTarget && c.id === spellResult.updatedTarget.id) {
-            return spellResult.updatedTarget;
-          }
-          return c;
-        }).filter(c => c.currentHealth > 0),
-        enemyField: state.enemyField.map(c => {
-          if (!isPlayerCaster && c.id === spellResult.updatedCaster.id) {
-            return spellResult.updatedCaster;
-          }
-          if (!isPlayerTarget && c.id === spellResult.updatedTarget.id) {
-            return spellResult.updatedTarget;
-          }
-          return c;
-        }).filter(c => c.currentHealth > 0),
-        playerEnergy: isPlayerCaster ? Math.max(0, state.playerEnergy - (action.energyCost || SPELL_ENERGY_COST)) : state.playerEnergy,
-        enemyEnergy: !isPlayerCaster ? Math.max(0, state.enemyEnergy - (action.energyCost || SPELL_ENERGY_COST)) : state.enemyEnergy,
-        playerSpells: isPlayerCaster ? state.playerSpells.filter(s => s.id !== spell.id) : state.playerSpells,
-        enemySpells: action.isEnemySpell ? state.enemySpells.filter(s => s.id !== spell.id) : state.enemySpells,
-        consecutiveActions: isPlayerCaster
-          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
-          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
-        energyMomentum: isPlayerCaster
-          ? { ...state.energyMomentum, player: state.energyMomentum.player + (action.energyCost || SPELL_ENERGY_COST) }
-          : { ...state.energyMomentum, enemy: state.energyMomentum.enemy + (action.energyCost || SPELL_ENERGY_COST) },
-        // Add animation tracking for spells
-        lastSpellCast: {
-          spellId: action.spell.id,
-          casterId: spellResult.updatedCaster.id,
-          targetId: spellResult.updatedTarget.id,
-          spell: action.spell,
-          damage: spellResult.spellEffect?.damage || spellResult.spellEffect?.healing || 0
-        }
-      };
+      return applyAction(state, {
+        type: ENGINE_ACTIONS.USE_SPELL,
+        spellId: action.spellId,
+        casterId: action.casterId,
+        targetId: action.targetId,
+        rngState: action.rngState
+      });
     
     case ACTIONS.DEFEND:
-      const isPlayerDefending = state.playerField.some(c => c.id === action.updatedCreature.id);
-      
-      if (isPlayerDefending && state.playerEnergy < DEFEND_ENERGY_COST) {
-        console.error("Not enough energy to defend");
-        return state;
-      }
-      if (!isPlayerDefending && state.enemyEnergy < DEFEND_ENERGY_COST) {
-        console.error("Enemy doesn't have enough energy to defend");
-        return state;
-      }
-      
-      const playerEnergyAfterDefend = isPlayerDefending 
-        ? Math.max(0, state.playerEnergy - DEFEND_ENERGY_COST)
-        : state.playerEnergy;
-        
-      const enemyEnergyAfterDefend = !isPlayerDefending 
-        ? Math.max(0, state.enemyEnergy - DEFEND_ENERGY_COST)
-        : state.enemyEnergy;
-      
-      return {
-        ...state,
-        playerEnergy: playerEnergyAfterDefend,
-        enemyEnergy: enemyEnergyAfterDefend,
-        playerField: isPlayerDefending
-          ? state.playerField.map(c => c.id === action.updatedCreature.id ? action.updatedCreature : c)
-          : state.playerField,
-        enemyField: !isPlayerDefending
-          ? state.enemyField.map(c => c.id === action.updatedCreature.id ? action.updatedCreature : c)
-          : state.enemyField,
-        consecutiveActions: isPlayerDefending
-          ? { ...state.consecutiveActions, player: state.consecutiveActions.player + 1 }
-          : { ...state.consecutiveActions, enemy: state.consecutiveActions.enemy + 1 },
-        // Add animation tracking for defend
-        lastDefend: {
-          defenderId: action.updatedCreature.id
-        }
-      };
-    
-    case ACTIONS.SPEND_ENERGY:
-      if (action.player === 'player') {
-        return {
-          ...state,
-          playerEnergy: Math.max(0, state.playerEnergy - action.amount)
-        };
-      } else {
-        return {
-          ...state,
-          enemyEnergy: Math.max(0, state.enemyEnergy - action.amount)
-        };
-      }
-    
-    case ACTIONS.SET_ENEMY_ENERGY:
-      return {
-        ...state,
-        enemyEnergy: action.energy
-      };
-    
-    case ACTIONS.DRAW_CARD:
-      if (action.player === 'player') {
-        if (state.playerDeck.length === 0) return state;
-        const drawnCard = state.playerDeck[0];
-        return {
-          ...state,
-          playerHand: [...state.playerHand, drawnCard],
-          playerDeck: state.playerDeck.slice(1)
-        };
-      } else {
-        if (state.enemyDeck.length === 0) return state;
-        const drawnCard = state.enemyDeck[0];
-        return {
-          ...state,
-          enemyHand: [...state.enemyHand, drawnCard],
-          enemyDeck: state.enemyDeck.slice(1)
-        };
-      }
+      return applyAction(state, {
+        type: ENGINE_ACTIONS.DEFEND,
+        creatureId: action.creatureId,
+        rngState: action.rngState
+      });
     
-    case ACTIONS.DRAW_CARDS_IF_NEEDED: {
-      let newState = { ...state };
-      
-      // FIXED: Use getMaxHandSize from battleCore
-      const maxHandSize = getMaxHandSize(state.difficulty);
-      
-      // Draw card for player if needed
-      if (newState.playerHand.length < maxHandSize && newState.playerDeck.length > 0) {
-        const drawnCard = newState.playerDeck[0];
-        newState.playerHand = [...newState.playerHand, drawnCard];
-        newState.playerDeck = newState.playerDeck.slice(1);
-        
-        // Add to battle log
-        newState.battleLog = [...newState.battleLog, {
-          id: Date.now() + Math.random(),
-          turn: newState.turn,
-          message: `You drew ${drawnCard.species_name}.`
-        }];
-      }
-      
-      // Draw card for enemy if needed
-      const enemyMaxHandSize = getDifficultySettings(state.difficulty).initialHandSize + 1;
-      if (newState.enemyHand.length < enemyMaxHandSize && newState.enemyDeck.length > 0) {
-        const drawnCard = newState.enemyDeck[0];
-        newState.enemyHand = [...newState.enemyHand, drawnCard];
-        newState.enemyDeck = newState.enemyDeck.slice(1);
-        
-        // Add to battle log
-        newState.battleLog = [...newState.battleLog, {
-          id: Date.now() + Math.random() + 1,
-          turn: newState.turn,
-          message: `Enemy drew a card.`
-        }];
-      }
-      
-      return newState;
-    }
+    case ACTIONS.DRAW_CARDS_IF_NEEDED:
+      return applyAction(state, { type: ENGINE_ACTIONS.DRAW_CARDS });
     
     case ACTIONS.CALCULATE_AND_REGENERATE_ENERGY: {
-      // FIXED: Calculate energy regeneration based on current state
-      let playerTotalEnergy = 0;
-      state.playerField.forEach(creature => {
-        if (creature.stats && creature.stats.energy) {
-          playerTotalEnergy += creature.stats.energy;
-        }
-      });
-      const playerBonus = Math.floor(playerTotalEnergy / 10);
-      
-      let enemyTotalEnergy = 0;
-      state.enemyField.forEach(creature => {
-        if (creature.stats && creature.stats.energy) {
-          enemyTotalEnergy += creature.stats.energy;
-        }
-      });
-      const enemyBonus = Math.floor(enemyTotalEnergy / 10);
-      
-      const difficultySettings = getDifficultySettings(state.difficulty);
-      const enemyDifficultyBonus = Math.floor(difficultySettings.enemyEnergyRegen || 0) - 2;
-      
-      const playerRegen = BASE_ENERGY_REGEN + playerBonus;
-      const enemyRegen = BASE_ENERGY_REGEN + enemyBonus + enemyDifficultyBonus;
-      
+      const regeneratedState = applyAction(state, { type: ENGINE_ACTIONS.REGENERATE_ENERGY });
+      const { playerRegen, enemyRegen, playerTotalEnergy, enemyTotalEnergy } = regeneratedState.lastRegenAmounts;
       console.log(`Energy Regen - Player: +${playerRegen} (${playerTotalEnergy} total energy from creatures), Enemy: +${enemyRegen} (${enemyTotalEnergy} total energy from creatures)`);
-      
-      // Apply energy momentum bonuses
-      const playerMomentumData = processEnergyMomentum(state.energyMomentum.player);
-      const enemyMomentumData = processEnergyMomentum(state.energyMomentum.enemy);
-      
-      return {
-        ...state,
-        playerEnergy: Math.min(MAX_ENERGY, state.playerEnergy + playerRegen + playerMomentumData.bonusRegen),
-        enemyEnergy: Math.min(MAX_ENERGY, state.enemyEnergy + enemyRegen + enemyMomentumData.bonusRegen),
-        energyMomentum: { player: 0, enemy: 0 }, // Reset momentum after applying
-        energyMomentumDetails: { 
-          player: playerMomentumData, 
-          enemy: enemyMomentumData 
-        },
-        // Store regen amounts for logging
-        lastRegenAmounts: {
-          playerRegen,
-          enemyRegen,
-          playerTotalEnergy,
-          enemyTotalEnergy,
-          playerMomentumBonus: playerMomentumData.bonusRegen,
-          enemyMomentumBonus: enemyMomentumData.bonusRegen
-        }
-      };
+      return regeneratedState;
     }
     
-    case ACTIONS.REGENERATE_ENERGY:
-      // FIXED: Apply energy momentum bonuses
-      const playerMomentumData = processEnergyMomentum(state.energyMomentum.player);
-      const enemyMomentumData = processEnergyMomentum(state.energyMomentum.enemy);
-      
-      return {
-        ...state,
-        playerEnergy: Math.min(MAX_ENERGY, state.playerEnergy + action.playerRegen + playerMomentumData.bonusRegen),
-        enemyEnergy: Math.min(MAX_ENERGY, state.enemyEnergy + action.enemyRegen + enemyMomentumData.bonusRegen),
-        energyMomentum: { player: 0, enemy: 0 }, // Reset momentum after applying
-        energyMomentumDetails: { 
-          player: playerMomentumData, 
-          enemy: enemyMomentumData 
-        }
-      };
-    
     case ACTIONS.APPLY_ENERGY_DECAY:
-      const playerDecay = Math.floor(state.playerEnergy * ENERGY_DECAY_RATE);
-      const enemyDecay = Math.floor(state.enemyEnergy * ENERGY_DECAY_RATE);
-      
-      return {
-        ...state,
-        playerEnergy: Math.max(0, state.playerEnergy - playerDecay),
-        enemyEnergy: Math.max(0, state.enemyEnergy - enemyDecay)
-      };
+      return applyAction(state, { type: ENGINE_ACTIONS.APPLY_ENERGY_DECAY });
     
     case ACTIONS.SET_ACTIVE_PLAYER:
-      return {
-        ...state,
-        activePlayer: action.player,
-        consecutiveActions: { player: 0, enemy: 0 }
-      };
+      return applyAction(state, { type: ENGINE_ACTIONS.SET_ACTIVE_PLAYER, player: action.player });
     
     case ACTIONS.INCREMENT_TURN:
-      return {
-        ...state,
-        turn: state.turn + 1
-      };
+      return applyAction(state, { type: ENGINE_ACTIONS.INCREMENT_TURN });
     
     case ACTIONS.SET_GAME_STATE:
       return {
@@ -846,947 +417,34 @@ const battleReducer = (state, action) => {
         gameState: action.gameState
       };
     
-    case ACTIONS.APPLY_ONGOING_EFFECTS: {
-      const processedPlayerField = state.playerField.map(creature => {
-        let updatedCreature = { ...creature };
-        
-        // Pass current turn to applyOngoingEffects
-        updatedCreature.currentTurn = state.turn;
-        
-        const activeEffects = updatedCreature.activeEffects || [];
-        if (activeEffects.length > 0) {
-          const remainingEffects = [];
-          let effectLog = [];
-          
-          activeEffects.forEach(effect => {
-            if (!effect) return;
-            
-            // Use processTimedEffect for special effects
-            const processedEffect = processTimedEffect(effect, state.turn, effect.startTurn || 0);
-            
-            // Apply stat modifications
-            if (processedEffect.statModifications) {
-              Object.entries(processedEffect.statModifications).forEach(([stat, value]) => {
-                if (updatedCreature.battleStats[stat] !== undefined) {
-                  updatedCreature.battleStats[stat] += value;
-                }
-              });
-            }
-            
-            // Apply health over time
-            if (processedEffect.healthOverTime !== undefined && processedEffect.healthOverTime !== 0) {
-              const previousHealth = updatedCreature.currentHealth;
-              updatedCreature.currentHealth = Math.min(
-                updatedCreature.battleStats.maxHealth,
-                Math.max(0, updatedCreature.currentHealth + processedEffect.healthOverTime)
-              );
-              
-              const healthChange = updatedCreature.currentHealth - previousHealth;
-              if (healthChange !== 0) {
-                const changeType = healthChange > 0 ? 'healed' : 'damaged';
-                const amount = Math.abs(healthChange);
-                effectLog.push(`${updatedCreature.species_name} ${changeType} for ${amount} from ${effect.name}`);
-              }
-            }
-            
-            // Handle charge effect completion
-            if (effect.effectType === 'Charge' && effect.chargeEffect) {
-              const turnsActive = state.turn - (effect.startTurn || 0);
-              if (turnsActive >= (effect.chargeEffect.maxTurns || 3)) {
-                updatedCreature.nextAttackBonus = (updatedCreature.nextAttackBonus || 0) + effect.chargeEffect.finalBurst;
-                effectLog.push(`${updatedCreature.species_name}'s charge is complete! Next attack +${effect.chargeEffect.finalBurst} damage!`);
-                // Don't add to remaining effects
-                return;
-              }
-            }
-            
-            const updatedEffect = { ...processedEffect, duration: effect.duration - 1 };
-            
-            if (updatedEffect.duration > 0) {
-              remainingEffects.push(updatedEffect);
-            } else {
-              effectLog.push(`${effect.name} effect has expired on ${updatedCreature.species_name}`);
-            }
-          });
-          
-          updatedCreature.activeEffects = remainingEffects;
-          
-          if (effectLog.length > 0 && action.addLog) {
-            action.addLog(effectLog.join('. '));
-          }
-        }
-        
-        if (updatedCreature.isDefending) {
-          updatedCreature.isDefending = false;
-        }
-        
-        return updatedCreature;
-      });
-      
-      // Same logic for enemy field
-      const processedEnemyField = state.enemyField.map(creature => {
-        let updatedCreature = { ...creature };
-        updatedCreature.currentTurn = state.turn;
-        
-        const activeEffects = updatedCreature.activeEffects || [];
-        if (activeEffects.length > 0) {
-          const remainingEffects = [];
-          let effectLog = [];
-          
-          activeEffects.forEach(effect => {
-            if (!effect) return;
-            
-            // Use processTimedEffect for special effects
-            const processedEffect = processTimedEffect(effect, state.turn, effect.startTurn || 0);
-            
-            // Apply stat modifications
-            if (processedEffect.statModifications) {
-              Object.entries(processedEffect.statModifications).forEach(([stat, value]) => {
-                if (updatedCreature.battleStats[stat] !== undefined) {
-                  updatedCreature.battleStats[stat] += value;
-                }
-              });
-            }
-            
-            // Apply health over time
-            if (processedEffect.healthOverTime !== undefined && processedEffect.healthOverTime !== 0) {
-              const previousHealth = updatedCreature.currentHealth;
-              updatedCreature.currentHealth = Math.min(
-                updatedCreature.battleStats.maxHealth,
-                Math.max(0, updatedCreature.currentHealth + processedEffect.healthOverTime)
-              );
-              
-              const healthChange = updatedCreature.currentHealth - previousHealth;
-              if (healthChange !== 0) {
-                const changeType = healthChange > 0 ? 'healed' : 'damaged';
-                const amount = Math.abs(healthChange);
-                effectLog.push(`Enemy ${updatedCreature.species_name} ${changeType} for ${amount} from ${effect.name}`);
-              }
-            }
-            
-            // Handle charge effect completion
-            if (effect.effectType === 'Charge' && effect.chargeEffect) {
-              const turnsActive = state.turn - (effect.startTurn || 0);
-              if (turnsActive >= (effect.chargeEffect.maxTurns || 3)) {
-                updatedCreature.nextAttackBonus = (updatedCreature.nextAttackBonus || 0) + effect.chargeEffect.finalBurst;
-                effectLog.push(`Enemy ${updatedCreature.species_name}'s charge is complete! Next attack +${effect.chargeEffect.finalBurst} damage!`);
-                // Don't add to remaining effects
-                return;
-              }
-            }
-            
-            const updatedEffect = { ...processedEffect, duration: effect.duration - 1 };
-            
-            if (updatedEffect.duration > 0) {
-              remainingEffects.push(updatedEffect);
-            } else {
-              effectLog.push(`${effect.name} effect has expired on Enemy ${updatedCreature.species_name}`);
-            }
-          });
-          
-          updatedCreature.activeEffects = remainingEffects;
-          
-          if (effectLog.length > 0 && action.addLog) {
-            action.addLog(effectLog.join('. '));
-          }
-        }
-        
-        if (updatedCreature.isDefending) {
-          updatedCreature.isDefending = false;
-        }
-        
-        return updatedCreature;
-      });
-      
-      const updatedPlayerField = action.updatedPlayerField || 
-        processedPlayerField.filter(c => c.currentHealth > 0);
-      
-      const updatedEnemyField = action.updatedEnemyField || 
-        processedEnemyField.filter(c => c.currentHealth > 0);
-      
-      return {
-        ...state,
-        playerField: updatedPlayerField,
-        enemyField: updatedEnemyField
-      };
-    }
-    
-    case ACTIONS.END_TURN: {
-      // Process field effects before ending turn but DON'T remove synergies
-      const processedPlayerField = state.playerField.map(creature => {
-        let updatedCreature = { ...creature };
-        updatedCreature.currentTurn = state.turn;
-        
-        // Always remove isDefending flag at turn end
-        if (updatedCreature.isDefending) {
-          updatedCreature.isDefending = false;
-        }
-        
-        const activeEffects = updatedCreature.activeEffects || [];
-        if (activeEffects.length > 0) {
-          const remainingEffects = [];
-          let effectLog = [];
-          
-          activeEffects.forEach(effect => {
-            if (!effect) return;
-            
-            // Defense effects should expire at the end of the turn
-            if (effect.type === 'defense') {
-              // Reduce duration
-              const newDuration = (effect.duration || 1) - 1;
-              
-              if (newDuration > 0) {
-                remainingEffects.push({
-                  ...effect,
-                  duration: newDuration
-                });
-              } else {
-                // Defense effect expired - log it
-                effectLog.push(`${effect.name} on ${updatedCreature.species_name} has expired`);
-              }
-              return;
-            }
-            
-            // Handle other effects normally
-            // Check if effect should continue based on duration
-            if (effect.duration !== undefined) {
-              const newDuration = effect.duration - 1;
-              
-              // Apply health over time effects before checking expiration
-              if (effect.healthOverTime !== undefined && effect.healthOverTime !== 0) {
-                const previousHealth = updatedCreature.currentHealth;
-                updatedCreature.currentHealth = Math.min(
-                  updatedCreature.battleStats.maxHealth,
-                  Math.max(0, updatedCreature.currentHealth + effect.healthOverTime)
-                );
-                
-                const healthChange = updatedCreature.currentHealth - previousHealth;
-                if (healthChange !== 0) {
-                  const changeType = healthChange > 0 ? 'heal' : 'damage';
-                  effectLog.push(`${effect.name} ${changeType}s ${Math.abs(healthChange)} HP to ${updatedCreature.species_name}`);
-                }
-              }
-              
-              if (newDuration > 0) {
-                remainingEffects.push({
-                  ...effect,
-                  duration: newDuration
-                });
-              } else {
-                effectLog.push(`${effect.name} effect on ${updatedCreature.species_name} has expired`);
-              }
-            } else {
-              // Permanent effects
-              remainingEffects.push(effect);
-            }
-          });
-          
-          updatedCreature.activeEffects = remainingEffects;
-          
-          // Log effect messages
-          if (effectLog.length > 0) {
-            state.battleLog = [
-              ...state.battleLog,
-              ...effectLog.map(message => ({
-                id: Date.now() + Math.random(),
-                turn: state.turn,
-                message
-              }))
-            ];
-          }
-        }
-        
-        // CRITICAL FIX: Recalculate stats WITHOUT removing synergies
-        // Pass the current synergies to maintain them
-        const creatureWithRecalculatedStats = {
-          ...updatedCreature,
-          battleStats: calculateDerivedStats(updatedCreature, state.activeSynergies)
-        };
-        
-        // Make sure we preserve the creature structure and health
-        return {
-          ...creatureWithRecalculatedStats,
-          id: updatedCreature.id,
-          species_name: updatedCreature.species_name,
-          currentHealth: creatureWithRecalculatedStats.currentHealth || updatedCreature.currentHealth,
-          activeEffects: updatedCreature.activeEffects,
-          activeSynergies: state.activeSynergies // Preserve synergies
-        };
-      });
-      
-      // Same logic for enemy field
-      const processedEnemyField = state.enemyField.map(creature => {
-        let updatedCreature = { ...creature };
-        updatedCreature.currentTurn = state.turn;
-        
-        // Always remove isDefending flag at turn end
-        if (updatedCreature.isDefending) {
-          updatedCreature.isDefending = false;
-        }
-        
-        const activeEffects = updatedCreature.activeEffects || [];
-        if (activeEffects.length > 0) {
-          const remainingEffects = [];
-          let effectLog = [];
-          
-          activeEffects.forEach(effect => {
-            if (!effect) return;
-            
-            // Defense effects should expire at the end of the turn
-            if (effect.type === 'defense') {
-              // Reduce duration
-              const newDuration = (effect.duration || 1) - 1;
-              
-              if (newDuration > 0) {
-                remainingEffects.push({
-                  ...effect,
-                  duration: newDuration
-                });
-              } else {
-                // Defense effect expired - log it
-                effectLog.push(`${effect.name} on ${updatedCreature.species_name} has expired`);
-              }
-              return;
-            }
-            
-            // Handle other effects normally
-            if (effect.duration !== undefined) {
-              const newDuration = effect.duration - 1;
-              
-              // Apply health over time effects before checking expiration
-              if (effect.healthOverTime !== undefined && effect.healthOverTime !== 0) {
-                const previousHealth = updatedCreature.currentHealth;
-                updatedCreature.currentHealth = Math.min(
-                  updatedCreature.battleStats.maxHealth,
-                  Math.max(0, updatedCreature.currentHealth + effect.healthOverTime)
-                );
-                
-                const healthChange = updatedCreature.currentHealth - previousHealth;
-                if (healthChange !== 0) {
-                  const changeType = healthChange > 0 ? 'heal' : 'damage';
-                  effectLog.push(`${effect.name} ${changeType}s ${Math.abs(healthChange)} HP to ${updatedCreature.species_name}`);
-                }
-              }
-              
-              if (newDuration > 0) {
-                remainingEffects.push({
-                  ...effect,
-                  duration: newDuration
-                });
-              } else {
-                effectLog.push(`${effect.name} effect on ${updatedCreature.species_name} has expired`);
-              }
-            } else {
-              // Permanent effects
-              remainingEffects.push(effect);
-            }
-          });
-          
-          updatedCreature.activeEffects = remainingEffects;
-          
-          // Log effect messages
-          if (effectLog.length > 0) {
-            state.battleLog = [
-              ...state.battleLog,
-              ...effectLog.map(message => ({
-                id: Date.now() + Math.random(),
-                turn: state.turn,
-                message
-              }))
-            ];
-          }
-        }
-        
-        // CRITICAL FIX: Recalculate stats WITHOUT removing synergies
-        // Pass the current synergies to maintain them
-        const creatureWithRecalculatedStats = {
-          ...updatedCreature,
-          battleStats: calculateDerivedStats(updatedCreature, state.enemyActiveSynergies)
-        };
-        
-        // Make sure we preserve the creature structure and health
-        return {
-          ...creatureWithRecalculatedStats,
-          id: updatedCreature.id,
-          species_name: updatedCreature.species_name,
-          currentHealth: creatureWithRecalculatedStats.currentHealth || updatedCreature.currentHealth,
-          activeEffects: updatedCreature.activeEffects,
-          activeSynergies: state.enemyActiveSynergies // Preserve synergies
-        };
-      });
-      
-      const updatedPlayerField = action.updatedPlayerField || 
-        processedPlayerField.filter(c => c.currentHealth > 0);
-      
-      const updatedEnemyField = action.updatedEnemyField || 
-        processedEnemyField.filter(c => c.currentHealth > 0);
-      
-      return {
-        ...state,
-        playerField: updatedPlayerField,
-        enemyField: updatedEnemyField,
-        activePlayer: state.activePlayer === 'player' ? 'enemy' : 'player',
-        turn: state.activePlayer === 'enemy' ? state.turn + 1 : state.turn,
-        consecutiveActions: {
-          player: state.activePlayer === 'player' ? 0 : state.consecutiveActions.player,
-          enemy: state.activePlayer === 'enemy' ? 0 : state.consecutiveActions.enemy
-        },
-        energyMomentum: {
-          player: state.activePlayer === 'player' ? 0 : state.energyMomentum.player,
-          enemy: state.activePlayer === 'enemy' ? 0 : state.energyMomentum.enemy
-        },
-        battleLog: [
-          ...state.battleLog,
-          {
-            id: Date.now(),
-            turn: state.turn,
-            message: `${state.activePlayer === 'player' ? 'Your' : 'Enemy'} turn ended. ${state.activePlayer === 'player' ? 'Enemy' : 'Your'} turn begins!`
-          }
-        ],
-        // PRESERVE synergies across turns
-        activeSynergies: state.activeSynergies,
-        enemyActiveSynergies: state.enemyActiveSynergies
-      };
-    }
+    case ACTIONS.APPLY_ONGOING_EFFECTS:
+      return applyAction(state, { type: ENGINE_ACTIONS.APPLY_ONGOING_EFFECTS });
     
-    case ACTIONS.ADD_LOG:
-      return {
-        ...state,
-        battleLog: [...state.battleLog, {
-          id: Date.now() + Math.random(),
-          turn: state.turn,
-          message: action.message
-        }]
-      };
-    
-    case ACTIONS.EXECUTE_AI_ACTION:
-      const { aiAction } = action;
-      let updatedState = { ...state };
-      
-      switch (aiAction.type) {
-        case 'deploy':
-          if (aiAction.creature) {
-            const deployCost = aiAction.energyCost || 3;
-            if (updatedState.enemyEnergy < deployCost) {
-              console.error("AI tried to deploy without enough energy");
-              break;
-            }
-            if (updatedState.enemyField.some(c => c.id === aiAction.creature.id)) {
-              console.error("AI tried to deploy duplicate creature");
-              break;
-            }
-            
-            updatedState.enemyHand = updatedState.enemyHand.filter(c => c.id !== aiAction.creature.id);
-            updatedState.enemyField = [...updatedState.enemyField, aiAction.creature];
-            updatedState.enemyEnergy = Math.max(0, updatedState.enemyEnergy - deployCost);
-            updatedState.consecutiveActions.enemy += 1;
-            updatedState.energyMomentum.enemy += deployCost;
-            
-            // Check enemy synergies
-            const enemySynergies = checkFieldSynergies(updatedState.enemyField);
-            updatedState.enemyField = applyFieldSynergies(updatedState.enemyField);
-            updatedState.enemyActiveSynergies = enemySynergies;
-          }
-          break;
-          
-        case 'attack':
-          if (aiAction.attacker && aiAction.target) {
-            const attackCost = aiAction.energyCost || 2;
-            if (updatedState.enemyEnergy < attackCost) {
-              console.error("AI tried to attack without enough energy");
-              break;
-            }
-            
-            const attackResult = processAttack(aiAction.attacker, aiAction.target);
-            
-            // Extract damage from attackResult with multiple fallbacks
-            let actualDamage = attackResult.damage ?? 
-                                attackResult.finalDamage ?? 
-                                attackResult.totalDamage ??
-                                attackResult.damageDealt ??
-                                null;
-            
-            // If no damage property found, calculate it from health difference
-            if (actualDamage === null && attackResult.updatedDefender && aiAction.target) {
-              const healthBefore = aiAction.target.currentHealth || 0;
-              const healthAfter = attackResult.updatedDefender.currentHealth || 0;
-              actualDamage = Math.max(0, healthBefore - healthAfter);
-              console.log('EXECUTE_AI_ACTION: Calculated damage from health difference:', healthBefore, '-', healthAfter, '=', actualDamage);
-            }
-            
-            // Final fallback to 0
-            if (actualDamage === null || actualDamage === undefined) {
-              actualDamage = 0;
-            }
-            
-            console.log('EXECUTE_AI_ACTION: Attack damage extracted:', actualDamage);
-            
-            updatedState.enemyEnergy = Math.max(0, updatedState.enemyEnergy - attackCost);
-            updatedState.consecutiveActions.enemy += 1;
-            updatedState.energyMomentum.enemy += attackCost;
-            
-            updatedState.playerField = updatedState.playerField.map(c => 
-              c.id === attackResult.updatedDefender.id ? attackResult.updatedDefender : c
-            ).filter(c => c.currentHealth > 0);
-            
-            updatedState.enemyField = updatedState.enemyField.map(c => 
-              c.id === attackResult.updatedAttacker.id ? attackResult.updatedAttacker : c
-            );
-            
-            // Track last attack for animations with correct damage
-            updatedState.lastAttack = {
-              attackerId: aiAction.attacker.id,
-              targetId: aiAction.target.id,
-              damage: actualDamage,
-              isCritical: attackResult.isCritical || false,
-              attackType: attackResult.attackType || 'physical',
-              isBlocked: attackResult.isBlocked || (actualDamage === 0 && aiAction.target.isDefending)
-            };
-            
-            // Update synergies if field changed
-            if (updatedState.playerField.length !== state.playerField.length) {
-              updatedState.activeSynergies = checkFieldSynergies(updatedState.playerField);
-              updatedState.playerField = applyFieldSynergies(updatedState.playerField);
-            }
-            if (updatedState.enemyField.length !== state.enemyField.length) {
-              updatedState.enemyActiveSynergies = checkFieldSynergies(updatedState.enemyField);
-              updatedState.enemyField = applyFieldSynergies(updatedState.enemyField);
-            }
-          }
-          break;
-          
-        case 'defend':
-          if (aiAction.creature) {
-            const defendCost = aiAction.energyCost || 1;
-            if (updatedState.enemyEnergy < defendCost) {
-              console.error("AI tried to defend without enough energy");
-              break;
-            }
-            
-            const updatedDefender = defendCreature(aiAction.creature, state.difficulty);
-            updatedState.enemyEnergy = Math.max(0, updatedState.enemyEnergy - defendCost);
-            updatedState.consecutiveActions.enemy += 1;
-            
-            updatedState.enemyField = updatedState.enemyField.map(c => 
-              c.id === updatedDefender.id ? updatedDefender : c
-            );
-            
-            // Track last defend for animations
-            updatedState.lastDefend = {
-              defenderId: aiAction.creature.id
-            };
-          }
-          break;
-          
-        case 'useTool':
-          if (aiAction.tool && aiAction.target) {
-            const result = applyTool(aiAction.target, aiAction.tool, state.difficulty, state.turn);
-            
-            if (result && result.updatedCreature) {
-              const isEnemyTarget = updatedState.enemyField.some(c => c.id === aiAction.target.id);
-              
-              if (isEnemyTarget) {
-                updatedState.enemyField = updatedState.enemyField.map(c => 
-                  c.id === result.updatedCreature.id ? result.updatedCreature : c
-                );
-              } else {
-                updatedState.playerField = updatedState.playerField.map(c => 
-                  c.id === result.updatedCreature.id ? result.updatedCreature : c
-                );
-              }
-              
-              updatedState.enemyTools = updatedState.enemyTools.filter(t => t.id !== aiAction.tool.id);
-              updatedState.consecutiveActions.enemy += 1;
-              
-              // Track last tool use for animations
-              updatedState.lastToolUse = {
-                toolId: aiAction.tool.id,
-                targetId: aiAction.target.id,
-                tool: aiAction.tool
-              };
-            }
-          }
-          break;
-          
-        case 'useSpell':
-          if (aiAction.spell && aiAction.caster && aiAction.target) {
-            const spellCost = aiAction.energyCost || SPELL_ENERGY_COST;
-            if (updatedState.enemyEnergy < spellCost) {
-              console.error("AI tried to cast spell without enough energy");
-              break;
-            }
-            
-            const spellResult = applySpell(aiAction.caster, aiAction.target, aiAction.spell, state.difficulty, state.turn);
-            
-            if (spellResult) {
-              updatedState.enemyEnergy = Math.max(0, updatedState.enemyEnergy - spellCost);
-              updatedState.consecutiveActions.enemy += 1;
-              updatedState.energyMomentum.enemy += spellCost;
-              
-              updatedState.enemyField = updatedState.enemyField.map(c => {
-                if (c.id === spellResult.updatedCaster.id) return spellResult.updatedCaster;
-                if (c.id === spellResult.updatedTarget.id) return spellResult.updatedTarget;
-                return c;
-              }).filter(c => c.currentHealth > 0);
-              
-              updatedState.playerField = updatedState.playerField.map(c => {
-                if (c.id === spellResult.updatedTarget.id) return spellResult.updatedTarget;
-                return c;
-              }).filter(c => c.currentHealth > 0);
-              
-              updatedState.enemySpells = updatedState.enemySpells.filter(s => s.id !== aiAction.spell.id);
-              
-              // Track last spell cast for animations
-              updatedState.lastSpellCast = {
-                spellId: aiAction.spell.id,
-                casterId: aiAction.caster.id,
-                targetId: aiAction.target.id,
-                spell: aiAction.spell,
-                damage: spellResult.spellEffect?.damage || spellResult.spellEffect?.healing || 0
-              };
-            }
-          }
-          break;
-      }
-      
-      return updatedState;
+    case ACTIONS.END_TURN:
+      // Only the end-of-turn bookkeeping - the component drives the rest of
+      // the hand-over so it can animate between phases
+      return applyAction(state, { type: ENGINE_ACTIONS.PROCESS_END_OF_TURN });
     
-    case ACTIONS.EXECUTE_AI_ACTION_SEQUENCE:
-      // Process all actions at once, then return updated state
-      let sequenceState = { ...state };
-      
-      // Helper for detailed health tracking
-      const logMapHealth = (stage, targetId, health) => {
-        console.log(`HEALTH TRACKING [${stage}]: Target ${targetId} health = ${health}`);
-      };
-      
-      // Initialize Maps with current creatures
-      const updatedCreatures = {
-        player: new Map(),
-        enemy: new Map()
-      };
-      
-      // Initialize player creatures map
-      state.playerField.forEach(creature => {
-        const clonedCreature = {
-          ...creature,
-          currentHealth: creature.currentHealth,
-          battleStats: { ...creature.battleStats },
-          activeEffects: creature.activeEffects ? [...creature.activeEffects] : []
-        };
-        updatedCreatures.player.set(creature.id, clonedCreature);
-        logMapHealth('INIT PLAYER', creature.id, clonedCreature.currentHealth);
-      });
-      
-      // Initialize enemy creatures map
-      state.enemyField.forEach(creature => {
-        const clonedCreature = {
-          ...creature,
-          currentHealth: creature.currentHealth,
-          battleStats: { ...creature.battleStats },
-          activeEffects: creature.activeEffects ? [...creature.activeEffects] : []
-        };
-        updatedCreatures.enemy.set(creature.id, clonedCreature);
-        logMapHealth('INIT ENEMY', creature.id, clonedCreature.currentHealth);
-      });
-      
-      // Process each AI action in sequence
-      for (let actionIndex = 0; actionIndex < action.actionSequence.length; actionIndex++) {
-        const aiAction = action.actionSequence[actionIndex];
-        const actionCost = aiAction.energyCost || 0;
-        
-        if (sequenceState.enemyEnergy < actionCost) {
-          console.log(`Skipping AI action ${aiAction.type} - not enough energy`);
-          continue;
-        }
-        
-        switch (aiAction.type) {
-          case 'deploy':
-            if (Array.from(updatedCreatures.enemy.values()).some(c => c.id === aiAction.creature.id)) {
-              console.log("Skipping duplicate deployment");
-              continue;
-            }
-            
-            sequenceState.enemyHand = sequenceState.enemyHand.filter(c => c.id !== aiAction.creature.id);
-            sequenceState.enemyEnergy = Math.max(0, sequenceState.enemyEnergy - aiAction.energyCost);
-            
-            const deployedCreature = {
-              ...aiAction.creature,
-              currentHealth: aiAction.creature.currentHealth || aiAction.creature.health,
-              battleStats: { ...aiAction.creature.battleStats }
-            };
-            updatedCreatures.enemy.set(aiAction.creature.id, deployedCreature);
-            
-            console.log(`Deployed ${deployedCreature.species_name} with ${deployedCreature.currentHealth} HP`);
-            break;
-            
-          case 'attack':
-            // Get the CURRENT version of attacker and target from our tracking maps
-            const currentAttacker = updatedCreatures.enemy.get(aiAction.attacker.id);
-            const currentTarget = updatedCreatures.player.get(aiAction.target.id);
-            
-            // Validate we have both creatures
-            if (!currentAttacker) {
-              console.log(`Skipping attack - attacker ${aiAction.attacker.id} not found in map`);
-              continue;
-            }
-            
-            if (!currentTarget) {
-              console.log(`Skipping attack - target ${aiAction.target.id} not found in map`);
-              continue;
-            }
-            
-            // Skip if target is already dead
-            if (currentTarget.currentHealth <= 0) {
-              console.log(`Skipping attack on already defeated ${currentTarget.species_name}`);
-              continue;
-            }
-            
-            // Log current health values
-            console.log(`ATTACK #${actionIndex + 1}: ${currentAttacker.species_name} (${currentAttacker.currentHealth} HP) → ${currentTarget.species_name} (${currentTarget.currentHealth} HP)`);
-            logMapHealth('BEFORE ATTACK', currentTarget.id, currentTarget.currentHealth);
-            
-            // Create attack-specific copies with CURRENT health values
-            const attackerCopy = {
-              ...currentAttacker,
-              id: currentAttacker.id,
-              species_name: currentAttacker.species_name,
-              currentHealth: currentAttacker.currentHealth,
-              battleStats: { ...currentAttacker.battleStats },
-              activeEffects: currentAttacker.activeEffects ? [...currentAttacker.activeEffects] : []
-            };
-            
-            const targetCopy = {
-              ...currentTarget,
-              id: currentTarget.id,
-              species_name: currentTarget.species_name,
-              currentHealth: currentTarget.currentHealth,
-              battleStats: { ...currentTarget.battleStats },
-              activeEffects: currentTarget.activeEffects ? [...currentTarget.activeEffects] : []
-            };
-            
-            // Process the attack
-            const comboLevel = sequenceState.consecutiveActions.enemy;
-            const attackType = attackerCopy.battleStats.physicalAttack > attackerCopy.battleStats.magicalAttack ? 'physical' : 'magical';
-            
-            console.log(`Processing attack with target health: ${targetCopy.currentHealth}`);
-            const attackResult = processAttack(attackerCopy, targetCopy, attackType, comboLevel);
-            
-            // Extract damage value
-            let actualDamage = attackResult.damage ?? 
-                              attackResult.finalDamage ?? 
-                              attackResult.totalDamage ??
-                              attackResult.damageDealt ??
-                              null;
-            
-            // Calculate damage from health difference if needed
-            if (actualDamage === null && attackResult.updatedDefender) {
-              const healthBefore = targetCopy.currentHealth;
-              const healthAfter = attackResult.updatedDefender.currentHealth;
-              actualDamage = Math.max(0, healthBefore - healthAfter);
-              console.log(`Calculated damage from health difference: ${healthBefore} - ${healthAfter} = ${actualDamage}`);
-            }
-            
-            // Ensure damage is a valid number
-            actualDamage = typeof actualDamage === 'number' ? actualDamage : 0;
-            
-            // Update energy and combo
-            sequenceState.enemyEnergy = Math.max(0, sequenceState.enemyEnergy - aiAction.energyCost);
-            sequenceState.consecutiveActions.enemy += 1;
-            sequenceState.energyMomentum.enemy += aiAction.energyCost;
-            
-            // CRITICAL: Update the maps with the new health values
-            const updatedAttackerObj = {
-              ...attackResult.updatedAttacker,
-              currentHealth: attackResult.updatedAttacker.currentHealth
-            };
-            
-            const updatedDefenderObj = {
-              ...attackResult.updatedDefender,
-              currentHealth: attackResult.updatedDefender.currentHealth
-            };
-            
-            // Update the tracking maps
-            updatedCreatures.enemy.set(updatedAttackerObj.id, updatedAttackerObj);
-            updatedCreatures.player.set(updatedDefenderObj.id, updatedDefenderObj);
-            
-            // Verify the update
-            const verifiedTarget = updatedCreatures.player.get(updatedDefenderObj.id);
-            console.log(`AFTER ATTACK #${actionIndex + 1}: ${verifiedTarget.species_name} health = ${verifiedTarget.currentHealth} (damage dealt: ${actualDamage})`);
-            logMapHealth('AFTER ATTACK', updatedDefenderObj.id, verifiedTarget.currentHealth);
-            
-            // Track for animations
-            sequenceState.lastAttack = {
-              attackerId: aiAction.attacker.id,
-              targetId: aiAction.target.id,
-              damage: actualDamage,
-              isCritical: attackResult.isCritical || false,
-              attackType: attackType,
-              isBlocked: attackResult.isBlocked || false,
-              damageType: attackResult.damageResult?.damageType || 'normal'
-            };
-            break;
-            
-          case 'defend':
-            const defenderToDefend = updatedCreatures.enemy.get(aiAction.creature.id);
-            if (!defenderToDefend) {
-              console.log(`Skipping defend - creature ${aiAction.creature.id} not found in map`);
-              continue;
-            }
-            
-            const defendedCreature = defendCreature(defenderToDefend, state.difficulty);
-            sequenceState.enemyEnergy = Math.max(0, sequenceState.enemyEnergy - aiAction.energyCost);
-            sequenceState.consecutiveActions.enemy += 1;
-            
-            // Update the map with defended creature
-            const defendedCreatureObj = {
-              ...defendedCreature,
-              currentHealth: defendedCreature.currentHealth
-            };
-            updatedCreatures.enemy.set(defendedCreatureObj.id, defendedCreatureObj);
-            
-            // Track for animations
-            sequenceState.lastDefend = {
-              defenderId: aiAction.creature.id
-            };
-            break;
-            
-          case 'useTool':
-            if (!aiAction.tool || !aiAction.target) {
-              console.log("Invalid tool action - missing tool or target");
-              continue;
-            }
-            
-            // Get current version of target
-            const toolTarget = aiAction.target.owner === 'enemy' 
-              ? updatedCreatures.enemy.get(aiAction.target.id)
-              : updatedCreatures.player.get(aiAction.target.id);
-              
-            if (!toolTarget) {
-              console.log(`Tool target ${aiAction.target.id} not found`);
-              continue;
-            }
-            
-            const toolResult = applyTool(toolTarget, aiAction.tool, state.difficulty, state.turn);
-            if (toolResult && toolResult.updatedCreature) {
-              sequenceState.enemyTools = sequenceState.enemyTools.filter(t => t.id !== aiAction.tool.id);
-              
-              // Update the appropriate map
-              if (aiAction.target.owner === 'enemy') {
-                updatedCreatures.enemy.set(toolResult.updatedCreature.id, toolResult.updatedCreature);
-              } else {
-                updatedCreatures.player.set(toolResult.updatedCreature.id, toolResult.updatedCreature);
-              }
-              
-              sequenceState.lastToolUse = {
-                toolId: aiAction.tool.id,
-                targetId: aiAction.target.id,
-                tool: aiAction.tool
-              };
-            }
-            break;
-            
-          case 'useSpell':
-            if (!aiAction.spell || !aiAction.caster || !aiAction.target) {
-              console.log("Invalid spell action - missing spell, caster, or target");
-              continue;
-            }
-            
-            // Get current versions
-            const spellCaster = updatedCreatures.enemy.get(aiAction.caster.id);
-            const spellTarget = updatedCreatures.player.get(aiAction.target.id);
-            
-            if (!spellCaster || !spellTarget) {
-              console.log("Spell caster or target not found");
-              continue;
-            }
-            
-            const spellResult = applySpell(spellCaster, spellTarget, aiAction.spell, state.difficulty, state.turn);
-            
-            if (spellResult) {
-              sequenceState.enemyEnergy = Math.max(0, sequenceState.enemyEnergy - aiAction.energyCost);
-              
-              // Update caster
-              if (spellResult.updatedCaster) {
-                updatedCreatures.enemy.set(spellResult.updatedCaster.id, spellResult.updatedCaster);
-              }
-              
-              // Update target
-              if (spellResult.updatedTarget) {
-                updatedCreatures.player.set(spellResult.updatedTarget.id, spellResult.updatedTarget);
-              }
-              
-              sequenceState.enemySpells = sequenceState.enemySpells.filter(s => s.id !== aiAction.spell.id);
-              
-              sequenceState.lastSpellCast = {
-                spellId: aiAction.spell.id,
-                casterId: aiAction.caster.id,
-                targetId: aiAction.target.id,
-                spell: aiAction.spell,
-                damage: spellResult.spellEffect?.damage || spellResult.spellEffect?.healing || 0
-              };
-            }
-            break;
-        }
-      }
-      
-      // Log final state of all creatures
-      console.log("=== FINAL CREATURE STATES ===");
-      updatedCreatures.player.forEach((creature, id) => {
-        console.log(`Player ${creature.species_name} (${id}): ${creature.currentHealth} HP`);
-      });
-      updatedCreatures.enemy.forEach((creature, id) => {
-        console.log(`Enemy ${creature.species_name} (${id}): ${creature.currentHealth} HP`);
+    case ACTIONS.ADD_LOG:
+      return applyAction(state, { type: ENGINE_ACTIONS.ADD_LOG, message: action.message, rationale: action.rationale });
+    
+    case ACTIONS.EXECUTE_AI_ACTION_SEQUENCE: {
+      // Process all actions at once - unaffordable or stale actions are skipped by the engine,
+      // and only the accepted ones log the AI's reasoning
+      const sequenceState = action.actionSequence.reduce((current, aiAction) => {
+        const next = applyAction(current, { ...aiAction, player: 'enemy' });
+        return next !== current && aiAction.rationale
+          ? applyAction(next, { type: ENGINE_ACTIONS.ADD_LOG, message: `Enemy AI - ${describeRationale(aiAction.rationale)}`, rationale: aiAction.rationale })
+          : next;
+      }, action.rngState !== undefined ? { ...state, rngState: action.rngState } : state);
+      return applyAction(sequenceState, {
+        type: ENGINE_ACTIONS.ADD_LOG,
+        message: `AI executed ${action.actionSequence.length} actions`
       });
-      
-      // Apply all creature updates, filtering out dead creatures
-      sequenceState.playerField = Array.from(updatedCreatures.player.values())
-        .filter(c => c.currentHealth > 0);
-      sequenceState.enemyField = Array.from(updatedCreatures.enemy.values())
-        .filter(c => c.currentHealth > 0);
-      
-      // Apply synergies after all actions
-      const finalPlayerSynergies = checkFieldSynergies(sequenceState.playerField);
-      const finalEnemySynergies = checkFieldSynergies(sequenceState.enemyField);
-      sequenceState.playerField = applyFieldSynergies(sequenceState.playerField);
-      sequenceState.enemyField = applyFieldSynergies(sequenceState.enemyField);
-      sequenceState.activeSynergies = finalPlayerSynergies;
-      sequenceState.enemyActiveSynergies = finalEnemySynergies;
-      
-      // Update battle log
-      sequenceState.battleLog = [
-        ...sequenceState.battleLog,
-        {
-          id: Date.now(),
-          turn: sequenceState.turn,
-          message: `AI executed ${action.actionSequence.length} actions`
-        }
-      ];
-      
-      return sequenceState;
+    }
     
     case ACTIONS.COMBO_BONUS:
-      const comboLevel = action.player === 'player' 
-        ? state.consecutiveActions.player 
-        : state.consecutiveActions.enemy;
-      
-      if (comboLevel >= 3) {
-        const field = action.player === 'player' ? 'playerField' : 'enemyField';
-        
-        return {
-          ...state,
-          [field]: state[field].map(creature => ({
-            ...creature,
-            battleStats: {
-              ...creature.battleStats,
-              physicalAttack: creature.battleStats.physicalAttack + 2,
-              magicalAttack: creature.battleStats.magicalAttack + 2
-            }
-          }))
-        };
-      }
-      
-      return state;
+      return applyAction(state, { type: ENGINE_ACTIONS.COMBO_BONUS, player: action.player });
       
     // Animation state management
     case ACTIONS.SET_ANIMATION_IN_PROGRESS:
@@ -1807,16 +465,6 @@ const battleReducer = (state, action) => {
         animationQueue: state.animationQueue.slice(1)
       };
     
-    // New cases for synergies and momentum
-    case ACTIONS.APPLY_SYNERGIES:
-      return {
-        ...state,
-        playerField: action.playerField || state.playerField,
-        enemyField: action.enemyField || state.enemyField,
-        activeSynergies: action.synergies || state.activeSynergies,
-        enemyActiveSynergies: action.enemySynergies || state.enemyActiveSynergies
-      };
-    
     case ACTIONS.SHOW_AI_STRATEGY:
       return {
         ...state,
@@ -1824,11 +472,7 @@ const battleReducer = (state, action) => {
       };
     
     case ACTIONS.UPDATE_CHARGE_EFFECTS:
-      return {
-        ...state,
-        playerField: state.playerField.map(creature => updateChargeEffects(creature, state.turn)),
-        enemyField: state.enemyField.map(creature => updateChargeEffects(creature, state.turn))
-      };
+      return applyAction(state, { type: ENGINE_ACTIONS.UPDATE_CHARGE_EFFECTS });
     
     default:
       return state;
@@ -1838,10 +482,21 @@ const battleReducer = (state, action) => {
 const BattleGame = ({ onClose }) => {
   const { creatureNfts, toolNfts, spellNfts, addNotification } = useContext(GameContext);
   const { connected, accounts } = useRadixConnect();
+  const accountAddress = accounts?.[0]?.address || null;
   
   // Use ref to track current enemy energy for AI
   const currentEnemyEnergyRef = useRef(10);
   
+  // NEW: Seeded random stream for this battle - every roll made here (attacks,
+  // spells, AI choices) comes from it, and its position is sent with each action
+  const battleRngRef = useRef(createRng(generateSeed()));
+  const sentRngStateRef = useRef(null);
+  
+  const getBattleRngState = () => {
+    sentRngStateRef.current = battleRngRef.current.getState();
+    return sentRngStateRef.current;
+  };
+  
   // Create health tracker ref
   const healthTracker = useRef(createHealthTracker());
   
@@ -1939,6 +594,12 @@ const BattleGame = ({ onClose }) => {
     return map.get(creatureId);
   }, []);
   
+  // Refresh AI turn tracking from the state an AI action resolved to
+  const trackAITurnCreatures = useCallback((battleState) => {
+    aiTurnCreatureStates.current.player = new Map(battleState.playerField.map(c => [c.id, c]));
+    aiTurnCreatureStates.current.enemy = new Map(battleState.enemyField.map(c => [c.id, c]));
+  }, []);
+  
   // UI STATE
   const [selectedCreature, setSelectedCreature] = useState(null);
   const [targetCreature, setTargetCreature] = useState(null);
@@ -1947,6 +608,94 @@ const BattleGame = ({ onClose }) => {
   const [isProcessingAnimation, setIsProcessingAnimation] = useState(false);
   const [animationQueue, setAnimationQueue] = useState([]);
   
+  // NEW: Replay of the last finished battle (or one picked from saved replays)
+  const [activeReplay, setActiveReplay] = useState(null);
+  const replayStartRef = useRef(null);
+  
+  // NEW: Adaptive difficulty rating and recent results for this account
+  const [adaptiveProfile, setAdaptiveProfile] = useState(() => loadAdaptiveProfile(accountAddress));
+  
+  useEffect(() => {
+    setAdaptiveProfile(loadAdaptiveProfile(accountAddress));
+  }, [accountAddress]);
+  
+  // NEW: Campaign progress for this account, and the stars of the last campaign battle
+  const [campaignProgress, setCampaignProgress] = useState(() => loadCampaignProgress(accountAddress));
+  const [campaignResult, setCampaignResult] = useState(null);
+  
+  useEffect(() => {
+    setCampaignProgress(loadCampaignProgress(accountAddress));
+  }, [accountAddress]);
+  
+  // NEW: Daily challenge attempts for this account, and the last daily result with its submission
+  const [dailyProgress, setDailyProgress] = useState(() => loadDailyProgress(accountAddress));
+  const [dailyResult, setDailyResult] = useState(null);
+  
+  useEffect(() => {
+    setDailyProgress(loadDailyProgress(accountAddress));
+    
+    // Results recorded while the leaderboard was unreachable go out now
+    submitPendingDailyResults(accountAddress).then(count => {
+      if (count > 0) {
+        setDailyProgress(loadDailyProgress(accountAddress));
+      }
+    });
+  }, [accountAddress]);
+  
+  // NEW: Gauntlet - the run in progress, the best wave reached and the last wave's result
+  const [gauntletRun, setGauntletRun] = useState(null);
+  const [gauntletProgress, setGauntletProgress] = useState(() => loadGauntletProgress(accountAddress));
+  const [gauntletResult, setGauntletResult] = useState(null);
+  
+  useEffect(() => {
+    setGauntletProgress(loadGauntletProgress(accountAddress));
+  }, [accountAddress]);
+  
+  // NEW: Mirror match - which synergies each side kept up in the last one
+  const [mirrorResult, setMirrorResult] = useState(null);
+  
+  // NEW: Draft mode - the draft in progress; both teams come from its packs
+  const [draft, setDraft] = useState(null);
+  
+  // NEW: Named custom difficulty presets for this account
+  const [customPresets, setCustomPresets] = useState(() => loadCustomPresets(accountAddress));
+  
+  useEffect(() => {
+    setCustomPresets(loadCustomPresets(accountAddress));
+  }, [accountAddress]);
+  
+  const handleSaveCustomPreset = useCallback((name, settings) => {
+    setCustomPresets(saveCustomPreset(accountAddress, name, settings));
+  }, [accountAddress]);
+  
+  const handleDeleteCustomPreset = useCallback((name) => {
+    setCustomPresets(deleteCustomPreset(accountAddress, name));
+  }, [accountAddress]);
+  
+  // NEW: Win probability - rollouts run in a worker, answers for older states are dropped
+  const [winProbability, setWinProbability] = useState({ current: null, history: [] });
+  const winWorkerRef = useRef(null);
+  const winRequestRef = useRef(0);
+  
+  // NEW: Enemy AI planning (and coach hints) run in a worker; pending requests are keyed by id
+  const aiWorkerRef = useRef(null);
+  const aiRequestRef = useRef(0);
+  const aiPendingPlansRef = useRef(new Map());
+  
+  // NEW: Coach hints - the current suggestion and how many of this battle's hints are spent
+  const [hint, setHint] = useState(null);
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const hintRequestRef = useRef(0);
+  
+  // NEW: AI debug overlay - lists the enemy's logged decisions with their scores
+  const [showAIDebug, setShowAIDebug] = useState(false);
+  
+  // NEW: Auto-battle - the AI plays the player's turns at the chosen level and personality.
+  // The turn's plan lives in a ref and is played one action per step; autoStep re-runs the driver.
+  const [autoBattle, setAutoBattle] = useState({ enabled: false, difficulty: 'easy', personality: null, speed: 1 });
+  const [autoStep, setAutoStep] = useState(0);
+  const autoPlanRef = useRef(null);
+  
   // New animation reference to track DOM elements
   const creatureElementsRef = useRef({
     player: {},
@@ -1954,11 +703,19 @@ const BattleGame = ({ onClose }) => {
   });
   
   // BATTLE STATE
-  const [state, dispatch] = useReducer(battleReducer, {
+  const [state, setBattleState] = useState({
     gameState: 'setup',
     turn: 1,
     activePlayer: 'player',
     difficulty: 'easy',
+    adaptiveRating: null, // NEW: Set when adaptive difficulty is selected
+    customDifficulty: null, // NEW: Knobs of a custom difficulty, set when it is selected
+    campaignEncounterId: null, // NEW: Set when a campaign encounter is selected
+    dailyChallengeDate: null, // NEW: Set when the daily challenge is selected
+    gauntletWave: null, // NEW: Set when the gauntlet is selected; the wave being fought
+    mirrorMatch: false, // NEW: Set when the mirror match is selected; difficulty is the AI level
+    draftMatch: false, // NEW: Set when draft mode is selected; difficulty is the AI level
+    enemyArchetype: null, // NEW: Picked before team selection when the enemy team is generated
     selectedTeam: null,
     
     playerDeck: [],
@@ -1976,6 +733,7 @@ const BattleGame = ({ onClose }) => {
     enemySpells: [],
     
     battleLog: [],
+    logSequence: 0,
     
     consecutiveActions: { player: 0, enemy: 0 },
     energyMomentum: { player: 0, enemy: 0 },
@@ -2001,6 +759,39 @@ const BattleGame = ({ onClose }) => {
     currentEnemyEnergyRef.current = state.enemyEnergy;
   }, [state.enemyEnergy]);
   
+  // FIXED: Every battle action goes through dispatch, which runs the reducer on
+  // battleStateRef right away and commits that state. Actions sent before React
+  // re-renders (the AI's turn, end-of-turn phases) build on each other, and what
+  // the animations read is exactly what gets rendered and recorded.
+  const battleStateRef = useRef(state);
+  
+  const dispatch = useCallback((action) => {
+    const current = battleStateRef.current;
+    const next = battleReducer(current, action);
+    if (next === current) return current;
+    
+    battleStateRef.current = next;
+    
+    // Follow the battle stream whenever the engine rolled
+    if (next.rngState !== undefined && next.rngState !== current.rngState) {
+      battleRngRef.current = createRng(next.rngState);
+      sentRngStateRef.current = next.rngState;
+    }
+    
+    setBattleState(next);
+    return next;
+  }, []);
+  
+  // NEW: Deploy and combat actions carry only the intent and the stream
+  // position; the engine rolls the outcome, and animations and logs read
+  // lastAttack, lastSpellCast, lastToolUse or lastDefend from the state it
+  // resolved to. Returns null when the engine rejects the action.
+  const resolveBattleAction = (action) => {
+    const current = battleStateRef.current;
+    const next = dispatch({ ...action, rngState: getBattleRngState() });
+    return next === current ? null : next;
+  };
+  
   // Destructure state for easier access
   const {
     gameState,
@@ -2022,6 +813,10 @@ const BattleGame = ({ onClose }) => {
     battleLog,
     consecutiveActions,
     energyMomentum,
+    enemyPersonality, // NEW: AI personality id
+    adaptiveRating, // NEW: Adaptive difficulty rating, null for preset battles
+    customDifficulty, // NEW: Custom difficulty knobs, null unless custom
+    maxFieldSize, // NEW: Per-side field limits - campaign encounters can change the enemy's
     
     // Animation state
     animationInProgress,
@@ -2243,7 +1038,7 @@ const BattleGame = ({ onClose }) => {
     },
     
     executeSpellAnimation: async (animation) => {
-      const { casterId, targetId, spell, damage } = animation;
+      const { casterId, targetId, spell, damage, splashTargetIds = [] } = animation;
       
       // VALIDATION: Ensure damage is a number
       const validatedDamage = typeof damage === 'number' ? damage : 0;
@@ -2284,6 +1079,14 @@ const BattleGame = ({ onClose }) => {
               }
             }
             
+            // NEW: Multi-target spells splash onto every other creature they hit
+            splashTargetIds.forEach(splashId => {
+              const splashElement = document.querySelector(`.creature-card[data-id="${splashId}"]`);
+              if (splashElement) {
+                generateParticles(splashElement, validatedDamage < 0 ? 'heal' : 'magic', 8);
+              }
+            });
+            
             resolve();
           }
         );
@@ -2314,7 +1117,7 @@ const BattleGame = ({ onClose }) => {
       animateTurnTransition(player, turnNumber);
       
       return new Promise(resolve => {
-        setTimeout(resolve, ANIMATION_DURATIONS.TURN_TRANSITION);
+        setTimeout(resolve, scaleAnimationDuration(ANIMATION_DURATIONS.TURN_TRANSITION));
       });
     },
     
@@ -2348,7 +1151,7 @@ const BattleGame = ({ onClose }) => {
       }
       
       return new Promise(resolve => {
-        setTimeout(resolve, ANIMATION_DURATIONS.COMBO_INDICATOR);
+        setTimeout(resolve, scaleAnimationDuration(ANIMATION_DURATIONS.COMBO_INDICATOR));
       });
     },
     
@@ -2371,7 +1174,7 @@ const BattleGame = ({ onClose }) => {
       }
       
       return new Promise(resolve => {
-        setTimeout(resolve, params.duration || 500);
+        setTimeout(resolve, scaleAnimationDuration(params.duration || 500));
       });
     },
     
@@ -2404,7 +1207,7 @@ const BattleGame = ({ onClose }) => {
       animateSynergyActivation(synergies);
       
       return new Promise(resolve => {
-        setTimeout(resolve, synergies.length * 300 + 500);
+        setTimeout(resolve, scaleAnimationDuration(synergies.length * 300 + 500));
       });
     },
     
@@ -2436,7 +1239,7 @@ const BattleGame = ({ onClose }) => {
     if (!animation) return;
     
     if (animation.delay) {
-      await new Promise(resolve => setTimeout(resolve, animation.delay));
+      await new Promise(resolve => setTimeout(resolve, scaleAnimationDuration(animation.delay)));
     }
     
     const animationFunctions = animationFunctionsRef.current;
@@ -2692,8 +1495,9 @@ const BattleGame = ({ onClose }) => {
   }, [creatureNfts]);
   
   // BATTLE LOG
-  const addToBattleLog = useCallback((message) => {
-    dispatch({ type: ACTIONS.ADD_LOG, message });
+  // NEW: An AI rationale can ride along with the message (see aiRationale.js)
+  const addToBattleLog = useCallback((message, rationale = null) => {
+    dispatch({ type: ACTIONS.ADD_LOG, message, rationale });
   }, []);
   
   // Add synergy effect display when synergies activate
@@ -2733,130 +1537,191 @@ const BattleGame = ({ onClose }) => {
   }, []);
   
   // TEAM SELECTION HANDLERS
-  const handleDifficultySelect = useCallback((selectedDifficulty) => {
+  // The option is the encounter id for the campaign, the knobs for a custom difficulty and the AI level for a mirror match or draft
+  const handleDifficultySelect = useCallback((selectedDifficulty, option = null) => {
+    // NEW: Campaign encounters set their own difficulty
+    if (selectedDifficulty === CAMPAIGN_MODE) {
+      const encounter = getCampaignEncounter(option);
+      if (!encounter) {
+        console.error("Unknown campaign encounter:", option);
+        return;
+      }
+      dispatch({ type: ACTIONS.SET_DIFFICULTY, difficulty: encounter.difficulty, campaignEncounterId: encounter.id });
+      return;
+    }
+    
+    // NEW: The daily challenge rolls its own difficulty from the day's seed
+    if (selectedDifficulty === DAILY_MODE) {
+      const date = getDailyChallengeDate();
+      dispatch({ type: ACTIONS.SET_DIFFICULTY, difficulty: getDailyChallenge(date).difficulty, dailyChallengeDate: date });
+      return;
+    }
+    
+    // NEW: The gauntlet starts at wave 1; later waves pick their own difficulty tier
+    if (selectedDifficulty === GAUNTLET_MODE) {
+      dispatch({ type: ACTIONS.SET_DIFFICULTY, difficulty: getGauntletWaveDifficulty(1), gauntletWave: 1 });
+      return;
+    }
+    
+    // NEW: Mirror matches are even - the level only picks how well the AI plays
+    if (selectedDifficulty === MIRROR_MODE) {
+      dispatch({ type: ACTIONS.SET_DIFFICULTY, difficulty: getMirrorLevel(option), mirrorMatch: true });
+      return;
+    }
+    
+    // NEW: Drafts are even too - the level sets how well the AI drafts and plays
+    if (selectedDifficulty === DRAFT_MODE) {
+      dispatch({ type: ACTIONS.SET_DIFFICULTY, difficulty: getDraftLevel(option), draftMatch: true });
+      return;
+    }
+    
+    // NEW: Adaptive plays at the account's current rating
+    if (selectedDifficulty === ADAPTIVE_DIFFICULTY) {
+      const { rating } = loadAdaptiveProfile(accountAddress);
+      dispatch({ type: ACTIONS.SET_DIFFICULTY, difficulty: getAdaptiveBaseDifficulty(rating), adaptiveRating: rating });
+      return;
+    }
+    
+    // NEW: Custom difficulties play at the preset of their AI level
+    if (selectedDifficulty === CUSTOM_DIFFICULTY) {
+      const customSettings = getCustomDifficultySettings(option);
+      dispatch({ type: ACTIONS.SET_DIFFICULTY, difficulty: customSettings.baseDifficulty, customDifficulty: customSettings.customDifficulty });
+      return;
+    }
+    
     dispatch({ type: ACTIONS.SET_DIFFICULTY, difficulty: selectedDifficulty });
-  }, []);
+  }, [accountAddress]);
   
   const handleMoveToTeamSelect = useCallback(() => {
+    // NEW: Generated enemy teams get their archetype now, so team selection can show it
+    const generatesEnemies = !state.campaignEncounterId && !state.dailyChallengeDate && !state.gauntletWave && !state.mirrorMatch && !state.draftMatch;
+    dispatch({ type: ACTIONS.SET_ENEMY_ARCHETYPE, enemyArchetype: generatesEnemies ? pickEnemyArchetype(generateSeed()) : null });
+    // NEW: Every visit to team selection starts a fresh draft
+    setDraft(state.draftMatch ? createDraft(state.difficulty) : null);
     dispatch({ type: ACTIONS.SET_GAME_STATE, gameState: 'teamSelect' });
+  }, [state.campaignEncounterId, state.dailyChallengeDate, state.gauntletWave, state.mirrorMatch, state.draftMatch, state.difficulty]);
+  
+  const handleDraftPick = useCallback((itemId) => {
+    setDraft(current => current && pickDraftOption(current, itemId));
   }, []);
   
-  const handleTeamConfirm = useCallback((team) => {
-    console.log("Team confirmed:", team);
-    dispatch({ type: ACTIONS.SET_TEAM, team });
-    
-    // Initialize battle with the selected team
-    const battleCreatures = team.creatures.map(creature => {
-      console.log("=== INITIALIZING TEAM CREATURE ===");
-      console.log("Original creature:", creature);
-      
-      if (!creature.specialty_stats) {
-        creature.specialty_stats = [];
-      }
-      
-      const derivedStats = calculateDerivedStats(creature);
-      console.log("Derived stats from calculateDerivedStats:", derivedStats);
-      console.log("Energy cost from derivedStats:", derivedStats.energyCost);
-      
-      const formLevel = parseInt(creature.form) || 0;
-      const correctEnergyCost = 5 + formLevel;
-      console.log(`Form: ${creature.form} (type: ${typeof creature.form}), parsed as: ${formLevel}`);
-      console.log(`Correct energy cost should be: ${correctEnergyCost}`);
-      
-      if (derivedStats.energyCost !== correctEnergyCost) {
-        console.error(`ENERGY COST MISMATCH! Got ${derivedStats.energyCost}, expected ${correctEnergyCost}`);
-      }
-      
-      const battleCreature = {
-        ...creature,
-        battleStats: {
-          ...derivedStats,
-          energyCost: correctEnergyCost
-        },
-        currentHealth: derivedStats.maxHealth,
-        activeEffects: [],
-        isDefending: false
-      };
-      
-      console.log("Final battle creature:", battleCreature);
-      console.log("Final energy cost:", battleCreature.battleStats.energyCost);
-      console.log("=== END CREATURE INIT ===\n");
-      
-      return battleCreature;
-    });
-    
-    const diffSettings = getDifficultySettings(state.difficulty);
+  // Opening steps shared by a confirmed team and every gauntlet wave
+  const beginBattle = useCallback((battle) => {
+    console.log(`Generated ${battle.enemyTools.length} enemy tools and ${battle.enemySpells.length} enemy spells for ${battle.difficulty} difficulty`);
+    console.log(`Starting energy - Player: ${battle.playerEnergy}, Enemy: ${battle.enemyEnergy} (${battle.difficulty} difficulty)`);
     
-    const enemyCreatures = generateEnemyCreatures(state.difficulty, diffSettings.enemyDeckSize, battleCreatures);
+    // Reset energy ref
+    currentEnemyEnergyRef.current = battle.enemyEnergy;
     
-    const enemyWithStats = enemyCreatures.map((creature, index) => {
-      const derivedStats = calculateDerivedStats(creature);
-      const formLevel = parseInt(creature.form) || 0;
-      const energyCost = 5 + formLevel;
-      
-      console.log(`Enemy ${creature.species_name} (${creature.rarity}, Form ${creature.form}):`);
-      console.log(`Base stats:`, creature.stats);
-      console.log(`Derived stats:`, derivedStats);
-      console.log(`Energy cost:`, energyCost);
-      
-      return {
-        ...creature,
-        battleStats: {
-          ...derivedStats,
-          energyCost: energyCost
-        },
-        currentHealth: derivedStats.maxHealth,
-        activeEffects: [],
-        isDefending: false
-      };
-    });
+    // Opening state is kept so the finished battle can be saved as a replay
+    replayStartRef.current = battle;
+    setActiveReplay(null);
+    setCampaignResult(null);
+    setDailyResult(null);
+    setGauntletResult(null);
+    setMirrorResult(null);
     
-    const playerInitialHandSize = Math.min(3, battleCreatures.length);
-    const playerInitialHand = battleCreatures.slice(0, playerInitialHandSize);
-    const remainingDeck = battleCreatures.slice(playerInitialHandSize);
+    dispatch({ type: ACTIONS.START_BATTLE, battle });
+  }, []);
+  
+  // NEW: Every gauntlet wave is a fresh battle with the run's surviving team and items
+  const startGauntletWave = useCallback((run) => {
+    const battle = createBattle({ ...getGauntletBattleConfig(run), record: true });
     
-    const enemyInitialHandSize = diffSettings.initialHandSize;
-    const enemyInitialHand = enemyWithStats.slice(0, enemyInitialHandSize);
-    const remainingEnemyDeck = enemyWithStats.slice(enemyInitialHandSize);
+    setGauntletProgress(recordGauntletWave(accountAddress, run.wave));
+    beginBattle(battle);
+    addToBattleLog(`⚔️ Gauntlet ${describeGauntletWave(run.wave)} - ${run.creatures.length} creatures left`);
+  }, [accountAddress, beginBattle, addToBattleLog]);
+  
+  const handleTeamConfirm = useCallback((team) => {
+    console.log("Team confirmed:", team);
     
-    const enemyItems = generateEnemyItems(state.difficulty);
-    const enemyTools = enemyItems.tools || [];
-    const enemySpells = enemyItems.spells || [];
+    // NEW: Starting the daily challenge uses up the day's only attempt
+    const dailyChallenge = state.dailyChallengeDate ? getDailyChallenge(state.dailyChallengeDate) : null;
+    if (dailyChallenge) {
+      const progress = startDailyAttempt(accountAddress, dailyChallenge.date);
+      if (!progress) {
+        addNotification("You've already played today's challenge!", 400, 200, '#ff5252');
+        dispatch({ type: ACTIONS.SET_GAME_STATE, gameState: 'setup' });
+        return;
+      }
+      setDailyProgress(progress);
+    }
     
-    console.log(`Generated ${enemyTools.length} enemy tools and ${enemySpells.length} enemy spells for ${state.difficulty} difficulty`);
+    dispatch({ type: ACTIONS.SET_TEAM, team });
     
-    // ENHANCED: Use starting energy from difficulty settings
-    const playerStartingEnergy = 10; // Player always starts with 10
-    const enemyStartingEnergy = diffSettings.startingEnergy || 10;
+    // NEW: A gauntlet run takes the confirmed team into wave 1
+    if (state.gauntletWave) {
+      const run = createGauntletRun(team);
+      setGauntletRun(run);
+      startGauntletWave(run);
+      return;
+    }
     
-    console.log(`Starting energy - Player: ${playerStartingEnergy}, Enemy: ${enemyStartingEnergy} (${state.difficulty} difficulty)`);
+    // Adaptive battles use the latest rating - the last battle may have moved it
+    const adaptiveRating = state.adaptiveRating !== null ? loadAdaptiveProfile(accountAddress).rating : null;
     
-    // Reset energy ref
-    currentEnemyEnergyRef.current = enemyStartingEnergy;
+    // NEW: Campaign encounters bring their own enemy team, items and rules
+    const encounter = getCampaignEncounter(state.campaignEncounterId);
     
-    dispatch({
-      type: ACTIONS.START_BATTLE,
-      playerDeck: remainingDeck,
-      playerHand: playerInitialHand,
+    // Initialize battle with the selected team - the engine prepares both sides
+    const battle = createBattle({
+      difficulty: state.difficulty,
+      adaptiveRating,
+      customDifficulty: state.customDifficulty,
+      enemyArchetype: state.enemyArchetype,
+      ...(encounter ? getCampaignBattleConfig(encounter) : {}),
+      ...(dailyChallenge ? getDailyBattleConfig(dailyChallenge) : {}),
+      // NEW: The mirror's enemy side is a copy of the team just confirmed
+      ...(state.mirrorMatch ? getMirrorBattleConfig(team, state.difficulty) : {}),
+      // NEW: The AI brings everything it drafted; the player picked from their own draft
+      ...(state.draftMatch && draft ? getDraftBattleConfig(draft) : {}),
+      playerCreatures: team.creatures,
       playerTools: team.tools || [],
       playerSpells: team.spells || [],
-      enemyDeck: remainingEnemyDeck,
-      enemyHand: enemyInitialHand,
-      enemyTools: enemyTools,
-      enemySpells: enemySpells,
-      difficulty: state.difficulty,
-      // Pass starting energy values
-      playerStartingEnergy: playerStartingEnergy,
-      enemyStartingEnergy: enemyStartingEnergy
+      record: true
     });
     
-    addToBattleLog(`Battle started! Enemy has ${enemyTools.length + enemySpells.length} special items and ${enemyStartingEnergy} starting energy!`);
-  }, [state.difficulty, addToBattleLog]);
+    beginBattle(battle);
+    
+    if (encounter) {
+      addToBattleLog(`📜 ${encounter.name}: ${encounter.intro}`);
+    }
+    if (dailyChallenge) {
+      addToBattleLog(`📅 Daily challenge ${dailyChallenge.date} - ${describeDailyChallenge(dailyChallenge).join(' · ')}`);
+    }
+    if (state.mirrorMatch) {
+      addToBattleLog(`🪞 Mirror match - the enemy plays your own team at ${state.difficulty} AI level`);
+    }
+    if (state.draftMatch && draft) {
+      addToBattleLog(`🃏 Draft battle - the AI drafted ${draft.enemy.creatures.length} creatures and ${draft.enemy.tools.length + draft.enemy.spells.length} items`);
+    }
+  }, [state.difficulty, state.adaptiveRating, state.customDifficulty, state.campaignEncounterId, state.dailyChallengeDate, state.gauntletWave, state.mirrorMatch, state.draftMatch, state.enemyArchetype, draft, accountAddress, beginBattle, startGauntletWave, addToBattleLog, addNotification]);
+  
+  // NEW: The boon picked after a cleared wave goes straight into the next one
+  const handleChooseGauntletBoon = useCallback((boonId) => {
+    if (!gauntletRun) return;
+    
+    const run = chooseGauntletBoon(gauntletRun, boonId);
+    setGauntletRun(run);
+    startGauntletWave(run);
+  }, [gauntletRun, startGauntletWave]);
   
   const handleBackFromTeamSelect = useCallback(() => {
     dispatch({ type: ACTIONS.SET_GAME_STATE, gameState: 'setup' });
   }, []);
   
+  // REPLAY HANDLERS
+  const handleOpenReplays = useCallback((replay = null) => {
+    setActiveReplay(replay);
+    dispatch({ type: ACTIONS.SET_GAME_STATE, gameState: 'replay' });
+  }, []);
+  
+  const handleCloseReplay = useCallback(() => {
+    setActiveReplay(null);
+    dispatch({ type: ACTIONS.SET_GAME_STATE, gameState: 'setup' });
+  }, []);
+  
   // BATTLE MECHANICS
   // FIXED: Energy regeneration that uses current state from reducer
   const regenerateEnergy = useCallback(() => {
@@ -2867,34 +1732,27 @@ const BattleGame = ({ onClose }) => {
     // We'll handle the logging after the state update
   }, []);
   
+  // Decay only kicks in above the hoarding threshold (checked by the engine)
   const applyEnergyDecay = useCallback(() => {
-    if (playerEnergy > 10 || enemyEnergy > 10) {
-      dispatch({ type: ACTIONS.APPLY_ENERGY_DECAY });
-      console.log("Applied energy decay to prevent hoarding");
-    }
-  }, [playerEnergy, enemyEnergy]);
+    dispatch({ type: ACTIONS.APPLY_ENERGY_DECAY });
+  }, []);
   
   const applyOngoingEffects = useCallback(() => {
     console.log("Applying ongoing effects...");
     
-    dispatch({ 
-      type: ACTIONS.APPLY_ONGOING_EFFECTS,
-      addLog: addToBattleLog
-    });
-  }, [dispatch, addToBattleLog]);
+    dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS });
+  }, [dispatch]);
   
   const checkWinCondition = useCallback(() => {
-    const result = enemyField.length === 0 && enemyHand.length === 0 && enemyDeck.length === 0;
-    return result;
-  }, [enemyField, enemyHand, enemyDeck]);
+    return getBattleOutcome({ playerField, playerHand, playerDeck, enemyField, enemyHand, enemyDeck }) === 'victory';
+  }, [playerField, playerHand, playerDeck, enemyField, enemyHand, enemyDeck]);
   
   const checkLossCondition = useCallback(() => {
-    const result = playerField.length === 0 && playerHand.length === 0 && playerDeck.length === 0;
-    return result;
-  }, [playerField, playerHand, playerDeck]);
+    return getBattleOutcome({ playerField, playerHand, playerDeck, enemyField, enemyHand, enemyDeck }) === 'defeat';
+  }, [playerField, playerHand, playerDeck, enemyField, enemyHand, enemyDeck]);
   
   // ENHANCED PLAYER ACTIONS WITH DAMAGE VALIDATION
-  const deployCreature = useCallback((creature) => {
+  const deployCreature = useCallback((creature, row = null) => {
     if (!creature) return;
     
     console.log("=== DEPLOY CREATURE CALLED ===");
@@ -2902,51 +1760,36 @@ const BattleGame = ({ onClose }) => {
     console.log("Creature stats:", creature.stats);
     console.log("Creature battleStats:", creature.battleStats);
     
-    const maxPlayerFieldSize = 4;
-    
-    if (playerField.length >= maxPlayerFieldSize) {
+    if (playerField.length >= PLAYER_MAX_FIELD_SIZE) {
       addToBattleLog("Your battlefield is full! Cannot deploy more creatures.");
       return;
     }
     
-    console.log("Checking energy cost sources:");
-    console.log("1. battleStats.energyCost:", creature.battleStats?.energyCost);
-    console.log("2. Direct energyCost:", creature.energyCost);
+    // FIXED: getDeployCost falls back to the form-based cost if battleStats.energyCost is corrupted
+    const energyCost = getDeployCost(creature);
     
-    const formLevel = parseInt(creature.form) || 0;
-    const correctCost = 5 + formLevel;
-    console.log("3. Form-based calculation: 5 + " + creature.form + " (parsed: " + formLevel + ") = " + correctCost);
+    console.log(`FINAL: Deploying ${creature.species_name} - Form: ${creature.form}, Energy Cost: ${energyCost}`);
     
-    const energyCost = creature.battleStats?.energyCost || correctCost;
+    if (playerEnergy < energyCost) {
+      addToBattleLog(`Not enough energy to deploy ${creature.species_name}. Needs ${energyCost} energy.`);
+      return;
+    }
     
-    console.log(`FINAL: Deploying ${creature.species_name} - Form: ${creature.form}, Energy Cost: ${energyCost}`);
+    // NEW: Formation - fill the front row unless the player picked a row with room
+    if (row && !hasRowSpace(playerField, row, PLAYER_MAX_FIELD_SIZE)) {
+      addToBattleLog(`Your ${row} row is full!`);
+      return;
+    }
     
-    if (energyCost > MAX_ENERGY) {
-      console.error(`ERROR: Energy cost ${energyCost} is way too high! Maximum energy is ${MAX_ENERGY}!`);
-      console.log(`Using correct cost instead: ${correctCost}`);
-      const actualCost = correctCost;
-      
-      if (playerEnergy < actualCost) {
-        addToBattleLog(`Not enough energy to deploy ${creature.species_name}. Needs ${actualCost} energy.`);
-        return;
-      }
-      
-      dispatch({ type: ACTIONS.DEPLOY_CREATURE, creature, energyCost: actualCost });
-      addToBattleLog(`You deployed ${creature.species_name} to the battlefield! (-${actualCost} energy)`);
-    } else {
-      if (playerEnergy < energyCost) {
-        addToBattleLog(`Not enough energy to deploy ${creature.species_name}. Needs ${energyCost} energy.`);
-        return;
-      }
-      
-      dispatch({ type: ACTIONS.DEPLOY_CREATURE, creature, energyCost });
-      
-      let comboMessage = '';
-      if (consecutiveActions.player > 0) {
-        comboMessage = ` Combo x${consecutiveActions.player + 1}!`;
-      }
-      
-      addToBattleLog(`You deployed ${creature.species_name} to the battlefield! (-${energyCost} energy)${comboMessage}`);
+    const resolved = resolveBattleAction({
+      type: ACTIONS.DEPLOY_CREATURE,
+      creature,
+      row: row || getDefaultRow(playerField, PLAYER_MAX_FIELD_SIZE)
+    });
+    
+    if (!resolved) {
+      addToBattleLog(`${creature.species_name} can't be deployed right now.`);
+      return;
     }
     
     console.log(`Deployed ${creature.species_name} to player field`);
@@ -2970,7 +1813,7 @@ const BattleGame = ({ onClose }) => {
       }
     }, 300);
     
-  }, [playerField, playerEnergy, consecutiveActions, addToBattleLog, queueAnimation]);
+  }, [playerField, playerEnergy, addToBattleLog, queueAnimation]);
   
   const attackCreature = useCallback((attacker, defender) => {
     if (!attacker || !defender) {
@@ -2984,80 +1827,29 @@ const BattleGame = ({ onClose }) => {
       return;
     }
     
-    const attackType = attacker.battleStats.physicalAttack > attacker.battleStats.magicalAttack 
-      ? 'physical' 
-      : 'magical';
-    
-    // FIXED: Pass combo level to processAttack
-    const comboLevel = isPlayerAttacker ? consecutiveActions.player : consecutiveActions.enemy;
-    const attackResult = processAttack(attacker, defender, attackType, comboLevel);
-    
-    // Debug log to see actual structure
-    console.log('Full attack result object:', JSON.stringify(attackResult, null, 2));
-    console.log('Attack result keys:', Object.keys(attackResult || {}));
-    
-    // Try multiple possible property names for damage
-    let actualDamage = attackResult.damage ?? 
-                        attackResult.finalDamage ?? 
-                        attackResult.totalDamage ??
-                        attackResult.damageDealt ??
-                        null;
-    
-    // If no damage property found, calculate it from health difference
-    if (actualDamage === null && attackResult.updatedDefender && defender) {
-      const healthBefore = defender.currentHealth || 0;
-      const healthAfter = attackResult.updatedDefender.currentHealth || 0;
-      actualDamage = Math.max(0, healthBefore - healthAfter);
-      console.log('Calculated damage from health difference:', healthBefore, '-', healthAfter, '=', actualDamage);
-    }
-    
-    // Final fallback to 0
-    if (actualDamage === null || actualDamage === undefined) {
-      actualDamage = 0;
-    }
-    
-    // Determine if attack was blocked
-    const isBlocked = actualDamage === 0 && defender.isDefending;
-    
-    // VALIDATION: Ensure damage is a number before dispatching
-    const validatedDamage = typeof actualDamage === 'number' ? actualDamage : 0;
-    
-    console.log('Attack result - actual damage found:', actualDamage, 'validated:', validatedDamage);
-    
-    // Ensure we pass the damage in the expected format
-    const normalizedAttackResult = {
-      ...attackResult,
-      damage: validatedDamage
-    };
-    
-    dispatch({ 
-      type: ACTIONS.ATTACK, 
-      attackResult: {
-        ...normalizedAttackResult,
-        damage: validatedDamage,
-        isBlocked
-      },
-      energyCost: ATTACK_ENERGY_COST
+    const resolved = resolveBattleAction({
+      type: ACTIONS.ATTACK,
+      attackerId: attacker.id,
+      targetId: defender.id,
+      attackType: getAttackType(attacker)
     });
     
-    let comboMessage = '';
-    if (isPlayerAttacker && consecutiveActions.player > 0) {
-      comboMessage = ` Combo x${consecutiveActions.player + 1}!`;
+    if (!resolved) {
+      addToBattleLog(`${attacker.species_name} can't attack ${defender.species_name} right now.`);
+      return;
     }
     
-    const energyMessage = isPlayerAttacker ? ` (-${ATTACK_ENERGY_COST} energy)` : '';
-    addToBattleLog(attackResult.battleLog + energyMessage + comboMessage);
-    
-    // Queue attack animation with damage type
+    // Queue attack animation with what the engine rolled
+    const { lastAttack: attack } = resolved;
     queueAnimation({
       type: 'attack',
-      attackerId: attacker.id,
-      targetId: defender.id,
-      damage: validatedDamage,
-      isCritical: attackResult.isCritical,
-      attackType: attackType,
-      isBlocked: isBlocked,
-      damageType: attackResult.damageResult?.damageType || 'normal'
+      attackerId: attack.attackerId,
+      targetId: attack.targetId,
+      damage: attack.damage,
+      isCritical: attack.isCritical,
+      attackType: attack.attackType,
+      isBlocked: attack.isBlocked,
+      damageType: attack.damageType
     });
     
     // FIXED: Show combo animation with burst effect
@@ -3081,10 +1873,14 @@ const BattleGame = ({ onClose }) => {
     console.log("Using tool:", tool);
     console.log("Target creature:", targetCreature);
     
-    // Pass current turn to applyTool
-    const result = applyTool(targetCreature, tool, difficulty, turn);
+    const resolved = resolveBattleAction({
+      type: ACTIONS.USE_TOOL,
+      toolId: tool.id,
+      targetId: targetCreature.id,
+      isEnemyTool: !isPlayerTool
+    });
     
-    if (!result || !result.updatedCreature) {
+    if (!resolved) {
       addToBattleLog(`Failed to use ${tool.name || "tool"}.`);
       return;
     }
@@ -3092,35 +1888,6 @@ const BattleGame = ({ onClose }) => {
     // Find user creature - for player tools, use the selected creature
     const userCreature = isPlayerTool && selectedCreature ? selectedCreature : targetCreature;
     
-    dispatch({ 
-      type: ACTIONS.USE_TOOL, 
-      result, 
-      tool,
-      isPlayerTool,
-      isEnemyTool: !isPlayerTool
-    });
-    
-    const isPlayerTarget = playerField.some(c => c.id === targetCreature.id);
-    const targetDescription = isPlayerTarget ? targetCreature.species_name : `enemy ${targetCreature.species_name}`;
-    
-    addToBattleLog(`${tool.name || "Tool"} was used on ${targetDescription}.`);
-    
-    if (result.toolEffect) {
-      if (result.toolEffect.statChanges) {
-        const statChanges = Object.entries(result.toolEffect.statChanges)
-          .map(([stat, value]) => `${stat} ${value > 0 ? '+' : ''}${value}`)
-          .join(', ');
-        
-        if (statChanges) {
-          addToBattleLog(`Effect: ${statChanges}`);
-        }
-      }
-      
-      if (result.toolEffect.healthChange && result.toolEffect.healthChange > 0) {
-        addToBattleLog(`Healed for ${result.toolEffect.healthChange} health.`);
-      }
-    }
-    
     // Queue tool animation
     queueAnimation({
       type: 'tool',
@@ -3130,12 +1897,13 @@ const BattleGame = ({ onClose }) => {
     });
     
     // Add status effect animation if the tool applies effects
-    if (result.toolEffect && result.toolEffect.statChanges) {
-      const isPositive = Object.values(result.toolEffect.statChanges).some(v => v > 0);
+    const { statChanges } = resolved.lastToolUse;
+    if (statChanges) {
+      const isPositive = Object.values(statChanges).some(v => v > 0);
       queueStatusEffectAnimation(targetCreature.id, tool.name, isPositive);
     }
     
-  }, [playerField, difficulty, turn, selectedCreature, addToBattleLog, queueAnimation, queueStatusEffectAnimation]);
+  }, [selectedCreature, addToBattleLog, queueAnimation, queueStatusEffectAnimation]);
   
   const useSpell = useCallback((spell, caster, target, isPlayerSpell = true) => {
     if (!spell || !caster) {
@@ -3150,59 +1918,38 @@ const BattleGame = ({ onClose }) => {
       return;
     }
     
-    const effectiveTarget = target || caster;
-    
-    // Pass current turn to applySpell
-    const spellResult = applySpell(caster, effectiveTarget, spell, difficulty, turn);
-    
-    if (!spellResult) {
-      addToBattleLog(`Failed to cast ${spell.name}.`);
+    const blockedMessage = describeActionBlocker(caster, 'useSpell');
+    if (blockedMessage) {
+      addToBattleLog(blockedMessage);
       return;
     }
     
-    // VALIDATION: Ensure damage is a number
-    const spellDamage = spellResult.spellEffect?.damage || spellResult.spellEffect?.healing || 0;
-    const validatedDamage = typeof spellDamage === 'number' ? spellDamage : 0;
-    
-    dispatch({ 
-      type: ACTIONS.USE_SPELL, 
-      spellResult: {
-        ...spellResult,
-        spellEffect: {
-          ...spellResult.spellEffect,
-          damage: spellResult.spellEffect?.damage !== undefined ? validatedDamage : undefined,
-          healing: spellResult.spellEffect?.healing !== undefined ? validatedDamage : undefined
-        }
-      }, 
-      spell, 
-      energyCost,
-      isEnemySpell: !isPlayerSpell
+    // Multi-target spells pick their own extra targets in the engine
+    const effectiveTarget = target || caster;
+    const resolved = resolveBattleAction({
+      type: ACTIONS.USE_SPELL,
+      spellId: spell.id,
+      casterId: caster.id,
+      targetId: effectiveTarget.id
     });
     
-    const targetText = target && target.id !== caster.id 
-      ? `on ${playerField.some(c => c.id === target.id) ? '' : 'enemy '}${target.species_name}` 
-      : 'on self';
-      
-    addToBattleLog(`${caster.species_name} cast ${spell.name} ${targetText}. (-${energyCost} energy)`);
-    
-    if (spellResult.spellEffect && spellResult.spellEffect.damage) {
-      addToBattleLog(`The spell dealt ${spellResult.spellEffect.damage} damage!`);
-    }
-    
-    if (spellResult.spellEffect && spellResult.spellEffect.healing) {
-      addToBattleLog(`The spell healed for ${spellResult.spellEffect.healing} health!`);
+    if (!resolved) {
+      addToBattleLog(`Failed to cast ${spell.name}.`);
+      return;
     }
     
-    // Queue spell animation with VALIDATED damage
+    // Queue spell animation with what the engine rolled
+    const { lastSpellCast: cast } = resolved;
     queueAnimation({
       type: 'spell',
-      casterId: caster.id,
-      targetId: effectiveTarget.id,
+      casterId: cast.casterId,
+      targetId: cast.targetId,
+      splashTargetIds: cast.targetIds.filter(id => id !== cast.targetId),
       spell: spell,
-      damage: validatedDamage
+      damage: cast.damage
     });
     
-  }, [playerEnergy, playerField, difficulty, turn, addToBattleLog, queueAnimation]);
+  }, [playerEnergy, addToBattleLog, queueAnimation]);
   
   const defendCreatureAction = useCallback((creature) => {
     if (!creature) {
@@ -3210,28 +1957,157 @@ const BattleGame = ({ onClose }) => {
       return;
     }
     
-    const isPlayerCreature = playerField.some(c => c.id === creature.id);
-    if (isPlayerCreature && playerEnergy < DEFEND_ENERGY_COST) {
-      addToBattleLog(`Not enough energy to defend. Needs ${DEFEND_ENERGY_COST} energy.`);
-      return;
+    const isPlayerCreature = playerField.some(c => c.id === creature.id);
+    if (isPlayerCreature && playerEnergy < DEFEND_ENERGY_COST) {
+      addToBattleLog(`Not enough energy to defend. Needs ${DEFEND_ENERGY_COST} energy.`);
+      return;
+    }
+    
+    const resolved = resolveBattleAction({
+      type: ACTIONS.DEFEND,
+      creatureId: creature.id
+    });
+    
+    if (!resolved) {
+      addToBattleLog(`${creature.species_name} can't defend right now.`);
+      return;
+    }
+    
+    // Queue defend animation
+    queueAnimation({
+      type: 'defend',
+      defenderId: resolved.lastDefend.defenderId
+    });
+    
+  }, [playerField, playerEnergy, addToBattleLog, queueAnimation]);
+  
+  // NEW: Start an AI planning worker; answers for requests no longer pending are dropped
+  const startAIWorker = useCallback(() => {
+    const worker = new Worker(new URL('../utils/aiWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const { id, error } = event.data;
+      const pending = aiPendingPlansRef.current.get(id);
+      
+      // Requests that took too long were already answered on the main thread
+      if (!pending) return;
+      
+      if (error) {
+        pending.fail(error);
+      } else {
+        pending.resolve(event.data);
+      }
+    };
+    aiWorkerRef.current = worker;
+    return worker;
+  }, []);
+  
+  // NEW: A worker stuck on a stale search would hold up every later request,
+  // so replace it and send whatever was still queued to the easy planner
+  // FIXED: Queued hints are asked again on the new worker instead of being dropped
+  const restartAIWorker = useCallback(() => {
+    // Nothing to restart once the battle screen has unmounted
+    if (!aiWorkerRef.current) return;
+    
+    const queued = [...aiPendingPlansRef.current.values()];
+    aiPendingPlansRef.current.clear();
+    
+    aiWorkerRef.current.terminate();
+    const worker = startAIWorker();
+    
+    queued.forEach(pending => pending.retry ? pending.retry(worker) : pending.fail('was restarted'));
+  }, [startAIWorker]);
+  
+  // NEW: Plan the enemy's move in the AI worker so animations keep running.
+  // Takes determineAIAction's arguments (minus the rng) and resolves with its plan;
+  // a slow or failed worker falls back to the easy planner on the main thread.
+  const requestAIPlan = useCallback((...args) => {
+    const worker = aiWorkerRef.current;
+    
+    if (!worker) {
+      return Promise.resolve(determineAIAction(...args, battleRngRef.current));
+    }
+    
+    const rngState = battleRngRef.current.getState();
+    const id = ++aiRequestRef.current;
+    
+    return new Promise(resolve => {
+      const fallback = (reason) => {
+        aiPendingPlansRef.current.delete(id);
+        console.error(`AI worker ${reason} - falling back to the easy planner`);
+        
+        const rng = createRng(rngState);
+        const plan = determineAIAction('easy', ...args.slice(1), rng);
+        battleRngRef.current = rng;
+        resolve(plan);
+      };
+      
+      const timeoutId = setTimeout(() => {
+        fallback(`took over ${AI_PLAN_TIMEOUT_MS}ms`);
+        restartAIWorker();
+      }, AI_PLAN_TIMEOUT_MS);
+      
+      aiPendingPlansRef.current.set(id, {
+        resolve: ({ plan, rngState: nextRngState }) => {
+          clearTimeout(timeoutId);
+          aiPendingPlansRef.current.delete(id);
+          // Carry on from where the worker left the battle stream
+          battleRngRef.current = createRng(nextRngState);
+          resolve(plan);
+        },
+        fail: (error) => {
+          clearTimeout(timeoutId);
+          fallback(`failed (${error})`);
+        }
+      });
+      
+      worker.postMessage({ id, args, rngState });
+    });
+  }, [restartAIWorker]);
+  
+  // NEW: Coach hints search ahead in the AI worker too; a slow or failed worker
+  // falls back to a hint without lookahead on the main thread
+  const requestAIHint = useCallback((hintState) => {
+    const worker = aiWorkerRef.current;
+    
+    if (!worker) {
+      return Promise.resolve(getBattleHint(hintState));
     }
     
-    const updatedCreature = defendCreature(creature, difficulty);
-    
-    dispatch({ type: ACTIONS.DEFEND, updatedCreature });
+    const id = ++aiRequestRef.current;
     
-    const energyCost = isPlayerCreature ? ` (-${DEFEND_ENERGY_COST} energy)` : '';
-    addToBattleLog(
-      `${isPlayerCreature ? '' : 'Enemy '}${creature.species_name} took a defensive stance!${energyCost}`
-    );
-    
-    // Queue defend animation
-    queueAnimation({
-      type: 'defend',
-      defenderId: creature.id
+    return new Promise(resolve => {
+      const fallback = (reason) => {
+        aiPendingPlansRef.current.delete(id);
+        console.error(`AI worker ${reason} - hinting without lookahead`);
+        resolve(getBattleHint(hintState));
+      };
+      
+      const timeoutId = setTimeout(() => {
+        fallback(`took over ${AI_PLAN_TIMEOUT_MS}ms`);
+        restartAIWorker();
+      }, AI_PLAN_TIMEOUT_MS);
+      
+      // The timeout keeps running across a retry, so a hint still settles in time
+      const send = (target) => {
+        aiPendingPlansRef.current.set(id, {
+          resolve: ({ hint: nextHint }) => {
+            clearTimeout(timeoutId);
+            aiPendingPlansRef.current.delete(id);
+            resolve(nextHint);
+          },
+          fail: (error) => {
+            clearTimeout(timeoutId);
+            fallback(`failed (${error})`);
+          },
+          retry: send
+        });
+        
+        target.postMessage({ id, type: 'hint', state: hintState });
+      };
+      
+      send(worker);
     });
-    
-  }, [playerField, playerEnergy, difficulty, addToBattleLog, queueAnimation]);
+  }, [restartAIWorker]);
   
   // ENHANCED AI TURN HANDLING WITH DAMAGE VALIDATION
   const handleEnemyTurn = useCallback(() => {
@@ -3294,22 +2170,26 @@ const BattleGame = ({ onClose }) => {
       playerTotalHealth: currentPlayerField.reduce((sum, c) => sum + c.currentHealth, 0),
       enemyTotalHealth: currentEnemyField.reduce((sum, c) => sum + c.currentHealth, 0),
       consecutiveActions: consecutiveActions,
-      energyMomentum: energyMomentum
+      energyMomentum: energyMomentum,
+      personality: enemyPersonality,
+      adaptiveRating: adaptiveRating,
+      customDifficulty: customDifficulty,
+      maxFieldSize: maxFieldSize?.enemy
     };
     
     // Determine strategy before showing thinking
-    const strategy = determineAIStrategy(difficulty, enemyHand, currentEnemyField, currentPlayerField, enemyTools, enemySpells, currentEnergy, gameState);
+    const strategy = determineAIStrategy(difficulty, enemyHand, currentEnemyField, currentPlayerField, enemyTools, enemySpells, currentEnergy, gameState, battleRngRef.current);
     
     // Show strategy hint
     if (strategy && strategy.name) {
       dispatch({ type: ACTIONS.SHOW_AI_STRATEGY, strategy });
       
-      let strategyMessage = '';
+      // ENHANCED: Message in the voice of the enemy's personality
+      const strategyMessage = getAIStrategyVisuals(strategy.name, enemyPersonality).message;
       let stanceAnimation = null;
       
       switch (strategy.name) {
         case 'maximum-aggression':
-          strategyMessage = "The enemy takes an aggressive stance!";
           stanceAnimation = 'aggressive-stance';
           // Add red aura to enemy creatures
           currentEnemyField.forEach(creature => {
@@ -3322,7 +2202,6 @@ const BattleGame = ({ onClose }) => {
           break;
           
         case 'defensive-setup':
-          strategyMessage = "The enemy assumes a defensive posture...";
           stanceAnimation = 'defensive-stance';
           // Add blue aura to enemy creatures
           currentEnemyField.forEach(creature => {
@@ -3335,7 +2214,6 @@ const BattleGame = ({ onClose }) => {
           break;
           
         case 'combo-setup':
-          strategyMessage = "The enemy seems to be planning something...";
           // Subtle purple glow
           queueAnimation({
             type: 'screen-effect',
@@ -3347,10 +2225,6 @@ const BattleGame = ({ onClose }) => {
             }
           });
           break;
-          
-        case 'resource-efficiency':
-          strategyMessage = "The enemy carefully considers their options...";
-          break;
       }
       
       if (strategyMessage) {
@@ -3358,6 +2232,18 @@ const BattleGame = ({ onClose }) => {
       }
     }
     
+    // NEW: The AI worker plans while the thinking animation plays
+    const planRequest = requestAIPlan(
+      difficulty,
+      enemyHand,
+      currentEnemyField,
+      currentPlayerField,
+      enemyTools,
+      enemySpells,
+      currentEnergy,
+      gameState
+    );
+    
     // First, queue AI thinking animation if there's an active enemy
     if (currentEnemyField.length > 0) {
       const activeEnemy = currentEnemyField[0]; // Choose first enemy for thinking animation
@@ -3367,15 +2253,15 @@ const BattleGame = ({ onClose }) => {
         enemyId: activeEnemy.id,
         isComplex: difficulty === 'hard' || difficulty === 'expert',
         onComplete: () => {
-          // After thinking animation, determine and execute AI action
+          // After thinking animation, execute the AI's plan once it is ready
           clearTimeout(safetyTimeout); // Clear the timeout if we're proceeding normally
-          executeAIActionWithAnimation();
+          executeAIActionWithAnimation(planRequest);
         }
       });
     } else {
       // No enemy to show thinking, just execute action
       clearTimeout(safetyTimeout);
-      executeAIActionWithAnimation();
+      executeAIActionWithAnimation(planRequest);
     }
   }, [
     difficulty, 
@@ -3388,11 +2274,17 @@ const BattleGame = ({ onClose }) => {
     turn,
     consecutiveActions,
     energyMomentum,
+    enemyPersonality,
+    adaptiveRating,
+    customDifficulty,
+    maxFieldSize,
     queueAnimation,
-    addToBattleLog
+    addToBattleLog,
+    requestAIPlan
   ]);
   
-  const executeAIActionWithAnimation = useCallback(() => {
+  // planRequest is a plan handleEnemyTurn already asked the AI worker for
+  const executeAIActionWithAnimation = useCallback(async (planRequest = null) => {
     const currentEnergy = currentEnemyEnergyRef.current;
     
     // FIXED: Get the latest field states
@@ -3409,10 +2301,14 @@ const BattleGame = ({ onClose }) => {
       playerTotalHealth: currentPlayerField.reduce((sum, c) => sum + c.currentHealth, 0),
       enemyTotalHealth: currentEnemyField.reduce((sum, c) => sum + c.currentHealth, 0),
       consecutiveActions: consecutiveActions,
-      energyMomentum: energyMomentum
+      energyMomentum: energyMomentum,
+      personality: enemyPersonality,
+      adaptiveRating: adaptiveRating,
+      customDifficulty: customDifficulty,
+      maxFieldSize: maxFieldSize?.enemy
     };
     
-    const aiAction = determineAIAction(
+    const aiAction = await (planRequest || requestAIPlan(
       difficulty,
       enemyHand,
       currentEnemyField,
@@ -3421,13 +2317,13 @@ const BattleGame = ({ onClose }) => {
       enemySpells,
       currentEnergy,
       gameState // Pass the gameState
-    );
+    ));
     
     console.log("AI determined action:", aiAction);
     
     if (aiAction.type === 'endTurn') {
       console.log("AI ending turn immediately");
-      setTimeout(() => finishEnemyTurn(), 500);
+      setTimeout(() => finishEnemyTurn(), scaleAnimationDuration(500));
       return;
     }
     
@@ -3449,7 +2345,7 @@ const BattleGame = ({ onClose }) => {
     } else {
       executeSingleAIActionWithAnimation(aiAction);
     }
-  }, [difficulty, enemyHand, enemyField, playerField, enemyTools, enemySpells, turn, playerHand, consecutiveActions, energyMomentum]);
+  }, [difficulty, enemyHand, enemyField, playerField, enemyTools, enemySpells, turn, playerHand, consecutiveActions, energyMomentum, enemyPersonality, adaptiveRating, customDifficulty, maxFieldSize, requestAIPlan]);
   
   const executeSingleAIActionWithAnimation = useCallback((aiAction, callback) => {
     console.log("Executing single AI action:", aiAction.type);
@@ -3471,7 +2367,6 @@ const BattleGame = ({ onClose }) => {
           // Check for enemy combo bonus before resetting
           if (consecutiveActions.enemy >= 3) {
             dispatch({ type: ACTIONS.COMBO_BONUS, player: 'enemy' });
-            addToBattleLog("Enemy achieved a combo bonus!");
             
             // Show combo effect
             queueAnimation({
@@ -3496,14 +2391,14 @@ const BattleGame = ({ onClose }) => {
               regenerateEnergy();
               
               // Apply ongoing effects ONCE at the start of player's turn
-              dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS, addLog: addToBattleLog });
+              dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS });
               
               addToBattleLog(`Turn ${turn + 1} - Your turn.`);
               
               setActionInProgress(false);
             }
           });
-        }, 500);
+        }, scaleAnimationDuration(500));
       }
     };
     
@@ -3521,6 +2416,11 @@ const BattleGame = ({ onClose }) => {
       return;
     }
     
+    // NEW: Say why the AI is making this move before it plays out
+    if (aiAction.rationale) {
+      addToBattleLog(`Enemy AI - ${describeRationale(aiAction.rationale)}`, aiAction.rationale);
+    }
+    
     // Process action and enqueue appropriate animation
     switch(aiAction.type) {
       case 'deploy':
@@ -3530,7 +2430,7 @@ const BattleGame = ({ onClose }) => {
           break;
         }
         
-        const energyCost = aiAction.energyCost || aiAction.creature.battleStats?.energyCost || 3;
+        const energyCost = getDeployCost(aiAction.creature);
         
         // Final energy check before deployment
         if (currentEnergy < energyCost) {
@@ -3548,29 +2448,27 @@ const BattleGame = ({ onClose }) => {
         
         console.log("AI deploying creature:", aiAction.creature.species_name, "Cost:", energyCost);
         
-        // Add to tracking
-        aiTurnCreatureStates.current.enemy.set(aiAction.creature.id, {
-          ...aiAction.creature,
-          currentHealth: aiAction.creature.currentHealth || aiAction.creature.health
-        });
-        
-        // Update hand tracking
-        aiTurnStateChanges.current.enemyHand = aiTurnStateChanges.current.enemyHand.filter(
-          c => c.id !== aiAction.creature.id
-        );
-        
         // Dispatch the deployment
-        dispatch({
+        const deployState = resolveBattleAction({
           type: ACTIONS.ENEMY_DEPLOY_CREATURE,
           creature: aiAction.creature,
-          energyCost
+          row: aiAction.row
         });
         
-        // Check if deployment was successful by verifying energy was spent
-        const newEnergy = Math.max(0, currentEnergy - energyCost);
-        currentEnemyEnergyRef.current = newEnergy;
+        if (!deployState) {
+          console.log(`AI Error: ${aiAction.creature.species_name} could not be deployed`);
+          safeCallback();
+          break;
+        }
+        
+        // Update tracking
+        trackAITurnCreatures(deployState);
+        currentEnemyEnergyRef.current = deployState.enemyEnergy;
         
-        addToBattleLog(`Enemy deployed ${aiAction.creature.species_name} to the battlefield! (-${energyCost} energy)`);
+        // Update hand tracking
+        aiTurnStateChanges.current.enemyHand = aiTurnStateChanges.current.enemyHand.filter(
+          c => c.id !== aiAction.creature.id
+        );
         
         // Add deployment animation with guaranteed callback
         queueAnimation({
@@ -3602,7 +2500,7 @@ const BattleGame = ({ onClose }) => {
           break;
         }
         
-        const attackCost = aiAction.energyCost || ATTACK_ENERGY_COST;
+        const attackCost = ATTACK_ENERGY_COST;
         
         if (currentEnergy < attackCost) {
           console.log("AI Error: Not enough energy to attack");
@@ -3647,94 +2545,55 @@ const BattleGame = ({ onClose }) => {
           ? 'physical' 
           : 'magical';
         
-        // FIXED: Pass combo level to processAttack
-        const comboLevel = consecutiveActions.enemy;
-        
-        // Process attack with current states
-        const attackResult = processAttack(currentAttacker, currentTarget, attackType, comboLevel);
-        
-        // Debug log to see actual structure
-        console.log('AI attack result object:', attackResult);
-        
-        // Try multiple possible property names for damage
-        let actualDamage = attackResult.damage ?? 
-                            attackResult.finalDamage ?? 
-                            attackResult.totalDamage ??
-                            attackResult.damageDealt ??
-                            null;
-        
-        // If no damage property found, calculate it from health difference
-        if (actualDamage === null && attackResult.updatedDefender && currentTarget) {
-          const healthBefore = currentTarget.currentHealth || 0;
-          const healthAfter = attackResult.updatedDefender.currentHealth || 0;
-          actualDamage = Math.max(0, healthBefore - healthAfter);
-          console.log('AI: Calculated damage from health difference:', healthBefore, '-', healthAfter, '=', actualDamage);
+        // NEW: Formation - the front row keeps physical attacks off the back row
+        const trackedPlayerField = Array.from(aiTurnCreatureStates.current.player.values()).filter(c => c.currentHealth > 0);
+        if (!canReachTarget(trackedPlayerField, currentTarget, attackType)) {
+          console.log(`AI Error: ${describeFormationBlock(trackedPlayerField, currentTarget, attackType)}`);
+          safeCallback();
+          break;
         }
         
-        // Final fallback to 0
-        if (actualDamage === null || actualDamage === undefined) {
-          actualDamage = 0;
+        const attackState = resolveBattleAction({
+          type: ACTIONS.ATTACK,
+          attackerId: currentAttacker.id,
+          targetId: currentTarget.id,
+          attackType
+        });
+        
+        if (!attackState) {
+          console.log(`AI Error: ${currentAttacker.species_name} could not attack ${currentTarget.species_name}`);
+          safeCallback();
+          break;
         }
         
-        console.log(`AI attack result - damage: ${actualDamage}`);
+        const attack = attackState.lastAttack;
+        console.log(`AI attack result - damage: ${attack.damage}`);
         
         // Update tracking with results
-        aiTurnCreatureStates.current.enemy.set(
-          attackResult.updatedAttacker.id, 
-          attackResult.updatedAttacker
-        );
-        aiTurnCreatureStates.current.player.set(
-          attackResult.updatedDefender.id, 
-          attackResult.updatedDefender
-        );
+        trackAITurnCreatures(attackState);
         
-        // Log health after attack for tracking
-        if (healthTracker.current && attackResult.updatedDefender) {
-          healthTracker.current.logHealth('AFTER_ATTACK', attackResult.updatedDefender, {
-            damage: actualDamage,
+        // Log health after attack for tracking - defeated creatures have left the field
+        if (healthTracker.current) {
+          const updatedTarget = getCurrentCreature(currentTarget.id, false) || { ...currentTarget, currentHealth: 0 };
+          healthTracker.current.logHealth('AFTER_ATTACK', updatedTarget, {
+            damage: attack.damage,
             attackerName: currentAttacker.species_name,
             actionIndex: 'single'
           });
         }
         
-        // Determine if attack was blocked
-        const isBlocked = actualDamage === 0 && currentTarget.isDefending;
-        
-        // VALIDATION: Ensure damage is a number
-        const validatedDamage = typeof actualDamage === 'number' ? actualDamage : 0;
-        
-        console.log('AI attack - actual damage found:', actualDamage, 'validated:', validatedDamage);
-        
-        // Ensure we pass the damage in the expected format
-        const normalizedAttackResult = {
-          ...attackResult,
-          damage: validatedDamage
-        };
-        
-        dispatch({
-          type: ACTIONS.ATTACK,
-          attackResult: {
-            ...normalizedAttackResult,
-            damage: validatedDamage,
-            isBlocked
-          },
-          energyCost: attackCost
-        });
-        
-        currentEnemyEnergyRef.current = Math.max(0, currentEnergy - attackCost);
-        
-        addToBattleLog(`Enemy: ${attackResult.battleLog} (-${attackCost} energy)`);
+        currentEnemyEnergyRef.current = attackState.enemyEnergy;
         
-        // Queue attack animation with VALIDATED damage and guaranteed callback
+        // Queue attack animation with what the engine rolled and guaranteed callback
         queueAnimation({
           type: 'attack',
-          attackerId: aiAction.attacker.id,
-          targetId: aiAction.target.id,
-          damage: validatedDamage,
-          isCritical: attackResult.isCritical,
-          attackType: attackType,
-          isBlocked: isBlocked,
-          damageType: attackResult.damageResult?.damageType || 'normal',
+          attackerId: attack.attackerId,
+          targetId: attack.targetId,
+          damage: attack.damage,
+          isCritical: attack.isCritical,
+          attackType: attack.attackType,
+          isBlocked: attack.isBlocked,
+          damageType: attack.damageType,
           onComplete: () => {
             // Show combo animation if applicable
             if (consecutiveActions.enemy >= 2) {
@@ -3758,7 +2617,7 @@ const BattleGame = ({ onClose }) => {
           break;
         }
         
-        const defendCost = aiAction.energyCost || DEFEND_ENERGY_COST;
+        const defendCost = DEFEND_ENERGY_COST;
         
         if (currentEnergy < defendCost) {
           console.log("AI Error: Not enough energy to defend");
@@ -3777,20 +2636,20 @@ const BattleGame = ({ onClose }) => {
         
         console.log(`AI putting ${currentDefender.species_name} in defensive stance`);
         
-        // Apply defend with current state
-        const defendedCreature = defendCreature(currentDefender, difficulty);
-        
-        // Update tracking
-        aiTurnCreatureStates.current.enemy.set(defendedCreature.id, defendedCreature);
-        
-        dispatch({
+        const defendState = resolveBattleAction({
           type: ACTIONS.DEFEND,
-          updatedCreature: defendedCreature
+          creatureId: currentDefender.id
         });
         
-        currentEnemyEnergyRef.current = Math.max(0, currentEnergy - defendCost);
+        if (!defendState) {
+          console.log(`AI Error: ${currentDefender.species_name} could not defend`);
+          safeCallback();
+          break;
+        }
         
-        addToBattleLog(`Enemy ${currentDefender.species_name} took a defensive stance! (-${defendCost} energy)`);
+        // Update tracking
+        trackAITurnCreatures(defendState);
+        currentEnemyEnergyRef.current = defendState.enemyEnergy;
         
         // Queue defend animation with guaranteed callback
         queueAnimation({
@@ -3820,31 +2679,23 @@ const BattleGame = ({ onClose }) => {
         
         console.log("AI using tool:", aiAction.tool.name, "on", currentToolTarget.species_name);
         
-        const toolResult = applyTool(currentToolTarget, aiAction.tool, difficulty, turn);
+        const toolState = resolveBattleAction({
+          type: ACTIONS.USE_TOOL,
+          toolId: aiAction.tool.id,
+          targetId: currentToolTarget.id,
+          isEnemyTool: true
+        });
         
-        if (toolResult && toolResult.updatedCreature) {
+        if (toolState) {
           // Update tracking
-          if (toolTargetIsEnemy) {
-            aiTurnCreatureStates.current.enemy.set(toolResult.updatedCreature.id, toolResult.updatedCreature);
-          } else {
-            aiTurnCreatureStates.current.player.set(toolResult.updatedCreature.id, toolResult.updatedCreature);
-          }
+          trackAITurnCreatures(toolState);
+          currentEnemyEnergyRef.current = toolState.enemyEnergy;
           
           // Update tools tracking
           aiTurnStateChanges.current.enemyTools = aiTurnStateChanges.current.enemyTools.filter(
             t => t.id !== aiAction.tool.id
           );
           
-          dispatch({
-            type: ACTIONS.USE_TOOL,
-            result: toolResult,
-            tool: aiAction.tool,
-            isPlayerTool: false,
-            isEnemyTool: true
-          });
-          
-          addToBattleLog(`Enemy used ${aiAction.tool.name} on ${currentToolTarget.species_name}!`);
-          
           // Find appropriate user creature
           const toolUser = aiAction.user || enemyField.find(c => c.id !== aiAction.target.id) || aiAction.target;
           
@@ -3868,7 +2719,7 @@ const BattleGame = ({ onClose }) => {
           break;
         }
         
-        const spellCost = aiAction.energyCost || SPELL_ENERGY_COST;
+        const spellCost = SPELL_ENERGY_COST;
         
         if (currentEnergy < spellCost) {
           console.log("AI Error: Not enough energy for spell");
@@ -3890,58 +2741,32 @@ const BattleGame = ({ onClose }) => {
         
         console.log("AI casting spell:", aiAction.spell.name);
         
-        const spellResult = applySpell(currentCaster, currentSpellTarget, aiAction.spell, difficulty, turn);
+        const spellState = resolveBattleAction({
+          type: ACTIONS.USE_SPELL,
+          spellId: aiAction.spell.id,
+          casterId: currentCaster.id,
+          targetId: currentSpellTarget.id
+        });
         
-        if (spellResult) {
-          // Update tracking
-          if (spellResult.updatedCaster) {
-            aiTurnCreatureStates.current.enemy.set(spellResult.updatedCaster.id, spellResult.updatedCaster);
-          }
-          
-          if (spellResult.updatedTarget) {
-            if (spellTargetIsEnemy) {
-              aiTurnCreatureStates.current.enemy.set(spellResult.updatedTarget.id, spellResult.updatedTarget);
-            } else {
-              aiTurnCreatureStates.current.player.set(spellResult.updatedTarget.id, spellResult.updatedTarget);
-            }
-          }
+        if (spellState) {
+          // Update tracking - every creature the spell reached, on either side
+          trackAITurnCreatures(spellState);
+          currentEnemyEnergyRef.current = spellState.enemyEnergy;
           
           // Update spells tracking
           aiTurnStateChanges.current.enemySpells = aiTurnStateChanges.current.enemySpells.filter(
             s => s.id !== aiAction.spell.id
           );
           
-          // VALIDATION: Ensure damage is a number
-          const spellDamage = spellResult.spellEffect?.damage || spellResult.spellEffect?.healing || 0;
-          const validatedDamage = typeof spellDamage === 'number' ? spellDamage : 0;
-          
-          dispatch({
-            type: ACTIONS.USE_SPELL,
-            spellResult: {
-              ...spellResult,
-              spellEffect: {
-                ...spellResult.spellEffect,
-                damage: spellResult.spellEffect?.damage !== undefined ? validatedDamage : undefined,
-                healing: spellResult.spellEffect?.healing !== undefined ? validatedDamage : undefined
-              }
-            },
-            spell: aiAction.spell,
-            energyCost: spellCost,
-            isEnemySpell: true
-          });
-          
-          currentEnemyEnergyRef.current = Math.max(0, currentEnergy - spellCost);
-          
-          const targetName = aiAction.target.id === aiAction.caster.id ? 'themselves' : currentSpellTarget.species_name;
-          addToBattleLog(`Enemy ${currentCaster.species_name} cast ${aiAction.spell.name} on ${targetName}! (-${spellCost} energy)`);
-          
-          // Queue spell animation with VALIDATED damage and guaranteed callback
+          // Queue spell animation with what the engine rolled and guaranteed callback
+          const cast = spellState.lastSpellCast;
           queueAnimation({
             type: 'spell',
-            casterId: aiAction.caster.id,
-            targetId: aiAction.target.id,
+            casterId: cast.casterId,
+            targetId: cast.targetId,
+            splashTargetIds: cast.targetIds.filter(id => id !== cast.targetId),
             spell: aiAction.spell,
-            damage: validatedDamage,
+            damage: cast.damage,
             onComplete: safeCallback
           });
         } else {
@@ -3965,10 +2790,7 @@ const BattleGame = ({ onClose }) => {
     ATTACK_ENERGY_COST,
     DEFEND_ENERGY_COST,
     SPELL_ENERGY_COST,
-    processAttack,
-    defendCreature,
-    applyTool,
-    applySpell,
+    trackAITurnCreatures,
     generateParticles,
     applyEnergyDecay,
     regenerateEnergy,
@@ -3987,7 +2809,7 @@ const BattleGame = ({ onClose }) => {
       }
       
       // Directly call the turn completion logic instead of finishEnemyTurn
-      setTimeout(() => {
+      setTimeout(async () => {
         console.log("Finishing enemy turn...");
         
         // Optional debugging for development
@@ -4012,7 +2834,7 @@ const BattleGame = ({ onClose }) => {
         }
         
         // FIXED: Execute all queued AI actions in sequence using the new reducer action
-        const aiActions = determineAIAction(
+        const aiActions = await requestAIPlan(
           difficulty,
           enemyHand,
           enemyField,
@@ -4029,7 +2851,11 @@ const BattleGame = ({ onClose }) => {
             playerTotalHealth: playerField.reduce((sum, c) => sum + c.currentHealth, 0),
             enemyTotalHealth: enemyField.reduce((sum, c) => sum + c.currentHealth, 0),
             consecutiveActions: consecutiveActions,
-            energyMomentum: energyMomentum
+            energyMomentum: energyMomentum,
+            personality: enemyPersonality,
+            adaptiveRating: adaptiveRating,
+            customDifficulty: customDifficulty,
+            maxFieldSize: maxFieldSize?.enemy
           }
         );
         
@@ -4037,22 +2863,8 @@ const BattleGame = ({ onClose }) => {
         if (Array.isArray(aiActions) && aiActions.length > 0) {
           dispatch({
             type: ACTIONS.EXECUTE_AI_ACTION_SEQUENCE,
-            actionSequence: aiActions
-          });
-          
-          // Add battle log messages for each action
-          aiActions.forEach(action => {
-            switch (action.type) {
-              case 'attack':
-                addToBattleLog(`Enemy ${action.attacker.species_name} attacked ${action.target.species_name}!`);
-                break;
-              case 'deploy':
-                addToBattleLog(`Enemy deployed ${action.creature.species_name}!`);
-                break;
-              case 'defend':
-                addToBattleLog(`Enemy ${action.creature.species_name} took a defensive stance!`);
-                break;
-            }
+            actionSequence: aiActions,
+            rngState: getBattleRngState()
           });
         }
         
@@ -4063,7 +2875,6 @@ const BattleGame = ({ onClose }) => {
         // Check for enemy combo bonus before resetting
         if (consecutiveActions.enemy >= 3) {
           dispatch({ type: ACTIONS.COMBO_BONUS, player: 'enemy' });
-          addToBattleLog("Enemy achieved a combo bonus!");
           
           // Show combo effect
           queueAnimation({
@@ -4088,14 +2899,14 @@ const BattleGame = ({ onClose }) => {
             regenerateEnergy();
             
             // Apply ongoing effects ONCE at the start of player's turn
-            dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS, addLog: addToBattleLog });
+            dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS });
             
             addToBattleLog(`Turn ${turn + 1} - Your turn.`);
             
             setActionInProgress(false);
           }
         });
-      }, 500);
+      }, scaleAnimationDuration(500));
       return;
     }
     
@@ -4115,7 +2926,7 @@ const BattleGame = ({ onClose }) => {
     executeSingleAIActionWithAnimation(action, () => {
       setTimeout(() => {
         executeActionSequenceWithAnimation(actionSequence, index + 1);
-      }, 800);
+      }, scaleAnimationDuration(800));
     });
   }, [
     playerField,
@@ -4128,8 +2939,12 @@ const BattleGame = ({ onClose }) => {
     turn,
     consecutiveActions,
     energyMomentum,
+    enemyPersonality,
+    adaptiveRating,
+    customDifficulty,
+    maxFieldSize,
     dispatch,
-    determineAIAction,
+    requestAIPlan,
     addToBattleLog,
     applyEnergyDecay,
     queueAnimation,
@@ -4138,7 +2953,7 @@ const BattleGame = ({ onClose }) => {
     executeSingleAIActionWithAnimation
   ]);
   
-  const finishEnemyTurn = useCallback(() => {
+  const finishEnemyTurn = useCallback(async () => {
     console.log("Finishing enemy turn...");
     
     // Optional debugging for development
@@ -4163,7 +2978,7 @@ const BattleGame = ({ onClose }) => {
     }
     
     // FIXED: Execute all queued AI actions in sequence using the new reducer action
-    const aiActions = determineAIAction(
+    const aiActions = await requestAIPlan(
       difficulty,
       enemyHand,
       enemyField,
@@ -4180,7 +2995,11 @@ const BattleGame = ({ onClose }) => {
         playerTotalHealth: playerField.reduce((sum, c) => sum + c.currentHealth, 0),
         enemyTotalHealth: enemyField.reduce((sum, c) => sum + c.currentHealth, 0),
         consecutiveActions: consecutiveActions,
-        energyMomentum: energyMomentum
+        energyMomentum: energyMomentum,
+        personality: enemyPersonality,
+        adaptiveRating: adaptiveRating,
+        customDifficulty: customDifficulty,
+        maxFieldSize: maxFieldSize?.enemy
       }
     );
     
@@ -4188,22 +3007,8 @@ const BattleGame = ({ onClose }) => {
     if (Array.isArray(aiActions) && aiActions.length > 0) {
       dispatch({
         type: ACTIONS.EXECUTE_AI_ACTION_SEQUENCE,
-        actionSequence: aiActions
-      });
-      
-      // Add battle log messages for each action
-      aiActions.forEach(action => {
-        switch (action.type) {
-          case 'attack':
-            addToBattleLog(`Enemy ${action.attacker.species_name} attacked ${action.target.species_name}!`);
-            break;
-          case 'deploy':
-            addToBattleLog(`Enemy deployed ${action.creature.species_name}!`);
-            break;
-          case 'defend':
-            addToBattleLog(`Enemy ${action.creature.species_name} took a defensive stance!`);
-            break;
-        }
+        actionSequence: aiActions,
+        rngState: getBattleRngState()
       });
     }
     
@@ -4214,7 +3019,6 @@ const BattleGame = ({ onClose }) => {
     // Check for enemy combo bonus before resetting
     if (consecutiveActions.enemy >= 3) {
       dispatch({ type: ACTIONS.COMBO_BONUS, player: 'enemy' });
-      addToBattleLog("Enemy achieved a combo bonus!");
       
       // Show combo effect
       queueAnimation({
@@ -4239,7 +3043,7 @@ const BattleGame = ({ onClose }) => {
         regenerateEnergy();
         
         // Apply ongoing effects ONCE at the start of player's turn
-        dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS, addLog: addToBattleLog });
+        dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS });
         
         addToBattleLog(`Turn ${turn + 1} - Your turn.`);
         
@@ -4261,14 +3065,19 @@ const BattleGame = ({ onClose }) => {
     enemyTools,
     enemySpells,
     playerHand,
-    energyMomentum
+    energyMomentum,
+    enemyPersonality,
+    adaptiveRating,
+    customDifficulty,
+    maxFieldSize,
+    requestAIPlan
   ]);
   
   const processEnemyTurn = useCallback(() => {
     console.log("Starting enemy turn...");
     
     // Apply ongoing effects ONCE at the start of enemy's turn
-    dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS, addLog: addToBattleLog });
+    dispatch({ type: ACTIONS.APPLY_ONGOING_EFFECTS });
     
     setTimeout(() => {
       if (gameState === 'battle') {
@@ -4276,7 +3085,7 @@ const BattleGame = ({ onClose }) => {
       } else {
         setActionInProgress(false);
       }
-    }, 750);
+    }, scaleAnimationDuration(750));
   }, [gameState, handleEnemyTurn, addToBattleLog]);
   
   // EVENT HANDLERS (ENHANCED WITH ANIMATIONS)
@@ -4296,9 +3105,9 @@ const BattleGame = ({ onClose }) => {
     switch(action.type) {
       case 'deploy':
         setActionInProgress(true);
-        deployCreature(sourceCreature);
+        deployCreature(sourceCreature, action.row);
         clearSelections();
-        setTimeout(() => setActionInProgress(false), 300);
+        setTimeout(() => setActionInProgress(false), scaleAnimationDuration(300));
         break;
         
       case 'attack':
@@ -4307,24 +3116,50 @@ const BattleGame = ({ onClose }) => {
           return;
         }
         
+        // NEW: Status conditions - stunned attackers and taunt targeting
+        if (!canCreatureAct(sourceCreature, 'attack')) {
+          addToBattleLog(describeActionBlocker(sourceCreature, 'attack'));
+          return;
+        }
+        
+        if (!isValidTarget(enemyField, targetCreature)) {
+          addToBattleLog('You must target a taunting creature!');
+          return;
+        }
+        
+        if (!canReachTarget(enemyField, targetCreature, getAttackType(sourceCreature))) {
+          addToBattleLog(describeFormationBlock(enemyField, targetCreature, getAttackType(sourceCreature)));
+          return;
+        }
+        
         setActionInProgress(true);
         attackCreature(sourceCreature, targetCreature);
         clearSelections();
-        setTimeout(() => setActionInProgress(false), ANIMATION_DURATIONS.ATTACK + 100);
+        setTimeout(() => setActionInProgress(false), scaleAnimationDuration(ANIMATION_DURATIONS.ATTACK + 100));
         break;
         
       case 'useTool':
         setActionInProgress(true);
         useTool(action.tool, sourceCreature, true);
         clearSelections();
-        setTimeout(() => setActionInProgress(false), ANIMATION_DURATIONS.TOOL + 100);
+        setTimeout(() => setActionInProgress(false), scaleAnimationDuration(ANIMATION_DURATIONS.TOOL + 100));
         break;
         
       case 'useSpell':
+        if (!canCreatureAct(sourceCreature, 'useSpell')) {
+          addToBattleLog(describeActionBlocker(sourceCreature, 'useSpell'));
+          return;
+        }
+        
+        if (targetCreature && enemyField.some(c => c.id === targetCreature.id) && !isValidTarget(enemyField, targetCreature)) {
+          addToBattleLog('You must target a taunting creature!');
+          return;
+        }
+        
         setActionInProgress(true);
         useSpell(action.spell, sourceCreature, targetCreature, true);
         clearSelections();
-        setTimeout(() => setActionInProgress(false), ANIMATION_DURATIONS.SPELL + 100);
+        setTimeout(() => setActionInProgress(false), scaleAnimationDuration(ANIMATION_DURATIONS.SPELL + 100));
         break;
         
       case 'defend':
@@ -4333,10 +3168,15 @@ const BattleGame = ({ onClose }) => {
           return;
         }
         
+        if (!canCreatureAct(sourceCreature, 'defend')) {
+          addToBattleLog(describeActionBlocker(sourceCreature, 'defend'));
+          return;
+        }
+        
         setActionInProgress(true);
         defendCreatureAction(sourceCreature);
         clearSelections();
-        setTimeout(() => setActionInProgress(false), ANIMATION_DURATIONS.DEFEND + 100);
+        setTimeout(() => setActionInProgress(false), scaleAnimationDuration(ANIMATION_DURATIONS.DEFEND + 100));
         break;
         
       case 'endTurn':
@@ -4345,7 +3185,6 @@ const BattleGame = ({ onClose }) => {
         
         if (consecutiveActions.player >= 3) {
           dispatch({ type: ACTIONS.COMBO_BONUS, player: 'player' });
-          addToBattleLog("You achieved a combo bonus! All creatures gain +2 attack!");
           
           // Show combo effect
           queueAnimation({
@@ -4356,11 +3195,7 @@ const BattleGame = ({ onClose }) => {
         }
         
         // Process end turn effects
-        dispatch({ 
-          type: ACTIONS.END_TURN,
-          addLog: addToBattleLog,
-          additionalUpdates: {} // Can pass additional state updates if needed
-        });
+        dispatch({ type: ACTIONS.END_TURN });
         
         applyEnergyDecay();
         
@@ -4379,7 +3214,7 @@ const BattleGame = ({ onClose }) => {
               } else {
                 setActionInProgress(false);
               }
-            }, 750);
+            }, scaleAnimationDuration(750));
           }
         });
         break;
@@ -4393,6 +3228,7 @@ const BattleGame = ({ onClose }) => {
     actionInProgress,
     turn,
     playerEnergy,
+    enemyField,
     consecutiveActions,
     deployCreature,
     attackCreature,
@@ -4428,6 +3264,139 @@ const BattleGame = ({ onClose }) => {
     setTargetCreature(null);
   }, [activePlayer, actionInProgress]);
   
+  // NEW: Ask the AI for the player's best move
+  const handleRequestHint = useCallback(() => {
+    if (activePlayer !== 'player' || actionInProgress || gameState !== 'battle') return;
+    
+    if (hintsUsed >= getHintLimit(state.difficulty)) {
+      addToBattleLog("No hints left this battle.");
+      return;
+    }
+    
+    // Only the latest request for the current position is shown - and counted
+    const id = ++hintRequestRef.current;
+    
+    requestAIHint(toRolloutState(state)).then(nextHint => {
+      if (id !== hintRequestRef.current) return;
+      
+      console.log(`Hint (${hintsUsed + 1}/${getHintLimit(state.difficulty)}): ${nextHint.reason}`);
+      setHint(nextHint);
+      setHintsUsed(prev => prev + 1);
+    });
+  }, [activePlayer, actionInProgress, gameState, hintsUsed, state, addToBattleLog, requestAIHint]);
+  
+  // NEW: Auto-battle settings; switching it off stops after the action in progress
+  const handleAutoBattleChange = useCallback((changes) => {
+    setAutoBattle(prev => {
+      const next = { ...prev, ...changes };
+      
+      if (next.enabled !== prev.enabled) {
+        console.log(`Auto-battle ${next.enabled ? 'on' : 'off'} (${next.difficulty}, ${next.personality || 'no personality'}, ${next.speed}x)`);
+      }
+      
+      return next;
+    });
+    
+    // A new level or personality plans afresh; a late plan for the old settings is dropped
+    autoPlanRef.current = null;
+    setSelectedCreature(null);
+    setTargetCreature(null);
+  }, []);
+  
+  // NEW: Auto-battle driver - plans the player's turn in the AI worker, then plays
+  // it one action per step through handlePlayerAction and ends the turn
+  useEffect(() => {
+    if (!autoBattle.enabled || gameState !== 'battle' || activePlayer !== 'player' || actionInProgress || isProcessingAnimation) {
+      return;
+    }
+    
+    const plan = autoPlanRef.current;
+    
+    if (!plan || plan.turn !== turn) {
+      const request = { turn, pending: true, actions: [] };
+      autoPlanRef.current = request;
+      
+      requestAIPlan(
+        autoBattle.difficulty,
+        playerHand,
+        playerField,
+        enemyField,
+        playerTools,
+        playerSpells,
+        playerEnergy,
+        {
+          turn: turn,
+          // The AI plans as "enemy", so the sides' combo counters swap
+          consecutiveActions: { enemy: consecutiveActions.player, player: consecutiveActions.enemy },
+          personality: autoBattle.personality,
+          maxFieldSize: PLAYER_MAX_FIELD_SIZE
+        }
+      ).then(planned => {
+        if (autoPlanRef.current !== request) return;
+        
+        request.actions = (Array.isArray(planned) ? planned : [planned])
+          .filter(action => action && action.type && action.type !== ENGINE_ACTIONS.END_TURN);
+        request.pending = false;
+        console.log(`Auto-battle planned ${request.actions.length} actions for turn ${turn}`);
+        setAutoStep(step => step + 1);
+      });
+      return;
+    }
+    
+    if (plan.pending) return;
+    
+    const timeoutId = setTimeout(() => {
+      const next = plan.actions.shift();
+      
+      if (!next) {
+        handlePlayerAction({ type: 'endTurn' });
+        return;
+      }
+      
+      const playerAction = toAutoPlayerAction(next, { playerHand, playerField, enemyField });
+      if (playerAction) {
+        handlePlayerAction(...playerAction);
+      } else {
+        console.log(`Auto-battle skipped ${next.type} - the battle moved on since it was planned`);
+      }
+      
+      setAutoStep(step => step + 1);
+    }, scaleAnimationDuration(AUTO_STEP_DELAY));
+    
+    return () => clearTimeout(timeoutId);
+  }, [
+    autoBattle,
+    autoStep,
+    gameState,
+    activePlayer,
+    actionInProgress,
+    isProcessingAnimation,
+    turn,
+    playerHand,
+    playerField,
+    enemyField,
+    playerTools,
+    playerSpells,
+    playerEnergy,
+    consecutiveActions,
+    requestAIPlan,
+    handlePlayerAction
+  ]);
+  
+  // A plan belongs to one battle - a new battle starts over at turn 1
+  useEffect(() => {
+    autoPlanRef.current = null;
+  }, [gameState]);
+  
+  // NEW: Animations follow the auto-battle speed while it is on
+  useEffect(() => {
+    setAnimationSpeed(autoBattle.enabled ? autoBattle.speed : 1);
+  }, [autoBattle.enabled, autoBattle.speed]);
+  
+  useEffect(() => {
+    return () => setAnimationSpeed(1);
+  }, []);
+  
   const getAvailableActions = useCallback((selectedCreature, targetCreature) => {
     if (!selectedCreature) return [];
     
@@ -4437,8 +3406,13 @@ const BattleGame = ({ onClose }) => {
       actions.push('deploy');
     }
     
-    if (playerField.some(c => c.id === selectedCreature.id)) {
-      if (targetCreature && enemyField.some(c => c.id === targetCreature.id) && playerEnergy >= ATTACK_ENERGY_COST) {
+    // Read conditions off the field copy - the selection may be older than the last turn tick
+    const fieldCreature = playerField.find(c => c.id === selectedCreature.id);
+    
+    if (fieldCreature) {
+      if (targetCreature && enemyField.some(c => c.id === targetCreature.id) && playerEnergy >= ATTACK_ENERGY_COST &&
+          canCreatureAct(fieldCreature, 'attack') && isValidTarget(enemyField, targetCreature) &&
+          canReachTarget(enemyField, targetCreature, getAttackType(fieldCreature))) {
         actions.push('attack');
       }
       
@@ -4446,11 +3420,11 @@ const BattleGame = ({ onClose }) => {
         actions.push('useTool');
       }
       
-      if (playerSpells.length > 0 && playerEnergy >= SPELL_ENERGY_COST) {
+      if (playerSpells.length > 0 && playerEnergy >= SPELL_ENERGY_COST && canCreatureAct(fieldCreature, 'useSpell')) {
         actions.push('useSpell');
       }
       
-      if (playerEnergy >= DEFEND_ENERGY_COST) {
+      if (playerEnergy >= DEFEND_ENERGY_COST && canCreatureAct(fieldCreature, 'defend')) {
         actions.push('defend');
       }
     }
@@ -4507,6 +3481,194 @@ const BattleGame = ({ onClose }) => {
     addToBattleLog
   ]);
   
+  // NEW: Battle-end handlers, one per mode. Each gets the battle as it started,
+  // the final battle state and the outcome ('victory' | 'defeat').
+  
+  // Save every finished battle as a replay
+  const saveBattleReplay = useCallback((startBattle, battle, outcome) => {
+    const replay = createReplay(startBattle, battle, outcome);
+    
+    if (replay) {
+      saveReplay(replay);
+      setActiveReplay(replay);
+      console.log(`Saved replay ${replay.id} (${replay.actions.length} actions)`);
+    }
+    
+    return replay;
+  }, []);
+  
+  // Campaign battles earn stars; their authored teams don't move the adaptive rating
+  const finishCampaignBattle = useCallback((startBattle, battle, outcome) => {
+    const result = { outcome, turns: battle.turn, creaturesLost: countCreaturesLost(startBattle, battle) };
+    const { progress, stars } = recordCampaignResult(accountAddress, startBattle.campaignEncounterId, result);
+    setCampaignProgress(progress);
+    setCampaignResult({
+      encounter: getCampaignEncounter(startBattle.campaignEncounterId),
+      result,
+      stars,
+      bestStars: progress.encounters[startBattle.campaignEncounterId]?.stars || stars
+    });
+  }, [accountAddress]);
+  
+  // The daily challenge is scored and submitted to the daily leaderboard instead
+  const finishDailyChallenge = useCallback((startBattle, battle, outcome) => {
+    const startingTeam = getStartingTeam(startBattle);
+    const { progress, entry } = recordDailyResult(accountAddress, startBattle.dailyChallengeDate, {
+      outcome,
+      turns: battle.turn,
+      remainingHealth: getRemainingTeam(battle).reduce((total, c) => total + Math.max(0, c.currentHealth), 0),
+      maxHealth: startingTeam.reduce((total, c) => total + c.battleStats.maxHealth, 0),
+      team: describeDailyTeam(startingTeam)
+    });
+    setDailyProgress(progress);
+    setDailyResult({ entry, status: 'submitting', rank: null });
+    
+    submitDailyResult(accountAddress, entry).then(response => {
+      setDailyProgress(loadDailyProgress(accountAddress));
+      setDailyResult(current => current?.entry === entry
+        ? { ...current, status: response ? 'submitted' : 'failed', rank: response?.rank ?? null }
+        : current);
+    });
+  }, [accountAddress]);
+  
+  // Gauntlet waves carry the survivors on instead of moving the adaptive rating
+  const finishGauntletWave = useCallback((startBattle, battle, outcome) => {
+    const run = outcome === 'victory' && gauntletRun ? carryOverGauntletTeam(gauntletRun, battle) : null;
+    const runContinues = run && run.creatures.length > 0;
+    
+    setGauntletRun(runContinues ? run : null);
+    setGauntletResult({
+      wave: startBattle.gauntletWave,
+      outcome,
+      survivors: run ? run.creatures.length : 0,
+      boons: runContinues ? rollGauntletBoons(run) : [],
+      bestWave: loadGauntletProgress(accountAddress).bestWave
+    });
+  }, [gauntletRun, accountAddress]);
+  
+  // A copy of your own team says nothing about the rating - compare synergies instead
+  const finishMirrorMatch = useCallback((startBattle, battle, outcome, replay) => {
+    setMirrorResult({
+      outcome,
+      level: startBattle.difficulty,
+      report: replay ? getMirrorSynergyReport(replay) : null
+    });
+  }, []);
+  
+  // Every other PvE result moves the adaptive rating
+  const finishAdaptiveBattle = useCallback((startBattle, battle, outcome) => {
+    setAdaptiveProfile(recordAdaptiveResult(accountAddress, {
+      outcome,
+      turns: battle.turn,
+      creaturesLost: countCreaturesLost(startBattle, battle),
+      teamSize: getStartingTeam(startBattle).length,
+      difficulty: startBattle.difficulty,
+      adaptiveRating: startBattle.adaptiveRating,
+      customDifficulty: startBattle.customDifficulty
+    }));
+  }, [accountAddress]);
+  
+  // NEW: Finish every battle once - replayStartRef is cleared on the first pass
+  // FIXED: Reads the final battle from battleStateRef and hands it to the mode's handler
+  useEffect(() => {
+    if ((gameState !== 'victory' && gameState !== 'defeat') || !replayStartRef.current) return;
+    
+    const startBattle = replayStartRef.current;
+    const battle = battleStateRef.current;
+    replayStartRef.current = null;
+    
+    const replay = saveBattleReplay(startBattle, battle, gameState);
+    
+    if (startBattle.campaignEncounterId) {
+      finishCampaignBattle(startBattle, battle, gameState);
+    } else if (startBattle.dailyChallengeDate) {
+      finishDailyChallenge(startBattle, battle, gameState);
+    } else if (startBattle.gauntletWave) {
+      finishGauntletWave(startBattle, battle, gameState);
+    } else if (startBattle.mirrorMatch) {
+      finishMirrorMatch(startBattle, battle, gameState, replay);
+    } else if (!startBattle.draftMatch) {
+      // Drafted teams aren't the account's own, so they don't move the adaptive rating either
+      finishAdaptiveBattle(startBattle, battle, gameState);
+    }
+  }, [
+    gameState,
+    saveBattleReplay,
+    finishCampaignBattle,
+    finishDailyChallenge,
+    finishGauntletWave,
+    finishMirrorMatch,
+    finishAdaptiveBattle
+  ]);
+  
+  // NEW: Start the win probability worker once
+  useEffect(() => {
+    if (typeof Worker === 'undefined') {
+      console.log("Web Workers unavailable - win probability disabled");
+      return;
+    }
+    
+    const worker = new Worker(new URL('../utils/winProbabilityWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const { id, error, ...estimate } = event.data;
+      if (error || id !== winRequestRef.current) return;
+      
+      setWinProbability(prev => ({
+        current: estimate,
+        history: [...prev.history, estimate]
+      }));
+    };
+    winWorkerRef.current = worker;
+    
+    return () => {
+      worker.terminate();
+      winWorkerRef.current = null;
+    };
+  }, []);
+  
+  // NEW: Start the AI planning worker once
+  useEffect(() => {
+    if (typeof Worker === 'undefined') {
+      console.log("Web Workers unavailable - enemy AI plans on the main thread");
+      return;
+    }
+    
+    startAIWorker();
+    
+    // The worker may have been restarted since, so stop whichever is current
+    return () => {
+      aiWorkerRef.current?.terminate();
+      aiWorkerRef.current = null;
+    };
+  }, [startAIWorker]);
+  
+  // NEW: Re-estimate after every hand-over; start over when a battle ends
+  useEffect(() => {
+    if (gameState !== 'battle') {
+      winRequestRef.current++;
+      setWinProbability({ current: null, history: [] });
+      return;
+    }
+    
+    if (!winWorkerRef.current) return;
+    
+    const id = ++winRequestRef.current;
+    winWorkerRef.current.postMessage({ id, state: toRolloutState(state) });
+  }, [gameState, turn, activePlayer]);
+  
+  // NEW: A hint only holds for the position it was asked in
+  useEffect(() => {
+    hintRequestRef.current++;
+    setHint(null);
+  }, [playerField, enemyField, playerHand, playerTools, playerSpells, activePlayer]);
+  
+  // NEW: Every battle starts with a full set of hints
+  useEffect(() => {
+    if (gameState !== 'battle') {
+      setHintsUsed(0);
+    }
+  }, [gameState]);
+  
   // Add effect to update charge effects each turn
   useEffect(() => {
     if (gameState === 'battle') {
@@ -4594,6 +3756,15 @@ const BattleGame = ({ onClose }) => {
   // RENDER
   const isDesktop = window.innerWidth >= 769;
   
+  // Settings the battle was generated from - gauntlet waves scale their own, mirror and draft matches describe the enemy team
+  const battleSettings = state.gauntletWave
+    ? getGauntletWaveSettings(state.gauntletWave)
+    : state.mirrorMatch
+    ? getMirrorSettings(state.difficulty, selectedTeam?.creatures)
+    : state.draftMatch && draft
+    ? getDraftSettings(draft)
+    : getDifficultySettings(state.difficulty, state.adaptiveRating, state.customDifficulty);
+  
   return (
     <div className="battle-game-overlay" style={{ zIndex: 10005 }}>
       <div className="battle-game" data-difficulty={difficulty}>
@@ -4601,18 +3772,33 @@ const BattleGame = ({ onClose }) => {
           <DifficultySelector 
             onSelectDifficulty={handleDifficultySelect} 
             onStartBattle={handleMoveToTeamSelect}
+            onOpenReplays={() => handleOpenReplays()}
             creatureCount={creatureNfts?.length || 0} 
-            difficulty={state.difficulty}
+            difficulty={state.draftMatch ? DRAFT_MODE : state.mirrorMatch ? MIRROR_MODE : state.gauntletWave ? GAUNTLET_MODE : state.dailyChallengeDate ? DAILY_MODE : state.campaignEncounterId ? CAMPAIGN_MODE : state.adaptiveRating !== null ? ADAPTIVE_DIFFICULTY : state.customDifficulty ? CUSTOM_DIFFICULTY : state.difficulty}
+            adaptiveProfile={adaptiveProfile}
+            campaignProgress={campaignProgress}
+            campaignEncounterId={state.campaignEncounterId}
+            dailyProgress={dailyProgress}
+            gauntletProgress={gauntletProgress}
+            mirrorLevel={state.mirrorMatch ? state.difficulty : null}
+            draftLevel={state.draftMatch ? state.difficulty : null}
+            customDifficulty={state.customDifficulty}
+            customPresets={customPresets}
+            onSaveCustomPreset={handleSaveCustomPreset}
+            onDeleteCustomPreset={handleDeleteCustomPreset}
             onClose={onClose}
           />
         )}
         
         {gameState === 'teamSelect' && (
           <TeamSelector
-            availableCreatures={creatureNfts || []}
-            availableTools={toolNfts || []}
-            availableSpells={spellNfts || []}
+            availableCreatures={draft ? draft.player.creatures : creatureNfts || []}
+            availableTools={draft ? draft.player.tools : toolNfts || []}
+            availableSpells={draft ? draft.player.spells : spellNfts || []}
             difficulty={state.difficulty}
+            enemyArchetype={state.enemyArchetype}
+            draft={draft}
+            onDraftPick={handleDraftPick}
             onConfirmTeam={handleTeamConfirm}
             onBack={handleBackFromTeamSelect}
           />
@@ -4632,6 +3818,24 @@ const BattleGame = ({ onClose }) => {
               playerActiveSynergies={activeSynergies} // CHANGED: Pass player synergies
               enemyActiveSynergies={enemyActiveSynergies || []} // NEW: Track enemy synergies
               energyMomentumDetails={energyMomentumDetails}
+              winProbability={winProbability.current}
+              winProbabilitySwings={findWinProbabilitySwings(winProbability.history)}
+              enemyPersonality={enemyPersonality}
+              aiDebugOpen={showAIDebug}
+              onToggleAIDebug={() => setShowAIDebug(open => !open)}
+              bosses={enemyField.filter(isBossCreature)}
+            />
+            
+            {showAIDebug && (
+              <AIDebugOverlay 
+                log={battleLog}
+                onClose={() => setShowAIDebug(false)}
+              />
+            )}
+            
+            <AutoBattleControls 
+              autoBattle={autoBattle}
+              onChange={handleAutoBattleChange}
             />
             
             <div className="battle-content-wrapper">
@@ -4655,10 +3859,14 @@ const BattleGame = ({ onClose }) => {
                     battleLog={battleLog}
                     availableActions={getAvailableActions(selectedCreature, targetCreature)}
                     onAction={handlePlayerAction}
-                    disabled={activePlayer !== 'player' || actionInProgress}
+                    disabled={activePlayer !== 'player' || actionInProgress || autoBattle.enabled}
                     availableTools={playerTools}
                     availableSpells={playerSpells}
                     playerEnergy={playerEnergy}
+                    comboLevel={consecutiveActions.player}
+                    hint={hint}
+                    hintsLeft={getHintLimit(state.difficulty) - hintsUsed}
+                    onRequestHint={handleRequestHint}
                     // Animation tracking props
                     animatingCreatureId={lastAttack?.attackerId || lastSpellCast?.casterId || lastDefend?.defenderId}
                     animationType={lastAttack ? 'attack' : lastSpellCast ? 'spell' : lastDefend ? 'defend' : null}
@@ -4674,11 +3882,12 @@ const BattleGame = ({ onClose }) => {
                     ...creatureDataAttributes(creature, false)
                   }))}
                   onSelectCard={handleSelectCard}
-                  disabled={activePlayer !== 'player' || actionInProgress}
+                  disabled={activePlayer !== 'player' || actionInProgress || autoBattle.enabled}
                   selectedCreature={selectedCreature}
                   selectedCardId={selectedCreature?.id}
                   hasFieldSelection={selectedCreature && playerField.some(c => c.id === selectedCreature.id)}
                   hasHandSelection={selectedCreature && playerHand.some(c => c.id === selectedCreature.id)}
+                  hintedCardId={hint?.creatureId}
                 />
               </div>
               
@@ -4690,10 +3899,17 @@ const BattleGame = ({ onClose }) => {
                     targetCreature={targetCreature}
                     availableActions={getAvailableActions(selectedCreature, targetCreature)}
                     onAction={handlePlayerAction}
-                    disabled={activePlayer !== 'player' || actionInProgress}
+                    disabled={activePlayer !== 'player' || actionInProgress || autoBattle.enabled}
                     availableTools={playerTools}
                     availableSpells={playerSpells}
                     playerEnergy={playerEnergy}
+                    playerField={playerField}
+                    enemyField={enemyField}
+                    difficulty={state.difficulty}
+                    comboLevel={consecutiveActions.player}
+                    hint={hint}
+                    hintsLeft={getHintLimit(state.difficulty) - hintsUsed}
+                    onRequestHint={handleRequestHint}
                     // Remove actionEfficiency prop - function doesn't exist
                   />
                   
@@ -4712,13 +3928,28 @@ const BattleGame = ({ onClose }) => {
             result={gameState} 
             onPlayAgain={() => dispatch({ type: ACTIONS.SET_GAME_STATE, gameState: 'setup' })}
             onClose={onClose}
+            onWatchReplay={activeReplay ? () => handleOpenReplays(activeReplay) : null}
             stats={{
               turns: turn,
               remainingCreatures: playerField.length + playerHand.length,
-              enemiesDefeated: (getDifficultySettings(state.difficulty).enemyDeckSize || 5) - (enemyField.length + enemyHand.length),
+              // Boss adds still standing can outnumber the creatures defeated
+              enemiesDefeated: Math.max(0, (getCampaignEncounter(state.campaignEncounterId)?.enemies.length || battleSettings.enemyDeckSize || 5) - (enemyField.length + enemyHand.length)),
               combosAchieved: Math.max(consecutiveActions.player, consecutiveActions.enemy)
             }}
             difficulty={state.difficulty}
+            difficultyScore={calculateDifficultyScore(battleSettings)}
+            campaign={campaignResult}
+            daily={dailyResult}
+            gauntlet={gauntletResult}
+            mirror={mirrorResult}
+            onChooseGauntletBoon={handleChooseGauntletBoon}
+          />
+        )}
+        
+        {gameState === 'replay' && (
+          <ReplayViewer 
+            replay={activeReplay}
+            onClose={handleCloseReplay}
           />
         )}
       </div>
@@ -2,6 +2,7 @@
 import { useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
+import { getEffectSummary, getTypeDescription } from '../utils/itemEffects';
 
 const ItemsViewer = ({ onClose }) => {
     // Context access
@@ -141,52 +142,6 @@ const ItemsViewer = ({ onClose }) => {
         setShowConnectionDetails(prev => !prev);
     };
 
-    // Get item effect description
-    const getEffectDescription = (effectType) => {
-        switch (effectType) {
-            case 'Energize':
-                return 'Increases energy generation';
-            case 'Empower':
-                return 'Boosts strength attributes';
-            case 'Enchant':
-                return 'Enhances magical abilities';
-            case 'Fortify':
-                return 'Improves stamina and resistance';
-            case 'Hasten':
-                return 'Increases speed and agility';
-            case 'Surge':
-                return 'Rapidly increases effect but burns out quickly';
-            case 'Shield':
-                return 'Absorbs negative effects';
-            case 'Echo':
-                return 'Repeats the action over time';
-            case 'Drain':
-                return 'Converts one resource to another';
-            case 'Charge':
-                return 'Builds up power slowly for greater effect';
-            default:
-                return 'Unknown effect';
-        }
-    };
-
-    // Get stat type description 
-    const getStatDescription = (statType) => {
-        switch (statType) {
-            case 'energy':
-                return 'Affects energy generation and capacity';
-            case 'strength':
-                return 'Affects physical power and damage';
-            case 'magic':
-                return 'Affects magical abilities and spellcasting';
-            case 'stamina':
-                return 'Affects health, durability, and resistance';
-            case 'speed':
-                return 'Affects movement speed and action rate';
-            default:
-                return 'Unknown stat type';
-        }
-    };
-
     return (
         <>
             {/* Overlay background */}
@@ -825,8 +780,8 @@ const ItemsViewer = ({ onClose }) => {
                                                         }}>
                                                             <strong>Description:</strong> {
                                                                 selectedItem.type === 'tool' 
-                                                                    ? `This tool ${getEffectDescription(selectedItem.tool_effect).toLowerCase()} and affects ${getStatDescription(selectedItem.tool_type).toLowerCase()}.`
-                                                                    : `This spell ${getEffectDescription(selectedItem.spell_effect).toLowerCase()} and affects ${getStatDescription(selectedItem.spell_type).toLowerCase()}.`
+                                                                    ? `This tool ${getEffectSummary(selectedItem.tool_effect).toLowerCase()} and affects ${getTypeDescription(selectedItem.tool_type).toLowerCase()}.`
+                                                                    : `This spell ${getEffectSummary(selectedItem.spell_effect).toLowerCase()} and affects ${getTypeDescription(selectedItem.spell_type).toLowerCase()}.`
                                                             }
                                                         </div>
                                                     </div>
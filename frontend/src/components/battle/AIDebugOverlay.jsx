@@ -0,0 +1,88 @@
+// src/components/battle/AIDebugOverlay.jsx - WHY THE ENEMY MADE ITS MOVES
+// Lists the enemy's logged decisions, newest turn first, with the rationale
+// kind, summary and every score behind it (see utils/aiRationale.js)
+import React, { useState } from 'react';
+import { AI_RATIONALES } from '../../utils/aiRationale';
+
+const AIDebugOverlay = ({ log = [], onClose }) => {
+  const [kindFilter, setKindFilter] = useState('all');
+  
+  const decisions = log.filter(entry => entry.rationale);
+  const shown = kindFilter === 'all'
+    ? decisions
+    : decisions.filter(entry => entry.rationale.kind === kindFilter);
+  
+  // Group by turn, newest first
+  const turns = shown.reduce((groups, entry) => {
+    const group = groups.find(g => g.turn === entry.turn);
+    if (group) {
+      group.entries.push(entry);
+    } else {
+      groups.push({ turn: entry.turn, entries: [entry] });
+    }
+    return groups;
+  }, []).reverse();
+  
+  // Only offer the kinds this battle has actually produced
+  const kinds = [...new Set(decisions.map(entry => entry.rationale.kind))];
+  
+  return (
+    <div className="ai-debug-overlay">
+      <div className="ai-debug-header">
+        <h3>🧠 AI Debug</h3>
+        <select
+          className="ai-debug-filter"
+          value={kindFilter}
+          onChange={(e) => setKindFilter(e.target.value)}
+        >
+          <option value="all">All decisions ({decisions.length})</option>
+          {kinds.map(kind => (
+            <option key={kind} value={kind}>
+              {AI_RATIONALES[kind]?.icon} {AI_RATIONALES[kind]?.label || kind}
+            </option>
+          ))}
+        </select>
+        <button className="close-btn" onClick={onClose}>×</button>
+      </div>
+      
+      <div className="ai-debug-content">
+        {turns.length === 0 ? (
+          <div className="ai-debug-empty">The enemy hasn't made a move yet...</div>
+        ) : (
+          turns.map(({ turn, entries }) => (
+            <div key={turn} className="ai-debug-turn">
+              <div className="ai-debug-turn-label">Turn {turn}</div>
+              
+              {entries.map(({ id, rationale }) => (
+                <div key={id} className={`ai-debug-decision ${rationale.kind}`}>
+                  <div className="ai-debug-decision-title">
+                    <span className="ai-debug-icon">{rationale.icon}</span>
+                    <span className="ai-debug-kind">{rationale.label}</span>
+                  </div>
+                  <div className="ai-debug-summary">{rationale.summary}</div>
+                  
+                  {rationale.notes.length > 0 && (
+                    <div className="ai-debug-notes">↪ {rationale.notes.join('; ')}</div>
+                  )}
+                  
+                  <div className="ai-debug-scores">
+                    {Object.entries(rationale.scores).map(([name, value]) => (
+                      <div key={name} className="ai-debug-score">
+                        <span className="ai-debug-score-name">{name}</span>
+                        <span className="ai-debug-score-value">
+                          {typeof value === 'boolean' ? (value ? 'yes' : 'no') : value}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AIDebugOverlay;
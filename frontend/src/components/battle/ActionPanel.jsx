@@ -1,12 +1,18 @@
 // src/components/battle/ActionPanel.jsx
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import ToolSpellModal from './ToolSpellModal';
+import { PLAYER_MAX_FIELD_SIZE, getAttackType } from '../../utils/battleEngine';
+import { forecastAttack } from '../../utils/battleCore';
+import { ROWS, ROW_MODIFIERS, hasRowSpace } from '../../utils/battleFormation';
 
 const ActionPanel = ({ 
   selectedCreature, 
   targetCreature,
   playerEnergy,
-  enemyField,
+  playerField = [],
+  enemyField = [],
+  difficulty = 'medium',
+  comboLevel = 0,
   availableActions,
   availableTools,
   availableSpells,
@@ -14,12 +20,27 @@ const ActionPanel = ({
   disabled = false,
   animationInProgress = false,
   animationQueue = [],
+  // NEW: Coach hints (see battleHints.js)
+  hint = null,
+  hintsLeft = 0,
+  onRequestHint = null,
   className = '' // Add className prop
 }) => {
   const [showToolModal, setShowToolModal] = useState(false);
   const [showSpellModal, setShowSpellModal] = useState(false);
   const [recentAction, setRecentAction] = useState(null);
   
+  // NEW: Damage preview - the field copies carry live health, effects and rows
+  const fieldCreature = selectedCreature && playerField.find(c => c.id === selectedCreature.id);
+  const fieldTarget = targetCreature && enemyField.find(c => c.id === targetCreature.id);
+  const canAttack = availableActions.includes('attack');
+  
+  const attackForecast = useMemo(() => (
+    canAttack && fieldCreature && fieldTarget
+      ? forecastAttack(fieldCreature, fieldTarget, getAttackType(fieldCreature), comboLevel)
+      : null
+  ), [canAttack, fieldCreature, fieldTarget, comboLevel]);
+  
   // Handle button click with animation feedback - MUST be before any returns
   const handleActionClick = useCallback((actionType, additionalData = {}) => {
     if (disabled || !selectedCreature) return;
@@ -32,7 +53,7 @@ const ActionPanel = ({
     
     switch (actionType) {
       case 'deploy':
-        onAction({ type: 'deploy' }, null, selectedCreature);
+        onAction({ type: 'deploy', row: additionalData.row }, null, selectedCreature);
         break;
         
       case 'attack':
@@ -78,6 +99,14 @@ const ActionPanel = ({
     onAction({ type: 'useSpell', spell }, targetCreature, selectedCreature);
   }, [onAction, targetCreature, selectedCreature]);
   
+  // What's left of the target after the attack lands
+  const getForecastOutcome = (forecast, targetHealth) => {
+    if (forecast.isLethal) return '☠️ Lethal unless dodged';
+    if (forecast.maxDamage >= targetHealth) return '☠️ Lethal on a high roll';
+    if (forecast.canBeLethal) return '💥 Lethal on a critical hit';
+    return `Leaves ${targetHealth - forecast.maxDamage}-${targetHealth - forecast.minDamage} HP`;
+  };
+  
   // Button animation class
   const getButtonAnimationClass = (actionType) => {
     const isRecentAction = recentAction === actionType;
@@ -93,6 +122,28 @@ const ActionPanel = ({
   
   return (
     <div className={`action-panel ${className}`}>
+      {/* Coach hint - available with or without a selection */}
+      {onRequestHint && (
+        <div className="hint-section">
+          <button 
+            className="action-btn hint"
+            onClick={onRequestHint}
+            disabled={disabled || hintsLeft <= 0}
+            title="Ask the AI for the best move"
+          >
+            <span className="btn-icon">💡</span> 
+            <span className="btn-text">Hint ({hintsLeft} left)</span>
+          </button>
+          
+          {hint && (
+            <div className="hint-card">
+              <div className="hint-reason">{hint.reason}</div>
+              {hint.tip && <div className="hint-tip">💡 {hint.tip}</div>}
+            </div>
+          )}
+        </div>
+      )}
+      
       {selectedCreature ? (
         <>
           {/* Simplified creature info for mobile */}
@@ -105,21 +156,49 @@ const ActionPanel = ({
             </span>
           </div>
           
+          {/* Damage preview for the selected attacker and target */}
+          {attackForecast && (
+            <div className={`attack-forecast ${attackForecast.isLethal ? 'lethal' : ''}`}>
+              <div className="forecast-damage">
+                ⚔️ {attackForecast.minDamage}-{attackForecast.maxDamage} damage
+                <span className="forecast-crit"> (crit {attackForecast.critMinDamage}-{attackForecast.critMaxDamage})</span>
+              </div>
+              <div className="forecast-odds">
+                🎯 {attackForecast.critChance}% crit · 💨 {attackForecast.dodgeChance}% dodge
+                {attackForecast.effectiveness !== 'normal' && (
+                  <span className="forecast-effectiveness"> · {attackForecast.effectiveness}</span>
+                )}
+              </div>
+              <div className="forecast-outcome">
+                {getForecastOutcome(attackForecast, fieldTarget.currentHealth)}
+              </div>
+            </div>
+          )}
+          
           {/* Action buttons */}
           <div className="action-buttons">
-            {/* Deploy button (hand only) */}
-            {availableActions.includes('deploy') && (
+            {/* Deploy buttons (hand only) - one per formation row */}
+            {availableActions.includes('deploy') && [ROWS.FRONT, ROWS.BACK].map(row => (
               <button 
+                key={row}
                 className={`action-btn deploy ${getButtonAnimationClass('deploy')}`}
-                onClick={() => handleActionClick('deploy')}
-                disabled={disabled || playerEnergy < (selectedCreature.battleStats?.energyCost || 5)}
+                onClick={() => handleActionClick('deploy', { row })}
+                disabled={
+                  disabled ||
+                  playerEnergy < (selectedCreature.battleStats?.energyCost || 5) ||
+                  !hasRowSpace(playerField, row, PLAYER_MAX_FIELD_SIZE)
+                }
+                title={ROW_MODIFIERS[row].description}
               >
-                <span className="btn-icon">🌟</span> 
+                <span className="btn-icon">{row === ROWS.FRONT ? '🌟' : ROW_MODIFIERS[row].icon}</span> 
                 <span className="btn-text">
-                  Deploy ({selectedCreature.battleStats?.energyCost || 5} ⚡)
+                  Deploy {row === ROWS.FRONT ? 'Front' : 'Back'} ({selectedCreature.battleStats?.energyCost || 5} ⚡)
                 </span>
+                {!hasRowSpace(playerField, row, PLAYER_MAX_FIELD_SIZE) && (
+                  <span className="btn-subtitle">Row full</span>
+                )}
               </button>
-            )}
+            ))}
             
             {/* Attack button (field only, needs target) */}
             {availableActions.includes('attack') && (
@@ -202,7 +281,9 @@ const ActionPanel = ({
           type="tool"
           onSelect={handleToolSelect}
           onClose={() => setShowToolModal(false)}
-          selectedCreature={selectedCreature}
+          selectedCreature={fieldCreature || selectedCreature}
+          difficulty={difficulty}
+          recommendedItemId={hint?.itemId}
         />
       )}
       
@@ -213,8 +294,12 @@ const ActionPanel = ({
           type="spell"
           onSelect={handleSpellSelect}
           onClose={() => setShowSpellModal(false)}
-          selectedCreature={selectedCreature}
-          targetCreature={targetCreature}
+          selectedCreature={fieldCreature || selectedCreature}
+          targetCreature={fieldTarget || playerField.find(c => c.id === targetCreature?.id) || targetCreature}
+          difficulty={difficulty}
+          allyField={playerField}
+          enemyField={enemyField}
+          recommendedItemId={hint?.itemId}
         />
       )}
     </div>
@@ -0,0 +1,66 @@
+// src/components/battle/AutoBattleControls.jsx - AUTO-BATTLE TOGGLE
+// Lets the battle AI play the player's turns at a chosen level and personality,
+// with faster animations. Turning it off hands control back after the action
+// in progress.
+import React from 'react';
+import { DIFFICULTY_LEVELS } from '../../utils/difficultySettings';
+import { AI_PERSONALITIES, AI_PERSONALITY_IDS } from '../../utils/aiPersonalities';
+
+const AUTO_SPEEDS = [1, 2, 4];
+
+const AutoBattleControls = ({ autoBattle, onChange }) => {
+  const { enabled, difficulty, personality, speed } = autoBattle;
+  
+  return (
+    <div className={`auto-battle-controls ${enabled ? 'active' : ''}`}>
+      <button
+        className={`auto-battle-toggle ${enabled ? 'active' : ''}`}
+        onClick={() => onChange({ enabled: !enabled })}
+        title={enabled ? 'Take back control after the current action' : 'Let the AI play your turns'}
+      >
+        🤖 Auto {enabled ? 'On' : 'Off'}
+      </button>
+      
+      <select
+        className="auto-battle-select"
+        value={difficulty}
+        onChange={(e) => onChange({ difficulty: e.target.value })}
+        title="How well the AI plays your side"
+      >
+        {DIFFICULTY_LEVELS.map(level => (
+          <option key={level} value={level}>
+            {level.charAt(0).toUpperCase() + level.slice(1)}
+          </option>
+        ))}
+      </select>
+      
+      <select
+        className="auto-battle-select"
+        value={personality || ''}
+        onChange={(e) => onChange({ personality: e.target.value || null })}
+        title={personality ? AI_PERSONALITIES[personality].description : 'No personality bias'}
+      >
+        <option value="">⚖️ Balanced</option>
+        {AI_PERSONALITY_IDS.map(id => (
+          <option key={id} value={id}>
+            {AI_PERSONALITIES[id].icon} {AI_PERSONALITIES[id].name}
+          </option>
+        ))}
+      </select>
+      
+      <div className="auto-battle-speeds">
+        {AUTO_SPEEDS.map(option => (
+          <button
+            key={option}
+            className={`auto-battle-speed ${speed === option ? 'active' : ''}`}
+            onClick={() => onChange({ speed: option })}
+          >
+            {option}x
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AutoBattleControls;
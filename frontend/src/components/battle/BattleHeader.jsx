@@ -1,5 +1,8 @@
 // src/components/battle/BattleHeader.jsx
 import React, { useState, useEffect } from 'react';
+import { getPersonality } from '../../utils/aiPersonalities';
+import { getCurrentBossPhase, describeBossPhase } from '../../utils/bossCreatures';
+import { STATUS_CONDITIONS } from '../../utils/statusConditions';
 
 const BattleHeader = ({ 
   turn, 
@@ -12,7 +15,13 @@ const BattleHeader = ({
   energyMomentum = { player: 0, enemy: 0 },
   playerActiveSynergies = [],
   enemyActiveSynergies = [],
-  energyMomentumDetails = { player: null, enemy: null }
+  energyMomentumDetails = { player: null, enemy: null },
+  winProbability = null,
+  winProbabilitySwings = [],
+  enemyPersonality = null, // NEW: AI personality id of the opponent
+  aiDebugOpen = false,
+  onToggleAIDebug = null, // NEW: Shows / hides the AI debug overlay
+  bosses = [] // NEW: Boss creatures on the enemy field (see bossCreatures.js)
 }) => {
   // Mobile detection
   const [windowWidth, setWindowWidth] = useState(window.innerWidth);
@@ -106,16 +115,129 @@ const BattleHeader = ({
     return 1 + Math.min(consecutiveActions * bonusPerAction, maxBonus);
   };
   
+  // NEW: Win probability bar - player's chance from AI-vs-AI rollouts of the current state
+  const renderWinProbability = (compact = false) => {
+    if (!winProbability) return null;
+    
+    const percent = Math.round(winProbability.probability * 100);
+    const lastSwing = winProbabilitySwings[winProbabilitySwings.length - 1];
+    const isFreshSwing = lastSwing &&
+      lastSwing.turn === winProbability.turn &&
+      lastSwing.activePlayer === winProbability.activePlayer;
+    
+    const swingSummary = winProbabilitySwings.length > 0
+      ? ` - Big swings: ${winProbabilitySwings.map(swing => 
+          `T${swing.turn} (${swing.change > 0 ? '+' : ''}${Math.round(swing.change * 100)}%)`
+        ).join(', ')}`
+      : '';
+    
+    return (
+      <div 
+        className={`win-probability ${compact ? 'compact' : ''}`}
+        title={`${winProbability.wins} wins, ${winProbability.losses} losses, ${winProbability.draws} draws in ${winProbability.rollouts} simulated battles${swingSummary}`}
+      >
+        {!compact && <span className="win-probability-label">Win chance</span>}
+        <div className="win-probability-bar">
+          <div className="win-probability-fill" style={{ width: `${percent}%` }} />
+        </div>
+        <span className="win-probability-value">{percent}%</span>
+        {isFreshSwing && (
+          <span className={`win-probability-swing ${lastSwing.change > 0 ? 'up' : 'down'}`}>
+            {lastSwing.change > 0 ? '📈' : '📉'}{!compact && ' Swing!'}
+          </span>
+        )}
+      </div>
+    );
+  };
+  
   const playerTotalBonus = calculateTotalBonus(playerActiveSynergies);
   const enemyTotalBonus = calculateTotalBonus(enemyActiveSynergies);
   
   // Mobile limits
   const maxSynergies = isMobile ? 3 : 4;
+  const personality = getPersonality(enemyPersonality);
+  
+  // NEW: Which kind of opponent the player is facing
+  const renderPersonality = (compact = false) => {
+    if (!personality) return null;
+    
+    return (
+      <div 
+        className={`personality-indicator ${personality.id} ${compact ? 'compact' : ''}`}
+        style={{ backgroundColor: personality.color }}
+        title={`${personality.name}: ${personality.description}`}
+      >
+        <span className="personality-icon">{personality.icon}</span>
+        {!compact && <span className="personality-name">{personality.name}</span>}
+      </div>
+    );
+  };
+  
+  // NEW: Toggle for the overlay explaining the enemy's moves
+  const renderAIDebugToggle = (compact = false) => {
+    if (!onToggleAIDebug) return null;
+    
+    return (
+      <button 
+        className={`ai-debug-toggle ${aiDebugOpen ? 'active' : ''} ${compact ? 'compact' : ''}`}
+        onClick={onToggleAIDebug}
+        title="Why did the enemy do that? Show the AI's reasoning and scores"
+      >
+        🧠{!compact && <span className="ai-debug-toggle-label">AI debug</span>}
+      </button>
+    );
+  };
+  
+  // NEW: Dedicated health bar for each boss, marking where its phases begin
+  const renderBossBars = (compact = false) => {
+    if (bosses.length === 0) return null;
+    
+    return (
+      <div className={`boss-health-bars ${compact ? 'compact' : ''}`}>
+        {bosses.map(boss => {
+          const maxHealth = boss.battleStats?.maxHealth || boss.maxHealth || 1;
+          const percent = Math.max(0, Math.min(100, (boss.currentHealth / maxHealth) * 100));
+          const phase = getCurrentBossPhase(boss);
+          const immunities = boss.statusImmunities || [];
+          
+          return (
+            <div key={boss.id} className="boss-health">
+              <div className="boss-health-title">
+                <span className="boss-name">👑 {boss.species_name}</span>
+                {!compact && boss.boss.title && <span className="boss-subtitle">{boss.boss.title}</span>}
+                {phase && <span className="boss-phase">{phase.name}</span>}
+                {immunities.length > 0 && (
+                  <span 
+                    className="boss-immunities"
+                    title={`Immune to ${immunities.map(status => STATUS_CONDITIONS[status]?.name.toLowerCase() || status).join(', ')}`}
+                  >
+                    🛡️{immunities.map(status => STATUS_CONDITIONS[status]?.icon).join('')}
+                  </span>
+                )}
+              </div>
+              <div className="boss-health-bar">
+                <div className="boss-health-fill" style={{ width: `${percent}%` }} />
+                {boss.boss.phases.map((bossPhase, index) => (
+                  <div 
+                    key={bossPhase.name}
+                    className={`boss-phase-marker ${index < boss.boss.phase ? 'passed' : ''}`}
+                    style={{ left: `${bossPhase.threshold * 100}%` }}
+                    title={describeBossPhase(bossPhase)}
+                  />
+                ))}
+                <span className="boss-health-value">{boss.currentHealth} / {maxHealth}</span>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
   
   // Very small screens - two row layout
   if (isVerySmall) {
     return (
-      <div className="battle-header mobile-compact">
+      <div className={`battle-header mobile-compact ${bosses.length > 0 ? 'has-boss' : ''}`}>
         {/* Top row */}
         <div className="battle-header-top">
           <div className={`turn-indicator ${activePlayer === 'enemy' ? 'enemy-turn' : ''}`}>
@@ -128,6 +250,10 @@ const BattleHeader = ({
             {difficulty.charAt(0).toUpperCase()}
           </div>
           
+          {renderPersonality(true)}
+          
+          {renderAIDebugToggle(true)}
+          
           <div className="energy-displays compact">
             <div className="player-energy">
               <span className="energy-label">You</span>
@@ -150,6 +276,10 @@ const BattleHeader = ({
           </div>
         </div>
         
+        {renderWinProbability(true)}
+        
+        {renderBossBars(true)}
+        
         {/* Bottom row - synergies */}
         {(playerActiveSynergies.length > 0 || enemyActiveSynergies.length > 0) && (
           <div className="field-synergies compact">
@@ -208,7 +338,7 @@ const BattleHeader = ({
   
   // Regular mobile/desktop layout
   return (
-    <div className="battle-header">
+    <div className={`battle-header ${bosses.length > 0 ? 'has-boss' : ''}`}>
       <div className="battle-info">
         {/* Turn and difficulty indicators */}
         <div className="turn-counter">
@@ -221,6 +351,10 @@ const BattleHeader = ({
           {difficulty.charAt(0).toUpperCase() + difficulty.slice(1)}
         </div>
         
+        {renderPersonality(isMobile)}
+        
+        {renderAIDebugToggle(isMobile)}
+        
         {/* Turn indicator */}
         <div className={`turn-indicator ${activePlayer === 'enemy' ? 'enemy-turn' : ''}`}>
           {activePlayer === 'player' ? (
@@ -231,6 +365,8 @@ const BattleHeader = ({
           {isMobile && <span className="turn-number">T{turn}</span>}
         </div>
         
+        {renderWinProbability(isMobile)}
+        
         {/* Synergies in center */}
         {(playerActiveSynergies.length > 0 || enemyActiveSynergies.length > 0) && (
           <div className="field-synergies">
@@ -415,6 +551,8 @@ const BattleHeader = ({
           </div>
         </div>
       </div>
+      
+      {renderBossBars(isMobile)}
     </div>
   );
 };
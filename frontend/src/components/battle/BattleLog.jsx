@@ -1,5 +1,6 @@
 // src/components/battle/BattleLog.jsx - Fixed Scrolling with Better UI
 import React, { useEffect, useRef, useState } from 'react';
+import { formatRationaleScores } from '../../utils/aiRationale';
 
 const BattleLog = ({ log, className = '' }) => {
   const logEndRef = useRef(null);
@@ -42,6 +43,7 @@ const BattleLog = ({ log, className = '' }) => {
   
   // Categorize log entries for color coding
   const getLogEntryClass = (message) => {
+    if (message.startsWith('Enemy AI - ')) return 'ai-reasoning';
     if (message.includes('damaged') || message.includes('dealt')) return 'damage';
     if (message.includes('healed') || message.includes('healing')) return 'healing';
     if (message.includes('defeated')) return 'defeat';
@@ -91,6 +93,15 @@ const BattleLog = ({ log, className = '' }) => {
             >
               <span className="turn-indicator">Turn {entry.turn}:</span>
               <span className="log-message">{entry.message}</span>
+              {/* NEW: The scores behind an AI move, hover for the full list */}
+              {entry.rationale && Object.keys(entry.rationale.scores).length > 0 && (
+                <span 
+                  className="log-rationale-scores"
+                  title={formatRationaleScores(entry.rationale)}
+                >
+                  {formatRationaleScores(entry.rationale, 3)}
+                </span>
+              )}
             </div>
           ))
         )}
@@ -1,9 +1,24 @@
 // src/components/battle/BattleResult.jsx - FIXED VERSION WITH STABLE REWARDS
 import React, { useMemo } from 'react';
+import { MAX_STARS, describeStarTargets } from '../../utils/campaign';
+import { DIFFICULTY_LEVELS, getAdaptiveBaseDifficulty } from '../../utils/difficultySettings';
 
-const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
+const BattleResult = ({ result, onPlayAgain, onClose, onWatchReplay, stats, difficulty, difficultyScore, campaign, daily, gauntlet, mirror, onChooseGauntletBoon }) => {
   const isVictory = result === 'victory';
   
+  // NEW: Rewards follow the battle's difficulty score (0 = easy ... 3 = expert) rather
+  // than its preset name, so a custom battle pays what it is worth
+  const score = difficultyScore ?? Math.max(0, DIFFICULTY_LEVELS.indexOf(difficulty));
+  const rewardTier = getAdaptiveBaseDifficulty(score);
+  
+  // Value at the score from a per-preset table; past the ends the slopes continue
+  const getScoreValue = (byDifficulty) => {
+    const index = Math.min(DIFFICULTY_LEVELS.length - 2, Math.max(0, Math.floor(score)));
+    const from = byDifficulty[DIFFICULTY_LEVELS[index]];
+    const to = byDifficulty[DIFFICULTY_LEVELS[index + 1]];
+    return from + (to - from) * (score - index);
+  };
+  
   const getDifficultyColor = (diff) => {
     switch (diff) {
       case 'easy': return '#4CAF50';
@@ -53,7 +68,7 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
       expert: 3.0
     };
     
-    const multiplier = difficultyMultipliers[difficulty] || 1.0;
+    const multiplier = Math.max(0.1, getScoreValue(difficultyMultipliers));
     
     // Performance bonuses
     let performanceMultiplier = 1.0;
@@ -86,7 +101,7 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
         expert: 0.9
       };
       
-      const baseChance = itemChances[difficulty] || 0.3;
+      const baseChance = Math.max(0, getScoreValue(itemChances));
       const adjustedChance = Math.min(0.95, baseChance * performanceMultiplier);
       
       // Tool rewards
@@ -163,11 +178,11 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
     const finalReward = {
       experience: Math.round(baseReward.experience * multiplier * performanceMultiplier),
       currency: Math.round(baseReward.currency * multiplier * performanceMultiplier),
-      items: generateRewardItems(difficulty, performanceMultiplier, nextRandom)
+      items: generateRewardItems(rewardTier, performanceMultiplier, nextRandom)
     };
     
     return finalReward;
-  }, [isVictory, difficulty, stats]); // Only recalculate if these props change
+  }, [isVictory, difficulty, score, stats]); // Only recalculate if these props change
   
   // FIXED: Generate performance bonuses list only once
   const performanceBonuses = useMemo(() => {
@@ -182,12 +197,12 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
     if (stats.enemiesDefeated >= 5) {
       bonuses.push({ icon: '⚔️', text: 'Destroyer: Defeated 5 or more enemies!' });
     }
-    if (difficulty === 'expert') {
+    if (rewardTier === 'expert') {
       bonuses.push({ icon: '👑', text: 'Elite Warrior: Conquered Expert difficulty!' });
     }
     
     return bonuses;
-  }, [stats, difficulty]);
+  }, [stats, rewardTier]);
   
   return (
     <div className={`battle-result ${isVictory ? 'victory' : 'defeat'}`}>
@@ -205,6 +220,103 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
           )}
         </div>
         
+        {/* NEW: Campaign star rating - campaign = { encounter, result, stars, bestStars } */}
+        {campaign && (
+          <div className="campaign-result">
+            <h3>{campaign.encounter.name}</h3>
+            <div className="campaign-result-stars">
+              {Array.from({ length: MAX_STARS }, (_, index) => (
+                <span key={index} className={index < campaign.stars ? 'earned' : ''}>
+                  {index < campaign.stars ? '★' : '☆'}
+                </span>
+              ))}
+            </div>
+            <ul className="campaign-result-targets">
+              {describeStarTargets(campaign.encounter, campaign.result).map(target => (
+                <li key={target.text} className={target.met ? 'met' : ''}>
+                  {target.met ? '✓' : '✗'} {target.text}
+                </li>
+              ))}
+            </ul>
+            {campaign.bestStars > campaign.stars && (
+              <p className="campaign-result-best">Best: {campaign.bestStars}/{MAX_STARS} stars</p>
+            )}
+          </div>
+        )}
+        
+        {/* NEW: Daily challenge score - daily = { entry, status, rank } */}
+        {daily && (
+          <div className="daily-result">
+            <h3>Daily Challenge {daily.entry.date}</h3>
+            <div className="daily-result-score">{daily.entry.score}</div>
+            <p className="daily-result-details">
+              {daily.entry.turns} turns · {daily.entry.remainingHealth} / {daily.entry.maxHealth} HP left · {daily.entry.team.length} creatures
+            </p>
+            <p className={`daily-result-status ${daily.status}`}>
+              {daily.status === 'submitting' && 'Submitting to the daily leaderboard...'}
+              {daily.status === 'submitted' && (daily.rank ? `Rank #${daily.rank} on today's leaderboard` : 'Submitted to the daily leaderboard')}
+              {daily.status === 'failed' && "Couldn't reach the leaderboard - your score will be sent next time"}
+            </p>
+          </div>
+        )}
+        
+        {/* NEW: Gauntlet wave - gauntlet = { wave, outcome, survivors, boons, bestWave } */}
+        {gauntlet && (
+          <div className="gauntlet-result">
+            <h3>{gauntlet.boons.length > 0 ? `Wave ${gauntlet.wave} Cleared!` : `Run Over - Wave ${gauntlet.wave}`}</h3>
+            <p className="gauntlet-result-best">🏆 Best wave reached: {gauntlet.bestWave}</p>
+            {gauntlet.boons.length > 0 ? (
+              <>
+                <p>{gauntlet.survivors} creatures carry on. Choose a boon for wave {gauntlet.wave + 1}:</p>
+                <div className="gauntlet-boons">
+                  {gauntlet.boons.map(boon => (
+                    <button
+                      key={boon.id}
+                      className={`gauntlet-boon ${boon.kind}`}
+                      onClick={() => onChooseGauntletBoon(boon.id)}
+                    >
+                      <span className="gauntlet-boon-name">{boon.icon} {boon.name}</span>
+                      <span className="gauntlet-boon-description">{boon.description}</span>
+                    </button>
+                  ))}
+                </div>
+              </>
+            ) : (
+              <p>{isVictory ? 'The wave fell, but none of your creatures are left standing.' : 'Your team has fallen.'}</p>
+            )}
+          </div>
+        )}
+        
+        {/* NEW: Mirror match synergies - mirror = { outcome, level, report: { turns, synergies } } */}
+        {mirror && (
+          <div className="mirror-result">
+            <h3>🪞 {isVictory ? 'You out-played your own team' : 'Your own team got the better of you'}</h3>
+            <p className="mirror-result-level">AI level: {mirror.level.charAt(0).toUpperCase() + mirror.level.slice(1)}</p>
+            {mirror.report && mirror.report.synergies.length > 0 ? (
+              <table className="mirror-synergies">
+                <thead>
+                  <tr>
+                    <th>Synergy</th>
+                    <th>You ({mirror.report.turns.player} turns)</th>
+                    <th>Mirror ({mirror.report.turns.enemy} turns)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {mirror.report.synergies.map(synergy => (
+                    <tr key={synergy.name}>
+                      <td>{synergy.icon} {synergy.name}</td>
+                      <td className={synergy.player > synergy.enemy ? 'ahead' : ''}>{synergy.player}</td>
+                      <td className={synergy.enemy > synergy.player ? 'ahead' : ''}>{synergy.enemy}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p>Neither side kept a field synergy up - try pairing species or stat specialties.</p>
+            )}
+          </div>
+        )}
+        
         <div className="battle-stats">
           <h3>Battle Statistics</h3>
           
@@ -216,6 +328,11 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
               </div>
             </div>
             
+            <div className="stat-item">
+              <div className="stat-label">Difficulty Score</div>
+              <div className="stat-value" style={{ color: getDifficultyColor(rewardTier) }}>{score.toFixed(2)}</div>
+            </div>
+            
             <div className="stat-item">
               <div className="stat-label">Turns</div>
               <div className="stat-value">{stats.turns}</div>
@@ -307,6 +424,15 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
           Play Again
         </button>
         
+        {onWatchReplay && (
+          <button 
+            className="close-btn replay-btn"
+            onClick={onWatchReplay}
+          >
+            Watch Replay
+          </button>
+        )}
+        
         <button 
           className="close-btn"
           onClick={onClose}
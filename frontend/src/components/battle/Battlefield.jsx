@@ -3,6 +3,8 @@ import React, { useEffect, useRef, useState } from 'react';
 import CreatureCard from './CreatureCard';
 import BattleLog from './BattleLog';
 import ActionPanel from './ActionPanel';
+import { getAttackType, PLAYER_MAX_FIELD_SIZE } from '../../utils/battleEngine';
+import { ROWS, ROW_MODIFIERS, getRowCreatures, getRowCapacity, canReachTarget } from '../../utils/battleFormation';
 
 // Helper function to get max field size based on difficulty
 const getMaxFieldSize = (difficulty) => {
@@ -55,7 +57,12 @@ const Battlefield = ({
   disabled,
   availableTools,
   availableSpells,
-  playerEnergy = 0
+  playerEnergy = 0,
+  comboLevel = 0,
+  // NEW: Coach hint - highlights its creatures and feeds the desktop action panel
+  hint = null,
+  hintsLeft = 0,
+  onRequestHint = null
 }) => {
   // Track active animation for visual highlights
   const [animationState, setAnimationState] = useState({
@@ -66,7 +73,7 @@ const Battlefield = ({
 
   // Use dynamic max field size based on difficulty
   const maxEnemyFieldSize = getMaxFieldSize(difficulty);
-  const maxPlayerFieldSize = 3; // Player is always limited to 3 for balance
+  const maxPlayerFieldSize = PLAYER_MAX_FIELD_SIZE;
   
   // Determine if we should apply the large-field class based on enemy field size
   const enemyFieldClass = maxEnemyFieldSize > 3 ? 'battlefield-enemy large-field' : 'battlefield-enemy';
@@ -217,6 +224,50 @@ const Battlefield = ({
     }
   };
   
+  // NEW: Formation - grey out enemies the selected creature's physical attack can't reach
+  const selectedFieldCreature = selectedCreature && playerField.find(c => c.id === selectedCreature.id);
+  const selectedAttackType = selectedFieldCreature?.battleStats ? getAttackType(selectedFieldCreature) : null;
+  
+  const renderCreature = (creature, isEnemy) => (
+    <CreatureCard 
+      key={creature.id}
+      creature={creature}
+      isEnemy={isEnemy}
+      isSelected={selectedCreature && selectedCreature.id === creature.id}
+      isTarget={isEnemy && targetCreature && targetCreature.id === creature.id}
+      isAnimating={animationState.activeCreatureId === creature.id}
+      isTargetOfAnimation={animationState.targetCreatureId === creature.id}
+      animationType={animationState.animationType}
+      isUnreachable={isEnemy && !!selectedAttackType && !canReachTarget(enemyField, creature, selectedAttackType)}
+      isHinted={!!hint && (hint.creatureId === creature.id || hint.targetId === creature.id)}
+      onClick={() => onCreatureSelect(creature, isEnemy)}
+      simplified={useSimplifiedCards}
+      dataPower={creature.dataPower}
+      dataDefense={creature.dataDefense}
+    />
+  );
+  
+  // Both front rows face the center: enemy rows run back-to-front, player rows front-to-back
+  const renderFormation = (field, isEnemy, maxFieldSize) => {
+    const rows = isEnemy ? [ROWS.BACK, ROWS.FRONT] : [ROWS.FRONT, ROWS.BACK];
+    const side = isEnemy ? 'enemy' : 'player';
+    
+    return rows.map(row => {
+      const creatures = getRowCreatures(field, row);
+      const emptySlots = Math.max(0, getRowCapacity(maxFieldSize, row) - creatures.length);
+      
+      return (
+        <div key={row} className={`formation-row ${row}`} data-row-label={ROW_MODIFIERS[row].label}>
+          {creatures.map(creature => renderCreature(creature, isEnemy))}
+          {/* Empty slots */}
+          {Array.from({ length: emptySlots }).map((_, index) => (
+            <div key={`empty-${side}-${row}-${index}`} className="creature-slot empty" style={isEnemy ? { flexShrink: 0 } : undefined} />
+          ))}
+        </div>
+      );
+    });
+  };
+  
   return (
     <div className="battlefield">
       {/* Enemy field (top) - SCROLLABLE */}
@@ -225,26 +276,7 @@ const Battlefield = ({
         className={enemyFieldClass} 
         data-slots={maxEnemyFieldSize}
       >
-        {enemyField.map((creature) => (
-          <CreatureCard 
-            key={creature.id}
-            creature={creature}
-            isEnemy={true}
-            isSelected={selectedCreature && selectedCreature.id === creature.id}
-            isTarget={targetCreature && targetCreature.id === creature.id}
-            isAnimating={animationState.activeCreatureId === creature.id}
-            isTargetOfAnimation={animationState.targetCreatureId === creature.id}
-            animationType={animationState.animationType}
-            onClick={() => onCreatureSelect(creature, true)}
-            simplified={useSimplifiedCards}
-            dataPower={creature.dataPower}
-            dataDefense={creature.dataDefense}
-          />
-        ))}
-        {/* Empty slots */}
-        {Array.from({ length: Math.max(0, maxEnemyFieldSize - enemyField.length) }).map((_, index) => (
-          <div key={`empty-enemy-${index}`} className="creature-slot empty" style={{ flexShrink: 0 }} />
-        ))}
+        {renderFormation(enemyField, true, maxEnemyFieldSize)}
       </div>
       
       {/* Center divider with game information */}
@@ -268,26 +300,7 @@ const Battlefield = ({
             className="battlefield-player" 
             data-slots={maxPlayerFieldSize}
           >
-            {playerField.map((creature) => (
-              <CreatureCard 
-                key={creature.id}
-                creature={creature}
-                isEnemy={false}
-                isSelected={selectedCreature && selectedCreature.id === creature.id}
-                isTarget={false}
-                isAnimating={animationState.activeCreatureId === creature.id}
-                isTargetOfAnimation={animationState.targetCreatureId === creature.id}
-                animationType={animationState.animationType}
-                onClick={() => onCreatureSelect(creature, false)}
-                simplified={useSimplifiedCards}
-                dataPower={creature.dataPower}
-                dataDefense={creature.dataDefense}
-              />
-            ))}
-            {/* Empty slots */}
-            {Array.from({ length: Math.max(0, maxPlayerFieldSize - playerField.length) }).map((_, index) => (
-              <div key={`empty-player-${index}`} className="creature-slot empty" />
-            ))}
+            {renderFormation(playerField, false, maxPlayerFieldSize)}
           </div>
           
           {/* Right sidebar - Action Panel - Note we wrap in a container div to control dimensions */}
@@ -301,6 +314,13 @@ const Battlefield = ({
               availableTools={availableTools}
               availableSpells={availableSpells}
               playerEnergy={playerEnergy}
+              playerField={playerField}
+              enemyField={enemyField}
+              difficulty={difficulty}
+              comboLevel={comboLevel}
+              hint={hint}
+              hintsLeft={hintsLeft}
+              onRequestHint={onRequestHint}
             />
           </div>
         </div>
@@ -312,26 +332,7 @@ const Battlefield = ({
           data-slots={maxPlayerFieldSize}
           style={{ width: '100%', overflowX: 'hidden', justifyContent: 'center' }}
         >
-          {playerField.map((creature) => (
-            <CreatureCard 
-              key={creature.id}
-              creature={creature}
-              isEnemy={false}
-              isSelected={selectedCreature && selectedCreature.id === creature.id}
-              isTarget={false}
-              isAnimating={animationState.activeCreatureId === creature.id}
-              isTargetOfAnimation={animationState.targetCreatureId === creature.id}
-              animationType={animationState.animationType}
-              onClick={() => onCreatureSelect(creature, false)}
-              simplified={useSimplifiedCards}
-              dataPower={creature.dataPower}
-              dataDefense={creature.dataDefense}
-            />
-          ))}
-          {/* Empty slots */}
-          {Array.from({ length: Math.max(0, maxPlayerFieldSize - playerField.length) }).map((_, index) => (
-            <div key={`empty-player-${index}`} className="creature-slot empty" />
-          ))}
+          {renderFormation(playerField, false, maxPlayerFieldSize)}
         </div>
       )}
     </div>
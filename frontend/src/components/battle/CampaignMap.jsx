@@ -0,0 +1,98 @@
+// src/components/battle/CampaignMap.jsx - CAMPAIGN CHAPTER MAP
+// Chapters in order with their encounters, best stars and locks, plus the
+// intro, special rules and star targets of the selected encounter
+import React from 'react';
+import {
+  CAMPAIGN_CHAPTERS,
+  MAX_STARS,
+  getCampaignEncounter,
+  getEncounterStars,
+  isEncounterUnlocked,
+  getCampaignStarTotals,
+  describeCampaignRules,
+  describeStarTargets
+} from '../../utils/campaign';
+import { getBossDefinition } from '../../utils/bossCreatures';
+import { STATUS_CONDITIONS } from '../../utils/statusConditions';
+
+const renderStars = (stars) => Array.from({ length: MAX_STARS }, (_, index) => index < stars ? '★' : '☆').join('');
+
+const CampaignMap = ({ progress, selectedEncounterId, onSelectEncounter }) => {
+  const selected = getCampaignEncounter(selectedEncounterId);
+  const totals = getCampaignStarTotals(progress);
+  const bossEnemy = selected?.enemies.find(enemy => enemy.bossId);
+  const bossDefinition = bossEnemy ? getBossDefinition(bossEnemy.bossId) : null;
+  
+  return (
+    <div className="campaign-map">
+      <div className="campaign-map-total">★ {totals.earned} / {totals.total}</div>
+      
+      {CAMPAIGN_CHAPTERS.map(chapter => (
+        <div key={chapter.id} className="campaign-chapter">
+          <div className="campaign-chapter-title">
+            {chapter.icon} {chapter.name}
+          </div>
+          
+          <div className="campaign-encounters">
+            {chapter.encounters.map(encounter => {
+              const unlocked = isEncounterUnlocked(progress, encounter.id);
+              const stars = getEncounterStars(progress, encounter.id);
+              
+              return (
+                <button
+                  key={encounter.id}
+                  className={`campaign-encounter ${encounter.id === selectedEncounterId ? 'selected' : ''} ${encounter.boss ? 'boss' : ''}`}
+                  disabled={!unlocked}
+                  onClick={(e) => {
+                    // The card around the map selects the campaign itself
+                    e.stopPropagation();
+                    onSelectEncounter(encounter.id);
+                  }}
+                  title={unlocked ? encounter.intro : 'Clear the previous encounter to unlock'}
+                >
+                  <span className="campaign-encounter-name">
+                    {unlocked ? '' : '🔒 '}{encounter.boss ? '👑 ' : ''}{encounter.name}
+                  </span>
+                  <span className={`campaign-encounter-stars ${stars > 0 ? 'earned' : ''}`}>
+                    {renderStars(stars)}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+      
+      {selected && (
+        <div className="campaign-encounter-details">
+          <p className="campaign-intro">{selected.intro}</p>
+          
+          <div className="campaign-detail-row">
+            <strong>Enemy:</strong> {selected.enemies.length} creatures · {selected.difficulty.charAt(0).toUpperCase() + selected.difficulty.slice(1)} AI
+          </div>
+          
+          {bossDefinition && (
+            <div className="campaign-detail-row">
+              <strong>Boss:</strong> {bossEnemy.name}, {bossDefinition.title} · {bossDefinition.phases.length} phases
+              {bossDefinition.immunities.length > 0 && ` · immune to ${bossDefinition.immunities.map(status => STATUS_CONDITIONS[status].name.toLowerCase()).join(', ')}`}
+            </div>
+          )}
+          
+          {describeCampaignRules(selected).length > 0 && (
+            <div className="campaign-detail-row">
+              <strong>Rules:</strong> {describeCampaignRules(selected).join(' · ')}
+            </div>
+          )}
+          
+          <ul className="campaign-star-targets">
+            {describeStarTargets(selected).map(target => (
+              <li key={target.text}>☆ {target.text}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CampaignMap;
@@ -2,9 +2,13 @@
 import React, { useState, useEffect } from 'react';
 import { getRarityColor } from '../../utils/uiHelpers';
 import { getPlaceholderForForm } from '../../utils/enemyPlaceholders';
+import { getStatusConditionDisplay, hasStatusCondition } from '../../utils/statusConditions';
 
 // Helper function to get effect icons
 const getEffectIcon = (effect) => {
+  // Status conditions carry their own icon
+  if (effect.type === 'status') return effect.icon;
+  
   const icons = {
     'Surge': '⚡',
     'Shield': '🛡️',
@@ -54,6 +58,10 @@ const CreatureCard = ({
   isAnimating = false,
   isTargetOfAnimation = false,
   animationType = null,
+  // NEW: Formation - physical attacks from the selected creature can't reach this card
+  isUnreachable = false,
+  // NEW: Part of the coach hint's recommended move
+  isHinted = false,
   // Data attributes for DOM targeting
   dataPower,
   dataDefense
@@ -117,6 +125,12 @@ const CreatureCard = ({
     effect.type === 'defense' || effect.name === 'Defensive Stance'
   );
   
+  // NEW: Status conditions are shown first, alongside the active effects
+  const displayedEffects = [
+    ...(creature.statusConditions || []).map(getStatusConditionDisplay).filter(Boolean),
+    ...(creature.activeEffects || [])
+  ];
+  
   // Calculate total stat modifications from effects
   const totalStatMods = {};
   if (creature.activeEffects) {
@@ -138,6 +152,14 @@ const CreatureCard = ({
     creature.isDefending && 'defending',
     hasDefenseEffect && 'has-defense-effect',
     disabled && 'disabled',
+    // Status conditions
+    hasStatusCondition(creature, 'stun') && 'stunned',
+    hasStatusCondition(creature, 'silence') && 'silenced',
+    hasStatusCondition(creature, 'taunt') && 'taunting',
+    // Formation row (only set once deployed)
+    creature.row && `row-${creature.row}`,
+    isUnreachable && 'unreachable',
+    isHinted && 'hinted',
     // Animation classes
     isAnimating && 'animating',
     isAnimating && animationType && `animating-${animationType}`,
@@ -187,6 +209,8 @@ const CreatureCard = ({
       )}
       data-attack-type={primaryAttackType}
       data-health-status={healthStatus}
+      data-row={creature.row}
+      title={isUnreachable ? 'Behind the front row - physical attacks can\'t reach' : undefined}
     >
       {/* Header WITHOUT synergy info */}
       <div className="creature-card-header">
@@ -323,12 +347,12 @@ const CreatureCard = ({
       </div>
       
       {/* Enhanced Status Effects */}
-      {creature.activeEffects && creature.activeEffects.length > 0 && (
+      {displayedEffects.length > 0 && (
         <div className="status-effects">
-          {creature.activeEffects.map((effect, index) => (
+          {displayedEffects.map((effect, index) => (
             <div 
               key={effect.id || index} 
-              className={`status-effect ${effect.type}`}
+              className={`status-effect ${effect.type}${effect.status ? ` ${effect.status}` : ''}`}
               onMouseEnter={() => setHoveredEffect(effect)}
               onMouseLeave={() => setHoveredEffect(null)}
             >
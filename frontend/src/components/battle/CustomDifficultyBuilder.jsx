@@ -0,0 +1,148 @@
+// src/components/battle/CustomDifficultyBuilder.jsx - CUSTOM DIFFICULTY BUILDER
+// Advanced panel for the custom difficulty: a slider per settings knob, the
+// resulting difficulty score and reward multiplier, named presets saved per
+// account and share codes to export or import them
+import React, { useState } from 'react';
+import {
+  CUSTOM_DIFFICULTY_KNOBS,
+  getCustomKnob,
+  setCustomKnob,
+  normalizeCustomDifficulty,
+  getCustomDifficultySettings,
+  calculateDifficultyScore
+} from '../../utils/difficultySettings';
+import {
+  MAX_PRESET_NAME_LENGTH,
+  encodeCustomPreset,
+  decodeCustomPreset,
+  describeCustomDifficulty
+} from '../../utils/customDifficulty';
+
+const formatKnob = (knob, value) => {
+  if (knob.key === 'enemyStatsMultiplier') return `×${value.toFixed(2)}`;
+  if (knob.key === 'aggressionLevel') return `${Math.round(value * 100)}%`;
+  return knob.step < 1 ? value.toFixed(2) : String(value);
+};
+
+const CustomDifficultyBuilder = ({ customDifficulty, presets, onChange, onSavePreset, onDeletePreset }) => {
+  const [presetName, setPresetName] = useState('');
+  const [importCode, setImportCode] = useState('');
+  const [importError, setImportError] = useState(null);
+  
+  const settings = getCustomDifficultySettings(customDifficulty);
+  const score = calculateDifficultyScore(settings);
+  const shareCode = encodeCustomPreset({ name: presetName, settings: customDifficulty });
+  
+  const handleKnobChange = (knob, value) => {
+    onChange(normalizeCustomDifficulty(setCustomKnob(customDifficulty, knob.key, Number(value))));
+  };
+  
+  const handleLoadPreset = (preset) => {
+    setPresetName(preset.name);
+    onChange(preset.settings);
+  };
+  
+  const handleImport = () => {
+    const preset = decodeCustomPreset(importCode);
+    if (!preset) {
+      setImportError("That code isn't a custom difficulty");
+      return;
+    }
+    
+    setImportError(null);
+    setImportCode('');
+    handleLoadPreset(preset);
+  };
+  
+  const handleCopyCode = () => {
+    navigator.clipboard?.writeText(shareCode).catch(error => {
+      console.error("Error copying custom difficulty code:", error);
+    });
+  };
+  
+  return (
+    // The card around the builder selects the custom difficulty itself
+    <div className="custom-difficulty-builder" onClick={(e) => e.stopPropagation()}>
+      <div className="custom-difficulty-score">
+        <span>Difficulty score <strong>{score.toFixed(2)}</strong></span>
+        <span>Rewards ×{settings.rewardMultiplier}</span>
+        <span>{settings.baseDifficulty.charAt(0).toUpperCase() + settings.baseDifficulty.slice(1)} AI tactics</span>
+      </div>
+      
+      <div className="custom-difficulty-knobs">
+        {CUSTOM_DIFFICULTY_KNOBS.map(knob => {
+          const value = getCustomKnob(customDifficulty, knob.key);
+          
+          return (
+            <label key={knob.key} className="custom-difficulty-knob">
+              <span className="custom-difficulty-knob-label">{knob.label}</span>
+              <input
+                type="range"
+                min={knob.min}
+                max={knob.max}
+                step={knob.step}
+                value={value}
+                onChange={(e) => handleKnobChange(knob, e.target.value)}
+              />
+              <span className="custom-difficulty-knob-value">{formatKnob(knob, value)}</span>
+            </label>
+          );
+        })}
+      </div>
+      
+      <div className="custom-difficulty-presets">
+        <div className="custom-difficulty-row">
+          <input
+            type="text"
+            placeholder="Preset name"
+            maxLength={MAX_PRESET_NAME_LENGTH}
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+          />
+          <button onClick={() => onSavePreset(presetName, customDifficulty)}>💾 Save</button>
+        </div>
+        
+        {presets.length > 0 && (
+          <ul className="custom-difficulty-preset-list">
+            {presets.map(preset => (
+              <li key={preset.name}>
+                <button
+                  className="custom-difficulty-preset"
+                  title={describeCustomDifficulty(preset.settings)}
+                  onClick={() => handleLoadPreset(preset)}
+                >
+                  {preset.name}
+                </button>
+                <button
+                  className="custom-difficulty-preset-delete"
+                  title="Delete preset"
+                  onClick={() => onDeletePreset(preset.name)}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        
+        <div className="custom-difficulty-row">
+          <input type="text" readOnly value={shareCode} onFocus={(e) => e.target.select()} />
+          <button onClick={handleCopyCode}>📋 Copy Code</button>
+        </div>
+        
+        <div className="custom-difficulty-row">
+          <input
+            type="text"
+            placeholder="Paste a share code"
+            value={importCode}
+            onChange={(e) => setImportCode(e.target.value)}
+          />
+          <button onClick={handleImport} disabled={!importCode.trim()}>📥 Import</button>
+        </div>
+        {importError && <p className="custom-difficulty-error">{importError}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default CustomDifficultyBuilder;
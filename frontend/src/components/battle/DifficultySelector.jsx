@@ -1,11 +1,49 @@
 // src/components/battle/DifficultySelector.jsx
-import React, { useState } from 'react';
-import { getDifficultyTips } from '../../utils/difficultySettings';
+import React, { useState, useMemo } from 'react';
+import { getDifficultyTips, getAdaptiveDifficultySettings, ADAPTIVE_DIFFICULTY, CUSTOM_DIFFICULTY } from '../../utils/difficultySettings';
+import { describeAdaptiveRating, STARTING_RATING } from '../../utils/adaptiveDifficulty';
+import { CAMPAIGN_MODE, getNextCampaignEncounter, getCampaignStarTotals } from '../../utils/campaign';
+import { DAILY_MODE, getDailyChallenge, describeDailyChallenge, getDailyAttempt } from '../../utils/dailyChallenge';
+import { GAUNTLET_MODE, describeGauntletWave } from '../../utils/gauntlet';
+import { createCustomDifficulty, describeCustomDifficulty } from '../../utils/customDifficulty';
+import { MIRROR_MODE, MIRROR_AI_LEVELS, DEFAULT_MIRROR_LEVEL } from '../../utils/mirrorMatch';
+import { DRAFT_MODE, DRAFT_ROUNDS, DRAFT_PACK_SIZE } from '../../utils/draftMode';
+import CampaignMap from './CampaignMap';
+import CustomDifficultyBuilder from './CustomDifficultyBuilder';
 
-const DifficultySelector = ({ onSelectDifficulty, onStartBattle, onClose, creatureCount, difficulty: currentDifficulty }) => {
+const DifficultySelector = ({ onSelectDifficulty, onStartBattle, onOpenReplays, onClose, creatureCount, difficulty: currentDifficulty, adaptiveProfile, campaignProgress, campaignEncounterId, dailyProgress, gauntletProgress, mirrorLevel: currentMirrorLevel, draftLevel: currentDraftLevel, customDifficulty: currentCustomDifficulty, customPresets, onSaveCustomPreset, onDeleteCustomPreset }) => {
   const [selectedDifficulty, setSelectedDifficulty] = useState(currentDifficulty || 'easy');
   const [showDetailedTips, setShowDetailedTips] = useState(false);
   
+  // NEW: Campaign - the encounter picked on the map, or the next one to clear
+  const [selectedEncounterId, setSelectedEncounterId] = useState(
+    () => campaignEncounterId || getNextCampaignEncounter(campaignProgress).id
+  );
+  const campaignStars = getCampaignStarTotals(campaignProgress);
+  
+  // NEW: Today's daily challenge and this account's attempt at it
+  const dailyChallenge = useMemo(() => getDailyChallenge(), []);
+  const dailyAttempt = getDailyAttempt(dailyProgress, dailyChallenge.date);
+  const dailyLocked = selectedDifficulty === DAILY_MODE && !!dailyAttempt;
+  
+  // NEW: Drafts bring their own creatures, so they can start without any NFTs
+  const noCreatures = creatureCount === 0 && selectedDifficulty !== DRAFT_MODE;
+  
+  // NEW: Adaptive difficulty - what the next adaptive battle will look like
+  const adaptiveRating = adaptiveProfile?.rating ?? STARTING_RATING;
+  const adaptiveSettings = getAdaptiveDifficultySettings(adaptiveRating);
+  const recentResults = (adaptiveProfile?.results || []).slice(0, 5);
+  
+  // NEW: Custom difficulty - the knobs being built, kept when switching cards
+  const [customDifficulty, setCustomDifficulty] = useState(() => currentCustomDifficulty || createCustomDifficulty());
+  
+  // NEW: Mirror match and draft - the AI level picked for each
+  const [aiLevels, setAILevels] = useState(() => ({
+    [MIRROR_MODE]: currentMirrorLevel || DEFAULT_MIRROR_LEVEL,
+    [DRAFT_MODE]: currentDraftLevel || DEFAULT_MIRROR_LEVEL
+  }));
+  const formatLevel = (level) => level.charAt(0).toUpperCase() + level.slice(1);
+  
   const difficulties = [
     { 
       id: 'easy', 
@@ -34,6 +72,55 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, onClose, creatu
       description: 'Ultimate test. Enemy creatures are vastly superior with flawless AI execution.',
       recommendedPower: 'Maximum power team with perfect strategy',
       enemyBonus: '+100% enemy stats'
+    },
+    { 
+      id: ADAPTIVE_DIFFICULTY, 
+      name: 'Adaptive', 
+      description: 'Scales with your results. Win quickly and the enemy gets stronger; lose and it backs off.',
+      recommendedPower: 'Any team - the challenge follows your performance',
+      enemyBonus: `Rating ${adaptiveRating.toFixed(2)} · ${describeAdaptiveRating(adaptiveRating)} · ×${adaptiveSettings.enemyStatsMultiplier} enemy stats, ${adaptiveSettings.enemyDeckSize} creatures`
+    },
+    { 
+      id: CAMPAIGN_MODE, 
+      name: 'Campaign', 
+      description: 'Handcrafted encounters across three chapters, each ending in a boss fight. Clear one to unlock the next.',
+      recommendedPower: 'Start with any team - later chapters need your best',
+      enemyBonus: `★ ${campaignStars.earned} / ${campaignStars.total} stars earned`
+    },
+    { 
+      id: DAILY_MODE, 
+      name: 'Daily Challenge', 
+      description: 'One seeded encounter shared by every player today. You get a single scored attempt - climb the daily leaderboard.',
+      recommendedPower: 'Your strongest team - there are no retries',
+      enemyBonus: `📅 ${dailyChallenge.date} · ${dailyChallenge.difficulty.charAt(0).toUpperCase() + dailyChallenge.difficulty.slice(1)} · ${dailyAttempt ? 'Attempt used' : '1 attempt left'}`
+    },
+    { 
+      id: GAUNTLET_MODE, 
+      name: 'Gauntlet', 
+      description: 'Endless waves of ever stronger enemies. Damage carries over, nothing is refilled - pick a boon after every wave and see how far you get.',
+      recommendedPower: 'A deep team - every creature you lose is gone for the run',
+      enemyBonus: `🏆 Best wave ${gauntletProgress?.bestWave || 0} · ${gauntletProgress?.runs || 0} runs · starts at ${describeGauntletWave(1)}`
+    },
+    { 
+      id: CUSTOM_DIFFICULTY, 
+      name: 'Custom', 
+      description: 'Build your own challenge - set every knob of the enemy team, save presets and share them as codes.',
+      recommendedPower: 'Whatever you build for - rewards scale with the difficulty score',
+      enemyBonus: describeCustomDifficulty(customDifficulty)
+    },
+    { 
+      id: MIRROR_MODE, 
+      name: 'Mirror Match', 
+      description: 'Fight an AI-controlled copy of the team you pick - same creatures, tools, spells and rules on both sides.',
+      recommendedPower: 'The team you want to learn - see which synergies carry it',
+      enemyBonus: `🪞 Your own team · ${formatLevel(aiLevels[MIRROR_MODE])} AI · no enemy stat bonus`
+    },
+    { 
+      id: DRAFT_MODE, 
+      name: 'Draft', 
+      description: 'No NFTs needed - draft a team pick by pick from random creature and item packs while the AI drafts against you, then battle it out.',
+      recommendedPower: 'Any collection - everyone drafts from the same packs',
+      enemyBonus: `🃏 ${DRAFT_ROUNDS.length} packs of ${DRAFT_PACK_SIZE} · ${formatLevel(aiLevels[DRAFT_MODE])} AI · no enemy stat bonus`
     }
   ];
   
@@ -43,6 +130,13 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, onClose, creatu
       case 'medium': return '#FFC107';
       case 'hard': return '#FF9800';
       case 'expert': return '#FF5722';
+      case ADAPTIVE_DIFFICULTY: return '#9C27B0';
+      case CAMPAIGN_MODE: return '#00BCD4';
+      case DAILY_MODE: return '#E91E63';
+      case GAUNTLET_MODE: return '#795548';
+      case CUSTOM_DIFFICULTY: return '#607D8B';
+      case MIRROR_MODE: return '#3F51B5';
+      case DRAFT_MODE: return '#009688';
       default: return '#4CAF50';
     }
   };
@@ -57,6 +151,20 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, onClose, creatu
         return 'linear-gradient(135deg, #FF9800 0%, #F57C00 100%)';
       case 'expert': 
         return 'linear-gradient(135deg, #FF5722 0%, #E64A19 100%)';
+      case ADAPTIVE_DIFFICULTY: 
+        return 'linear-gradient(135deg, #9C27B0 0%, #7B1FA2 100%)';
+      case CAMPAIGN_MODE: 
+        return 'linear-gradient(135deg, #00BCD4 0%, #0097A7 100%)';
+      case DAILY_MODE: 
+        return 'linear-gradient(135deg, #E91E63 0%, #C2185B 100%)';
+      case GAUNTLET_MODE: 
+        return 'linear-gradient(135deg, #795548 0%, #5D4037 100%)';
+      case CUSTOM_DIFFICULTY: 
+        return 'linear-gradient(135deg, #607D8B 0%, #455A64 100%)';
+      case MIRROR_MODE: 
+        return 'linear-gradient(135deg, #3F51B5 0%, #303F9F 100%)';
+      case DRAFT_MODE: 
+        return 'linear-gradient(135deg, #009688 0%, #00796B 100%)';
       default: 
         return 'linear-gradient(135deg, #4CAF50 0%, #45a049 100%)';
     }
@@ -64,9 +172,43 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, onClose, creatu
   
   const handleDifficultySelect = (difficultyId) => {
     setSelectedDifficulty(difficultyId);
+    
+    if (difficultyId === CAMPAIGN_MODE) {
+      onSelectDifficulty(CAMPAIGN_MODE, selectedEncounterId);
+      return;
+    }
+    
+    if (difficultyId === CUSTOM_DIFFICULTY) {
+      onSelectDifficulty(CUSTOM_DIFFICULTY, customDifficulty);
+      return;
+    }
+    
+    if (difficultyId === MIRROR_MODE || difficultyId === DRAFT_MODE) {
+      onSelectDifficulty(difficultyId, aiLevels[difficultyId]);
+      return;
+    }
+    
     onSelectDifficulty(difficultyId);
   };
   
+  const handleCustomDifficultyChange = (custom) => {
+    setSelectedDifficulty(CUSTOM_DIFFICULTY);
+    setCustomDifficulty(custom);
+    onSelectDifficulty(CUSTOM_DIFFICULTY, custom);
+  };
+  
+  const handleAILevelSelect = (mode, level) => {
+    setSelectedDifficulty(mode);
+    setAILevels(levels => ({ ...levels, [mode]: level }));
+    onSelectDifficulty(mode, level);
+  };
+  
+  const handleEncounterSelect = (encounterId) => {
+    setSelectedDifficulty(CAMPAIGN_MODE);
+    setSelectedEncounterId(encounterId);
+    onSelectDifficulty(CAMPAIGN_MODE, encounterId);
+  };
+  
   const handleStartBattle = () => {
     onStartBattle();
   };
@@ -172,6 +314,90 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, onClose, creatu
                 <strong>Recommended:</strong> {difficulty.recommendedPower}
               </p>
               
+              {/* NEW: Recent results behind the adaptive rating, newest first */}
+              {difficulty.id === ADAPTIVE_DIFFICULTY && (
+                <div style={{ marginTop: '10px', fontSize: '13px' }}>
+                  {recentResults.length === 0 ? (
+                    <span style={{ color: 'rgba(255,255,255,0.7)' }}>
+                      No battles recorded yet - your first results set the rating.
+                    </span>
+                  ) : (
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center' }}>
+                      <span style={{ color: 'rgba(255,255,255,0.7)' }}>Recent:</span>
+                      {recentResults.map(result => (
+                        <span 
+                          key={result.playedAt}
+                          title={`${result.turns} turns, ${result.creaturesLost}/${result.teamSize} creatures lost - rating ${result.ratingBefore.toFixed(2)} → ${result.rating.toFixed(2)}`}
+                          style={{
+                            padding: '2px 8px',
+                            borderRadius: '10px',
+                            background: result.outcome === 'victory' ? 'rgba(76, 175, 80, 0.3)' : 'rgba(244, 67, 54, 0.3)',
+                            border: `1px solid ${result.outcome === 'victory' ? '#4CAF50' : '#F44336'}`
+                          }}
+                        >
+                          {result.outcome === 'victory' ? 'W' : 'L'} {result.turns}t
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+              
+              {/* NEW: Chapter map, shown once the campaign is picked */}
+              {difficulty.id === CAMPAIGN_MODE && selectedDifficulty === CAMPAIGN_MODE && (
+                <CampaignMap 
+                  progress={campaignProgress}
+                  selectedEncounterId={selectedEncounterId}
+                  onSelectEncounter={handleEncounterSelect}
+                />
+              )}
+              
+              {/* NEW: Today's modifiers, and the score once the attempt is used */}
+              {difficulty.id === DAILY_MODE && selectedDifficulty === DAILY_MODE && (
+                <div className="daily-challenge-details">
+                  <ul className="daily-challenge-modifiers">
+                    {describeDailyChallenge(dailyChallenge).map(line => (
+                      <li key={line}>{line}</li>
+                    ))}
+                  </ul>
+                  {dailyAttempt && (
+                    <p className="daily-challenge-attempt">
+                      {dailyAttempt.result
+                        ? `${dailyAttempt.result.outcome === 'victory' ? 'Won' : 'Lost'} in ${dailyAttempt.result.turns} turns - score ${dailyAttempt.result.score}${dailyAttempt.rank ? ` (#${dailyAttempt.rank})` : ''}`
+                        : 'Attempt started but not finished'}
+                      {' · Come back tomorrow for a new challenge'}
+                    </p>
+                  )}
+                </div>
+              )}
+              
+              {/* NEW: Advanced panel with every knob, shown once custom is picked */}
+              {difficulty.id === CUSTOM_DIFFICULTY && selectedDifficulty === CUSTOM_DIFFICULTY && (
+                <CustomDifficultyBuilder
+                  customDifficulty={customDifficulty}
+                  presets={customPresets?.presets || []}
+                  onChange={handleCustomDifficultyChange}
+                  onSavePreset={onSaveCustomPreset}
+                  onDeletePreset={onDeleteCustomPreset}
+                />
+              )}
+              
+              {/* NEW: AI level picker, shown once the mirror match or draft is picked */}
+              {(difficulty.id === MIRROR_MODE || difficulty.id === DRAFT_MODE) && selectedDifficulty === difficulty.id && (
+                <div className="ai-level-picker" onClick={(e) => e.stopPropagation()}>
+                  <span>AI level:</span>
+                  {MIRROR_AI_LEVELS.map(level => (
+                    <button
+                      key={level}
+                      className={`ai-level ${aiLevels[difficulty.id] === level ? 'selected' : ''}`}
+                      onClick={() => handleAILevelSelect(difficulty.id, level)}
+                    >
+                      {formatLevel(level)}
+                    </button>
+                  ))}
+                </div>
+              )}
+              
               {showDetailedTips && selectedDifficulty === difficulty.id && (
                 <div style={{
                   marginTop: '15px',
@@ -221,30 +447,50 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, onClose, creatu
             borderRadius: '8px',
             color: '#fff',
             fontWeight: 'bold',
-            cursor: creatureCount === 0 ? 'not-allowed' : 'pointer',
-            opacity: creatureCount === 0 ? 0.5 : 1,
+            cursor: noCreatures || dailyLocked ? 'not-allowed' : 'pointer',
+            opacity: noCreatures || dailyLocked ? 0.5 : 1,
             transition: 'all 0.3s ease',
-            boxShadow: creatureCount === 0 ? 'none' : `0 4px 15px ${getDifficultyColor(selectedDifficulty)}40`,
+            boxShadow: noCreatures ? 'none' : `0 4px 15px ${getDifficultyColor(selectedDifficulty)}40`,
             textTransform: 'uppercase',
             letterSpacing: '1px'
           }}
-          disabled={creatureCount === 0}
+          disabled={noCreatures || dailyLocked}
           onMouseEnter={(e) => {
-            if (creatureCount > 0) {
+            if (!noCreatures) {
               e.target.style.transform = 'translateY(-2px)';
               e.target.style.boxShadow = `0 6px 20px ${getDifficultyColor(selectedDifficulty)}60`;
             }
           }}
           onMouseLeave={(e) => {
-            if (creatureCount > 0) {
+            if (!noCreatures) {
               e.target.style.transform = 'translateY(0)';
               e.target.style.boxShadow = `0 4px 15px ${getDifficultyColor(selectedDifficulty)}40`;
             }
           }}
         >
-          {creatureCount === 0 ? 'No Creatures Available' : 'Start Battle!'}
+          {noCreatures ? 'No Creatures Available' : dailyLocked ? 'Already Played Today' : 'Start Battle!'}
         </button>
         
+        {/* NEW: Saved battle replays */}
+        {onOpenReplays && (
+          <button 
+            onClick={onOpenReplays}
+            style={{
+              display: 'block',
+              margin: '15px auto 0',
+              background: 'rgba(255, 255, 255, 0.1)',
+              border: '1px solid rgba(255, 255, 255, 0.3)',
+              borderRadius: '8px',
+              color: '#fff',
+              padding: '8px 20px',
+              cursor: 'pointer',
+              fontSize: '14px'
+            }}
+          >
+            📼 Watch Replays
+          </button>
+        )}
+        
         {selectedDifficulty === 'expert' && (
           <p style={{
             marginTop: '15px',
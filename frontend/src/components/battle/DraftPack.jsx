@@ -0,0 +1,61 @@
+// src/components/battle/DraftPack.jsx - DRAFT PACK
+// The open pack of a draft with one card per option, what the AI took from
+// this pack and the last, and the AI's drafted team so far
+import React from 'react';
+import { calculateCombatRating } from '../../utils/battleCalculations';
+import { isEnemyFirstPick, describeDraftRound } from '../../utils/draftMode';
+
+const KIND_LABELS = { creature: 'Creature', tool: 'Tool', spell: 'Spell' };
+
+const DraftPack = ({ draft, onPick }) => {
+  const enemyPicks = draft.history.filter(pick => pick.side === 'enemy');
+  const enemyPickedFirst = isEnemyFirstPick(draft.round);
+  const lastEnemyPick = enemyPicks[enemyPicks.length - 1];
+  const enemyItemCount = draft.enemy.tools.length + draft.enemy.spells.length;
+  
+  return (
+    <div className="draft-pack">
+      <div className="draft-pack-header">
+        <span className="draft-pack-round">🃏 {describeDraftRound(draft)}</span>
+        <span className="draft-pack-order">
+          {enemyPickedFirst
+            ? `The AI picked first and took ${lastEnemyPick?.name}`
+            : `You pick first${lastEnemyPick ? ` - last pack the AI took ${lastEnemyPick.name}` : ''}`}
+        </span>
+      </div>
+      
+      <div className="draft-pack-options">
+        {draft.pack.map(({ kind, item }) => (
+          <button
+            key={item.id}
+            className={`draft-option ${kind} ${(item.rarity || 'common').toLowerCase()}`}
+            onClick={() => onPick(item.id)}
+          >
+            <img src={item.image_url} alt={item.species_name || item.name} />
+            <span className="draft-option-name">{item.species_name || item.name}</span>
+            {kind === 'creature' ? (
+              <span className="draft-option-details">
+                F{item.form} · {item.rarity} · ⚔️ {calculateCombatRating(item)}
+              </span>
+            ) : (
+              <span className="draft-option-details" title={item.description}>
+                {KIND_LABELS[kind]} · {item.rarity}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+      
+      <div className="draft-enemy-team">
+        <span>AI team ({draft.enemy.creatures.length} creatures, {enemyItemCount} items):</span>
+        {draft.enemy.creatures.map(creature => (
+          <span key={creature.id} className="draft-enemy-pick">
+            {creature.species_name} F{creature.form}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DraftPack;
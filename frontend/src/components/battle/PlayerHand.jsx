@@ -10,6 +10,7 @@ const PlayerHand = ({
   selectedCardId, 
   hasFieldSelection, 
   hasHandSelection,
+  hintedCardId = null, // NEW: Card the coach hint wants deployed
   className = '' // Add className prop
 }) => {
   const [isHandExpanded, setIsHandExpanded] = useState(false);
@@ -60,7 +61,7 @@ const PlayerHand = ({
             key={creature.id}
             className={`hand-card-wrapper ${
               selectedCardId === creature.id ? 'selected' : ''
-            }`}
+            } ${hintedCardId === creature.id ? 'hinted' : ''}`}
             onClick={() => handleCardClick(creature)}
             style={{ 
               zIndex: selectedCardId === creature.id ? 1002 : (index + 100),
@@ -217,6 +218,7 @@ PlayerHand.propTypes = {
   selectedCardId: PropTypes.string,
   hasFieldSelection: PropTypes.bool,
   hasHandSelection: PropTypes.bool,
+  hintedCardId: PropTypes.string,
   className: PropTypes.string
 };
 
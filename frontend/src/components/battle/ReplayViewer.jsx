@@ -0,0 +1,374 @@
+// src/components/battle/ReplayViewer.jsx - BATTLE REPLAY PLAYBACK
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import Battlefield from './Battlefield';
+import BattleHeader from './BattleHeader';
+import BattleLog from './BattleLog';
+import {
+  buildReplayFrames,
+  isReplayInSync,
+  isReplayPlayable,
+  getSavedReplays,
+  deleteReplay
+} from '../../utils/battleReplay';
+import { ENGINE_ACTIONS, MAX_ENERGY } from '../../utils/battleEngine';
+import {
+  animateAttack,
+  animateDefend,
+  animateSpell,
+  animateTool,
+  animateTurnTransition,
+  getCreatureElement,
+  ANIMATION_DURATIONS
+} from '../../utils/battleAnimations';
+
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+// Pause between steps at 1x speed
+const BASE_STEP_DELAY = 900;
+
+// Above this speed steps are shown without animations so playback keeps up
+const MAX_ANIMATED_SPEED = 2;
+
+// Actions a step stops on - phase bookkeeping and log lines are folded into them
+const KEY_ACTIONS = new Set([
+  ENGINE_ACTIONS.DEPLOY,
+  ENGINE_ACTIONS.ATTACK,
+  ENGINE_ACTIONS.USE_TOOL,
+  ENGINE_ACTIONS.USE_SPELL,
+  ENGINE_ACTIONS.DEFEND,
+  ENGINE_ACTIONS.END_TURN,
+  ENGINE_ACTIONS.SET_ACTIVE_PLAYER
+]);
+
+const isKeyFrame = (frame) => frame.action && KEY_ACTIONS.has(frame.action.type);
+
+const findNextKeyFrame = (frames, fromIndex) => {
+  for (let i = fromIndex + 1; i < frames.length; i++) {
+    if (isKeyFrame(frames[i])) return i;
+  }
+  return frames.length - 1;
+};
+
+const findPreviousKeyFrame = (frames, fromIndex) => {
+  for (let i = fromIndex - 1; i > 0; i--) {
+    if (isKeyFrame(frames[i])) return i;
+  }
+  return 0;
+};
+
+const isEnemyCreature = (state, creatureId) => state.enemyField.some(c => c.id === creatureId);
+
+// Play the animation for a frame's action on the cards currently on screen.
+// `before` is the state being shown, `after` the state the action produced.
+const animateReplayAction = (action, before, after, onComplete) => {
+  // Guarantee the callback even if an animation never reports back
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    onComplete();
+  };
+  setTimeout(finish, ANIMATION_DURATIONS.ATTACK_CRITICAL + ANIMATION_DURATIONS.SPELL);
+
+  try {
+    switch (action.type) {
+      case ENGINE_ACTIONS.ATTACK: {
+        const attack = after.lastAttack;
+        if (!attack) return finish();
+
+        const attackerIsEnemy = isEnemyCreature(before, attack.attackerId);
+        animateAttack(
+          getCreatureElement(attack.attackerId, attackerIsEnemy),
+          getCreatureElement(attack.targetId, !attackerIsEnemy),
+          attack.attackType,
+          attack.isCritical,
+          attack.damage,
+          attack.isBlocked,
+          attack.damageType,
+          finish
+        );
+        return;
+      }
+
+      case ENGINE_ACTIONS.USE_SPELL: {
+        const cast = after.lastSpellCast;
+        if (!cast) return finish();
+
+        animateSpell(
+          getCreatureElement(cast.casterId, isEnemyCreature(before, cast.casterId)),
+          getCreatureElement(cast.targetId, isEnemyCreature(before, cast.targetId)),
+          cast.spell,
+          cast.damage,
+          finish
+        );
+        return;
+      }
+
+      case ENGINE_ACTIONS.USE_TOOL: {
+        const toolUse = after.lastToolUse;
+        if (!toolUse) return finish();
+
+        const targetElement = getCreatureElement(toolUse.targetId, isEnemyCreature(before, toolUse.targetId));
+        animateTool(targetElement, targetElement, toolUse.tool, finish);
+        return;
+      }
+
+      case ENGINE_ACTIONS.DEFEND: {
+        const defend = after.lastDefend;
+        if (!defend) return finish();
+
+        animateDefend(getCreatureElement(defend.defenderId, isEnemyCreature(before, defend.defenderId)), finish);
+        return;
+      }
+
+      case ENGINE_ACTIONS.SET_ACTIVE_PLAYER:
+        animateTurnTransition(after.activePlayer, after.turn);
+        setTimeout(finish, ANIMATION_DURATIONS.TURN_TRANSITION);
+        return;
+
+      default:
+        finish();
+    }
+  } catch (error) {
+    console.error("Error animating replay action:", error);
+    finish();
+  }
+};
+
+const formatReplayDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+const capitalize = (text) => text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+
+// Saved replays, newest first
+const ReplayList = ({ onSelect, onClose }) => {
+  const [replays, setReplays] = useState(() => getSavedReplays());
+
+  return (
+    <div className="replay-list">
+      <div className="replay-list-header">
+        <h2>Battle Replays</h2>
+        <button className="close-btn" onClick={onClose}>Back</button>
+      </div>
+
+      {replays.length === 0 ? (
+        <p className="replay-list-empty">No replays yet. Finished battles are saved here automatically.</p>
+      ) : (
+        replays.map(replay => (
+          <div key={replay.id} className={`replay-list-item ${replay.result.outcome}${isReplayPlayable(replay) ? '' : ' outdated'}`}>
+            <div className="replay-list-info">
+              <span className="replay-outcome">{replay.result.outcome === 'victory' ? 'Victory' : 'Defeat'}</span>
+              <span>{capitalize(replay.difficulty)} - {replay.result.turns} turns</span>
+              <span className="replay-date">{formatReplayDate(replay.recordedAt)}</span>
+              {!isReplayPlayable(replay) && (
+                <span className="replay-outdated">Recorded under older battle rules - it can no longer be played back</span>
+              )}
+            </div>
+            <div className="replay-list-actions">
+              <button className="play-again-btn" onClick={() => onSelect(replay)} disabled={!isReplayPlayable(replay)}>Watch</button>
+              <button className="close-btn" onClick={() => setReplays(deleteReplay(replay.id))}>Delete</button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+const ReplayViewer = ({ replay: initialReplay, onClose }) => {
+  const [replay, setReplay] = useState(initialReplay);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [isAnimating, setIsAnimating] = useState(false);
+
+  const isMountedRef = useRef(true);
+  const isDesktop = window.innerWidth >= 769;
+
+  // Rebuild every state up front so stepping back is instant
+  const frames = useMemo(() => (replay ? buildReplayFrames(replay) : []), [replay]);
+  const inSync = useMemo(() => (replay ? isReplayInSync(replay, frames) : true), [replay, frames]);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  // Start from the top whenever a different replay is loaded
+  useEffect(() => {
+    setFrameIndex(0);
+    setIsPlaying(false);
+    setIsAnimating(false);
+  }, [replay]);
+
+  const lastFrameIndex = frames.length - 1;
+  const atEnd = frameIndex >= lastFrameIndex;
+
+  // PLAYBACK LOOP
+  useEffect(() => {
+    if (!isPlaying || isAnimating || frames.length === 0) {
+      return;
+    }
+
+    if (atEnd) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const timeoutId = setTimeout(() => {
+      const targetIndex = findNextKeyFrame(frames, frameIndex);
+      const target = frames[targetIndex];
+
+      if (speed > MAX_ANIMATED_SPEED || !target.action) {
+        setFrameIndex(targetIndex);
+        return;
+      }
+
+      // Animate on the cards currently shown, then commit the new state
+      setIsAnimating(true);
+      animateReplayAction(target.action, frames[frameIndex].state, target.state, () => {
+        if (!isMountedRef.current) return;
+        setIsAnimating(false);
+        setFrameIndex(targetIndex);
+      });
+    }, BASE_STEP_DELAY / speed);
+
+    return () => clearTimeout(timeoutId);
+  }, [isPlaying, isAnimating, frameIndex, frames, speed, atEnd]);
+
+  // CONTROLS
+  const handlePlayPause = useCallback(() => {
+    if (atEnd) {
+      setFrameIndex(0);
+    }
+    setIsPlaying(playing => !playing);
+  }, [atEnd]);
+
+  const handleStepForward = useCallback(() => {
+    setIsPlaying(false);
+    setFrameIndex(index => findNextKeyFrame(frames, index));
+  }, [frames]);
+
+  const handleStepBack = useCallback(() => {
+    setIsPlaying(false);
+    setFrameIndex(index => findPreviousKeyFrame(frames, index));
+  }, [frames]);
+
+  const handleSeek = useCallback((event) => {
+    setIsPlaying(false);
+    setFrameIndex(parseInt(event.target.value, 10) || 0);
+  }, []);
+
+  const handleBackToList = useCallback(() => {
+    setIsPlaying(false);
+    setReplay(null);
+  }, []);
+
+  if (!replay) {
+    return <ReplayList onSelect={setReplay} onClose={onClose} />;
+  }
+
+  if (frames.length === 0) {
+    return (
+      <div className="replay-list">
+        <p className="replay-list-empty">This replay could not be loaded.</p>
+        <button className="close-btn" onClick={handleBackToList}>Back</button>
+      </div>
+    );
+  }
+
+  const { state } = frames[frameIndex];
+  const noop = () => {};
+
+  return (
+    <div className="replay-viewer">
+      <BattleHeader
+        turn={state.turn}
+        playerEnergy={state.playerEnergy}
+        enemyEnergy={state.enemyEnergy}
+        difficulty={replay.difficulty}
+        activePlayer={state.activePlayer}
+        maxEnergy={MAX_ENERGY}
+        consecutiveActions={state.consecutiveActions}
+        energyMomentum={state.energyMomentum}
+        playerActiveSynergies={state.activeSynergies}
+        enemyActiveSynergies={state.enemyActiveSynergies || []}
+        energyMomentumDetails={state.energyMomentumDetails}
+      />
+
+      <div className="replay-controls">
+        <button onClick={handleStepBack} disabled={frameIndex === 0 || isAnimating} title="Step back">⏮</button>
+        <button onClick={handlePlayPause} disabled={isAnimating && !isPlaying} title={isPlaying ? 'Pause' : 'Play'}>
+          {isPlaying ? '⏸' : '▶'}
+        </button>
+        <button onClick={handleStepForward} disabled={atEnd || isAnimating} title="Step forward">⏭</button>
+
+        <input
+          type="range"
+          className="replay-scrubber"
+          min={0}
+          max={lastFrameIndex}
+          value={frameIndex}
+          onChange={handleSeek}
+          disabled={isAnimating}
+        />
+
+        <div className="replay-speeds">
+          {PLAYBACK_SPEEDS.map(option => (
+            <button
+              key={option}
+              className={option === speed ? 'active' : ''}
+              onClick={() => setSpeed(option)}
+            >
+              {option}x
+            </button>
+          ))}
+        </div>
+
+        <span className="replay-progress">
+          Turn {state.turn} - {frameIndex}/{lastFrameIndex}
+        </span>
+
+        <button onClick={handleBackToList}>Replays</button>
+        <button onClick={onClose}>Exit</button>
+      </div>
+
+      {!inSync && (
+        <div className="replay-warning">
+          ⚠️ This replay was recorded with different battle rules - playback may not match the original battle.
+        </div>
+      )}
+
+      <div className="battle-content-wrapper">
+        <div className="battle-main-area">
+          <div className="battlefield-container">
+            <Battlefield
+              playerField={state.playerField}
+              enemyField={state.enemyField}
+              activePlayer={state.activePlayer}
+              difficulty={replay.difficulty}
+              onCreatureSelect={noop}
+              selectedCreature={null}
+              targetCreature={null}
+              isDesktop={isDesktop}
+              battleLog={state.battleLog}
+              availableActions={[]}
+              onAction={noop}
+              disabled={true}
+              availableTools={state.playerTools}
+              availableSpells={state.playerSpells}
+              playerEnergy={state.playerEnergy}
+            />
+          </div>
+        </div>
+
+        {!isDesktop && (
+          <BattleLog log={state.battleLog} className="mobile" />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
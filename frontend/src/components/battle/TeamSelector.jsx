@@ -2,6 +2,10 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { checkFieldSynergies, calculateTeamRating, calculateCombatRating } from '../../utils/battleCalculations';
 import { calculateDifficultyRating } from '../../utils/difficultySettings';
+import { getEnemyArchetype } from '../../utils/enemyArchetypes';
+import { getPersonality } from '../../utils/aiPersonalities';
+import { isDraftComplete } from '../../utils/draftMode';
+import DraftPack from './DraftPack';
 import './TeamSelector.css';
 
 const TeamSelector = ({ 
@@ -9,6 +13,9 @@ const TeamSelector = ({
   availableTools, 
   availableSpells, 
   difficulty,
+  enemyArchetype, // NEW: Archetype id of the generated enemy team, if any
+  draft, // NEW: Draft in progress - the available creatures and items are its picks so far
+  onDraftPick,
   onConfirmTeam,
   onBack 
 }) => {
@@ -145,8 +152,15 @@ const TeamSelector = ({
     return synergy.icon || '🔗';
   };
   
+  // NEW: The battle can't start until every draft pack has been picked
+  const drafting = !!draft && !isDraftComplete(draft);
+  
   // Check if can start battle
-  const canStartBattle = selectedCreatures.length >= MIN_CREATURES;
+  const canStartBattle = selectedCreatures.length >= MIN_CREATURES && !drafting;
+  
+  // NEW: Who the enemy team is built around, and how it plays
+  const archetype = getEnemyArchetype(enemyArchetype);
+  const archetypePersonality = archetype ? getPersonality(archetype.personality) : null;
   
   return (
     <div className="team-selector">
@@ -154,16 +168,31 @@ const TeamSelector = ({
         <button onClick={onBack} className="back-button">
           ← Back
         </button>
-        <h2>Prepare Your Battle Team</h2>
+        <h2>{draft ? 'Draft Your Battle Team' : 'Prepare Your Battle Team'}</h2>
         <div className="difficulty-badge" data-difficulty={difficulty}>
           {difficulty.charAt(0).toUpperCase() + difficulty.slice(1)} Difficulty
         </div>
       </div>
       
+      {archetype && (
+        <div className="enemy-archetype-banner">
+          <span className="enemy-archetype-icon">{archetype.icon}</span>
+          <div>
+            <span className="enemy-archetype-name">Enemy team: {archetype.name}</span>
+            <p className="enemy-archetype-description">
+              {archetype.description} · built for {archetype.synergy}
+              {archetypePersonality && ` · plays like a ${archetypePersonality.name}`}
+            </p>
+          </div>
+        </div>
+      )}
+      
+      {drafting && <DraftPack draft={draft} onPick={onDraftPick} />}
+      
       <div className="team-selector-content">
         {/* Left Panel - Available Creatures */}
         <div className="available-panel">
-          <h3>Available Creatures ({availableCreatures.length})</h3>
+          <h3>{draft ? 'Drafted' : 'Available'} Creatures ({availableCreatures.length})</h3>
           <div className="creature-grid">
             {sortedCreatures.map(creature => {
               const isSelected = selectedCreatures.some(c => c.id === creature.id);
@@ -371,6 +400,8 @@ const TeamSelector = ({
           >
             {canStartBattle 
               ? `Start Battle with ${selectedCreatures.length} Creatures` 
+              : drafting
+              ? 'Finish the draft to start the battle'
               : `Select at least ${MIN_CREATURES} creatures`
             }
           </button>
@@ -1,8 +1,22 @@
 // src/components/battle/ToolSpellModal.jsx - ENHANCED VERSION WITH DETAILED STATS
 import React, { useState, useEffect } from 'react';
-import { getToolEffect, getSpellEffect } from '../../utils/itemEffects';
+import { getToolEffect, getSpellEffect, getEffectIcon, getTypeIcon, describeSpellTargeting, getItemUsageTip } from '../../utils/itemEffects';
+import { getSpellHitWeights, forecastTool, forecastSpell } from '../../utils/battleCore';
 
-const ToolSpellModal = ({ items, type, onSelect, onClose, showTabs = false, casterStats = null }) => {
+const ToolSpellModal = ({
+  items,
+  type,
+  onSelect,
+  onClose,
+  showTabs = false,
+  casterStats = null,
+  selectedCreature = null,
+  targetCreature = null,
+  allyField = [],
+  enemyField = [],
+  difficulty = 'medium',
+  recommendedItemId = null // NEW: Item suggested by the coach hint
+}) => {
   // State to track active tab when in combined special mode
   const [activeTab, setActiveTab] = useState(type || 'tool');
   
@@ -98,30 +112,6 @@ const ToolSpellModal = ({ items, type, onSelect, onClose, showTabs = false, cast
     });
   };
   
-  // Get effect icon based on effect type
-  const getEffectIcon = (effectName) => {
-    const icons = {
-      'Surge': '⚡',
-      'Shield': '🛡️',
-      'Echo': '🔊',
-      'Drain': '🩸',
-      'Charge': '🔋'
-    };
-    return icons[effectName] || '✨';
-  };
-  
-  // Get type icon based on stat type
-  const getTypeIcon = (typeName) => {
-    const icons = {
-      'energy': '⚡',
-      'strength': '💪',
-      'magic': '✨',
-      'stamina': '❤️',
-      'speed': '💨'
-    };
-    return icons[typeName] || '⭐';
-  };
-  
   // Get enhanced description with exact mechanics
   const getEnhancedDescription = (item, itemType, detailedStats) => {
     const { effect, type, effectName } = detailedStats;
@@ -196,19 +186,16 @@ const ToolSpellModal = ({ items, type, onSelect, onClose, showTabs = false, cast
             descriptions.push(`Self Heal: ${Math.round(10 * (1 + magicPower * 0.15))}`);
             descriptions.push('Drains -3 Physical/Magical Attack from target');
           } else if (type === 'magic') {
-            descriptions.push('Shardstorm - Charges up for massive area damage');
-            descriptions.push('Requires 1 turn to charge');
-            descriptions.push(`Charged Damage: ${Math.round(35 * (1 + magicPower * 0.15))}`);
-            descriptions.push('20% chance to stun on impact');
+            descriptions.push('Nova - Washes over the whole enemy field');
+            descriptions.push(`Base Damage: ${Math.round(24 * (1 + magicPower * 0.15))}`);
           } else if (type === 'stamina') {
             descriptions.push('Cerberus Chain - Powerful defensive enhancement');
             descriptions.push(`Instant Heal: ${Math.round(15 * (1 + magicPower * 0.15))}`);
             descriptions.push('Grants +8 Physical/Magical Defense, +15 Max Health');
             descriptions.push('15% damage reduction for 3 turns');
           } else if (type === 'speed') {
-            descriptions.push('Engine Overclock - Boosts speed and regeneration');
-            descriptions.push('Grants +5 Initiative, +3 Dodge/Critical Chance');
-            descriptions.push(`Regeneration: +3 HP per turn`);
+            descriptions.push('Scatter Bolt - Strikes random enemies in quick succession');
+            descriptions.push(`Base Damage: ${Math.round(20 * (1 + magicPower * 0.15))}`);
           }
           break;
           
@@ -259,6 +246,74 @@ const ToolSpellModal = ({ items, type, onSelect, onClose, showTabs = false, cast
     return descriptions;
   };
   
+  // NEW: Who a multi-target spell will hit from the current selection
+  const getTargetingPreview = (spell) => {
+    const targeting = describeSpellTargeting(spell);
+    if (targeting.pattern === 'single' || !selectedCreature) return null;
+    
+    const hitNames = targeting.pattern === 'random_enemies'
+      ? [`${Math.min(targeting.count, enemyField.length)} of ${enemyField.length} enemies at random`]
+      : getSpellHitWeights(spell, selectedCreature, targetCreature, { allies: allyField, enemies: enemyField })
+          .map(({ creature, multiplier }) => 
+            `${creature.species_name}${multiplier < 1 ? ` (${Math.round(multiplier * 100)}%)` : ''}`
+          );
+    
+    return {
+      ...targeting,
+      hitNames,
+      needsPick: targeting.needsTarget && !enemyField.some(c => c.id === targetCreature?.id)
+    };
+  };
+  
+  // NEW: Forecast - exact numbers for the selected creature, scaled by effect power
+  const describeConditionChance = ({ name, chance }) =>
+    chance < 1 ? `${Math.round(chance * 100)}% chance of ${name}` : name;
+  
+  const getForecastLines = (item) => {
+    if (!selectedCreature) return [];
+    
+    if (type === 'tool') {
+      const forecast = forecastTool(selectedCreature, item, difficulty);
+      if (!forecast) return [];
+      
+      return [
+        forecast.healing > 0 && { text: `Heals ${forecast.healing} HP`, tone: 'heal' },
+        forecast.healthOverTime !== 0 && {
+          text: `${forecast.healthOverTime > 0 ? '+' : ''}${forecast.healthOverTime} HP per turn for ${forecast.duration} turn${forecast.duration > 1 ? 's' : ''}`
+        },
+        ...(formatStatChanges(forecast.statChanges) || []).map(stat => ({ text: `${stat.name} ${stat.value}` })),
+        forecast.cleanses.length > 0 && { text: `Cleanses ${forecast.cleanses.join(', ')}`, tone: 'heal' },
+        forecast.conditions.length > 0 && { text: `Applies ${forecast.conditions.map(describeConditionChance).join(', ')}` }
+      ].filter(Boolean);
+    }
+    
+    const forecast = forecastSpell(
+      selectedCreature,
+      targetCreature,
+      item,
+      { allies: allyField, enemies: enemyField },
+      difficulty
+    );
+    if (!forecast) return [];
+    if (forecast.blocked) return [{ text: forecast.blocked, tone: 'blocked' }];
+    
+    const hitLines = forecast.hits.flatMap(hit => [
+      hit.damage > 0 && {
+        text: `${hit.creature.species_name}: ${forecast.isRandom ? '~' : ''}${hit.damage} damage (crit ${hit.critDamage})` +
+          (hit.isLethal ? ' ☠️ lethal' : hit.canBeLethal ? ' 💥 lethal on crit' : ''),
+        tone: hit.isLethal || hit.canBeLethal ? 'lethal' : null
+      },
+      hit.healing > 0 && { text: `${hit.creature.species_name}: +${hit.healing} HP`, tone: 'heal' }
+    ]);
+    
+    return [
+      ...hitLines,
+      forecast.selfHeal > 0 && { text: `${selectedCreature.species_name} drains ${forecast.selfHeal} HP`, tone: 'heal' },
+      forecast.critChance > 0 && { text: `Critical chance: ${forecast.critChance}%` },
+      forecast.conditions.length > 0 && { text: `Applies ${forecast.conditions.map(describeConditionChance).join(', ')}` }
+    ].filter(Boolean);
+  };
+  
   // If using the special mode with tabs, filter items by active tab
   let displayedItems = items;
   
@@ -277,13 +332,19 @@ const ToolSpellModal = ({ items, type, onSelect, onClose, showTabs = false, cast
               const detailedStats = getDetailedItemStats(item, type);
               const statChanges = formatStatChanges(detailedStats.effect.statChanges);
               const descriptions = getEnhancedDescription(item, type, detailedStats);
+              const targeting = type === 'spell' ? getTargetingPreview(item) : null;
+              const forecastLines = getForecastLines(item);
+              const usageTip = getItemUsageTip(item);
+              const isRecommended = item.id === recommendedItemId;
               
               return (
                 <div 
                   key={item.id}
-                  className="item-card enhanced"
+                  className={`item-card enhanced ${isRecommended ? 'recommended' : ''}`}
                   onClick={() => handleItemSelect(item)}
                 >
+                  {isRecommended && <div className="recommended-badge">💡 Recommended</div>}
+                  
                   <div className="item-header">
                     <img 
                       src={item.image_url || `/assets/${type}_default.png`}
@@ -294,7 +355,7 @@ const ToolSpellModal = ({ items, type, onSelect, onClose, showTabs = false, cast
                       <div className="item-name">{item.name}</div>
                       <div className="item-type-effect">
                         <span className="type-icon">{getTypeIcon(item[`${type}_type`])}</span>
-                        <span className="effect-icon">{getEffectIcon(item[`${type}_effect`])}</span>
+                        <span className="effect-icon">{getEffectIcon(item[`${type}_effect`], type)}</span>
                       </div>
                     </div>
                   </div>
@@ -333,8 +394,40 @@ const ToolSpellModal = ({ items, type, onSelect, onClose, showTabs = false, cast
                           {desc}
                         </div>
                       ))}
+                      {usageTip && (
+                        <div className="description-line item-usage-tip">💡 {usageTip}</div>
+                      )}
                     </div>
                     
+                    {/* Forecast for the selected creature */}
+                    {forecastLines.length > 0 && (
+                      <div className="item-forecast">
+                        <div className="item-forecast-header">Forecast for {selectedCreature.species_name}:</div>
+                        {forecastLines.map((line, index) => (
+                          <div key={index} className={`description-line ${line.tone || ''}`}>
+                            {line.text}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    
+                    {/* Targeting for multi-target spells */}
+                    {targeting && (
+                      <div className={`spell-targeting ${targeting.pattern}`}>
+                        <div className="spell-targeting-header">
+                          <span className="targeting-icon">{targeting.icon}</span>
+                          <span className="targeting-label">{targeting.label}</span>
+                        </div>
+                        <div className="description-line">{targeting.description}</div>
+                        {targeting.hitNames.length > 0 && (
+                          <div className="spell-targeting-hits">Hits: {targeting.hitNames.join(', ')}</div>
+                        )}
+                        {targeting.needsPick && (
+                          <div className="spell-targeting-hint">Select an enemy first to choose where it lands</div>
+                        )}
+                      </div>
+                    )}
+                    
                     {/* Energy Cost for Spells */}
                     {type === 'spell' && (
                       <div className="energy-cost">
@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { getDailyChallenge, getDailyChallengeDate, describeDailyChallenge } from '../../utils/dailyChallenge';
+import './PvPLeaderboard.css';
+import './DailyLeaderboard.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DailyLeaderboard = () => {
+  const [entries, setEntries] = useState([]);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [myRank, setMyRank] = useState(null);
+  const [dayOffset, setDayOffset] = useState(0); // 0 today, 1 yesterday
+  
+  const date = getDailyChallengeDate(new Date(Date.now() - dayOffset * DAY_MS));
+  const challenge = useMemo(() => getDailyChallenge(date), [date]);
+  
+  useEffect(() => {
+    fetchLeaderboard();
+  }, [currentPage, date]);
+  
+  const fetchLeaderboard = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/daily/leaderboard?date=${date}&page=${currentPage}&perPage=20`);
+      const data = await response.json();
+      
+      if (response.ok) {
+        setEntries(data.entries || []);
+        setTotalPages(data.totalPages || 1);
+        
+        // Check if current user is in the list
+        const myUserId = parseInt(sessionStorage.getItem('userId'));
+        const myEntry = (data.entries || []).find(e => e.user_id === myUserId);
+        setMyRank(myEntry ? myEntry.rank : null);
+      }
+    } catch (error) {
+      console.error('Error fetching daily leaderboard:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const handleDayChange = (offset) => {
+    setDayOffset(offset);
+    setCurrentPage(1);
+  };
+  
+  const getRankDisplay = (rank) => {
+    switch (rank) {
+      case 1: return { icon: '🥇', class: 'gold' };
+      case 2: return { icon: '🥈', class: 'silver' };
+      case 3: return { icon: '🥉', class: 'bronze' };
+      default: return { icon: `#${rank}`, class: '' };
+    }
+  };
+  
+  if (loading) {
+    return (
+      <div className="pvp-leaderboard-loading">
+        <div className="loading-spinner"></div>
+        <p>Loading daily leaderboard...</p>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="pvp-leaderboard-container">
+      <div className="pvp-leaderboard-header">
+        <h3>Daily Challenge</h3>
+        <div className="pvp-leaderboard-filters">
+          <button
+            className={`pvp-filter-button ${dayOffset === 0 ? 'active' : ''}`}
+            onClick={() => handleDayChange(0)}
+          >
+            Today
+          </button>
+          <button
+            className={`pvp-filter-button ${dayOffset === 1 ? 'active' : ''}`}
+            onClick={() => handleDayChange(1)}
+          >
+            Yesterday
+          </button>
+        </div>
+      </div>
+      
+      <div className="daily-leaderboard-challenge">
+        <span className="daily-leaderboard-date">
+          📅 {date} · {challenge.difficulty.charAt(0).toUpperCase() + challenge.difficulty.slice(1)}
+        </span>
+        {describeDailyChallenge(challenge).map(line => (
+          <span key={line} className="daily-leaderboard-modifier">{line}</span>
+        ))}
+      </div>
+      
+      {myRank && (
+        <div className="pvp-my-rank-banner">
+          <p>Your Rank: <strong>#{myRank}</strong></p>
+        </div>
+      )}
+      
+      <div className="pvp-leaderboard-table">
+        <div className="pvp-leaderboard-row header">
+          <div className="pvp-rank-column">Rank</div>
+          <div className="pvp-player-column">Player</div>
+          <div className="pvp-rating-column">Score</div>
+          <div className="pvp-stats-column">Turns</div>
+          <div className="pvp-winrate-column">HP Left</div>
+        </div>
+        
+        {entries.length === 0 && (
+          <div className="daily-leaderboard-empty">No scores yet - be the first to take on this challenge!</div>
+        )}
+        
+        {entries.map((entry) => {
+          const rankDisplay = getRankDisplay(entry.rank);
+          const healthPercent = entry.max_health > 0 ? Math.round((entry.remaining_health / entry.max_health) * 100) : 0;
+          const isCurrentUser = entry.user_id === parseInt(sessionStorage.getItem('userId'));
+          
+          return (
+            <div
+              key={entry.user_id}
+              className={`pvp-leaderboard-row ${rankDisplay.class} ${isCurrentUser ? 'current-user' : ''}`}
+            >
+              <div className="pvp-rank-column">
+                <span className="pvp-rank-icon">{rankDisplay.icon}</span>
+              </div>
+              <div className="pvp-player-column">
+                <span className="pvp-player-name">{entry.first_name}</span>
+                <span
+                  className="daily-leaderboard-team"
+                  title={(entry.team || []).map(c => `${c.species_name} (Form ${c.form}, ${c.rarity})`).join('\n')}
+                >
+                  {entry.outcome === 'victory' ? '🏆' : '💀'} {(entry.team || []).map(c => c.species_name).join(', ')}
+                </span>
+              </div>
+              <div className="pvp-rating-column">
+                <span className="pvp-rating-value">{entry.score}</span>
+              </div>
+              <div className="pvp-stats-column">
+                <span>{entry.turns}</span>
+              </div>
+              <div className="pvp-winrate-column">
+                <div className="pvp-winrate-bar">
+                  <div
+                    className="pvp-winrate-fill"
+                    style={{ width: `${healthPercent}%` }}
+                  ></div>
+                  <span className="pvp-winrate-text">{healthPercent}%</span>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      
+      {totalPages > 1 && (
+        <div className="pvp-leaderboard-pagination">
+          <button
+            className="pvp-page-button"
+            onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+            disabled={currentPage === 1}
+          >
+            Previous
+          </button>
+          <span className="pvp-page-info">
+            Page {currentPage} of {totalPages}
+          </span>
+          <button
+            className="pvp-page-button"
+            onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+            disabled={currentPage === totalPages}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DailyLeaderboard;
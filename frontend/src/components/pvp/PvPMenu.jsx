@@ -5,6 +5,7 @@ import PvPMatchmaking from './PvPMatchmaking';
 import PvPBattle from './PvPBattle';
 import PvPStats from './PvPStats';
 import PvPLeaderboard from './PvPLeaderboard';
+import DailyLeaderboard from './DailyLeaderboard';
 import CreatureSelector from './CreatureSelector';
 import './PvPMenu.css';
 
@@ -154,6 +155,9 @@ const PvPMenu = ({ onClose }) => {
       case 'leaderboard':
         return <PvPLeaderboard />;
         
+      case 'daily':
+        return <DailyLeaderboard />;
+        
       default:
         return null;
     }
@@ -187,6 +191,12 @@ const PvPMenu = ({ onClose }) => {
           >
             Leaderboard
           </button>
+          <button
+            className={`pvp-tab ${activeTab === 'daily' ? 'active' : ''}`}
+            onClick={() => setActiveTab('daily')}
+          >
+            Daily Challenge
+          </button>
         </div>
         
         <div className="pvp-menu-content">
@@ -0,0 +1,153 @@
+// src/utils/adaptiveDifficulty.js - ADAPTIVE DIFFICULTY RATING
+// Tracks how the player does in PvE battles and turns it into a rating on the
+// preset ladder (0 = easy, 1 = medium, 2 = hard, 3 = expert). Adaptive battles
+// are generated from that rating with getAdaptiveDifficultySettings. The rating
+// and the recent results are stored per account in localStorage.
+import { DIFFICULTY_LEVELS, getAdaptiveBaseDifficulty, getCustomDifficultySettings, calculateDifficultyScore } from './difficultySettings';
+
+export const ADAPTIVE_PROFILE_VERSION = 1;
+
+export const STARTING_RATING = 0;
+export const MIN_RATING = -1;
+export const MAX_RATING = 4;
+
+// How far one battle can move the rating
+const RATING_STEP = 0.25;
+// A win in this many turns or fewer counts as quick
+const PAR_TURNS = 12;
+const MAX_SAVED_RESULTS = 20;
+
+const getStorageKey = (accountAddress) => `adaptive_difficulty_${accountAddress || 'guest'}`;
+
+const clampRating = (rating) => Math.min(MAX_RATING, Math.max(MIN_RATING, rating));
+
+const createProfile = () => ({
+  version: ADAPTIVE_PROFILE_VERSION,
+  rating: STARTING_RATING,
+  results: []
+});
+
+// Ladder position of a battle - its adaptive rating, a custom difficulty's score, or the preset's index
+export const getBattleLevel = (difficulty, adaptiveRating = null, customDifficulty = null) => {
+  if (typeof adaptiveRating === 'number') return adaptiveRating;
+  if (customDifficulty) return calculateDifficultyScore(getCustomDifficultySettings(customDifficulty));
+  const index = DIFFICULTY_LEVELS.indexOf(difficulty);
+  return index >= 0 ? index : 1;
+};
+
+/**
+ * Score one battle from -1 (quick defeat) to 1 (quick win without losses).
+ * @param {Object} result - { outcome, turns, creaturesLost, teamSize }
+ * @returns {number}
+ */
+export const getPerformanceScore = ({ outcome, turns, creaturesLost, teamSize }) => {
+  const speed = Math.min(1, Math.max(0, (PAR_TURNS - turns) / PAR_TURNS));
+
+  if (outcome === 'victory') {
+    const survivors = teamSize > 0 ? 1 - Math.min(1, creaturesLost / teamSize) : 0;
+    return 0.3 + 0.4 * survivors + 0.3 * speed;
+  }
+
+  // Being swept early says more than losing a long fight
+  return -(0.6 + 0.4 * speed);
+};
+
+// Score expected from a player at `rating` in a battle at `level`: beating an
+// easier battle is expected, so it moves the rating less than an even fight
+const getExpectedScore = (rating, level) => Math.tanh(rating - level);
+
+// ===== STORAGE =====
+
+export const loadAdaptiveProfile = (accountAddress) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getStorageKey(accountAddress)) || 'null');
+    if (!saved || saved.version !== ADAPTIVE_PROFILE_VERSION || typeof saved.rating !== 'number') {
+      return createProfile();
+    }
+    return { ...saved, results: Array.isArray(saved.results) ? saved.results : [] };
+  } catch (error) {
+    console.error("Error loading adaptive difficulty profile:", error);
+    return createProfile();
+  }
+};
+
+const saveAdaptiveProfile = (accountAddress, profile) => {
+  try {
+    localStorage.setItem(getStorageKey(accountAddress), JSON.stringify(profile));
+  } catch (error) {
+    console.error("Error saving adaptive difficulty profile:", error);
+  }
+  return profile;
+};
+
+/**
+ * Record a finished PvE battle and move the rating.
+ * @param {string} accountAddress - Profile owner
+ * @param {Object} result
+ * @param {string} result.outcome - 'victory' | 'defeat'
+ * @param {number} result.turns - Turns the battle lasted
+ * @param {number} result.creaturesLost - Player creatures defeated
+ * @param {number} result.teamSize - Player creatures brought to the battle
+ * @param {string} result.difficulty - Preset the battle was played at
+ * @param {number|null} [result.adaptiveRating] - Rating of an adaptive battle
+ * @param {Object|null} [result.customDifficulty] - Knobs of a custom battle
+ * @returns {Object} - Updated profile { version, rating, results }
+ */
+export const recordAdaptiveResult = (accountAddress, result) => {
+  const profile = loadAdaptiveProfile(accountAddress);
+  const level = getBattleLevel(result.difficulty, result.adaptiveRating, result.customDifficulty);
+  const score = getPerformanceScore(result);
+  // A win never lowers the rating and a defeat never raises it
+  const surprise = score - getExpectedScore(profile.rating, level);
+  const change = result.outcome === 'victory' ? Math.max(0, surprise) : Math.min(0, surprise);
+  const rating = clampRating(profile.rating + RATING_STEP * change);
+
+  const entry = {
+    outcome: result.outcome,
+    turns: result.turns,
+    creaturesLost: result.creaturesLost,
+    teamSize: result.teamSize,
+    level: Math.round(level * 100) / 100,
+    adaptive: typeof result.adaptiveRating === 'number',
+    score: Math.round(score * 100) / 100,
+    ratingBefore: Math.round(profile.rating * 100) / 100,
+    rating: Math.round(rating * 100) / 100,
+    playedAt: Date.now()
+  };
+
+  console.log(`Adaptive rating ${profile.rating.toFixed(2)} -> ${entry.rating.toFixed(2)} (${result.outcome} in ${result.turns} turns, ${result.creaturesLost}/${result.teamSize} lost)`);
+
+  return saveAdaptiveProfile(accountAddress, {
+    ...profile,
+    rating: entry.rating,
+    results: [entry, ...profile.results].slice(0, MAX_SAVED_RESULTS)
+  });
+};
+
+// ===== DISPLAY =====
+
+const capitalize = (difficulty) => difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+
+// "Medium", "Between Medium and Hard", "Beyond Expert"
+export const describeAdaptiveRating = (rating) => {
+  const last = DIFFICULTY_LEVELS.length - 1;
+  if (rating < 0) return `Below ${capitalize(DIFFICULTY_LEVELS[0])}`;
+  if (rating > last) return `Beyond ${capitalize(DIFFICULTY_LEVELS[last])}`;
+  if (Math.abs(rating - Math.round(rating)) < 0.05) return capitalize(getAdaptiveBaseDifficulty(rating));
+
+  const lower = DIFFICULTY_LEVELS[Math.floor(rating)];
+  const upper = DIFFICULTY_LEVELS[Math.ceil(rating)];
+  return `Between ${capitalize(lower)} and ${capitalize(upper)}`;
+};
+
+export default {
+  ADAPTIVE_PROFILE_VERSION,
+  STARTING_RATING,
+  MIN_RATING,
+  MAX_RATING,
+  getBattleLevel,
+  getPerformanceScore,
+  loadAdaptiveProfile,
+  recordAdaptiveResult,
+  describeAdaptiveRating
+};
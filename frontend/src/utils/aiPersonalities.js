@@ -0,0 +1,214 @@
+// src/utils/aiPersonalities.js - AI PERSONALITY PROFILES
+// A personality is how an opponent likes to play, independent of how well it
+// plays: difficulty sets the skill knobs, the personality leans on them.
+// Personalities bias strategy selection, target priority and item usage in
+// battleAI.js. A battle stores only the personality id (state.enemyPersonality).
+import { createRng, hashSeed, random } from './random';
+
+// Strategy names the bias tables refer to (see determineAIStrategy / calculateOptimalStrategy)
+export const AI_STRATEGIES = [
+  'maximum-aggression',
+  'defensive-setup',
+  'combo-setup',
+  'synergy-focus',
+  'resource-efficiency'
+];
+
+// Health share below which the AI protects a creature, unless the personality says otherwise
+export const DEFAULT_CRITICAL_HEALTH = 0.15;
+
+// Item role weights at or below this are only used in emergencies
+export const AVOIDED_ITEM_WEIGHT = 0.5;
+
+// strategyBias: added to a strategy's score before the AI picks one
+// settingModifiers: added to the difficulty settings, clamped to 0..1
+// criticalHealth: health share below which a creature gets emergency protection (DEFAULT_CRITICAL_HEALTH)
+// targetWeights: scale the parts of calculateTargetPriority
+//   threat - raw power, finishing - low health, value - rarity / form / specialties,
+//   buffed - active effects, elimination - can be killed this turn
+// itemRoleWeights: keyed by ITEM_ROLES; above 1 is favoured, AVOIDED_ITEM_WEIGHT or less is held back
+// searchWeights: scale the lookahead search's EVALUATION_WEIGHTS (see battleSearch.js)
+export const AI_PERSONALITIES = {
+  berserker: {
+    id: 'berserker',
+    name: 'Berserker',
+    icon: '🪓',
+    color: 'rgba(244, 67, 54, 0.15)',
+    description: 'Charges in, hits as hard as it can and finishes off the wounded.',
+    strategyBias: {
+      'maximum-aggression': 60,
+      'defensive-setup': -40,
+      'resource-efficiency': -20
+    },
+    settingModifiers: {
+      aggressionLevel: 0.2,
+      focusFireChance: 0.15,
+      multiActionChance: 0.15
+    },
+    criticalHealth: 0.1,
+    targetWeights: { threat: 0.8, finishing: 1.5, value: 0.7, buffed: 1, elimination: 1.4 },
+    itemRoleWeights: { burst: 1.5, convert: 1.3, protect: 0.5, sustain: 0.8, setup: 0.5 },
+    searchWeights: { threat: 0.5, energy: 0.6, tool: 0.7, spell: 0.7 },
+    strategyMessages: {
+      'maximum-aggression': 'The Berserker roars and charges!',
+      'defensive-setup': 'The Berserker grudgingly raises its guard...',
+      'combo-setup': 'The Berserker works itself into a frenzy...',
+      'synergy-focus': 'The Berserker rallies its pack...',
+      'resource-efficiency': 'The Berserker paces, looking for an opening...'
+    }
+  },
+  turtle: {
+    id: 'turtle',
+    name: 'Turtle',
+    icon: '🐢',
+    color: 'rgba(76, 175, 80, 0.15)',
+    description: 'Shields its creatures, defends often and takes out your biggest threats first.',
+    strategyBias: {
+      'defensive-setup': 60,
+      'maximum-aggression': -30,
+      'resource-efficiency': 10
+    },
+    settingModifiers: {
+      aggressionLevel: -0.2,
+      focusFireChance: -0.1
+    },
+    criticalHealth: 0.35,
+    targetWeights: { threat: 1.5, finishing: 0.7, value: 0.9, buffed: 1.2, elimination: 1 },
+    itemRoleWeights: { protect: 1.5, sustain: 1.3, burst: 0.5, convert: 0.5, setup: 1 },
+    searchWeights: { threat: 1.5, health: 1.2 },
+    strategyMessages: {
+      'maximum-aggression': 'The Turtle finally pokes its head out to strike!',
+      'defensive-setup': 'The Turtle withdraws into its shell...',
+      'combo-setup': 'The Turtle builds its defenses layer by layer...',
+      'synergy-focus': 'The Turtle closes ranks...',
+      'resource-efficiency': 'The Turtle waits patiently...'
+    }
+  },
+  comboMage: {
+    id: 'comboMage',
+    name: 'Combo Mage',
+    icon: '🔮',
+    color: 'rgba(156, 39, 176, 0.15)',
+    description: 'Chains spells and tools into long combo turns and punishes buffed creatures.',
+    strategyBias: {
+      'combo-setup': 60,
+      'synergy-focus': 20,
+      'defensive-setup': -10
+    },
+    settingModifiers: {
+      multiActionChance: 0.2,
+      comboAwareness: 0.2
+    },
+    targetWeights: { threat: 1, finishing: 0.9, value: 1.2, buffed: 2, elimination: 1 },
+    itemRoleWeights: { setup: 1.5, burst: 1.3, convert: 1.2, protect: 0.8, sustain: 1 },
+    searchWeights: { tool: 0.5, spell: 0.5, condition: 1.5 },
+    strategyMessages: {
+      'maximum-aggression': 'The Combo Mage unleashes a torrent of magic!',
+      'defensive-setup': 'The Combo Mage weaves a protective ward...',
+      'combo-setup': 'The Combo Mage begins chanting a long incantation...',
+      'synergy-focus': 'The Combo Mage aligns its familiars...',
+      'resource-efficiency': 'The Combo Mage gathers its energy...'
+    }
+  },
+  attrition: {
+    id: 'attrition',
+    name: 'Attrition',
+    icon: '⏳',
+    color: 'rgba(121, 85, 72, 0.15)',
+    description: 'Spends energy carefully, heals over time and wears your team down.',
+    strategyBias: {
+      'resource-efficiency': 60,
+      'defensive-setup': 20,
+      'maximum-aggression': -20
+    },
+    settingModifiers: {
+      aggressionLevel: -0.1,
+      focusFireChance: 0.1,
+      multiActionChance: -0.15
+    },
+    criticalHealth: 0.25,
+    targetWeights: { threat: 1.2, finishing: 1.3, value: 1, buffed: 0.6, elimination: 1 },
+    itemRoleWeights: { sustain: 1.5, protect: 1.2, setup: 1.2, burst: 0.8, convert: 0.5 },
+    searchWeights: { energy: 1.4, condition: 1.5, threat: 1.2 },
+    strategyMessages: {
+      'maximum-aggression': 'The enemy senses weakness and presses in!',
+      'defensive-setup': 'The enemy digs in for a long fight...',
+      'combo-setup': 'The enemy bides its time...',
+      'synergy-focus': 'The enemy tightens its formation...',
+      'resource-efficiency': 'The enemy is content to wear you down...'
+    }
+  }
+};
+
+export const AI_PERSONALITY_IDS = Object.keys(AI_PERSONALITIES);
+
+// Accepts an id or a personality object; null for none or unknown ids
+export const getPersonality = (personality) => {
+  if (!personality) return null;
+  if (typeof personality === 'object') return personality;
+  return AI_PERSONALITIES[personality] || null;
+};
+
+/**
+ * Pick a personality for an AI opponent.
+ * @param {Function|number|string} [source] - rng function, or a seed to derive one from
+ * @returns {string} - Personality id
+ */
+export const pickPersonality = (source = random) => {
+  const rng = typeof source === 'function' ? source : createRng(hashSeed(`${source}:personality`));
+  return AI_PERSONALITY_IDS[Math.floor(rng() * AI_PERSONALITY_IDS.length)];
+};
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+// Difficulty settings with the personality's modifiers applied
+export const applyPersonalityToSettings = (settings, personality) => {
+  const profile = getPersonality(personality);
+  if (!profile) return settings;
+
+  const adjusted = { ...settings };
+  Object.entries(profile.settingModifiers).forEach(([key, delta]) => {
+    if (typeof adjusted[key] === 'number') {
+      adjusted[key] = clamp01(adjusted[key] + delta);
+    }
+  });
+  return adjusted;
+};
+
+export const getStrategyBias = (personality, strategyName) =>
+  getPersonality(personality)?.strategyBias[strategyName] || 0;
+
+export const getTargetWeight = (personality, factor) =>
+  getPersonality(personality)?.targetWeights[factor] ?? 1;
+
+export const getCriticalHealth = (personality) =>
+  getPersonality(personality)?.criticalHealth ?? DEFAULT_CRITICAL_HEALTH;
+
+export const getItemRoleWeight = (personality, role) =>
+  getPersonality(personality)?.itemRoleWeights[role] ?? 1;
+
+export const getStrategyMessage = (personality, strategyName) =>
+  getPersonality(personality)?.strategyMessages[strategyName] || null;
+
+// Log-ready introduction for the start of a battle
+export const describePersonality = (personality) => {
+  const profile = getPersonality(personality);
+  return profile ? `${profile.icon} Your opponent fights like a ${profile.name}: ${profile.description}` : null;
+};
+
+export default {
+  AI_STRATEGIES,
+  DEFAULT_CRITICAL_HEALTH,
+  AVOIDED_ITEM_WEIGHT,
+  AI_PERSONALITIES,
+  AI_PERSONALITY_IDS,
+  getPersonality,
+  pickPersonality,
+  applyPersonalityToSettings,
+  getStrategyBias,
+  getTargetWeight,
+  getCriticalHealth,
+  getItemRoleWeight,
+  getStrategyMessage,
+  describePersonality
+};
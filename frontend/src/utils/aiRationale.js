@@ -0,0 +1,90 @@
+// src/utils/aiRationale.js - AI DECISION RATIONALES
+// Every action the battle AI plans carries a rationale: what kind of decision
+// it was, a one-line summary and the scores that led to it. The battle log
+// shows the summary under the enemy's move, and the AI debug overlay lists the
+// scores - the numbers calculateDeploymentValue and calculateTargetPriority
+// are tuned against.
+
+// Decision kinds, keyed by rationale.kind
+export const AI_RATIONALES = {
+  emergency: { label: 'Emergency save', icon: '🚑' },
+  lethal: { label: 'Lethal', icon: '☠️' },
+  'focus-fire': { label: 'Focus fire', icon: '🎯' },
+  'best-trade': { label: 'Best trade', icon: '⚔️' },
+  'combo-setup': { label: 'Combo setup', icon: '🔗' },
+  'pre-attack-buff': { label: 'Pre-attack buff', icon: '💪' },
+  'damage-spell': { label: 'Damage spell', icon: '🔥' },
+  'spell-combo': { label: 'Spell combo', icon: '✨' },
+  'synergy-deploy': { label: 'Synergy deploy', icon: '👥' },
+  'counter-deploy': { label: 'Counter deploy', icon: '🔄' },
+  'power-deploy': { label: 'Power deploy', icon: '📥' },
+  setup: { label: 'Setup', icon: '🧩' },
+  'item-value': { label: 'Item value', icon: '🎒' },
+  lookahead: { label: 'Lookahead', icon: '🔭' },
+  'boss-script': { label: 'Boss script', icon: '👑' },
+  opportunistic: { label: 'Opportunistic', icon: '🎲' }
+};
+
+// Scores are rounded so the log and overlay stay readable
+const roundScore = (value) => typeof value === 'number' ? Math.round(value * 10) / 10 : value;
+
+const cleanScores = (scores) => Object.fromEntries(
+  Object.entries(scores)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [name, roundScore(value)])
+);
+
+/**
+ * Build a rationale for a planned action.
+ * @param {string} kind - Key of AI_RATIONALES
+ * @param {string} summary - One line, e.g. "Pikachu can finish Mew (12 HP)"
+ * @param {Object} [scores] - Named numbers (or flags) behind the decision
+ * @returns {Object} - { kind, label, icon, summary, scores, notes }
+ */
+export const createRationale = (kind, summary, scores = {}) => {
+  const definition = AI_RATIONALES[kind] || AI_RATIONALES.opportunistic;
+
+  return {
+    kind,
+    label: definition.label,
+    icon: definition.icon,
+    summary,
+    scores: cleanScores(scores),
+    notes: []
+  };
+};
+
+// Put the scores of a later decision step (the one that picked this action) in front
+export const addRationaleScores = (rationale, scores) => rationale
+  ? { ...rationale, scores: { ...cleanScores(scores), ...rationale.scores } }
+  : rationale;
+
+// Something changed the action after it was planned (a taunt redirect, a row swap)
+export const addRationaleNote = (rationale, note) => rationale
+  ? { ...rationale, notes: [...rationale.notes, note] }
+  : rationale;
+
+// "🎯 Focus fire: Pikachu can finish Mew (12 HP)"
+export const describeRationale = (rationale) => {
+  if (!rationale) return null;
+  const notes = rationale.notes.length > 0 ? ` (${rationale.notes.join('; ')})` : '';
+  return `${rationale.icon} ${rationale.label}: ${rationale.summary}${notes}`;
+};
+
+// "targetPriority 212.5 · expectedDamage 18 · canEliminate yes", the first `limit` scores
+export const formatRationaleScores = (rationale, limit = Infinity) => {
+  if (!rationale) return '';
+  return Object.entries(rationale.scores)
+    .slice(0, limit)
+    .map(([name, value]) => `${name} ${typeof value === 'boolean' ? (value ? 'yes' : 'no') : value}`)
+    .join(' · ');
+};
+
+export default {
+  AI_RATIONALES,
+  createRationale,
+  addRationaleScores,
+  addRationaleNote,
+  describeRationale,
+  formatRationaleScores
+};
@@ -0,0 +1,28 @@
+// src/utils/aiWorker.js - ENEMY AI PLANNING OFF THE MAIN THREAD
+// Receives { id, args, rngState } - args are determineAIAction's arguments
+// without the rng - and answers { id, plan, rngState }. The battle stream is
+// sent by position and handed back where the AI left it, so a plan made here
+// rolls exactly like one made on the main thread.
+// Coach hints come in as { id, type: 'hint', state } and are answered with
+// { id, hint }; here the hint planner may run its full lookahead search.
+import { determineAIAction } from './battleAI';
+import { getBattleHint } from './battleHints';
+import { createRng } from './random';
+
+self.onmessage = (event) => {
+  const { id, type, args, rngState, state } = event.data;
+
+  try {
+    if (type === 'hint') {
+      self.postMessage({ id, hint: getBattleHint(state, { lookahead: true }) });
+      return;
+    }
+
+    const rng = createRng(rngState);
+    const plan = determineAIAction(...args, rng);
+    self.postMessage({ id, plan, rngState: rng.getState() });
+  } catch (error) {
+    console.error("AI planning failed:", error);
+    self.postMessage({ id, error: error.message });
+  }
+};
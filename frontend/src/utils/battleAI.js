@@ -1,5 +1,26 @@
 // src/utils/battleAI.js - ENHANCED AI WITH SUPERIOR INTELLIGENCE
 import { getDifficultySettings } from './difficultySettings';
+import { withRandomSource, random } from './random';
+import { ITEM_ROLES, getItemDefinition } from './itemDefinitions';
+import { getItemRole, describeSpellTargeting } from './itemEffects';
+import { getSpellHitWeights } from './battleCore';
+import { canCreatureAct, getTauntingCreatures, isValidTarget, hasStatusCondition, isImmuneToStatus, getConditionDamage } from './statusConditions';
+import { ROWS, hasRowSpace, canReachTarget, getReachableTargets } from './battleFormation';
+import { getAttackType, ATTACK_ENERGY_COST, DEFEND_ENERGY_COST, SPELL_ENERGY_COST } from './battleEngine';
+import { getBossScriptStep, getCurrentBossPhase } from './bossCreatures';
+import {
+  AI_STRATEGIES,
+  AVOIDED_ITEM_WEIGHT,
+  getPersonality,
+  applyPersonalityToSettings,
+  getStrategyBias,
+  getTargetWeight,
+  getCriticalHealth,
+  getItemRoleWeight,
+  getStrategyMessage
+} from './aiPersonalities';
+import { createSearchState, searchTurn, toAIActions } from './battleSearch';
+import { createRationale, addRationaleScores, addRationaleNote } from './aiRationale';
 
 // Get max enemy field size based on difficulty
 const getMaxEnemyFieldSize = (difficulty) => {
@@ -16,14 +37,39 @@ export const determineAIAction = (
   enemyTools = [], 
   enemySpells = [], 
   enemyEnergy = 10,
-  gameState = {} // New parameter for additional context
+  gameState = {}, // New parameter for additional context (gameState.personality picks an AI personality, gameState.adaptiveRating an adaptive battle, gameState.customDifficulty a custom one)
+  rng = null // NEW: seeded random source for reproducible AI choices
+) => {
+  if (rng) {
+    return withRandomSource(rng, () => determineAIAction(
+      difficulty, enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, gameState
+    ));
+  }
+  
+  const plan = planAIAction(difficulty, enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, gameState);
+  
+  // NEW: Boss phase scripts override the plan - see applyBossScripts
+  return applyBossScripts(plan, enemyField, playerField, enemyEnergy);
+};
+
+// The AI's own plan for the turn, before any boss scripts
+const planAIAction = (
+  difficulty, 
+  enemyHand, 
+  enemyField, 
+  playerField, 
+  enemyTools, 
+  enemySpells, 
+  enemyEnergy,
+  gameState
 ) => {
   console.log(`Enhanced AI Turn - Difficulty: ${difficulty}, Energy: ${enemyEnergy}, Hand: ${enemyHand.length}, Field: ${enemyField.length}`);
   console.log(`Available items - Tools: ${enemyTools.length}, Spells: ${enemySpells.length}`);
   
-  // Get difficulty settings for advanced AI behavior
-  const difficultySettings = getDifficultySettings(difficulty);
-  const maxFieldSize = getMaxEnemyFieldSize(difficulty);
+  // Get difficulty settings for advanced AI behavior, leaned on by the personality
+  const difficultySettings = applyPersonalityToSettings(getDifficultySettings(difficulty, gameState.adaptiveRating, gameState.customDifficulty), gameState.personality);
+  // Callers planning for the player's side pass that side's field size
+  const maxFieldSize = gameState.maxFieldSize || getMaxEnemyFieldSize(difficulty);
   
   try {
     // Basic validation
@@ -43,6 +89,27 @@ export const determineAIAction = (
       return { type: 'endTurn' };
     }
     
+    // NEW: Lookahead search - difficulties with a search budget play the turn out
+    // instead of planning it greedily (gameState.lookahead === false opts out)
+    if (difficultySettings.lookaheadSearch && gameState.lookahead !== false) {
+      const searchedPlan = planLookaheadTurn(
+        difficulty,
+        enemyHand,
+        enemyField,
+        playerField,
+        enemyTools,
+        enemySpells,
+        enemyEnergy,
+        maxFieldSize,
+        difficultySettings,
+        gameState
+      );
+      
+      if (searchedPlan) {
+        return searchedPlan;
+      }
+    }
+    
     // Enhanced game state analysis
     const enhancedGameState = analyzeEnhancedGameState(
       enemyField,
@@ -100,8 +167,17 @@ export const determineAIAction = (
     );
     
     if (actionPlan && actionPlan.length > 0) {
-      // Validate and filter actions
-      const validActions = actionPlan.filter(action => validateAction(action));
+      // Validate and filter actions, honor stun, silence and taunt, then the formation rows
+      const validActions = applyFormationRestrictions(
+        applyStatusRestrictions(
+          actionPlan.filter(action => validateAction(action)),
+          enemyField,
+          playerField
+        ),
+        enemyField,
+        playerField,
+        maxFieldSize
+      );
       
       if (validActions.length === 0) {
         console.log("AI: No valid actions found, ending turn");
@@ -134,12 +210,16 @@ export const determineAIAction = (
       enhancedGameState
     );
     
-    if (!singleAction || singleAction.type === undefined) {
+    const [allowedAction] = singleAction
+      ? applyFormationRestrictions(applyStatusRestrictions([singleAction], enemyField, playerField), enemyField, playerField, maxFieldSize)
+      : [];
+    
+    if (!allowedAction || allowedAction.type === undefined) {
       console.log("AI: Fallback - ending turn");
       return { type: 'endTurn' };
     }
     
-    return singleAction;
+    return allowedAction;
     
   } catch (error) {
     console.error("AI Error:", error);
@@ -156,8 +236,15 @@ export const determineAIStrategy = (
   enemyTools,
   enemySpells,
   currentEnergy,
-  gameState
+  gameState,
+  rng = null
 ) => {
+  if (rng) {
+    return withRandomSource(rng, () => determineAIStrategy(
+      difficulty, enemyHand, enemyField, playerField, enemyTools, enemySpells, currentEnergy, gameState
+    ));
+  }
+  
   // Analyze enhanced game state
   const enhancedGameState = analyzeEnhancedGameState(
     enemyField,
@@ -170,64 +257,72 @@ export const determineAIStrategy = (
     gameState
   );
   
-  // Determine primary strategy based on game state
-  let strategy = {
-    name: 'resource-efficiency',
-    description: '',
-    stance: null
+  // Score every strategy the game state calls for - the checks run from most
+  // to least urgent and the first one wins ties - then let the personality
+  // lean on the scores. A strong enough lean picks a personality's favourite
+  // strategy even when the board doesn't call for it.
+  const personality = getPersonality(gameState?.personality);
+  const strategyScores = {
+    'maximum-aggression': enhancedGameState.shouldAttackAggressively &&
+      enhancedGameState.lethalDamageAvailable > 0 &&
+      enemyField.length >= playerField.length ? 100 : 0,
+    'defensive-setup': enhancedGameState.shouldDefendStrategically ||
+      enhancedGameState.criticalCreatures.length > 0 ? 80 : 0,
+    'combo-setup': enhancedGameState.shouldSetupCombo ||
+      enhancedGameState.comboOpportunity ? 60 : 0,
+    'synergy-focus': checkForPotentialSynergies(enemyHand, enemyField).length > 0 ? 40 : 0,
+    'resource-efficiency': 20
   };
   
-  // Maximum Aggression
-  if (enhancedGameState.shouldAttackAggressively && 
-      enhancedGameState.lethalDamageAvailable > 0 &&
-      enemyField.length >= playerField.length) {
-    strategy = {
-      name: 'maximum-aggression',
-      description: 'The enemy takes an aggressive stance!',
-      stance: 'aggressive',
-      color: 'rgba(255, 0, 0, 0.1)'
-    };
-  }
-  // Defensive Setup
-  else if (enhancedGameState.shouldDefendStrategically ||
-           enhancedGameState.criticalCreatures.length > 0) {
-    strategy = {
-      name: 'defensive-setup',
-      description: 'The enemy assumes a defensive posture...',
-      stance: 'defensive',
-      color: 'rgba(33, 150, 243, 0.1)'
-    };
-  }
-  // Combo Setup
-  else if (enhancedGameState.shouldSetupCombo ||
-           enhancedGameState.comboOpportunity) {
-    strategy = {
-      name: 'combo-setup',
-      description: 'The enemy seems to be planning something...',
-      stance: 'combo',
-      color: 'rgba(128, 0, 128, 0.1)'
-    };
-  }
-  // Synergy Focus (NEW)
-  else if (checkForPotentialSynergies(enemyHand, enemyField).length > 0) {
-    strategy = {
-      name: 'synergy-focus',
-      description: 'The enemy coordinates their forces...',
-      stance: 'synergy',
-      color: 'rgba(0, 188, 212, 0.1)'
-    };
-  }
-  // Resource Efficiency (default)
-  else {
-    strategy = {
-      name: 'resource-efficiency',
-      description: 'The enemy carefully considers their options...',
-      stance: null,
-      color: null
-    };
-  }
+  let bestName = 'resource-efficiency';
+  let bestScore = -Infinity;
+  
+  AI_STRATEGIES.forEach(name => {
+    const score = strategyScores[name] + getStrategyBias(personality, name);
+    if (score > bestScore) {
+      bestName = name;
+      bestScore = score;
+    }
+  });
   
-  return strategy;
+  const stance = STRATEGY_STANCES[bestName];
+  
+  return {
+    name: bestName,
+    description: getStrategyMessage(personality, bestName) || stance.description,
+    stance: stance.stance,
+    color: stance.color,
+    personality: personality?.id || null
+  };
+};
+
+// Stance shown for each strategy
+const STRATEGY_STANCES = {
+  'maximum-aggression': {
+    description: 'The enemy takes an aggressive stance!',
+    stance: 'aggressive',
+    color: 'rgba(255, 0, 0, 0.1)'
+  },
+  'defensive-setup': {
+    description: 'The enemy assumes a defensive posture...',
+    stance: 'defensive',
+    color: 'rgba(33, 150, 243, 0.1)'
+  },
+  'combo-setup': {
+    description: 'The enemy seems to be planning something...',
+    stance: 'combo',
+    color: 'rgba(128, 0, 128, 0.1)'
+  },
+  'synergy-focus': {
+    description: 'The enemy coordinates their forces...',
+    stance: 'synergy',
+    color: 'rgba(0, 188, 212, 0.1)'
+  },
+  'resource-efficiency': {
+    description: 'The enemy carefully considers their options...',
+    stance: null,
+    color: null
+  }
 };
 
 // ADD: Check for potential synergies that could be created
@@ -297,7 +392,8 @@ const checkStatSynergyPotential = (creature, field) => {
 };
 
 // ADD: Export the strategy helper for use in BattleGame
-export const getAIStrategyVisuals = (strategy) => {
+// NEW: With a personality the message is in its voice and the personality is attached for display
+export const getAIStrategyVisuals = (strategy, personality = null) => {
   const visuals = {
     'maximum-aggression': {
       creatureClass: 'aggressive-stance',
@@ -331,7 +427,23 @@ export const getAIStrategyVisuals = (strategy) => {
     }
   };
   
-  return visuals[strategy] || visuals['resource-efficiency'];
+  const visual = visuals[strategy] || visuals['resource-efficiency'];
+  const profile = getPersonality(personality);
+  
+  if (!profile) {
+    return visual;
+  }
+  
+  return {
+    ...visual,
+    message: getStrategyMessage(profile, strategy) || visual.message,
+    personality: {
+      id: profile.id,
+      name: profile.name,
+      icon: profile.icon,
+      color: profile.color
+    }
+  };
 };
 
 // ENHANCED: Analyze game state with deeper understanding
@@ -346,6 +458,9 @@ const analyzeEnhancedGameState = (
   gameState
 ) => {
   const analysis = {
+    // NEW: Personality profile (see aiPersonalities.js), or null
+    personality: getPersonality(gameState.personality),
+    
     // Basic metrics
     enemyTotalPower: 0,
     playerTotalPower: 0,
@@ -413,6 +528,7 @@ const analyzeEnhancedGameState = (
   
   // Calculate creature powers and health
   let enemyCreatureCount = 0;
+  const criticalHealth = getCriticalHealth(analysis.personality);
   let playerCreatureCount = 0;
   
   enemyField.forEach(creature => {
@@ -425,7 +541,7 @@ const analyzeEnhancedGameState = (
     if (healthPercent < 0.3) {
       analysis.immediateThreats.push(creature);
     }
-    if (healthPercent < 0.15 || (creature.rarity === 'Legendary' && healthPercent < 0.25)) {
+    if (healthPercent < criticalHealth || (creature.rarity === 'Legendary' && healthPercent < criticalHealth + 0.1)) {
       analysis.criticalCreatures.push(creature);
     }
   });
@@ -442,11 +558,15 @@ const analyzeEnhancedGameState = (
     }
     
     // Calculate priority score for targeting
-    const priorityScore = calculateTargetPriority(creature, enemyField, difficulty);
+    // FIXED: Only targets the rules allow (taunt) are ranked, so planners never pick one
+    if (!isValidTarget(playerField, creature)) return;
+    
+    const priorityScore = calculateTargetPriority(creature, enemyField, difficulty, analysis.personality);
     analysis.priorityTargets.push({
       creature: creature,
-      score: priorityScore,
-      canEliminate: canEliminateTarget(creature, enemyField, enemyEnergy)
+      score: priorityScore.total,
+      breakdown: priorityScore,
+      canEliminate: !isFinishedByConditions(creature) && canEliminateTarget(creature, enemyField, enemyEnergy)
     });
   });
   
@@ -512,9 +632,9 @@ const analyzeEnhancedGameState = (
   );
   
   // Determine focus fire strategy
-  const focusFireChance = getDifficultySettings(difficulty).focusFireChance || 0.5;
+  const focusFireChance = applyPersonalityToSettings(getDifficultySettings(difficulty), analysis.personality).focusFireChance || 0.5;
   analysis.shouldFocusFire = (
-    Math.random() < focusFireChance ||
+    random() < focusFireChance ||
     analysis.weakEnemies.length > 0 ||
     (difficulty === 'expert' && playerCreatureCount <= 3)
   );
@@ -663,20 +783,72 @@ const calculateCreaturePower = (creature) => {
   return Math.round(power);
 };
 
+// NEW: Share of its threat a disabled target keeps - a stunned creature can't act on its
+// next turn, a silenced one can still attack but not cast
+const STUNNED_THREAT_SHARE = 0.5;
+const SILENCED_THREAT_SHARE = 0.8;
+const DOOMED_TARGET_PENALTY = 120;
+
+// NEW: Share of its threat a target keeps under its current disables
+const getDisabledThreatShare = (creature) => {
+  if (hasStatusCondition(creature, 'stun')) return STUNNED_THREAT_SHARE;
+  if (hasStatusCondition(creature, 'silence')) return SILENCED_THREAT_SHARE;
+  return 1;
+};
+
+// NEW: Damage poison and burn will still deal before they wear off
+const getPendingConditionDamage = (creature) => (creature.statusConditions || []).reduce(
+  (total, condition) => total + getConditionDamage(condition) * Math.max(1, condition.duration || 1),
+  0
+);
+
+// NEW: Poison and burn will finish it anyway - attacks are better spent elsewhere
+const isFinishedByConditions = (creature) => getPendingConditionDamage(creature) >= creature.currentHealth;
+
+// NEW: Living creatures on a field the rules let us target (only taunting ones while any taunt)
+const getLegalTargets = (field) => field.filter(creature =>
+  creature.currentHealth > 0 && isValidTarget(field, creature)
+);
+
+// NEW: Whether an attacker's attack type gets past the opposing front row to a target
+const isInReach = (attacker, field, target) =>
+  !attacker.battleStats || canReachTarget(field, target, getAttackType(attacker));
+
+// NEW: Legal targets an attacker can actually hit
+const getTargetsInReach = (attacker, field) =>
+  getLegalTargets(field).filter(target => isInReach(attacker, field, target));
+
+// NEW: Own creatures free to take an action - not guarding and not stopped by stun or silence
+const canTakeAction = (creature, actionType) =>
+  !creature.isDefending && canCreatureAct(creature, actionType);
+
 // Calculate target priority with smarter evaluation
-const calculateTargetPriority = (target, attackers, difficulty) => {
-  let priority = 0;
+// NEW: The personality weighs each part (see targetWeights in aiPersonalities.js)
+// NEW: Returns every part next to the total, so AI rationales can show what drove a target choice
+// FIXED: Status conditions count - disabled targets are less urgent and poison or burn already
+// ticking brings a kill closer (a target the ticks finish anyway isn't worth an attack)
+const calculateTargetPriority = (target, attackers, difficulty, personality = null) => {
+  const breakdown = { threat: 0, finishing: 0, value: 0, buffed: 0, elimination: 0, conditions: 0, multiplier: 1 };
   
   // Base priority from threat level
   const threatLevel = calculateCreaturePower(target);
-  priority += threatLevel;
+  breakdown.threat = threatLevel * getTargetWeight(personality, 'threat');
+  
+  // Disabled targets and damage over time
+  const isDoomed = isFinishedByConditions(target);
+  const effectiveHealth = isDoomed ? target.currentHealth : target.currentHealth - getPendingConditionDamage(target);
+  breakdown.conditions = -breakdown.threat * (1 - getDisabledThreatShare(target));
+  if (isDoomed) {
+    breakdown.conditions -= DOOMED_TARGET_PENALTY;
+  }
   
   // Health-based priority (prefer finishing off weak enemies)
-  const healthPercent = target.currentHealth / (target.battleStats?.maxHealth || 50);
+  const healthPercent = effectiveHealth / (target.battleStats?.maxHealth || 50);
+  const finishingWeight = getTargetWeight(personality, 'finishing');
   if (healthPercent < 0.25) {
-    priority += 100; // Very high priority for near-death targets
+    breakdown.finishing = 100 * finishingWeight; // Very high priority for near-death targets
   } else if (healthPercent < 0.5) {
-    priority += 50;
+    breakdown.finishing = 50 * finishingWeight;
   }
   
   // Rarity priority
@@ -686,40 +858,49 @@ const calculateTargetPriority = (target, attackers, difficulty) => {
     'Rare': 40,
     'Common': 20
   };
-  priority += rarityPriority[target.rarity] || 20;
+  let value = rarityPriority[target.rarity] || 20;
   
   // Form priority
-  priority += (target.form || 0) * 25;
+  value += (target.form || 0) * 25;
   
   // Specialty stats priority (high-value targets)
   if (target.specialty_stats && target.specialty_stats.length >= 2) {
-    priority += 30;
+    value += 30;
   }
+  breakdown.value = value * getTargetWeight(personality, 'value');
   
   // Active effects priority (buffed targets are higher priority)
   if (target.activeEffects && target.activeEffects.length > 0) {
-    priority += 20 * target.activeEffects.length;
+    breakdown.buffed = 20 * target.activeEffects.length * getTargetWeight(personality, 'buffed');
   }
   
   // Can we eliminate this target?
   const canEliminate = attackers.some(attacker => {
     const damage = estimateAttackDamage(attacker, target);
-    return damage >= target.currentHealth;
+    return damage >= effectiveHealth;
   });
   
-  if (canEliminate) {
-    priority += 150; // Massive priority boost for elimination
+  if (canEliminate && !isDoomed) {
+    breakdown.elimination = 150 * getTargetWeight(personality, 'elimination'); // Massive priority boost for elimination
   }
   
   // Difficulty-based adjustments
   if (difficulty === 'expert' || difficulty === 'hard') {
     // On harder difficulties, prioritize high-value targets more
     if (target.rarity === 'Legendary' || target.rarity === 'Epic') {
-      priority *= 1.3;
+      breakdown.multiplier = 1.3;
     }
   }
   
-  return priority;
+  let priority = breakdown.threat;
+  priority += breakdown.finishing;
+  priority += breakdown.value;
+  priority += breakdown.buffed;
+  priority += breakdown.elimination;
+  priority += breakdown.conditions;
+  priority *= breakdown.multiplier;
+  
+  return { ...breakdown, total: priority };
 };
 
 // Check if we can eliminate a target this turn
@@ -1038,6 +1219,11 @@ const calculateOptimalStrategy = (
     actions: ['efficient-deploy', 'value-trades', 'save-energy']
   });
   
+  // NEW: The personality leans on the priorities
+  strategies.forEach(strategy => {
+    strategy.priority += getStrategyBias(gameState.personality, strategy.name);
+  });
+  
   // Sort by priority
   strategies.sort((a, b) => b.priority - a.priority);
   
@@ -1066,7 +1252,86 @@ const shouldExecuteMultiAction = (settings, energy, gameState, strategy) => {
   // Energy requirement
   const hasEnergyForMultiple = energy >= 6;
   
-  return hasEnergyForMultiple && Math.random() < multiActionChance;
+  return hasEnergyForMultiple && random() < multiActionChance;
+};
+
+// NEW: Plan the whole turn with a beam search over real engine outcomes (see battleSearch.js).
+// Returns null when the search fails, so the caller can fall back to greedy planning.
+const planLookaheadTurn = (
+  difficulty,
+  enemyHand,
+  enemyField,
+  playerField,
+  enemyTools,
+  enemySpells,
+  enemyEnergy,
+  maxFieldSize,
+  settings,
+  gameState
+) => {
+  const position = {
+    hand: enemyHand,
+    field: enemyField,
+    opposingField: playerField,
+    tools: enemyTools,
+    spells: enemySpells,
+    energy: enemyEnergy,
+    maxFieldSize,
+    difficulty,
+    turn: gameState.turn || 1,
+    consecutiveActions: gameState.consecutiveActions || {}
+  };
+  
+  try {
+    const result = searchTurn(createSearchState(position), {
+      ...settings.lookaheadSearch,
+      maxDepth: getMaxActionsForDifficulty(difficulty),
+      personality: gameState.personality
+    });
+    
+    console.log(`AI lookahead: ${result.actions.length} actions scored ${result.score.toFixed(1)} vs ${result.baseline.toFixed(1)} for ending the turn (${result.expansions} expansions${result.timedOut ? ', budget used up' : ''})`);
+    
+    const actions = toAIActions(result.actions, position).map((action, index) => ({
+      ...action,
+      rationale: explainLookaheadStep(action, result, index)
+    }));
+    if (actions.length === 0) {
+      return { type: 'endTurn' };
+    }
+    return actions.length === 1 ? actions[0] : actions;
+  } catch (error) {
+    console.error("AI lookahead search failed, falling back to planning:", error);
+    return null;
+  }
+};
+
+// NEW: Search steps are judged by how much each one moves the position score
+const describeSearchedAction = (action) => {
+  switch (action.type) {
+    case 'deploy':
+      return `Deploy ${action.creature.species_name}`;
+    case 'attack':
+      return `${action.attacker.species_name} attacks ${action.target.species_name}`;
+    case 'defend':
+      return `${action.creature.species_name} defends`;
+    case 'useTool':
+      return `${action.tool.name} on ${action.target.species_name}`;
+    default:
+      return `${action.spell.name} on ${action.target.species_name}`;
+  }
+};
+
+const explainLookaheadStep = (action, result, index) => {
+  const previous = index === 0 ? result.baseline : result.stepScores[index - 1];
+  const lead = (result.score - result.baseline).toFixed(1);
+  
+  return createRationale('lookahead', `${describeSearchedAction(action)} - step ${index + 1} of ${result.actions.length} in the best line found, ${lead} ahead of ending the turn`, {
+    stepGain: result.stepScores[index] - previous,
+    lineScore: result.score,
+    baseline: result.baseline,
+    expansions: result.expansions,
+    depth: result.depth
+  });
 };
 
 // Get maximum actions for difficulty
@@ -1096,16 +1361,18 @@ const planEnhancedActions = (
   strategy
 ) => {
   const actions = [];
+  const personality = gameState.personality;
   let remainingEnergy = enemyEnergy;
   let currentField = [...enemyField];
   let currentHand = [...enemyHand];
-  let availableTools = [...enemyTools];
-  let availableSpells = [...enemySpells];
+  // NEW: Personality - favoured items are reached for first
+  let availableTools = orderItemsByPersonality(enemyTools, personality);
+  let availableSpells = orderItemsByPersonality(enemySpells, personality);
   
   const deployedCreatureIds = new Set();
   const usedActionCreatures = new Set();
   
-  console.log("Planning enhanced actions with strategy:", strategy?.name);
+  console.log("Planning enhanced actions with strategy:", strategy?.name, personality ? `(${personality.name})` : '');
   
   // PRIORITY 0: Emergency responses
   if (gameState.criticalCreatures.length > 0) {
@@ -1182,12 +1449,13 @@ const planEnhancedActions = (
     });
   }
   
-  // PRIORITY 3: Pre-attack buffs
-  if (gameState.shouldAttackAggressively && availableTools.length > 0) {
+  // PRIORITY 3: Pre-attack buffs (personalities that favour burst items buff every turn)
+  const buffsFirst = gameState.shouldAttackAggressively || getItemRoleWeight(personality, ITEM_ROLES.BURST) > 1;
+  if (buffsFirst && availableTools.length > 0) {
     const buffActions = planPreAttackBuffs(
       currentField,
       playerField,
-      availableTools,
+      withoutAvoidedItems(availableTools, personality),
       remainingEnergy,
       usedActionCreatures
     );
@@ -1206,7 +1474,7 @@ const planEnhancedActions = (
     const spellSequence = planLethalSpellSequence(
       currentField,
       playerField,
-      availableSpells,
+      withoutAvoidedItems(availableSpells, personality),
       remainingEnergy,
       gameState
     );
@@ -1266,7 +1534,7 @@ const planEnhancedActions = (
     const setupActions = planSetupActions(
       currentField,
       playerField,
-      availableTools,
+      withoutAvoidedItems(availableTools, personality),
       remainingEnergy,
       usedActionCreatures,
       strategy
@@ -1289,6 +1557,90 @@ const planEnhancedActions = (
   return actions;
 };
 
+// NEW: Personality item preferences - favoured roles go first, and avoided
+// roles are kept out of every plan except emergencies
+const getItemWeight = (item, personality) => getItemRoleWeight(personality, getItemRole(item));
+
+const orderItemsByPersonality = (items, personality) => personality
+  ? [...items].sort((a, b) => getItemWeight(b, personality) - getItemWeight(a, personality))
+  : [...items];
+
+const withoutAvoidedItems = (items, personality) => personality
+  ? items.filter(item => getItemWeight(item, personality) > AVOIDED_ITEM_WEIGHT)
+  : items;
+
+// NEW: Rationales - why each action was planned, with the scores behind it (see aiRationale.js)
+const healthShare = (creature) => creature.currentHealth / (creature.battleStats?.maxHealth || 50);
+
+// Target priority parts from the game state analysis (multiplier only when it applies)
+const getTargetScores = (priorityTargets = [], target) => {
+  const info = priorityTargets.find(p => p.creature.id === target?.id);
+  if (!info) return {};
+  
+  const { threat, finishing, value, buffed, elimination, conditions, multiplier } = info.breakdown || {};
+  return {
+    targetPriority: info.score,
+    threat,
+    finishing,
+    value,
+    buffed,
+    elimination,
+    conditions: conditions || undefined,
+    multiplier: multiplier !== 1 ? multiplier : undefined,
+    canEliminate: info.canEliminate
+  };
+};
+
+const explainAttack = (kind, attacker, target, priorityTargets, expectedDamage = estimateAttackDamage(attacker, target)) => {
+  const damage = Math.round(expectedDamage);
+  const summary = expectedDamage >= target.currentHealth
+    ? `${attacker.species_name} can finish ${target.species_name} (~${damage} damage vs ${target.currentHealth} HP)`
+    : `${attacker.species_name} hits ${target.species_name} for ~${damage} of its ${target.currentHealth} HP`;
+  
+  return createRationale(kind, summary, { expectedDamage, ...getTargetScores(priorityTargets, target) });
+};
+
+// Synergy and counter value name the deployment when they are what set it apart
+const explainDeployment = (creature, breakdown, energyCost) => {
+  const { total, ...parts } = breakdown;
+  const scores = { deploymentValue: total, ...parts, energyCost };
+  
+  if (parts.synergy > 0 && parts.synergy >= parts.counter) {
+    return createRationale('synergy-deploy', `${creature.species_name} builds on the synergies already on the field`, scores);
+  }
+  if (parts.counter > 0) {
+    return createRationale('counter-deploy', `${creature.species_name} has the type advantage over ${parts.counter / 20} of your creatures`, scores);
+  }
+  return createRationale('power-deploy', `${creature.species_name} is the most valuable creature to deploy for ${energyCost} energy`, scores);
+};
+
+const explainEmergency = (creature, tool = null, scores = {}) => createRationale(
+  'emergency',
+  `${creature.species_name} is down to ${creature.currentHealth}/${creature.battleStats?.maxHealth || 50} HP - ${tool ? `shielding it with ${tool.name}` : 'defending it'}`,
+  { healthShare: healthShare(creature), ...scores }
+);
+
+const explainBuff = (kind, tool, target, summary) => createRationale(kind, summary || `${tool.name} on ${target.species_name} before it attacks`, {
+  attackPower: Math.max(target.battleStats?.physicalAttack || 0, target.battleStats?.magicalAttack || 0)
+});
+
+// Lethal when the estimate covers the target's health, plain damage otherwise
+const explainSpell = (spell, caster, target, priorityTargets, enemyField = null) => {
+  const expectedDamage = estimateSpellDamage(spell, caster, target, enemyField);
+  const isLethal = expectedDamage >= target.currentHealth;
+  
+  return createRationale(
+    isLethal ? 'lethal' : 'damage-spell',
+    `${spell.name} from ${caster.species_name} on ${target.species_name} for ~${expectedDamage} damage${isLethal ? ` - enough for its ${target.currentHealth} HP` : ''}`,
+    { expectedDamage, ...getTargetScores(priorityTargets, target) }
+  );
+};
+
+const explainDefend = (creature, summary) => createRationale('setup', summary || `${creature.species_name} guards while it is still healthy`, {
+  power: calculateCreaturePower(creature),
+  healthShare: healthShare(creature)
+});
+
 // Plan emergency actions for critical situations
 const planEmergencyActions = (criticalCreatures, tools, spells, energy) => {
   const actions = [];
@@ -1306,7 +1658,8 @@ const planEmergencyActions = (criticalCreatures, tools, spells, energy) => {
         tool: defensiveTool,
         target: creature,
         energyCost: 0,
-        priority: 'emergency'
+        priority: 'emergency',
+        rationale: explainEmergency(creature, defensiveTool)
       });
     } else if (energy >= 1) {
       // Defend if no tools available
@@ -1314,7 +1667,8 @@ const planEmergencyActions = (criticalCreatures, tools, spells, energy) => {
         type: 'defend',
         creature: creature,
         energyCost: 1,
-        priority: 'emergency'
+        priority: 'emergency',
+        rationale: explainEmergency(creature)
       });
     }
   });
@@ -1334,7 +1688,8 @@ const executeOptimalCombos = (combos, ownField, enemyField, energy, usedCreature
         tool: combo.tool,
         target: combo.creature,
         energyCost: 0,
-        priority: 'combo-setup'
+        priority: 'combo-setup',
+        rationale: explainBuff('combo-setup', combo.tool, combo.creature, `${combo.tool.name} on ${combo.creature.species_name} sets up a buffed attack`)
       });
       break;
     } else if (combo.type === 'emergency-defense') {
@@ -1343,13 +1698,14 @@ const executeOptimalCombos = (combos, ownField, enemyField, energy, usedCreature
         tool: combo.tool,
         target: combo.creature,
         energyCost: 0,
-        priority: 'defensive'
+        priority: 'defensive',
+        rationale: explainEmergency(combo.creature, combo.tool)
       });
       break;
     } else if (combo.type === 'double-spell' && energy >= 8) {
       // Add first spell
-      const caster = ownField[0]; // Simplified
-      const target = enemyField[0]; // Simplified
+      const caster = findBestSpellCaster(ownField, combo.spells[0]);
+      const target = findBestSpellTarget(enemyField, combo.spells[0], caster);
       
       if (caster && target) {
         actions.push({
@@ -1358,7 +1714,11 @@ const executeOptimalCombos = (combos, ownField, enemyField, energy, usedCreature
           caster: caster,
           target: target,
           energyCost: 4,
-          priority: 'combo'
+          priority: 'combo',
+          rationale: createRationale('spell-combo', `${combo.spells[0].name} opens a ${combo.spells.length}-spell chain on ${target.species_name}`, {
+            spells: combo.spells.length,
+            energy
+          })
         });
       }
       break;
@@ -1383,10 +1743,10 @@ const planStrategicDeployment = (
   const fieldSpace = maxFieldSize - currentField.length;
   
   // Sort hand by strategic value
-  const sortedHand = hand.map(creature => ({
-    creature,
-    value: calculateDeploymentValue(creature, currentField, enemyField, gameState, strategy)
-  })).sort((a, b) => b.value - a.value);
+  const sortedHand = hand.map(creature => {
+    const breakdown = calculateDeploymentValue(creature, currentField, enemyField, gameState, strategy);
+    return { creature, breakdown, value: breakdown.total };
+  }).sort((a, b) => b.value - a.value);
   
   // Determine deployment count based on strategy
   let targetDeployments = 1;
@@ -1409,6 +1769,7 @@ const planStrategicDeployment = (
   
   // Deploy high-value creatures
   let deployed = 0;
+  let plannedField = [...currentField];
   
   for (const entry of sortedHand) {
     if (deployed >= targetDeployments) break;
@@ -1416,14 +1777,20 @@ const planStrategicDeployment = (
     const cost = entry.creature.battleStats?.energyCost || 5;
     
     if (energy >= cost && !deployedIds.has(entry.creature.id)) {
+      // NEW: Formation - pick the row against the field as it will stand after earlier deployments
+      const row = chooseDeploymentRow(entry.creature, plannedField, maxFieldSize);
+      
       deployments.push({
         type: 'deploy',
         creature: entry.creature,
+        row,
         energyCost: cost,
         priority: 'strategic',
-        value: entry.value
+        value: entry.value,
+        rationale: explainDeployment(entry.creature, entry.breakdown, cost)
       });
       
+      plannedField = [...plannedField, { ...entry.creature, row }];
       energy -= cost;
       deployed++;
     }
@@ -1432,28 +1799,35 @@ const planStrategicDeployment = (
   return deployments;
 };
 
+// NEW: Formation - physical fighters hold the front row, casters stay in the back.
+// Falls back to the other row when the preferred one is full.
+const chooseDeploymentRow = (creature, field, maxFieldSize) => {
+  const preferred = creature.battleStats && getAttackType(creature) === 'magical' ? ROWS.BACK : ROWS.FRONT;
+  if (hasRowSpace(field, preferred, maxFieldSize)) return preferred;
+  return preferred === ROWS.FRONT ? ROWS.BACK : ROWS.FRONT;
+};
+
 // Calculate deployment value with strategy consideration
+// NEW: Returns every part next to the total, so AI rationales can show why a creature was deployed
 const calculateDeploymentValue = (creature, currentField, enemyField, gameState, strategy) => {
-  let value = 0;
+  const breakdown = { power: 0, efficiency: 0, synergy: 0, counter: 0, strategy: 0, form: 0, rarity: 0 };
   
   // Base value from power
-  value += calculateCreaturePower(creature);
+  breakdown.power = calculateCreaturePower(creature);
   
   // Energy efficiency
   const cost = creature.battleStats?.energyCost || 5;
-  value += (calculateCreaturePower(creature) / cost) * 10;
+  breakdown.efficiency = (calculateCreaturePower(creature) / cost) * 10;
   
   // Synergy value
-  value += calculateFieldSynergy(creature, currentField) * 5;
+  breakdown.synergy = calculateFieldSynergy(creature, currentField) * 5;
   
   // Counter value
-  let counterValue = 0;
   enemyField.forEach(enemy => {
     if (hasTypeAdvantage(creature, enemy)) {
-      counterValue += 20;
+      breakdown.counter += 20;
     }
   });
-  value += counterValue;
   
   // Strategy-specific bonuses
   if (strategy) {
@@ -1464,7 +1838,7 @@ const calculateDeploymentValue = (creature, currentField, enemyField, gameState,
           creature.battleStats?.physicalAttack || 0,
           creature.battleStats?.magicalAttack || 0
         );
-        value += attackPower * 2;
+        breakdown.strategy = attackPower * 2;
         break;
         
       case 'defensive-setup':
@@ -1473,21 +1847,21 @@ const calculateDeploymentValue = (creature, currentField, enemyField, gameState,
           creature.battleStats?.physicalDefense || 0,
           creature.battleStats?.magicalDefense || 0
         );
-        value += defensePower * 2;
-        value += (creature.battleStats?.maxHealth || 50) / 5;
+        breakdown.strategy = defensePower * 2;
+        breakdown.strategy += (creature.battleStats?.maxHealth || 50) / 5;
         break;
         
       case 'combo-setup':
         // Prefer creatures with good specialty stats
         if (creature.specialty_stats && creature.specialty_stats.length >= 2) {
-          value += 30;
+          breakdown.strategy = 30;
         }
         break;
     }
   }
   
   // High form bonus
-  value += (creature.form || 0) * 20;
+  breakdown.form = (creature.form || 0) * 20;
   
   // Rarity bonus
   const rarityBonus = {
@@ -1496,9 +1870,10 @@ const calculateDeploymentValue = (creature, currentField, enemyField, gameState,
     'Rare': 10,
     'Common': 5
   };
-  value += rarityBonus[creature.rarity] || 5;
+  breakdown.rarity = rarityBonus[creature.rarity] || 5;
   
-  return value;
+  const total = Object.values(breakdown).reduce((sum, part) => sum + part, 0);
+  return { ...breakdown, total };
 };
 
 // Plan pre-attack buffs
@@ -1516,7 +1891,7 @@ const planPreAttackBuffs = (ownField, enemyField, tools, energy, usedCreatures)
   
   // Find best attackers to buff
   const attackers = ownField
-    .filter(c => !c.isDefending && !usedCreatures.has(c.id))
+    .filter(c => canTakeAction(c, 'attack') && !usedCreatures.has(c.id))
     .map(c => ({
       creature: c,
       attackPower: Math.max(
@@ -1536,7 +1911,8 @@ const planPreAttackBuffs = (ownField, enemyField, tools, energy, usedCreatures)
         tool: attackBuffs[i],
         target: attackers[i].creature,
         energyCost: 0,
-        priority: 'pre-attack'
+        priority: 'pre-attack',
+        rationale: explainBuff('pre-attack-buff', attackBuffs[i], attackers[i].creature)
       });
     }
   }
@@ -1575,7 +1951,8 @@ const planLethalSpellSequence = (ownField, enemyField, spells, energy, gameState
         caster: caster,
         target: target,
         energyCost: 4,
-        priority: 'lethal'
+        priority: 'lethal',
+        rationale: explainSpell(spell, caster, target, gameState.priorityTargets)
       });
       energy -= 4;
     }
@@ -1599,37 +1976,33 @@ const planFocusFireAttacks = (
   
   // Get available attackers
   const availableAttackers = ownField.filter(c => 
-    !c.isDefending && !usedCreatures.has(c.id)
+    canTakeAction(c, 'attack') && !usedCreatures.has(c.id)
   );
   
   if (availableAttackers.length === 0) return attacks;
   
-  // Focus on highest priority target that can be eliminated
-  let focusTarget = null;
-  
-  for (const targetInfo of priorityTargets) {
-    if (targetInfo.canEliminate) {
-      focusTarget = targetInfo.creature;
-      break;
-    }
-  }
-  
-  // If no eliminatable target, focus on highest priority
-  if (!focusTarget) {
-    focusTarget = priorityTargets[0].creature;
-  }
+  // Focus on highest priority target that can be eliminated, then the highest priority
+  const focusOrder = [
+    ...priorityTargets.filter(targetInfo => targetInfo.canEliminate),
+    ...priorityTargets.filter(targetInfo => !targetInfo.canEliminate)
+  ];
   
-  // Assign all available attackers to focus target
+  // FIXED: Each attacker takes the first focus target in its reach (formation)
   const maxAttacks = Math.floor(energy / 2);
-  const attackCount = Math.min(availableAttackers.length, maxAttacks);
   
-  for (let i = 0; i < attackCount; i++) {
+  for (const attacker of availableAttackers) {
+    if (attacks.length >= maxAttacks) break;
+    
+    const focusTarget = focusOrder.find(targetInfo => isInReach(attacker, enemyField, targetInfo.creature))?.creature;
+    if (!focusTarget) continue;
+    
     attacks.push({
       type: 'attack',
-      attacker: availableAttackers[i],
+      attacker,
       target: focusTarget,
       energyCost: 2,
-      priority: 'focus-fire'
+      priority: 'focus-fire',
+      rationale: explainAttack('focus-fire', attacker, focusTarget, priorityTargets)
     });
   }
   
@@ -1642,7 +2015,7 @@ const planOptimalAttacks = (ownField, enemyField, energy, gameState, usedCreatur
   
   // Get available attackers
   const availableAttackers = ownField.filter(c => 
-    !c.isDefending && !usedCreatures.has(c.id)
+    canTakeAction(c, 'attack') && !usedCreatures.has(c.id)
   );
   
   if (availableAttackers.length === 0 || enemyField.length === 0) return attacks;
@@ -1651,7 +2024,7 @@ const planOptimalAttacks = (ownField, enemyField, energy, gameState, usedCreatur
   const pairings = [];
   
   availableAttackers.forEach(attacker => {
-    enemyField.forEach(target => {
+    getTargetsInReach(attacker, enemyField).forEach(target => {
       const damage = estimateAttackDamage(attacker, target);
       const targetPriority = gameState.priorityTargets.find(p => p.creature.id === target.id)?.score || 0;
       
@@ -1686,7 +2059,8 @@ const planOptimalAttacks = (ownField, enemyField, energy, gameState, usedCreatur
         target: pairing.target,
         energyCost: 2,
         priority: 'optimal',
-        expectedDamage: pairing.damage
+        expectedDamage: pairing.damage,
+        rationale: explainAttack('best-trade', pairing.attacker, pairing.target, gameState.priorityTargets, pairing.damage)
       });
       
       usedAttackers.add(pairing.attacker.id);
@@ -1715,7 +2089,10 @@ const planSetupActions = (ownField, enemyField, tools, energy, usedCreatures, st
         tool: echoTools[0],
         target: bestTarget,
         energyCost: 0,
-        priority: 'setup'
+        priority: 'setup',
+        rationale: createRationale('setup', `${echoTools[0].name} on ${bestTarget.species_name}, the strongest creature, keeps paying off`, {
+          power: calculateCreaturePower(bestTarget)
+        })
       });
     }
   }
@@ -1735,7 +2112,11 @@ const planSetupActions = (ownField, enemyField, tools, energy, usedCreatures, st
         tool: chargeTools[0],
         target: chargeTarget,
         energyCost: 0,
-        priority: 'setup'
+        priority: 'setup',
+        rationale: createRationale('setup', `${chargeTools[0].name} charges ${chargeTarget.species_name} for a bigger hit next turn`, {
+          power: calculateCreaturePower(chargeTarget),
+          energy
+        })
       });
     }
   }
@@ -1743,7 +2124,7 @@ const planSetupActions = (ownField, enemyField, tools, energy, usedCreatures, st
   // Strategic defense for valuable creatures
   if (energy >= 1) {
     const valuableCreature = ownField
-      .filter(c => !c.isDefending && !usedCreatures.has(c.id))
+      .filter(c => canTakeAction(c, 'defend') && !usedCreatures.has(c.id))
       .sort((a, b) => {
         // Prioritize high-value healthy creatures
         const aValue = calculateCreaturePower(a) * (a.currentHealth / a.battleStats?.maxHealth);
@@ -1756,7 +2137,8 @@ const planSetupActions = (ownField, enemyField, tools, energy, usedCreatures, st
         type: 'defend',
         creature: valuableCreature,
         energyCost: 1,
-        priority: 'setup'
+        priority: 'setup',
+        rationale: explainDefend(valuableCreature)
       });
     }
   }
@@ -1816,13 +2198,15 @@ const determineEnhancedEasyAction = (
         type: 'useTool',
         tool: defensiveTool,
         target: critical,
-        energyCost: 0
+        energyCost: 0,
+        rationale: explainEmergency(critical, defensiveTool)
       };
     } else if (enemyEnergy >= 1) {
       return {
         type: 'defend',
         creature: critical,
-        energyCost: 1
+        energyCost: 1,
+        rationale: explainEmergency(critical)
       };
     }
   }
@@ -1837,42 +2221,56 @@ const determineEnhancedEasyAction = (
     if (deployable.length > 0) {
       // 70% chance to pick the best, 30% to pick randomly
       let creature;
-      if (Math.random() < 0.7) {
+      let pickedBest = false;
+      if (random() < 0.7) {
         creature = deployable.sort((a, b) => 
           calculateCreaturePower(b) - calculateCreaturePower(a)
         )[0];
+        pickedBest = true;
       } else {
-        creature = deployable[Math.floor(Math.random() * deployable.length)];
+        creature = deployable[Math.floor(random() * deployable.length)];
       }
       
       return {
         type: 'deploy',
         creature: creature,
-        energyCost: creature.battleStats?.energyCost || 5
+        energyCost: creature.battleStats?.energyCost || 5,
+        rationale: createRationale(
+          pickedBest ? 'power-deploy' : 'opportunistic',
+          pickedBest ? `${creature.species_name} is the strongest creature it can afford` : `Deploying ${creature.species_name} on a whim`,
+          { power: calculateCreaturePower(creature), energyCost: creature.battleStats?.energyCost || 5 }
+        )
       };
     }
   }
   
   // Attack (not always optimal target)
   if (enemyField.length > 0 && playerField.length > 0 && enemyEnergy >= 2) {
-    const attackers = enemyField.filter(c => !c.isDefending);
+    const attackers = enemyField.filter(c =>
+      canTakeAction(c, 'attack') && getTargetsInReach(c, playerField).length > 0
+    );
     
     if (attackers.length > 0) {
-      const attacker = attackers[Math.floor(Math.random() * attackers.length)];
+      const attacker = attackers[Math.floor(random() * attackers.length)];
+      const targets = getTargetsInReach(attacker, playerField);
+      const priorityTarget = gameState.priorityTargets.find(p => isInReach(attacker, playerField, p.creature))?.creature;
       
       // 60% chance to attack priority target, 40% random
       let target;
-      if (Math.random() < 0.6 && gameState.priorityTargets.length > 0) {
-        target = gameState.priorityTargets[0].creature;
+      let focused = false;
+      if (random() < 0.6 && priorityTarget) {
+        target = priorityTarget;
+        focused = true;
       } else {
-        target = playerField[Math.floor(Math.random() * playerField.length)];
+        target = targets[Math.floor(random() * targets.length)];
       }
       
       return {
         type: 'attack',
         attacker: attacker,
         target: target,
-        energyCost: 2
+        energyCost: 2,
+        rationale: explainAttack(focused ? 'focus-fire' : 'opportunistic', attacker, target, gameState.priorityTargets)
       };
     }
   }
@@ -1886,35 +2284,38 @@ const determineEnhancedMediumAction = (
 ) => {
   // Spell usage (80% optimal)
   if (enemySpells.length > 0 && enemyField.length > 0 && playerField.length > 0 && enemyEnergy >= 4) {
-    if (Math.random() < 0.8) {
+    if (random() < 0.8) {
       const damageSpell = enemySpells.find(s => 
         s.spell_effect === 'Surge' || s.spell_type === 'strength'
       );
       
       if (damageSpell) {
         const caster = findBestSpellCaster(enemyField, damageSpell);
-        const target = gameState.priorityTargets[0]?.creature || playerField[0];
+        const target = gameState.priorityTargets[0]?.creature || findBestSpellTarget(playerField, damageSpell, caster);
         
-        return {
-          type: 'useSpell',
-          spell: damageSpell,
-          caster: caster,
-          target: target,
-          energyCost: 4
-        };
+        if (caster && target) {
+          return {
+            type: 'useSpell',
+            spell: damageSpell,
+            caster: caster,
+            target: target,
+            energyCost: 4,
+            rationale: explainSpell(damageSpell, caster, target, gameState.priorityTargets)
+          };
+        }
       }
     }
   }
   
   // Tool usage before attacks (70% of the time)
-  if (enemyTools.length > 0 && enemyField.length > 0 && Math.random() < 0.7) {
+  if (enemyTools.length > 0 && enemyField.length > 0 && random() < 0.7) {
     const attackBuff = enemyTools.find(t => 
       t.tool_effect === 'Surge' || t.tool_type === 'strength'
     );
     
     if (attackBuff) {
       const strongestAttacker = enemyField
-        .filter(c => !c.isDefending)
+        .filter(c => canTakeAction(c, 'attack'))
         .sort((a, b) => {
           const aAttack = Math.max(
             a.battleStats?.physicalAttack || 0,
@@ -1932,7 +2333,8 @@ const determineEnhancedMediumAction = (
           type: 'useTool',
           tool: attackBuff,
           target: strongestAttacker,
-          energyCost: 0
+          energyCost: 0,
+          rationale: explainBuff('pre-attack-buff', attackBuff, strongestAttacker)
         };
       }
     }
@@ -1945,41 +2347,53 @@ const determineEnhancedMediumAction = (
     );
     
     if (bestCreature) {
+      const energyCost = bestCreature.battleStats?.energyCost || 5;
       return {
         type: 'deploy',
         creature: bestCreature,
-        energyCost: bestCreature.battleStats?.energyCost || 5
+        energyCost,
+        rationale: createRationale('power-deploy', `${bestCreature.species_name} scores highest of the creatures it can afford`, {
+          deploymentScore: calculateDeploymentScore(bestCreature, enemyField, playerField, 'medium'),
+          energyCost
+        })
       };
     }
   }
   
   // Focused attacks (80% of the time)
   if (enemyField.length > 0 && playerField.length > 0 && enemyEnergy >= 2) {
-    const shouldFocus = Math.random() < 0.8;
+    const shouldFocus = random() < 0.8;
     
     if (shouldFocus && gameState.priorityTargets.length > 0) {
-      const attacker = enemyField.find(c => !c.isDefending);
-      const target = gameState.priorityTargets[0].creature;
+      // Highest priority target some attacker can reach
+      const attackers = enemyField.filter(c => canTakeAction(c, 'attack'));
+      const target = gameState.priorityTargets
+        .map(p => p.creature)
+        .find(creature => attackers.some(c => isInReach(c, playerField, creature)));
+      const attacker = target && attackers.find(c => isInReach(c, playerField, target));
       
       if (attacker && target) {
         return {
           type: 'attack',
           attacker: attacker,
           target: target,
-          energyCost: 2
+          energyCost: 2,
+          rationale: explainAttack('focus-fire', attacker, target, gameState.priorityTargets)
         };
       }
     } else {
       // Random attack
-      const attacker = enemyField.find(c => !c.isDefending);
-      const target = playerField[Math.floor(Math.random() * playerField.length)];
+      const attacker = enemyField.find(c => canTakeAction(c, 'attack') && getTargetsInReach(c, playerField).length > 0);
+      const targets = attacker ? getTargetsInReach(attacker, playerField) : [];
+      const target = targets[Math.floor(random() * targets.length)];
       
       if (attacker && target) {
         return {
           type: 'attack',
           attacker: attacker,
           target: target,
-          energyCost: 2
+          energyCost: 2,
+          rationale: explainAttack('opportunistic', attacker, target, gameState.priorityTargets)
         };
       }
     }
@@ -2002,15 +2416,17 @@ const determineEnhancedHardAction = (
         type: 'useTool',
         tool: shieldTool,
         target: critical,
-        energyCost: 0
+        energyCost: 0,
+        rationale: explainEmergency(critical, shieldTool)
       };
     }
     
-    if (enemyEnergy >= 1 && !critical.isDefending) {
+    if (enemyEnergy >= 1 && canTakeAction(critical, 'defend')) {
       return {
         type: 'defend',
         creature: critical,
-        energyCost: 1
+        energyCost: 1,
+        rationale: explainEmergency(critical)
       };
     }
   }
@@ -2019,7 +2435,10 @@ const determineEnhancedHardAction = (
   if (gameState.lethalDamageAvailable > 0 && enemySpells.length > 0 && enemyEnergy >= 4) {
     const bestSpellCombo = findBestSpellCombo(enemySpells, enemyField, playerField, enemyEnergy);
     if (bestSpellCombo) {
-      return bestSpellCombo;
+      return {
+        ...bestSpellCombo,
+        rationale: explainSpell(bestSpellCombo.spell, bestSpellCombo.caster, bestSpellCombo.target, gameState.priorityTargets, playerField)
+      };
     }
   }
   
@@ -2028,7 +2447,7 @@ const determineEnhancedHardAction = (
     const surgeTool = enemyTools.find(t => t.tool_effect === 'Surge');
     if (surgeTool) {
       const bestAttacker = enemyField
-        .filter(c => !c.isDefending)
+        .filter(c => canTakeAction(c, 'attack'))
         .sort((a, b) => {
           const aAttack = Math.max(
             a.battleStats?.physicalAttack || 0,
@@ -2046,7 +2465,8 @@ const determineEnhancedHardAction = (
           type: 'useTool',
           tool: surgeTool,
           target: bestAttacker,
-          energyCost: 0
+          energyCost: 0,
+          rationale: explainBuff('combo-setup', surgeTool, bestAttacker, `${surgeTool.name} on ${bestAttacker.species_name} to keep the combo going`)
         };
       }
     }
@@ -2057,27 +2477,37 @@ const determineEnhancedHardAction = (
     const bestCreature = enemyHand
       .filter(c => (c.battleStats?.energyCost || 5) <= enemyEnergy)
       .sort((a, b) => {
-        const aValue = calculateDeploymentValue(a, enemyField, playerField, gameState, null);
-        const bValue = calculateDeploymentValue(b, enemyField, playerField, gameState, null);
+        const aValue = calculateDeploymentValue(a, enemyField, playerField, gameState, null).total;
+        const bValue = calculateDeploymentValue(b, enemyField, playerField, gameState, null).total;
         return bValue - aValue;
       })[0];
     
     if (bestCreature) {
+      const energyCost = bestCreature.battleStats?.energyCost || 5;
       return {
         type: 'deploy',
         creature: bestCreature,
-        energyCost: bestCreature.battleStats?.energyCost || 5
+        energyCost,
+        rationale: explainDeployment(
+          bestCreature,
+          calculateDeploymentValue(bestCreature, enemyField, playerField, gameState, null),
+          energyCost
+        )
       };
     }
   }
   
   // Focus fire with 95% accuracy
   if (gameState.shouldFocusFire && enemyField.length > 0 && playerField.length > 0 && enemyEnergy >= 2) {
-    const target = gameState.priorityTargets[0]?.creature;
+    // Highest priority target some attacker can reach
+    const attackers = enemyField.filter(c => canTakeAction(c, 'attack'));
+    const target = gameState.priorityTargets
+      .map(p => p.creature)
+      .find(creature => attackers.some(c => isInReach(c, playerField, creature)));
     if (target) {
       // Find best attacker for this target
-      const bestAttacker = enemyField
-        .filter(c => !c.isDefending)
+      const bestAttacker = attackers
+        .filter(c => isInReach(c, playerField, target))
         .sort((a, b) => {
           const aDamage = estimateAttackDamage(a, target);
           const bDamage = estimateAttackDamage(b, target);
@@ -2089,7 +2519,8 @@ const determineEnhancedHardAction = (
           type: 'attack',
           attacker: bestAttacker,
           target: target,
-          energyCost: 2
+          energyCost: 2,
+          rationale: explainAttack('focus-fire', bestAttacker, target, gameState.priorityTargets)
         };
       }
     }
@@ -2098,14 +2529,15 @@ const determineEnhancedHardAction = (
   // Strategic defense
   if (enemyEnergy >= 1 && gameState.shouldDefendStrategically) {
     const valuableHealthy = enemyField
-      .filter(c => !c.isDefending && c.currentHealth > c.battleStats?.maxHealth * 0.5)
+      .filter(c => canTakeAction(c, 'defend') && c.currentHealth > c.battleStats?.maxHealth * 0.5)
       .sort((a, b) => calculateCreaturePower(b) - calculateCreaturePower(a))[0];
     
     if (valuableHealthy) {
       return {
         type: 'defend',
         creature: valuableHealthy,
-        energyCost: 1
+        energyCost: 1,
+        rationale: explainDefend(valuableHealthy)
       };
     }
   }
@@ -2171,14 +2603,16 @@ const calculatePerfectMoveSequence = (
             tool: shieldTool,
             target: creature,
             energyCost: 0,
-            priority: 'critical-save'
+            priority: 'critical-save',
+            rationale: explainEmergency(creature, shieldTool, { incomingDamage })
           });
         } else if (energy >= 1) {
           sequence.push({
             type: 'defend',
             creature: creature,
             energyCost: 1,
-            priority: 'critical-save'
+            priority: 'critical-save',
+            rationale: explainEmergency(creature, null, { incomingDamage })
           });
         }
       }
@@ -2248,8 +2682,8 @@ const findGameWinningCombo = (ownField, enemyField, tools, spells, energy, gameS
     s.spell_type === 'magic'
   ).sort((a, b) => {
     // Sort by efficiency
-    const aEfficiency = estimateSpellEfficiency(a, ownField[0]);
-    const bEfficiency = estimateSpellEfficiency(b, ownField[0]);
+    const aEfficiency = estimateSpellEfficiency(a, ownField[0], enemyField);
+    const bEfficiency = estimateSpellEfficiency(b, ownField[0], enemyField);
     return bEfficiency - aEfficiency;
   });
   
@@ -2257,10 +2691,10 @@ const findGameWinningCombo = (ownField, enemyField, tools, spells, energy, gameS
   damageSpells.forEach(spell => {
     if (spellCost + 4 <= energy) {
       const caster = findBestSpellCaster(ownField, spell);
-      const target = findBestSpellTarget(enemyField, spell);
+      const target = findBestSpellTarget(enemyField, spell, caster);
       
       if (caster && target) {
-        const damage = estimateSpellDamage(spell, caster, target);
+        const damage = estimateSpellDamage(spell, caster, target, enemyField);
         spellDamage += damage;
         spellCost += 4;
         
@@ -2270,7 +2704,12 @@ const findGameWinningCombo = (ownField, enemyField, tools, spells, energy, gameS
           caster: caster,
           target: target,
           energyCost: 4,
-          priority: 'lethal-combo'
+          priority: 'lethal-combo',
+          rationale: createRationale('lethal', `${spell.name} from ${caster.species_name} on ${target.species_name} as part of a game-winning combo`, {
+            expectedDamage: damage,
+            comboDamage: spellDamage,
+            enemyHealth: totalEnemyHealth
+          })
         });
       }
     }
@@ -2284,7 +2723,7 @@ const findGameWinningCombo = (ownField, enemyField, tools, spells, energy, gameS
     // Add buff + attack combo
     const surgeTool = tools.find(t => t.tool_effect === 'Surge');
     const bestAttacker = ownField
-      .filter(c => !c.isDefending)
+      .filter(c => canTakeAction(c, 'attack'))
       .sort((a, b) => {
         const aAttack = Math.max(
           a.battleStats?.physicalAttack || 0,
@@ -2303,7 +2742,8 @@ const findGameWinningCombo = (ownField, enemyField, tools, spells, energy, gameS
         tool: surgeTool,
         target: bestAttacker,
         energyCost: 0,
-        priority: 'combo-setup'
+        priority: 'combo-setup',
+        rationale: explainBuff('combo-setup', surgeTool, bestAttacker, `${surgeTool.name} on ${bestAttacker.species_name} to finish the last ${remainingHealth} HP`)
       });
     }
   }
@@ -2339,11 +2779,19 @@ const calculateOptimalResourceUsage = (
   );
   
   if (deploymentValue.shouldDeploy && deploymentValue.creature) {
+    const energyCost = deploymentValue.creature.battleStats?.energyCost || 5;
+    const valueBreakdown = calculateDeploymentValue(deploymentValue.creature, ownField, enemyField, gameState, null);
+    
     actions.push({
       type: 'deploy',
       creature: deploymentValue.creature,
-      energyCost: deploymentValue.creature.battleStats?.energyCost || 5,
-      priority: 'optimal-timing'
+      energyCost,
+      priority: 'optimal-timing',
+      // The timing score is the deployment value, pushed up when behind
+      rationale: addRationaleScores(
+        explainDeployment(deploymentValue.creature, valueBreakdown, energyCost),
+        { timingScore: deploymentValue.score, threshold: deploymentValue.threshold }
+      )
     });
     remainingEnergy -= deploymentValue.creature.battleStats?.energyCost || 5;
   }
@@ -2388,10 +2836,12 @@ const calculateOptimalResourceUsage = (
 // Helper functions for enhanced AI
 
 // Find best spell caster
+// FIXED: Stunned and silenced creatures can't cast
 const findBestSpellCaster = (field, spell) => {
-  if (field.length === 0) return null;
+  const casters = field.filter(c => canCreatureAct(c, 'useSpell'));
+  if (casters.length === 0) return null;
   
-  return field.reduce((best, current) => {
+  return casters.reduce((best, current) => {
     if (!best) return current;
     
     const bestMagic = best.stats?.magic || 0;
@@ -2412,13 +2862,49 @@ const findBestSpellCaster = (field, spell) => {
   }, null);
 };
 
+// NEW: What a spell's status conditions add on a target - nothing when it is immune or
+// already carries the condition; disables count the threat they stop, poison and burn
+// the damage the target lives to take
+const getSpellConditionValue = (spell, target) => {
+  const conditions = getItemDefinition('spell', spell.spell_type, spell.spell_effect)?.conditions || [];
+  
+  return conditions.reduce((value, condition) => {
+    if (isImmuneToStatus(target, condition.status) || hasStatusCondition(target, condition.status)) return value;
+    const chance = condition.chance ?? 1;
+    
+    if (condition.status === 'stun' || condition.status === 'silence') {
+      const stoppedShare = 1 - (condition.status === 'stun' ? STUNNED_THREAT_SHARE : SILENCED_THREAT_SHARE);
+      return value + calculateCreaturePower(target) * stoppedShare * chance;
+    }
+    if (condition.status === 'poison' || condition.status === 'burn') {
+      const tickDamage = getConditionDamage(condition) * (condition.duration || 1);
+      return value + Math.min(tickDamage, target.currentHealth) * chance;
+    }
+    return value;
+  }, 0);
+};
+
 // Find best spell target
-const findBestSpellTarget = (targets, spell) => {
-  if (targets.length === 0) return null;
+// FIXED: Picks among legal targets (taunt) and counts the spell's status conditions
+const findBestSpellTarget = (targets, spell, caster = null) => {
+  const candidates = getLegalTargets(targets);
+  if (candidates.length === 0) return null;
+  
+  // NEW: Multi-target spells - centre on whatever lands the most total damage and kills
+  if (caster && isAreaDamageSpell(spell)) {
+    const scoreCentre = (centre) => estimateSpellHits(spell, caster, centre, targets)
+      .reduce((score, hit) => score + hit.damage + (hit.damage >= hit.creature.currentHealth ? 30 : 0), 0);
+    
+    return candidates.reduce((best, current) => scoreCentre(current) > scoreCentre(best) ? current : best);
+  }
+  
+  // Threat plus whatever the spell's conditions add, less for targets already disabled
+  const scoreTarget = (target) => calculateCreaturePower(target) * getDisabledThreatShare(target) +
+    getSpellConditionValue(spell, target);
   
   // For damage spells, target based on elimination potential
   if (spell.spell_effect === 'Surge' || spell.spell_type === 'strength') {
-    return targets.reduce((best, current) => {
+    return candidates.reduce((best, current) => {
       if (!best) return current;
       
       // Prioritize targets we can eliminate
@@ -2429,21 +2915,15 @@ const findBestSpellTarget = (targets, spell) => {
       if (!currentElimination && bestElimination) return best;
       
       // Otherwise target highest threat
-      const bestThreat = calculateCreaturePower(best);
-      const currentThreat = calculateCreaturePower(current);
-      
-      return currentThreat > bestThreat ? current : best;
+      return scoreTarget(current) > scoreTarget(best) ? current : best;
     }, null);
   }
   
   // For other spells, target highest value
-  return targets.reduce((best, current) => {
+  return candidates.reduce((best, current) => {
     if (!best) return current;
     
-    const bestValue = calculateCreaturePower(best);
-    const currentValue = calculateCreaturePower(current);
-    
-    return currentValue > bestValue ? current : best;
+    return scoreTarget(current) > scoreTarget(best) ? current : best;
   }, null);
 };
 
@@ -2457,7 +2937,7 @@ const findBestSpellCombo = (spells, ownField, enemyField, energy) => {
   
   if (damageSpell && energy >= 4) {
     const caster = findBestSpellCaster(ownField, damageSpell);
-    const target = findBestSpellTarget(enemyField, damageSpell);
+    const target = findBestSpellTarget(enemyField, damageSpell, caster);
     
     if (caster && target) {
       return {
@@ -2473,8 +2953,38 @@ const findBestSpellCombo = (spells, ownField, enemyField, energy) => {
   return null;
 };
 
-// Estimate spell damage
-const estimateSpellDamage = (spell, caster, target) => {
+// Spells that spread damage over several enemies
+const isAreaDamageSpell = (spell) => {
+  const targeting = describeSpellTargeting(spell);
+  return targeting.pattern !== 'single' && targeting.side === 'enemy';
+};
+
+// NEW: Damage each creature takes from a cast centred on target. Secondary hits
+// are scaled by falloff and capped at the creature's health so overkill doesn't count.
+const estimateSpellHits = (spell, caster, target, enemyField = null) => {
+  if (!enemyField || !isAreaDamageSpell(spell)) {
+    return [{ creature: target, damage: estimateSingleTargetSpellDamage(spell, caster, target) }];
+  }
+  
+  return getSpellHitWeights(spell, caster, target, { allies: [], enemies: enemyField })
+    .map(({ creature, multiplier }) => ({
+      creature,
+      damage: Math.min(
+        Math.floor(estimateSingleTargetSpellDamage(spell, caster, creature) * multiplier),
+        creature.currentHealth
+      )
+    }));
+};
+
+// Estimate spell damage - pass the enemy field to count every creature a multi-target spell reaches
+const estimateSpellDamage = (spell, caster, target, enemyField = null) => {
+  if (!enemyField || !isAreaDamageSpell(spell)) {
+    return estimateSingleTargetSpellDamage(spell, caster, target);
+  }
+  return estimateSpellHits(spell, caster, target, enemyField).reduce((sum, hit) => sum + hit.damage, 0);
+};
+
+const estimateSingleTargetSpellDamage = (spell, caster, target) => {
   const casterMagic = caster.stats?.magic || 5;
   const baseDamage = 20;
   
@@ -2495,8 +3005,10 @@ const estimateSpellDamage = (spell, caster, target) => {
 };
 
 // Estimate spell efficiency
-const estimateSpellEfficiency = (spell, caster) => {
-  const baseDamage = estimateSpellDamage(spell, caster, { battleStats: { magicalDefense: 5 } });
+const estimateSpellEfficiency = (spell, caster, enemyField = null) => {
+  const baseDamage = enemyField && enemyField.length > 0
+    ? estimateSpellDamage(spell, caster, enemyField[0], enemyField)
+    : estimateSpellDamage(spell, caster, { battleStats: { magicalDefense: 5 } });
   const energyCost = 4;
   
   return baseDamage / energyCost;
@@ -2509,7 +3021,7 @@ const calculateComboLethality = (combo, enemyField) => {
   
   combo.forEach(action => {
     if (action.type === 'useSpell') {
-      totalDamage += estimateSpellDamage(action.spell, action.caster, action.target);
+      totalDamage += estimateSpellDamage(action.spell, action.caster, action.target, enemyField);
     } else if (action.type === 'attack') {
       totalDamage += estimateAttackDamage(action.attacker, action.target) * 
         (action.attacker.activeEffects?.some(e => e.name?.includes('Surge')) ? 1.5 : 1);
@@ -2538,7 +3050,7 @@ const calculateDeploymentTiming = (ownField, enemyField, hand, energy, maxFieldS
   // Score each creature
   const scoredCreatures = deployable.map(creature => ({
     creature,
-    score: calculateDeploymentValue(creature, ownField, enemyField, gameState, null) * 
+    score: calculateDeploymentValue(creature, ownField, enemyField, gameState, null).total * 
           (1 + (gameState.winProbability < 0.5 ? 0.3 : 0)) // Deploy more aggressively when losing
   }));
   
@@ -2550,7 +3062,9 @@ const calculateDeploymentTiming = (ownField, enemyField, hand, energy, maxFieldS
   if (scoredCreatures[0].score >= threshold) {
     return {
       shouldDeploy: true,
-      creature: scoredCreatures[0].creature
+      creature: scoredCreatures[0].creature,
+      score: scoredCreatures[0].score,
+      threshold
     };
   }
   
@@ -2580,7 +3094,7 @@ const planPerfectItemUsage = (ownField, enemyField, tools, spells, energy, gameS
     spells.forEach(spell => {
       ownField.forEach(caster => {
         enemyField.forEach(target => {
-          const efficiency = calculateSpellEfficiency(spell, caster, target, gameState);
+          const efficiency = calculateSpellEfficiency(spell, caster, target, gameState, enemyField);
           itemOptions.push({
             type: 'spell',
             item: spell,
@@ -2607,7 +3121,11 @@ const planPerfectItemUsage = (ownField, enemyField, tools, spells, energy, gameS
           tool: option.item,
           target: option.target,
           energyCost: 0,
-          priority: 'optimal'
+          priority: 'optimal',
+          rationale: createRationale('item-value', `${option.item.name} on ${option.target.species_name} is the best use of the item right now`, {
+            efficiency: option.efficiency,
+            role: getItemRole(option.item)
+          })
         });
       } else if (option.type === 'spell' && energy >= 4) {
         itemActions.push({
@@ -2616,7 +3134,11 @@ const planPerfectItemUsage = (ownField, enemyField, tools, spells, energy, gameS
           caster: option.caster,
           target: option.target,
           energyCost: 4,
-          priority: 'optimal'
+          priority: 'optimal',
+          rationale: addRationaleScores(
+            explainSpell(option.item, option.caster, option.target, gameState.priorityTargets, enemyField),
+            { efficiency: option.efficiency }
+          )
         });
       }
       
@@ -2636,8 +3158,8 @@ const calculatePerfectAttackSequence = (ownField, enemyField, energy, gameState)
   const attackMatrix = [];
   
   ownField.forEach(attacker => {
-    if (!attacker.isDefending) {
-      enemyField.forEach(target => {
+    if (canTakeAction(attacker, 'attack')) {
+      getTargetsInReach(attacker, enemyField).forEach(target => {
         const damage = estimateAttackDamage(attacker, target);
         const priority = gameState.priorityTargets.find(p => p.creature.id === target.id)?.score || 0;
         
@@ -2672,7 +3194,17 @@ const calculatePerfectAttackSequence = (ownField, enemyField, energy, gameState)
           target: attack.target,
           energyCost: 2,
           priority: 'perfect',
-          expectedDamage: attack.damage
+          expectedDamage: attack.damage,
+          rationale: addRationaleScores(
+            explainAttack(
+              attack.damage >= attack.target.currentHealth ? 'lethal' : 'best-trade',
+              attack.attacker,
+              attack.target,
+              gameState.priorityTargets,
+              attack.damage
+            ),
+            { attackValue: attack.value }
+          )
         });
         
         usedAttackers.add(attack.attacker.id);
@@ -2685,16 +3217,16 @@ const calculatePerfectAttackSequence = (ownField, enemyField, energy, gameState)
 };
 
 // Calculate spell efficiency with context
-const calculateSpellEfficiency = (spell, caster, target, gameState) => {
-  const damage = estimateSpellDamage(spell, caster, target);
+const calculateSpellEfficiency = (spell, caster, target, gameState, enemyField = null) => {
+  const hits = estimateSpellHits(spell, caster, target, enemyField);
+  const damage = hits.reduce((sum, hit) => sum + hit.damage, 0);
   const energyCost = 4;
   
   let efficiency = (damage / energyCost) * 10;
   
-  // Bonus for elimination
-  if (damage >= target.currentHealth) {
-    efficiency += 100;
-  }
+  // Bonus for elimination - multi-target spells can finish off several creatures
+  const eliminations = hits.filter(hit => hit.damage >= hit.creature.currentHealth).length;
+  efficiency += eliminations * 100;
   
   // Bonus for high-priority targets
   const targetPriority = gameState.priorityTargets.find(p => p.creature.id === target.id)?.score || 0;
@@ -2715,38 +3247,46 @@ const calculateItemEfficiency = (item, target, gameState) => {
   // Base efficiency from item type
   efficiency += 20;
   
-  // Context-based efficiency
-  if (item.tool_effect === 'Shield' || item.spell_effect === 'Shield') {
-    const healthPercent = target.currentHealth / (target.battleStats?.maxHealth || 50);
-    efficiency += (1 - healthPercent) * 50;
-    
-    // Extra value for critical creatures
-    if (gameState.criticalCreatures.some(c => c.id === target.id)) {
-      efficiency += 50;
+  // Context-based efficiency - scored by what the item is for (see ITEM_ROLES)
+  switch (getItemRole(item)) {
+    case ITEM_ROLES.PROTECT: {
+      const healthPercent = target.currentHealth / (target.battleStats?.maxHealth || 50);
+      efficiency += (1 - healthPercent) * 50;
+      
+      // Extra value for critical creatures
+      if (gameState.criticalCreatures.some(c => c.id === target.id)) {
+        efficiency += 50;
+      }
+      break;
     }
-  } else if (item.tool_effect === 'Surge' || item.spell_effect === 'Surge') {
-    const attackPower = Math.max(
-      target.battleStats?.physicalAttack || 0,
-      target.battleStats?.magicalAttack || 0
-    );
-    efficiency += attackPower * 2;
-    
-    // Extra value if we're about to attack
-    if (gameState.shouldAttackAggressively) {
-      efficiency += 30;
+    case ITEM_ROLES.BURST: {
+      const attackPower = Math.max(
+        target.battleStats?.physicalAttack || 0,
+        target.battleStats?.magicalAttack || 0
+      );
+      efficiency += attackPower * 2;
+      
+      // Extra value if we're about to attack
+      if (gameState.shouldAttackAggressively) {
+        efficiency += 30;
+      }
+      break;
     }
-  } else if (item.tool_effect === 'Echo' || item.spell_effect === 'Echo') {
-    // Long-term value
-    efficiency += 30;
-    
-    // Extra value for high-stat creatures
-    const totalStats = Object.values(target.stats || {}).reduce((sum, stat) => sum + stat, 0);
-    efficiency += totalStats / 5;
-  } else if (item.tool_effect === 'Charge' || item.spell_effect === 'Charge') {
-    // Setup value
-    if (gameState.turnsToVictory > 3) {
-      efficiency += 40;
+    case ITEM_ROLES.SUSTAIN: {
+      // Long-term value
+      efficiency += 30;
+      
+      // Extra value for high-stat creatures
+      const totalStats = Object.values(target.stats || {}).reduce((sum, stat) => sum + stat, 0);
+      efficiency += totalStats / 5;
+      break;
     }
+    case ITEM_ROLES.SETUP:
+      // Setup value
+      if (gameState.turnsToVictory > 3) {
+        efficiency += 40;
+      }
+      break;
   }
   
   // Rarity bonus
@@ -2758,7 +3298,8 @@ const calculateItemEfficiency = (item, target, gameState) => {
   };
   efficiency += rarityBonus[item.rarity] || 5;
   
-  return efficiency;
+  // NEW: Personality preference for the item's role
+  return efficiency * getItemWeight(item, gameState.personality);
 };
 
 // Helper: Estimate attack damage
@@ -2925,5 +3466,195 @@ const validateAction = (action) => {
   }
 };
 
+// NEW: Drop actions a status condition forbids, redirect attacks onto taunting creatures
+// and point team-wide spells at the caster. ownField/opposingField are the AI's side and the side it attacks.
+// Target scoring already skips these, so this is only a safety net for planners that don't.
+const applyStatusRestrictions = (actions, ownField, opposingField) => {
+  const current = (creature) => ownField.find(c => c.id === creature?.id) || creature;
+  const taunting = getTauntingCreatures(opposingField);
+  
+  // Weakest taunting creature is the cheapest one to push through
+  const tauntTarget = taunting.length > 0
+    ? taunting.reduce((weakest, c) => c.currentHealth < weakest.currentHealth ? c : weakest)
+    : null;
+  const isOpposing = (creature) => opposingField.some(c => c.id === creature?.id);
+  
+  return actions.reduce((allowed, action) => {
+    switch (action.type) {
+      case 'attack':
+        if (!canCreatureAct(current(action.attacker), 'attack')) {
+          console.log(`AI: ${action.attacker.species_name} can't attack this turn`);
+          return allowed;
+        }
+        if (!isValidTarget(opposingField, action.target)) {
+          console.log(`AI: Redirecting attack to taunting ${tauntTarget.species_name}`);
+          return [...allowed, {
+            ...action,
+            target: tauntTarget,
+            rationale: addRationaleNote(action.rationale, `redirected onto taunting ${tauntTarget.species_name}`)
+          }];
+        }
+        return [...allowed, action];
+        
+      case 'useSpell':
+        if (!canCreatureAct(current(action.caster), 'useSpell')) {
+          console.log(`AI: ${action.caster.species_name} can't cast this turn`);
+          return allowed;
+        }
+        // Team-wide spells centre on the caster, whoever the plan aimed them at
+        if (describeSpellTargeting(action.spell).side === 'ally' && isOpposing(action.target)) {
+          return [...allowed, {
+            ...action,
+            target: action.caster,
+            rationale: addRationaleNote(action.rationale, 'centred on the caster')
+          }];
+        }
+        if (isOpposing(action.target) && !isValidTarget(opposingField, action.target)) {
+          return [...allowed, {
+            ...action,
+            target: tauntTarget,
+            rationale: addRationaleNote(action.rationale, `redirected onto taunting ${tauntTarget.species_name}`)
+          }];
+        }
+        return [...allowed, action];
+        
+      case 'defend':
+        return canCreatureAct(current(action.creature), 'defend') ? [...allowed, action] : allowed;
+        
+      default:
+        return [...allowed, action];
+    }
+  }, []);
+};
+
+// NEW: Give every deployment a row and move physical attacks off back-row creatures
+// the opposing front row still shields. Runs after applyStatusRestrictions, so taunt
+// redirects have already happened (taunting creatures are always reachable).
+// Planners only score targets in reach, so the redirect is a safety net.
+const applyFormationRestrictions = (actions, ownField, opposingField, maxFieldSize) => {
+  let plannedField = [...ownField];
+  
+  return actions.reduce((allowed, action) => {
+    switch (action.type) {
+      case 'deploy': {
+        const row = action.row || chooseDeploymentRow(action.creature, plannedField, maxFieldSize);
+        plannedField = [...plannedField, { ...action.creature, row }];
+        return [...allowed, { ...action, row }];
+      }
+        
+      case 'attack': {
+        if (!action.attacker?.battleStats) return [...allowed, action];
+        
+        const attackType = getAttackType(action.attacker);
+        if (canReachTarget(opposingField, action.target, attackType)) {
+          return [...allowed, action];
+        }
+        
+        const reachable = getReachableTargets(opposingField, attackType);
+        if (reachable.length === 0) {
+          console.log(`AI: ${action.attacker.species_name} can't reach anything past the front row`);
+          return allowed;
+        }
+        
+        // Weakest creature in reach is the best consolation target
+        const newTarget = reachable.reduce((weakest, c) => c.currentHealth < weakest.currentHealth ? c : weakest);
+        console.log(`AI: ${action.target.species_name} is behind the front row, attacking ${newTarget.species_name} instead`);
+        return [...allowed, {
+          ...action,
+          target: newTarget,
+          rationale: addRationaleNote(action.rationale, `${action.target.species_name} is behind the front row, hitting ${newTarget.species_name} instead`)
+        }];
+      }
+        
+      default:
+        return [...allowed, action];
+    }
+  }, []);
+};
+
+// NEW: Pick the creature a scripted boss attack goes for - 'weakest' is the lowest
+// health, 'strongest' the highest attack - among those it may and can hit
+const pickScriptedTarget = (boss, step, opposingField) => {
+  const reachable = getReachableTargets(opposingField, getAttackType(boss))
+    .filter(target => target.currentHealth > 0 && isValidTarget(opposingField, target));
+  if (reachable.length === 0) return null;
+  
+  const score = step.target === 'strongest'
+    ? (c) => Math.max(c.battleStats?.physicalAttack || 0, c.battleStats?.magicalAttack || 0)
+    : (c) => -c.currentHealth;
+  return reachable.reduce((best, c) => score(c) > score(best) ? c : best);
+};
+
+// One scripted step as an AI action, or null if the boss can't play it right now
+const toScriptedAction = (boss, step, opposingField) => {
+  const phaseName = getCurrentBossPhase(boss)?.name || 'its script';
+  
+  if (step.type === 'defend') {
+    return canCreatureAct(boss, 'defend') ? {
+      type: 'defend',
+      creature: boss,
+      energyCost: DEFEND_ENERGY_COST,
+      rationale: createRationale('boss-script', `${boss.species_name} braces itself (${phaseName})`)
+    } : null;
+  }
+  
+  const target = canCreatureAct(boss, 'attack') ? pickScriptedTarget(boss, step, opposingField) : null;
+  return target ? {
+    type: 'attack',
+    attacker: boss,
+    target,
+    energyCost: ATTACK_ENERGY_COST,
+    rationale: createRationale('boss-script', `${boss.species_name} goes for the ${step.target} target, ${target.species_name} (${phaseName})`, {
+      targetHealth: target.currentHealth
+    })
+  } : null;
+};
+
+const getPlannedCost = (action) => action.energyCost ?? ({
+  attack: ATTACK_ENERGY_COST,
+  defend: DEFEND_ENERGY_COST,
+  useSpell: SPELL_ENERGY_COST
+}[action.type] || 0);
+
+const getActorId = (action) => (action.attacker || action.caster || (action.type === 'defend' ? action.creature : null))?.id;
+
+// NEW: Boss phase scripts (see bossCreatures.js) override whatever the AI planned.
+// Each boss plays its queued steps first, in order, while it can; the rest of the
+// plan drops that boss's own moves and keeps what the remaining energy pays for.
+const applyBossScripts = (plan, ownField, opposingField, energy) => {
+  const bosses = ownField.filter(creature => getBossScriptStep(creature));
+  if (bosses.length === 0) return plan;
+  
+  let remainingEnergy = energy;
+  const scripted = [];
+  bosses.forEach(boss => {
+    for (const step of boss.bossScript) {
+      const action = toScriptedAction(boss, step, opposingField);
+      if (!action || action.energyCost > remainingEnergy) break;
+      
+      scripted.push(action);
+      remainingEnergy -= action.energyCost;
+    }
+  });
+  
+  if (scripted.length === 0) return plan;
+  
+  const scriptedIds = new Set(scripted.map(getActorId));
+  const planned = (Array.isArray(plan) ? plan : [plan]).filter(action =>
+    action && action.type !== 'endTurn' && !scriptedIds.has(getActorId(action))
+  );
+  
+  const affordable = planned.filter(action => {
+    const cost = getPlannedCost(action);
+    if (cost > remainingEnergy) return false;
+    remainingEnergy -= cost;
+    return true;
+  });
+  
+  console.log(`AI: ${scripted.length} scripted boss action(s) override the plan`);
+  const actions = [...scripted, ...affordable];
+  return actions.length === 1 ? actions[0] : actions;
+};
+
 // Export the enhanced AI
 export default determineAIAction;
@@ -1,5 +1,6 @@
 // src/utils/battleAnimations.js - Enhanced Animation System with All Effects - FIXED SYNERGY COLORS
 import { createRoot } from 'react-dom/client';
+import { cosmeticRandom } from './random';
 
 // Animation constants for timing - DOUBLED DAMAGE NUMBER DURATION
 export const ANIMATION_DURATIONS = {
@@ -63,6 +64,38 @@ export const ANIMATION_CLASSES = {
   }
 };
 
+// ===== ANIMATION SPEED =====
+// NEW: Auto-battle can play animations faster. Timers in this file go through
+// animationTimeout, and CSS animations and transitions get their playback rate
+// set as they start.
+let animationSpeed = 1;
+
+export const getAnimationSpeed = () => animationSpeed;
+
+// How long a timed step lasts at the current speed
+export const scaleAnimationDuration = (duration) => duration / animationSpeed;
+
+const animationTimeout = (callback, delay = 0) => setTimeout(callback, scaleAnimationDuration(delay));
+
+const applyPlaybackRate = (event) => {
+  event.target.getAnimations?.().forEach(animation => {
+    animation.playbackRate = animationSpeed;
+  });
+};
+
+export const setAnimationSpeed = (speed) => {
+  animationSpeed = speed > 0 ? speed : 1;
+  if (typeof document === 'undefined') return;
+  
+  document.removeEventListener('animationstart', applyPlaybackRate, true);
+  document.removeEventListener('transitionrun', applyPlaybackRate, true);
+  
+  if (animationSpeed !== 1) {
+    document.addEventListener('animationstart', applyPlaybackRate, true);
+    document.addEventListener('transitionrun', applyPlaybackRate, true);
+  }
+};
+
 /**
  * Helper to ensure element exists before animation
  */
@@ -194,13 +227,13 @@ export const animateAttack = (
     attackerElement.style.transform = `translate(${lungeX}px, ${lungeY}px)`;
     
     // 10. Reset attacker position after small delay
-    setTimeout(() => {
+    animationTimeout(() => {
       attackerElement.style.transition = 'transform 300ms ease-out';
       attackerElement.style.transform = '';
     }, 150);
     
     // 11. Play impact effect at halfway point
-    setTimeout(() => {
+    animationTimeout(() => {
       // Make target flash and shake
       targetElement.classList.add('battle-animation-hit');
       
@@ -225,7 +258,7 @@ export const animateAttack = (
       showDamageNumber(targetElement, damage, attackType, isCritical, isBlocked, damageType);
       
       // Remove impact after animation completes
-      setTimeout(() => {
+      animationTimeout(() => {
         if (impactEffect && impactEffect.parentNode) {
           impactEffect.remove();
         }
@@ -233,7 +266,7 @@ export const animateAttack = (
     }, duration / 2);
     
     // 12. Cleanup and callback after animation completes
-    setTimeout(() => {
+    animationTimeout(() => {
       if (effectContainer && effectContainer.parentNode) {
         effectContainer.remove();
       }
@@ -332,7 +365,7 @@ export const showDamageNumber = (
       damageElement.appendChild(typeLabel);
     }
     
-    const xOffset = (Math.random() * 40) - 20;
+    const xOffset = (cosmeticRandom() * 40) - 20;
     
     damageElement.style.position = 'fixed';
     damageElement.style.top = `${targetRect.top - 20}px`;
@@ -368,14 +401,14 @@ export const showDamageNumber = (
       
       shakeScreen(3, 300);
       
-      setTimeout(() => {
+      animationTimeout(() => {
         if (criticalLabel && criticalLabel.parentNode) {
           criticalLabel.remove();
         }
       }, ANIMATION_DURATIONS.DAMAGE_NUMBER);
     }
     
-    setTimeout(() => {
+    animationTimeout(() => {
       if (damageElement && damageElement.parentNode) {
         damageElement.remove();
       }
@@ -407,7 +440,7 @@ export const showBlockEffect = (targetElement) => {
     document.body.appendChild(blockEffect);
     
     // Remove after animation
-    setTimeout(() => {
+    animationTimeout(() => {
       if (blockEffect && blockEffect.parentNode) {
         blockEffect.remove();
       }
@@ -451,7 +484,7 @@ export const showComboIndicator = (comboLevel, isPlayer = true) => {
     }
     
     // Remove after animation
-    setTimeout(() => {
+    animationTimeout(() => {
       if (comboIndicator && comboIndicator.parentNode) {
         comboIndicator.remove();
       }
@@ -484,9 +517,9 @@ export const generateComboBurst = (x, y, particleClass = 'combo-player') => {
       
       // Randomize burst properties
       const angle = (Math.PI * 2 * i) / 20;
-      const distance = Math.random() * 100 + 50;
-      const size = Math.random() * 10 + 5;
-      const duration = Math.random() * 1000 + 500;
+      const distance = cosmeticRandom() * 100 + 50;
+      const size = cosmeticRandom() * 10 + 5;
+      const duration = cosmeticRandom() * 1000 + 500;
       
       // Set initial position
       particle.style.position = 'absolute';
@@ -510,7 +543,7 @@ export const generateComboBurst = (x, y, particleClass = 'combo-player') => {
       particle.classList.add('burst');
       
       // Remove after animation
-      setTimeout(() => {
+      animationTimeout(() => {
         if (particle && particle.parentNode) {
           particle.remove();
         }
@@ -518,7 +551,7 @@ export const generateComboBurst = (x, y, particleClass = 'combo-player') => {
     }
     
     // Clean up container after all particles are gone
-    setTimeout(() => {
+    animationTimeout(() => {
       if (container && container.parentNode) {
         container.remove();
       }
@@ -561,7 +594,7 @@ export const animateDefend = (defenderElement, onComplete = () => {}) => {
     generateParticles(defenderElement, 'shield', 8);
     
     // Clean up after animation completes
-    setTimeout(() => {
+    animationTimeout(() => {
       if (shieldEffect && shieldEffect.parentNode) {
         shieldEffect.remove();
       }
@@ -653,7 +686,7 @@ export const animateSpell = (
     document.body.appendChild(castingCircle);
     
     // 4. Create projectile after brief casting time
-    setTimeout(() => {
+    animationTimeout(() => {
       // Hide casting circle
       castingCircle.classList.add('fade-out');
       
@@ -694,7 +727,7 @@ export const animateSpell = (
       projectile.classList.add('animate');
       
       // 5. Play impact effect after projectile reaches target
-      setTimeout(() => {
+      animationTimeout(() => {
         // Create impact effect
         const impact = document.createElement('div');
         impact.className = `battle-animation-spell-impact ${spellVisualType}`;
@@ -721,7 +754,7 @@ export const animateSpell = (
         );
         
         // Clean up impact after animation
-        setTimeout(() => {
+        animationTimeout(() => {
           if (impact && impact.parentNode) {
             impact.remove();
           }
@@ -730,7 +763,7 @@ export const animateSpell = (
       }, 400); // Time for projectile to reach target
       
       // 6. Clean up projectile
-      setTimeout(() => {
+      animationTimeout(() => {
         if (projectile && projectile.parentNode) {
           projectile.remove();
         }
@@ -738,7 +771,7 @@ export const animateSpell = (
     }, 400); // Initial casting time
     
     // 7. Clean up and callback
-    setTimeout(() => {
+    animationTimeout(() => {
       if (castingCircle && castingCircle.parentNode) {
         castingCircle.remove();
       }
@@ -815,13 +848,13 @@ export const animateTool = (
     // 5. Animation sequence
     
     // First, scale up the icon
-    setTimeout(() => {
+    animationTimeout(() => {
       toolIcon.style.transition = 'all 300ms cubic-bezier(0.34, 1.56, 0.64, 1)';
       toolIcon.style.transform = 'translate(-50%, -50%) scale(1)';
     }, 50);
     
     // Then float icon to target
-    setTimeout(() => {
+    animationTimeout(() => {
       const targetRect = targetElement.getBoundingClientRect();
       toolIcon.style.transition = 'all 500ms cubic-bezier(0.22, 1, 0.36, 1)';
       toolIcon.style.top = `${targetRect.top + 20}px`;
@@ -829,7 +862,7 @@ export const animateTool = (
     }, 400);
     
     // Scale down and apply effect
-    setTimeout(() => {
+    animationTimeout(() => {
       // Add effect to target
       targetElement.classList.add(`battle-animation-tool-${toolVisualType}-target`);
       
@@ -852,7 +885,7 @@ export const animateTool = (
       document.body.appendChild(effectAura);
       
       // Remove effect after animation
-      setTimeout(() => {
+      animationTimeout(() => {
         if (effectAura && effectAura.parentNode) {
           effectAura.remove();
         }
@@ -861,7 +894,7 @@ export const animateTool = (
     }, 900);
     
     // 6. Clean up and callback
-    setTimeout(() => {
+    animationTimeout(() => {
       if (toolIcon && toolIcon.parentNode) {
         toolIcon.remove();
       }
@@ -906,9 +939,9 @@ export const animateTurnTransition = (activePlayer, turn) => {
     document.body.appendChild(transition);
     
     // Remove after animation
-    setTimeout(() => {
+    animationTimeout(() => {
       transition.classList.add('fade-out');
-      setTimeout(() => {
+      animationTimeout(() => {
         if (transition && transition.parentNode) {
           transition.remove();
         }
@@ -964,7 +997,7 @@ export const showAIThinking = (enemyElement, isComplex = false, onComplete = ()
       ANIMATION_DURATIONS.AI_THINKING.NORMAL;
     
     // Clean up and callback
-    setTimeout(() => {
+    animationTimeout(() => {
       if (thinking && thinking.parentNode) {
         thinking.remove();
       }
@@ -1008,11 +1041,11 @@ export const screenFlash = (color = '#fff', duration = 300, intensity = 0.3) =>
       flash.style.transition = `opacity ${duration / 2}ms ease-in`;
       flash.style.opacity = intensity.toString();
       
-      setTimeout(() => {
+      animationTimeout(() => {
         flash.style.transition = `opacity ${duration / 2}ms ease-out`;
         flash.style.opacity = '0';
         
-        setTimeout(() => {
+        animationTimeout(() => {
           if (flash && flash.parentNode) {
             flash.remove();
           }
@@ -1045,7 +1078,7 @@ export const shakeScreen = (intensity = 5, duration = 500) => {
     battlefield.style.setProperty('--shake-intensity', `${pixelIntensity}px`);
     
     // Reset after animation completes
-    setTimeout(() => {
+    animationTimeout(() => {
       battlefield.style.animation = '';
     }, duration);
   } catch (error) {
@@ -1102,7 +1135,7 @@ export const animateStatusEffect = (
     targetElement.classList.add(`status-effect-${isPositive ? 'buff' : 'debuff'}-glow`);
     
     // Remove after animation
-    setTimeout(() => {
+    animationTimeout(() => {
       if (effectContainer && effectContainer.parentNode) {
         effectContainer.remove();
       }
@@ -1139,13 +1172,13 @@ export const animateEnergyRegen = (
     // Create energy orbs
     const orbCount = Math.min(amount, 10);
     for (let i = 0; i < orbCount; i++) {
-      setTimeout(() => {
+      animationTimeout(() => {
         const orb = document.createElement('div');
         orb.className = `battle-animation-energy-orb ${isPlayer ? 'player' : 'enemy'}`;
         
         // Random starting position around the battlefield
         const startAngle = (Math.PI * 2 * i) / orbCount;
-        const startRadius = 100 + Math.random() * 50;
+        const startRadius = 100 + cosmeticRandom() * 50;
         const startX = window.innerWidth / 2 + Math.cos(startAngle) * startRadius;
         const startY = window.innerHeight / 2 + Math.sin(startAngle) * startRadius;
         
@@ -1158,7 +1191,7 @@ export const animateEnergyRegen = (
         document.body.appendChild(orb);
         
         // Animate to energy counter
-        setTimeout(() => {
+        animationTimeout(() => {
           orb.style.transition = 'all 800ms cubic-bezier(0.2, 0.85, 0.4, 1)';
           orb.style.top = `${rect.top + rect.height / 2}px`;
           orb.style.left = `${rect.left + rect.width / 2}px`;
@@ -1167,7 +1200,7 @@ export const animateEnergyRegen = (
         }, 50);
         
         // Remove orb
-        setTimeout(() => {
+        animationTimeout(() => {
           if (orb && orb.parentNode) {
             orb.remove();
           }
@@ -1177,7 +1210,7 @@ export const animateEnergyRegen = (
     
     // Show bonus effect if applicable
     if (hasBonus) {
-      setTimeout(() => {
+      animationTimeout(() => {
         const bonusEffect = document.createElement('div');
         bonusEffect.className = 'battle-animation-energy-bonus';
         bonusEffect.textContent = 'MOMENTUM BONUS!';
@@ -1190,7 +1223,7 @@ export const animateEnergyRegen = (
         
         document.body.appendChild(bonusEffect);
         
-        setTimeout(() => {
+        animationTimeout(() => {
           if (bonusEffect && bonusEffect.parentNode) {
             bonusEffect.remove();
           }
@@ -1199,7 +1232,7 @@ export const animateEnergyRegen = (
     }
     
     // Complete after all orbs have animated
-    setTimeout(onComplete, orbCount * 100 + 1000);
+    animationTimeout(onComplete, orbCount * 100 + 1000);
   } catch (error) {
     console.error('Error in animateEnergyRegen:', error);
     onComplete();
@@ -1226,7 +1259,7 @@ export const animateSynergyActivation = (synergies) => {
     };
     
     synergies.forEach((synergy, index) => {
-      setTimeout(() => {
+      animationTimeout(() => {
         // Create synergy burst at center of screen
         const burst = document.createElement('div');
         burst.className = `battle-animation-synergy-burst ${synergy.type}`;
@@ -1250,7 +1283,7 @@ export const animateSynergyActivation = (synergies) => {
         screenFlash(flashColor, 400, 0.3);
         
         // Remove burst after animation
-        setTimeout(() => {
+        animationTimeout(() => {
           if (burst && burst.parentNode) {
             burst.remove();
           }
@@ -1310,10 +1343,10 @@ export const generateParticles = (targetElement, particleType = 'damage', count
       particle.style.boxShadow = `0 0 5px ${config.shadow}`;
       
       // Randomize particle properties
-      const angle = Math.random() * 360;
-      const distance = Math.random() * 50 + 20;
-      const size = Math.random() * 8 + 4;
-      const duration = Math.random() * 1000 + 500;
+      const angle = cosmeticRandom() * 360;
+      const distance = cosmeticRandom() * 50 + 20;
+      const size = cosmeticRandom() * 8 + 4;
+      const duration = cosmeticRandom() * 1000 + 500;
       
       particle.style.position = 'absolute';
       particle.style.top = `${centerY}px`;
@@ -1329,14 +1362,14 @@ export const generateParticles = (targetElement, particleType = 'damage', count
       
       particle.classList.add('animate');
       
-      setTimeout(() => {
+      animationTimeout(() => {
         if (particle && particle.parentNode) {
           particle.remove();
         }
       }, duration);
     }
     
-    setTimeout(() => {
+    animationTimeout(() => {
       if (container && container.parentNode) {
         container.remove();
       }
@@ -1389,7 +1422,7 @@ export const getCreatureElement = (creatureId, isEnemy = false) => {
  */
 export const animateWithTiming = (animationFunction, delay = 0) => {
   return new Promise(resolve => {
-    setTimeout(() => {
+    animationTimeout(() => {
       try {
         animationFunction(() => resolve());
       } catch (error) {
@@ -1421,6 +1454,9 @@ export default {
   getCreatureElementWithRetry,
   animateWithTiming,
   waitForElement,
+  getAnimationSpeed,
+  setAnimationSpeed,
+  scaleAnimationDuration,
   ANIMATION_DURATIONS,
   ANIMATION_CLASSES
 };
@@ -1,4 +1,8 @@
 // src/utils/battleCalculations.js - FIXED SYNERGY APPLICATION AND HEALTH TRACKING
+import { random } from './random';
+import { getRowDamageMultiplier } from './battleFormation';
+import { applyBossModifiers } from './bossCreatures';
+
 // ENHANCED: Calculate derived stats with synergies, soft caps, and active effects
 export const calculateDerivedStats = (creature, activeSynergies = [], skipSynergies = false) => {
   // Validate input
@@ -83,8 +87,10 @@ export const calculateDerivedStats = (creature, activeSynergies = [], skipSynerg
   console.log(`  - Energy stat: ${energy}`);
   console.log(`  - Deployment cost: ${deploymentCost} (should be 5 + ${formLevel})`);
   
+  // NEW: Bosses start from their larger health pool plus the stat changes of every phase entered
+  let finalStats = applyBossModifiers(creature, baseStats);
+  
   // NEW: Apply active effects if creature has them
-  let finalStats = { ...baseStats };
   if (creature.activeEffects && Array.isArray(creature.activeEffects)) {
     console.log(`  - Active effects: ${creature.activeEffects.length}`);
     
@@ -152,7 +158,8 @@ function getSpecialtyMultipliers(creature) {
 }
 
 // ENHANCED: Calculate damage with form-based caps, glancing blows, AND COMBO MULTIPLIERS
-export const calculateDamage = (attacker, defender, attackType = 'physical', comboMultiplier = 1.0) => {
+// Variance, crit and dodge are rolled with rng (defaults to the active battle source)
+export const calculateDamage = (attacker, defender, attackType = 'physical', comboMultiplier = 1.0, rng = random) => {
   // Validate input
   if (!attacker || !defender || !attacker.battleStats || !defender.battleStats) {
     return {
@@ -191,16 +198,16 @@ export const calculateDamage = (attacker, defender, attackType = 'physical', com
   );
   
   // Calculate random variance (±15%)
-  const variance = 0.85 + (Math.random() * 0.3);
+  const variance = 0.85 + (rng() * 0.3);
   
   // Check for critical hit
-  const criticalRoll = Math.random() * 100;
+  const criticalRoll = rng() * 100;
   const baseCritChance = attackerStats.criticalChance || 5;
   const isCritical = criticalRoll <= baseCritChance;
   const criticalMultiplier = isCritical ? 1.5 : 1; // Reduced from 2.0 to 1.5
   
   // Check for dodge
-  const dodgeRoll = Math.random() * 100;
+  const dodgeRoll = rng() * 100;
   const baseDodgeChance = defenderStats.dodgeChance || 3;
   const isDodged = dodgeRoll <= baseDodgeChance;
   
@@ -214,8 +221,11 @@ export const calculateDamage = (attacker, defender, attackType = 'physical', com
     };
   }
   
+  // NEW: Front/back row position bonuses
+  const positionMultiplier = getRowDamageMultiplier(attacker, defender, attackType);
+  
   // ENHANCED DAMAGE FORMULA: Include combo multiplier
-  let rawDamage = attackValue * effectivenessMultiplier * variance * criticalMultiplier * comboMultiplier;
+  let rawDamage = attackValue * effectivenessMultiplier * variance * criticalMultiplier * comboMultiplier * positionMultiplier;
   
   // BALANCED: New defense calculation with better scaling
   // Defense provides percentage reduction that scales logarithmically
@@ -256,7 +266,7 @@ export const calculateDamage = (attacker, defender, attackType = 'physical', com
   // Log the damage calculation details for debugging
   console.log(`BALANCED Damage: ${attackValue} attack vs ${defenseValue} defense`);
   console.log(`Form difference: ${formDifference}, Type: ${damageType}`);
-  console.log(`Combo multiplier: ${comboMultiplier}x`);
+  console.log(`Combo multiplier: ${comboMultiplier}x, Position multiplier: ${positionMultiplier}x`);
   console.log(`Raw: ${rawDamage.toFixed(1)}, Reduction: ${(defenseReduction * 100).toFixed(1)}%, Final: ${finalDamage}`);
   
   return {
@@ -266,7 +276,48 @@ export const calculateDamage = (attacker, defender, attackType = 'physical', com
     effectiveness: getEffectivenessText(effectivenessMultiplier),
     damageType: damageType,
     formDifference: formDifference,
-    comboMultiplier: comboMultiplier
+    comboMultiplier: comboMultiplier,
+    positionMultiplier: positionMultiplier
+  };
+};
+
+// NEW: Damage forecast - calculateDamage run on pinned rolls instead of the battle rng,
+// so previews never touch the random stream. Rolls are drawn as variance, crit, dodge.
+const HIGHEST_ROLL = 0.9999;
+
+const pinnedRolls = (...rolls) => {
+  let index = 0;
+  return () => rolls[Math.min(index++, rolls.length - 1)];
+};
+
+/**
+ * Damage range of an attack without rolling it.
+ * @returns {Object|null} - { minDamage, maxDamage, critMinDamage, critMaxDamage, critChance,
+ *   dodgeChance, effectivenessMultiplier, effectiveness, damageType, positionMultiplier }
+ */
+export const forecastDamage = (attacker, defender, attackType = 'physical', comboMultiplier = 1.0) => {
+  if (!attacker || !defender || !attacker.battleStats || !defender.battleStats) {
+    return null;
+  }
+
+  const low = calculateDamage(attacker, defender, attackType, comboMultiplier, pinnedRolls(0, HIGHEST_ROLL, HIGHEST_ROLL));
+  const high = calculateDamage(attacker, defender, attackType, comboMultiplier, pinnedRolls(HIGHEST_ROLL, HIGHEST_ROLL, HIGHEST_ROLL));
+  const critLow = calculateDamage(attacker, defender, attackType, comboMultiplier, pinnedRolls(0, 0, HIGHEST_ROLL));
+  const critHigh = calculateDamage(attacker, defender, attackType, comboMultiplier, pinnedRolls(HIGHEST_ROLL, 0, HIGHEST_ROLL));
+
+  const effectivenessMultiplier = getEffectivenessMultiplier(attackType, attacker.stats || {}, defender.stats || {});
+
+  return {
+    minDamage: low.damage,
+    maxDamage: high.damage,
+    critMinDamage: critLow.damage,
+    critMaxDamage: critHigh.damage,
+    critChance: Math.min(100, Math.max(0, attacker.battleStats.criticalChance || 5)),
+    dodgeChance: Math.min(100, Math.max(0, defender.battleStats.dodgeChance || 3)),
+    effectivenessMultiplier,
+    effectiveness: getEffectivenessText(effectivenessMultiplier),
+    damageType: low.damageType,
+    positionMultiplier: low.positionMultiplier
   };
 };
 
@@ -3,8 +3,20 @@ import {
   getToolEffect, 
   getSpellEffect, 
   calculateEffectPower, 
-  processTimedEffect 
+  processTimedEffect,
+  getActiveEffectDescription,
+  getEffectIcon,
+  getSpellTargeting,
+  describeSpellTargeting
 } from './itemEffects';
+import {
+  applyStatusConditionDamage,
+  applyItemConditions,
+  cleanseStatusConditions,
+  describeActionBlocker,
+  getTauntingCreatures,
+  STATUS_CONDITIONS
+} from './statusConditions';
 import { 
   calculateDamage, 
   calculateDerivedStats, 
@@ -12,8 +24,14 @@ import {
   getFormMultiplier,
   applySynergyModifiers,
   calculateComboBonus,
-  checkFieldSynergies
+  checkFieldSynergies,
+  forecastDamage
 } from './battleCalculations';
+import { random, randomId } from './random';
+
+// Effect ids come from the seeded stream, so the same seed and actions rebuild
+// the same battle state
+const createEffectId = (prefix, rng = random) => `${prefix}-${randomId(7, rng)}`;
 
 // BALANCED: Get maximum energy with reasonable scaling
 const getMaxEnergy = (creatures, difficulty = 'medium') => {
@@ -96,44 +114,6 @@ const recalculateDerivedStats = (creature) => {
   return modifiedStats;
 };
 
-// Get description for effect types
-const getEffectDescription = (effectType, powerLevel = 'normal') => {
-  const descriptions = {
-    'Surge': {
-      'weak': 'Minor surge of power',
-      'normal': 'Surge of enhanced abilities',
-      'strong': 'Powerful surge of overwhelming might',
-      'maximum': 'Ultimate surge of devastating power'
-    },
-    'Shield': {
-      'weak': 'Basic protective barrier',
-      'normal': 'Solid defensive enhancement',
-      'strong': 'Powerful defensive fortress',
-      'maximum': 'Impenetrable defensive barrier'
-    },
-    'Echo': {
-      'weak': 'Faint repeating effect',
-      'normal': 'Resonating enhancement',
-      'strong': 'Powerful echoing phenomenon',
-      'maximum': 'Overwhelming echo cascade'
-    },
-    'Drain': {
-      'weak': 'Minor energy drain',
-      'normal': 'Life force absorption',
-      'strong': 'Powerful vampiric drain',
-      'maximum': 'Devastating soul drain'
-    },
-    'Charge': {
-      'weak': 'Slow power buildup',
-      'normal': 'Steady power accumulation',
-      'strong': 'Rapid power concentration',
-      'maximum': 'Explosive power convergence'
-    }
-  };
-  
-  return descriptions[effectType]?.[powerLevel] || `${effectType.toLowerCase()} effect`;
-};
-
 // BALANCED: Process a full turn of battle
 export const processTurn = (gameState, difficulty = 'medium') => {
   const newState = {...gameState};
@@ -353,7 +333,11 @@ export const applyOngoingEffects = (creatures, difficulty = 'medium', currentTur
       updatedCreature.isDefending = false;
     }
     
-    return updatedCreature;
+    // NEW: Poison and burn damage - durations count down when the owner's turn ends
+    const { creature: afterConditions, messages } = applyStatusConditionDamage(updatedCreature);
+    messages.forEach(message => console.log(message));
+    
+    return afterConditions;
   });
 };
 
@@ -376,7 +360,7 @@ const processDefeatedCreatures = (creatures, opposingCreatures = []) => {
           // Add a temporary effect to track this bonus
           if (!ally.activeEffects) ally.activeEffects = [];
           ally.activeEffects.push({
-            id: Date.now() + Math.random(),
+            id: createEffectId('death'),
             name: `${creature.species_name}'s Final Gift`,
             icon: '👑',
             type: 'legendary_blessing',
@@ -395,7 +379,7 @@ const processDefeatedCreatures = (creatures, opposingCreatures = []) => {
         survivingCreatures.forEach(ally => {
           if (!ally.activeEffects) ally.activeEffects = [];
           ally.activeEffects.push({
-            id: Date.now() + Math.random(),
+            id: createEffectId('death'),
             name: 'Energy Release',
             icon: '⚡',
             type: 'energy_burst',
@@ -413,7 +397,7 @@ const processDefeatedCreatures = (creatures, opposingCreatures = []) => {
         survivingCreatures.forEach(ally => {
           if (!ally.activeEffects) ally.activeEffects = [];
           ally.activeEffects.push({
-            id: Date.now() + Math.random(),
+            id: createEffectId('death'),
             name: 'Epic Essence',
             icon: '💜',
             type: 'epic_blessing',
@@ -433,7 +417,7 @@ const processDefeatedCreatures = (creatures, opposingCreatures = []) => {
         opposingCreatures.forEach(enemy => {
           if (!enemy.activeEffects) enemy.activeEffects = [];
           enemy.activeEffects.push({
-            id: Date.now() + Math.random(),
+            id: createEffectId('death'),
             name: 'Guilty Conscience',
             icon: '😰',
             type: 'debuff',
@@ -454,7 +438,8 @@ const processDefeatedCreatures = (creatures, opposingCreatures = []) => {
 };
 
 // ENHANCED: Process attack action with combo bonus and proper health tracking
-export const processAttack = (attacker, defender, attackType = 'auto', comboLevel = 0) => {
+// NEW: rng drives crit, dodge and on-hit effect rolls so attacks can be replayed from a seed
+export const processAttack = (attacker, defender, attackType = 'auto', comboLevel = 0, rng = random) => {
   // Validate input
   if (!attacker || !defender || !attacker.battleStats || !defender.battleStats) {
     console.error('processAttack: Invalid input', { attacker, defender });
@@ -471,6 +456,23 @@ export const processAttack = (attacker, defender, attackType = 'auto', comboLeve
     };
   }
   
+  // NEW: Stunned creatures can't attack
+  const blockedMessage = describeActionBlocker(attacker, 'attack');
+  if (blockedMessage) {
+    return {
+      updatedAttacker: attacker,
+      updatedDefender: defender,
+      battleLog: blockedMessage,
+      prevented: true,
+      damage: 0,
+      finalDamage: 0,
+      totalDamage: 0,
+      damageDealt: 0,
+      actualDamage: 0,
+      damageResult: { damage: 0, isDodged: false, isCritical: false, effectiveness: 'normal' }
+    };
+  }
+  
   // CRITICAL FIX: Create proper copies without losing health values
   const attackerClone = {
     ...attacker,
@@ -525,7 +527,7 @@ export const processAttack = (attacker, defender, attackType = 'auto', comboLeve
   const comboMultiplier = calculateComboBonus(comboLevel);
   
   // Pass combo multiplier to damage calculation
-  const damageResult = calculateDamage(attackerClone, defenderClone, attackType, comboMultiplier);
+  const damageResult = calculateDamage(attackerClone, defenderClone, attackType, comboMultiplier, rng);
   
   // Apply damage with additional effects
   let actualDamage = 0;
@@ -544,9 +546,9 @@ export const processAttack = (attacker, defender, attackType = 'auto', comboLeve
     // Critical hit effects (reduced impact)
     if (damageResult.isCritical) {
       // Critical hits may apply additional effects
-      if (Math.random() < 0.2) { // Reduced from 0.3
+      if (rng() < 0.2) { // Reduced from 0.3
         const bonusEffect = {
-          id: Date.now(),
+          id: createEffectId('critical', rng),
           name: 'Critical Strike Trauma',
           icon: '💥',
           type: 'debuff',
@@ -566,9 +568,9 @@ export const processAttack = (attacker, defender, attackType = 'auto', comboLeve
     // Effectiveness bonuses (reduced)
     if (damageResult.effectiveness === 'very effective' || damageResult.effectiveness === 'effective') {
       // Effective attacks may cause additional effects
-      if (Math.random() < 0.25) { // Reduced from 0.4
+      if (rng() < 0.25) { // Reduced from 0.4
         const statusEffect = {
-          id: Date.now() + 1,
+          id: createEffectId('weakness', rng),
           name: 'Elemental Weakness',
           icon: '⚡',
           type: 'debuff',
@@ -656,6 +658,50 @@ export const processAttack = (attacker, defender, attackType = 'auto', comboLeve
   };
 };
 
+// Tool effect scaled by effect power (with caps) - shared by applyTool and forecastTool
+const scaleToolEffect = (toolEffect, powerMultiplier) => ({
+  ...toolEffect,
+  statChanges: toolEffect.statChanges ? 
+    Object.entries(toolEffect.statChanges).reduce((acc, [stat, value]) => {
+      // Cap stat changes to prevent extreme values
+      const cappedValue = Math.min(Math.abs(value), 10) * Math.sign(value);
+      acc[stat] = Math.round(cappedValue * Math.min(powerMultiplier, 1.5));
+      return acc;
+    }, {}) : {},
+  healthChange: toolEffect.healthChange ? 
+    Math.round(Math.min(toolEffect.healthChange * powerMultiplier, 50)) : 0, // Cap healing
+  healthOverTime: toolEffect.healthOverTime ? 
+    Math.round(toolEffect.healthOverTime * powerMultiplier) : 0,
+  duration: toolEffect.duration || 1
+});
+
+// Spell effect scaled by effect power and hit potency (with caps) - shared by applySpell and forecastSpell
+const scaleSpellEffect = (spellEffect, powerMultiplier, potency = 1) => ({
+  ...spellEffect,
+  damage: spellEffect.damage ? 
+    Math.round(Math.min(spellEffect.damage * powerMultiplier, 100) * potency) : 0, // Cap damage
+  healing: spellEffect.healing ? 
+    Math.round(Math.min(spellEffect.healing * powerMultiplier, 80) * potency) : 0, // Cap healing
+  selfHeal: spellEffect.selfHeal ? 
+    Math.round(Math.min(spellEffect.selfHeal * powerMultiplier, 40) * potency) : 0, // Cap self heal
+  healthOverTime: spellEffect.healthOverTime ? 
+    Math.round(spellEffect.healthOverTime * powerMultiplier * potency) : 0,
+  statChanges: spellEffect.statChanges ? 
+    Object.entries(spellEffect.statChanges).reduce((acc, [stat, value]) => {
+      // Cap stat changes
+      const cappedValue = Math.min(Math.abs(value), 12) * Math.sign(value);
+      acc[stat] = Math.round(cappedValue * Math.min(powerMultiplier, 1.5));
+      return acc;
+    }, {}) : {},
+  statDrain: spellEffect.statDrain,
+  statGain: spellEffect.statGain
+});
+
+const getSpellCritChance = (casterMagic) => Math.min(3 + Math.floor(casterMagic * 0.3), 15); // Reduced from 0.5
+
+const isArmorPiercing = (scaledSpellEffect, powerMultiplier) =>
+  !!scaledSpellEffect.armorPiercing || powerMultiplier >= 1.3;
+
 // FIXED: Apply tool effect with proper effect tracking
 export const applyTool = (creature, tool, difficulty = 'medium', currentTurn = 0) => {
   // Validate input
@@ -692,21 +738,7 @@ export const applyTool = (creature, tool, difficulty = 'medium', currentTurn = 0
   }
   
   // Scale effects by power multiplier (with caps)
-  const scaledToolEffect = {
-    ...toolEffect,
-    statChanges: toolEffect.statChanges ? 
-      Object.entries(toolEffect.statChanges).reduce((acc, [stat, value]) => {
-        // Cap stat changes to prevent extreme values
-        const cappedValue = Math.min(Math.abs(value), 10) * Math.sign(value);
-        acc[stat] = Math.round(cappedValue * Math.min(basePowerMultiplier, 1.5));
-        return acc;
-      }, {}) : {},
-    healthChange: toolEffect.healthChange ? 
-      Math.round(Math.min(toolEffect.healthChange * basePowerMultiplier, 50)) : 0, // Cap healing
-    healthOverTime: toolEffect.healthOverTime ? 
-      Math.round(toolEffect.healthOverTime * basePowerMultiplier) : 0,
-    duration: toolEffect.duration || 1
-  };
+  const scaledToolEffect = scaleToolEffect(toolEffect, basePowerMultiplier);
   
   // Apply immediate stat changes
   if (scaledToolEffect.statChanges && typeof scaledToolEffect.statChanges === 'object') {
@@ -723,11 +755,11 @@ export const applyTool = (creature, tool, difficulty = 'medium', currentTurn = 0
                      basePowerMultiplier >= 1.1 ? 'normal' : 'weak';
     
     const activeEffect = {
-      id: Date.now() + Math.random(),
+      id: createEffectId('tool'),
       name: `${tool.name || "Tool"} Effect`,
-      icon: getToolIcon(tool.tool_effect),
+      icon: getEffectIcon(tool.tool_effect, 'tool'),
       type: tool.tool_type || "enhancement",
-      description: getEffectDescription(tool.tool_effect || "enhancement", powerLevel),
+      description: getActiveEffectDescription(tool.tool_effect || "enhancement", powerLevel),
       duration: scaledToolEffect.duration,
       statModifications: scaledToolEffect.statChanges || {},
       healthOverTime: scaledToolEffect.healthOverTime || 0,
@@ -767,14 +799,24 @@ export const applyTool = (creature, tool, difficulty = 'medium', currentTurn = 0
   // Recalculate derived stats after tool application
   creatureClone.battleStats = recalculateDerivedStats(creatureClone);
   
+  // NEW: Status conditions - cleanse first so the tool's own conditions stick
+  const cleansed = cleanseStatusConditions(creatureClone, tool.tool_effect);
+  const conditionResult = applyItemConditions(cleansed.creature, toolEffect.conditions, { source: tool.id });
+  
   return {
-    updatedCreature: creatureClone,
-    toolEffect: scaledToolEffect
+    updatedCreature: conditionResult.creature,
+    toolEffect: scaledToolEffect,
+    appliedConditions: conditionResult.applied,
+    cleansedConditions: cleansed.removed
   };
 };
 
 // FIXED: Apply spell effect with proper effect tracking
-export const applySpell = (caster, target, spell, difficulty = 'medium', currentTurn = 0) => {
+// options.potency scales the spell for secondary hits of multi-target spells,
+// options.allyTarget lets healing land on allies other than the caster
+export const applySpell = (caster, target, spell, difficulty = 'medium', currentTurn = 0, rng = random, options = {}) => {
+  const { potency = 1, allyTarget = false } = options;
+  
   // Validate input
   if (!caster || !target || !spell) {
     console.error("Spell application failed - missing parameters:", { caster, target, spell });
@@ -797,6 +839,18 @@ export const applySpell = (caster, target, spell, difficulty = 'medium', current
     };
   }
   
+  // NEW: Stunned or silenced creatures can't cast
+  const blockedMessage = describeActionBlocker(caster, 'useSpell');
+  if (blockedMessage) {
+    console.error(blockedMessage);
+    return {
+      updatedCaster: caster,
+      updatedTarget: target,
+      spellEffect: null,
+      blocked: blockedMessage
+    };
+  }
+  
   // Deep clone to avoid mutations
   const targetClone = JSON.parse(JSON.stringify(target));
   const casterClone = JSON.parse(JSON.stringify(caster));
@@ -818,34 +872,15 @@ export const applySpell = (caster, target, spell, difficulty = 'medium', current
   }
   
   // Scale spell effects by power multiplier (with caps)
-  const scaledSpellEffect = {
-    ...spellEffect,
-    damage: spellEffect.damage ? 
-      Math.round(Math.min(spellEffect.damage * basePowerMultiplier, 100)) : 0, // Cap damage
-    healing: spellEffect.healing ? 
-      Math.round(Math.min(spellEffect.healing * basePowerMultiplier, 80)) : 0, // Cap healing
-    selfHeal: spellEffect.selfHeal ? 
-      Math.round(Math.min(spellEffect.selfHeal * basePowerMultiplier, 40)) : 0, // Cap self heal
-    healthOverTime: spellEffect.healthOverTime ? 
-      Math.round(spellEffect.healthOverTime * basePowerMultiplier) : 0,
-    statChanges: spellEffect.statChanges ? 
-      Object.entries(spellEffect.statChanges).reduce((acc, [stat, value]) => {
-        // Cap stat changes
-        const cappedValue = Math.min(Math.abs(value), 12) * Math.sign(value);
-        acc[stat] = Math.round(cappedValue * Math.min(basePowerMultiplier, 1.5));
-        return acc;
-      }, {}) : {},
-    statDrain: spellEffect.statDrain,
-    statGain: spellEffect.statGain
-  };
+  const scaledSpellEffect = scaleSpellEffect(spellEffect, basePowerMultiplier, potency);
   
   // Apply direct damage with critical chance
   if (scaledSpellEffect.damage) {
     let finalDamage = scaledSpellEffect.damage;
     
     // Spell critical hits based on caster's magic (reduced chance)
-    const critChance = Math.min(3 + Math.floor(casterMagic * 0.3), 15); // Reduced from 0.5
-    const isCritical = Math.random() * 100 <= critChance;
+    const critChance = getSpellCritChance(casterMagic);
+    const isCritical = rng() * 100 <= critChance;
     
     if (isCritical) {
       finalDamage = Math.round(finalDamage * 1.5); // Reduced from 1.8
@@ -853,7 +888,7 @@ export const applySpell = (caster, target, spell, difficulty = 'medium', current
     }
     
     // Apply armor piercing for high-level spells (reduced effectiveness)
-    if (scaledSpellEffect.armorPiercing || basePowerMultiplier >= 1.3) {
+    if (isArmorPiercing(scaledSpellEffect, basePowerMultiplier)) {
       // Ignore 20% of target's defenses (reduced from 30%)
       const defenseMitigation = Math.round(finalDamage * 0.2);
       finalDamage += defenseMitigation;
@@ -869,7 +904,7 @@ export const applySpell = (caster, target, spell, difficulty = 'medium', current
   }
   
   // Apply healing effects
-  if (scaledSpellEffect.healing && caster.id === target.id) {
+  if (scaledSpellEffect.healing && (caster.id === target.id || allyTarget)) {
     const oldHealth = targetClone.currentHealth;
     targetClone.currentHealth = Math.min(
       targetClone.currentHealth + scaledSpellEffect.healing,
@@ -920,11 +955,11 @@ export const applySpell = (caster, target, spell, difficulty = 'medium', current
                      basePowerMultiplier >= 1.1 ? 'normal' : 'weak';
     
     const activeEffect = {
-      id: Date.now() + Math.random(),
+      id: createEffectId('spell', rng),
       name: `${spell.name || "Spell"} Effect`,
-      icon: getSpellIcon(spell.spell_effect),
+      icon: getEffectIcon(spell.spell_effect, 'spell'),
       type: spell.spell_type || "magic",
-      description: getEffectDescription(spell.spell_effect || "magic", powerLevel),
+      description: getActiveEffectDescription(spell.spell_effect || "magic", powerLevel),
       duration: spellEffect.duration,
       statModifications: scaledSpellEffect.statChanges || {},
       healthOverTime: scaledSpellEffect.healthOverTime || 0,
@@ -954,10 +989,300 @@ export const applySpell = (caster, target, spell, difficulty = 'medium', current
     targetClone.battleStats = recalculateDerivedStats(targetClone);
   }
   
+  // NEW: Status conditions - rolled after damage so earlier rolls keep their order
+  const cleansed = cleanseStatusConditions(targetClone, spell.spell_effect);
+  const conditionResult = applyItemConditions(cleansed.creature, spellEffect.conditions, {
+    isSelfTarget: caster.id === target.id,
+    source: spell.id,
+    rng
+  });
+  
   return {
     updatedCaster: casterClone,
-    updatedTarget: targetClone,
-    spellEffect: scaledSpellEffect
+    updatedTarget: conditionResult.creature,
+    spellEffect: scaledSpellEffect,
+    appliedConditions: conditionResult.applied,
+    cleansedConditions: cleansed.removed
+  };
+};
+
+// NEW: MULTI-TARGET SPELLS
+// `field` is { allies, enemies } as seen from the caster
+
+// The creature a pattern centres on: the picked target when it is on the
+// right side, otherwise a taunting enemy, the first enemy or the caster
+const resolvePrimaryTarget = (spell, caster, target, { allies = [], enemies = [] }) => {
+  const { side } = describeSpellTargeting(spell);
+  
+  if (side === 'enemy') {
+    if (target && enemies.some(c => c.id === target.id)) return target;
+    return getTauntingCreatures(enemies)[0] || enemies[0] || target || caster;
+  }
+  
+  if (side === 'ally') {
+    return target && allies.some(c => c.id === target.id) ? target : caster;
+  }
+  
+  return target || caster;
+};
+
+// Primary target first, then the rest of the field in order
+const primaryFirst = (creatures, primary, falloff) => [
+  { creature: primary, multiplier: 1 },
+  ...creatures.filter(c => c.id !== primary.id).map(creature => ({ creature, multiplier: falloff }))
+];
+
+/**
+ * Expected share of full power each creature receives from a spell. Random
+ * patterns spread their hits evenly, so this is what the AI should plan with.
+ * @returns {Array} - [{ creature, multiplier }]
+ */
+export const getSpellHitWeights = (spell, caster, target, field = {}) => {
+  const { pattern, falloff, count } = getSpellTargeting(spell);
+  const { allies = [], enemies = [] } = field;
+  const primary = resolvePrimaryTarget(spell, caster, target, field);
+  
+  switch (pattern) {
+    case 'all_enemies':
+      return enemies.length > 0 ? primaryFirst(enemies, primary, falloff) : [{ creature: primary, multiplier: 1 }];
+      
+    case 'adjacent': {
+      const index = enemies.findIndex(c => c.id === primary.id);
+      if (index === -1) return [{ creature: primary, multiplier: 1 }];
+      return primaryFirst(enemies.filter((c, i) => Math.abs(i - index) <= 1), primary, falloff);
+    }
+    
+    case 'random_enemies': {
+      if (enemies.length === 0) return [{ creature: primary, multiplier: 1 }];
+      const hits = Math.min(count, enemies.length);
+      let totalPower = 0;
+      for (let i = 0; i < hits; i++) totalPower += Math.pow(falloff, i);
+      return enemies.map(creature => ({ creature, multiplier: totalPower / enemies.length }));
+    }
+    
+    case 'all_allies':
+      return allies.length > 0 ? primaryFirst(allies, primary, falloff) : [{ creature: primary, multiplier: 1 }];
+      
+    default:
+      return [{ creature: primary, multiplier: 1 }];
+  }
+};
+
+// The creatures a cast actually hits, rolling the picks of random patterns
+export const getSpellTargets = (spell, caster, target, field = {}, rng = random) => {
+  const { pattern, falloff, count } = getSpellTargeting(spell);
+  const enemies = field.enemies || [];
+  
+  if (pattern !== 'random_enemies' || enemies.length === 0) {
+    return getSpellHitWeights(spell, caster, target, field);
+  }
+  
+  // Partial shuffle - each hit lands on a different enemy
+  const pool = [...enemies];
+  const hits = Math.min(count, pool.length);
+  for (let i = 0; i < hits; i++) {
+    const j = i + Math.floor(rng() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  
+  return pool.slice(0, hits).map((creature, i) => ({ creature, multiplier: Math.pow(falloff, i) }));
+};
+
+/**
+ * Cast a spell on every creature its targeting pattern reaches. Single-target
+ * spells go through here too and roll exactly what applySpell would.
+ * @returns {Object} - applySpell's result for the primary target, plus
+ *   updatedTargets (every creature hit other than the caster) and hits
+ *   ([{ targetId, multiplier, damage, healing, wasCritical, appliedConditions }])
+ */
+export const applySpellToTargets = (caster, target, spell, field = {}, difficulty = 'medium', currentTurn = 0, rng = random) => {
+  const targets = getSpellTargets(spell, caster, target, field, rng);
+  const allyTarget = describeSpellTargeting(spell).side === 'ally';
+  
+  let currentCaster = caster;
+  let failedResult = null;
+  const updatedTargets = [];
+  const hits = [];
+  
+  targets.forEach(({ creature, multiplier }) => {
+    const isCaster = creature.id === caster.id;
+    const result = applySpell(
+      currentCaster,
+      isCaster ? currentCaster : creature,
+      spell,
+      difficulty,
+      currentTurn,
+      rng,
+      { potency: multiplier, allyTarget }
+    );
+    
+    if (!result?.spellEffect) {
+      failedResult = failedResult || result;
+      return;
+    }
+    
+    // Chain caster changes (drain heals, self-buffs) into the next hit
+    if (isCaster) {
+      currentCaster = result.updatedTarget;
+    } else {
+      currentCaster = result.updatedCaster;
+      updatedTargets.push(result.updatedTarget);
+    }
+    
+    hits.push({
+      targetId: creature.id,
+      multiplier,
+      damage: result.spellEffect.actualDamage || result.spellEffect.damage || 0,
+      healing: result.spellEffect.healing || 0,
+      wasCritical: result.spellEffect.wasCritical || false,
+      spellEffect: result.spellEffect,
+      appliedConditions: result.appliedConditions || [],
+      cleansedConditions: result.cleansedConditions || []
+    });
+  });
+  
+  if (hits.length === 0) {
+    return { ...(failedResult || { updatedCaster: caster, updatedTarget: target, spellEffect: null }), updatedTargets: [], hits: [] };
+  }
+  
+  const [primaryHit] = hits;
+  const updatedPrimary = primaryHit.targetId === caster.id
+    ? currentCaster
+    : updatedTargets.find(c => c.id === primaryHit.targetId);
+  
+  return {
+    updatedCaster: currentCaster,
+    updatedTarget: updatedPrimary,
+    updatedTargets,
+    spellEffect: {
+      ...primaryHit.spellEffect,
+      totalDamage: hits.reduce((sum, hit) => sum + hit.damage, 0),
+      targetCount: hits.length
+    },
+    appliedConditions: primaryHit.appliedConditions,
+    cleansedConditions: primaryHit.cleansedConditions,
+    hits
+  };
+};
+
+// NEW: FORECASTS
+// What an action would do, worked out with the same numbers the action uses but
+// without rolling or changing anything. Used by the damage preview.
+
+const getMissingHealth = (creature) =>
+  Math.max(0, (creature.battleStats?.maxHealth || 0) - (creature.currentHealth || 0));
+
+const describeItemConditions = (conditions) =>
+  (conditions || []).map(({ status, chance = 1 }) => ({ name: STATUS_CONDITIONS[status]?.name || status, chance }));
+
+/**
+ * Damage range, crit/dodge chances and lethality of an attack.
+ * @returns {Object|null} - forecastDamage's result plus attackType, blocked, isLethal, canBeLethal
+ */
+export const forecastAttack = (attacker, defender, attackType = 'auto', comboLevel = 0) => {
+  if (!attacker || !defender || !attacker.battleStats || !defender.battleStats) {
+    return null;
+  }
+  
+  if (attackType === 'auto') {
+    attackType = attacker.battleStats.physicalAttack >= attacker.battleStats.magicalAttack 
+      ? 'physical' 
+      : 'magical';
+  }
+  
+  // Include the charge bonus processAttack would consume
+  const attackStat = attackType === 'physical' ? 'physicalAttack' : 'magicalAttack';
+  const chargedAttacker = attacker.nextAttackBonus
+    ? { ...attacker, battleStats: { ...attacker.battleStats, [attackStat]: attacker.battleStats[attackStat] + attacker.nextAttackBonus } }
+    : attacker;
+  
+  const forecast = forecastDamage(chargedAttacker, defender, attackType, calculateComboBonus(comboLevel));
+  
+  return {
+    ...forecast,
+    attackType,
+    blocked: describeActionBlocker(attacker, 'attack'),
+    // Lethal unless dodged, or only on the luckiest crit
+    isLethal: forecast.minDamage >= defender.currentHealth,
+    canBeLethal: forecast.critMaxDamage >= defender.currentHealth
+  };
+};
+
+/**
+ * Scaled stat changes, healing and conditions a tool would give a creature.
+ * @returns {Object|null} - { powerMultiplier, statChanges, healing, healthOverTime, duration, cleanses, conditions }
+ */
+export const forecastTool = (creature, tool, difficulty = 'medium') => {
+  if (!creature || !tool || !creature.battleStats) {
+    return null;
+  }
+  
+  const powerMultiplier = calculateEffectPower(tool, creature.stats, difficulty);
+  const toolEffect = scaleToolEffect(getToolEffect(tool), powerMultiplier);
+  
+  return {
+    powerMultiplier,
+    statChanges: toolEffect.statChanges,
+    healing: toolEffect.healthChange > 0 ? Math.min(toolEffect.healthChange, getMissingHealth(creature)) : 0,
+    healthOverTime: toolEffect.healthOverTime,
+    duration: toolEffect.duration,
+    cleanses: cleanseStatusConditions(creature, tool.tool_effect).removed,
+    conditions: describeItemConditions(toolEffect.conditions)
+  };
+};
+
+/**
+ * Damage and healing a spell would deal to every creature its pattern reaches.
+ * Random patterns report each enemy's expected share (see getSpellHitWeights).
+ * @returns {Object|null} - { powerMultiplier, critChance, isRandom, blocked, hits, totalDamage,
+ *   totalCritDamage, selfHeal, statChanges, duration, conditions }
+ */
+export const forecastSpell = (caster, target, spell, field = {}, difficulty = 'medium') => {
+  if (!caster || !spell || !caster.stats || !caster.battleStats) {
+    return null;
+  }
+  
+  const casterMagic = caster.stats.magic || 5;
+  const powerMultiplier = calculateEffectPower(spell, caster.stats, difficulty);
+  const spellEffect = getSpellEffect(spell, casterMagic);
+  const targeting = describeSpellTargeting(spell);
+  const allyTarget = targeting.side === 'ally';
+  
+  let selfHeal = 0;
+  const hits = getSpellHitWeights(spell, caster, target || caster, field).map(({ creature, multiplier }) => {
+    const scaled = scaleSpellEffect(spellEffect, powerMultiplier, multiplier);
+    const withPiercing = (damage) => isArmorPiercing(scaled, powerMultiplier) ? damage + Math.round(damage * 0.2) : damage;
+    const damage = scaled.damage ? withPiercing(scaled.damage) : 0;
+    const critDamage = scaled.damage ? withPiercing(Math.round(scaled.damage * 1.5)) : 0;
+    const isCaster = creature.id === caster.id;
+    
+    if (!isCaster) selfHeal += scaled.selfHeal || 0;
+    
+    return {
+      creature,
+      multiplier,
+      damage,
+      critDamage,
+      healing: scaled.healing && (isCaster || allyTarget) ? Math.min(scaled.healing, getMissingHealth(creature)) : 0,
+      isLethal: damage > 0 && damage >= creature.currentHealth,
+      canBeLethal: critDamage > 0 && critDamage >= creature.currentHealth
+    };
+  });
+  
+  const fullEffect = scaleSpellEffect(spellEffect, powerMultiplier);
+  
+  return {
+    powerMultiplier,
+    critChance: fullEffect.damage ? getSpellCritChance(casterMagic) : 0,
+    isRandom: targeting.pattern === 'random_enemies',
+    blocked: describeActionBlocker(caster, 'useSpell'),
+    hits,
+    totalDamage: hits.reduce((sum, hit) => sum + hit.damage, 0),
+    totalCritDamage: hits.reduce((sum, hit) => sum + hit.critDamage, 0),
+    selfHeal: Math.min(selfHeal, getMissingHealth(caster)),
+    statChanges: fullEffect.statChanges,
+    duration: spellEffect.duration || 0,
+    conditions: describeItemConditions(spellEffect.conditions)
   };
 };
 
@@ -996,7 +1321,7 @@ export const defendCreature = (creature, difficulty = 'medium') => {
   creatureClone.activeEffects = [
     ...creatureClone.activeEffects,
     {
-      id: `defense-${Date.now()}`,
+      id: createEffectId('defense'),
       type: 'defense',
       name: 'Defensive Stance',
       icon: '🛡️',
@@ -1018,31 +1343,13 @@ export const defendCreature = (creature, difficulty = 'medium') => {
     activeEffects: creatureClone.activeEffects.length
   });
   
-  return creatureClone;
-};
-
-// Helper function to get appropriate icon for tool effects
-const getToolIcon = (toolEffect) => {
-  const icons = {
-    'Surge': '⚡',
-    'Shield': '🛡️',
-    'Echo': '🔊',
-    'Drain': '🩸',
-    'Charge': '🔋'
-  };
-  return icons[toolEffect] || '🔧';
-};
-
-// Helper function to get appropriate icon for spell effects
-const getSpellIcon = (spellEffect) => {
-  const icons = {
-    'Surge': '💥',
-    'Shield': '✨',
-    'Echo': '🌊',
-    'Drain': '🌙',
-    'Charge': '☄️'
-  };
-  return icons[spellEffect] || '✨';
+  // NEW: Defending puts out burns
+  const { creature: cleansedCreature, removed } = cleanseStatusConditions(creatureClone, 'defend');
+  if (removed.length > 0) {
+    console.log(`${creature.species_name} is no longer ${removed.join(', ').toLowerCase()}`);
+  }
+  
+  return cleansedCreature;
 };
 
 // ENHANCED: Process energy momentum and return bonus regen
@@ -0,0 +1,1390 @@
+// src/utils/battleEngine.js - HEADLESS BATTLE ENGINE
+// Framework-free battle rules shared by PvE, PvP and offline tooling.
+// createBattle() builds a plain state object and applyAction() returns the next
+// state without touching React, the DOM or animation state.
+// Every roll comes from the seeded stream stored in state.rngState, so the
+// same seed plus the same actions always produces the same battle.
+// Battles created with `record: true` also keep a compact, id-only log of every
+// applied action in state.replayActions (see utils/battleReplay.js).
+import {
+  processAttack,
+  applyTool,
+  applySpellToTargets,
+  defendCreature,
+  applyFieldSynergies,
+  processEnergyMomentum,
+  updateChargeEffects,
+  getMaxHandSize
+} from './battleCore';
+import { calculateDerivedStats, checkFieldSynergies } from './battleCalculations';
+import { getDifficultySettings, getAdaptiveBaseDifficulty, getCustomBaseDifficulty, normalizeCustomDifficulty, generateEnemyCreatures, generateEnemyItems } from './difficultySettings';
+import { processTimedEffect } from './itemEffects';
+import { createRng, generateSeed, withRandomSource } from './random';
+import {
+  describeActionBlocker,
+  isValidTarget,
+  applyStatusCondition,
+  applyStatusConditionDamage,
+  tickStatusConditions
+} from './statusConditions';
+import { ROWS, getDefaultRow, hasRowSpace, describeFormationBlock } from './battleFormation';
+import { getPersonality, pickPersonality, describePersonality } from './aiPersonalities';
+import { getEnemyArchetype, pickEnemyArchetype, describeEnemyArchetype } from './enemyArchetypes';
+import {
+  isBossCreature,
+  getPendingBossPhase,
+  enterBossPhase,
+  createBossSummons,
+  getBossScriptStep,
+  consumeBossScriptStep
+} from './bossCreatures';
+
+// BALANCED CONSTANTS for strategic gameplay
+export const ATTACK_ENERGY_COST = 2;
+export const DEFEND_ENERGY_COST = 1;
+export const BASE_ENERGY_REGEN = 3;
+export const SPELL_ENERGY_COST = 4;
+export const TOOL_ENERGY_COST = 0;
+export const MAX_ENERGY = 25;
+export const ENERGY_DECAY_RATE = 0.1;
+export const ENERGY_DECAY_THRESHOLD = 10;
+
+// Player side limits (enemy limits come from getDifficultySettings)
+export const PLAYER_MAX_FIELD_SIZE = 4;
+export const PLAYER_INITIAL_HAND_SIZE = 3;
+export const PLAYER_STARTING_ENERGY = 10;
+
+// Action types understood by applyAction. The first six match the action
+// objects returned by determineAIAction, so AI plans can be applied directly.
+export const ENGINE_ACTIONS = {
+  DEPLOY: 'deploy',
+  ATTACK: 'attack',
+  USE_TOOL: 'useTool',
+  USE_SPELL: 'useSpell',
+  DEFEND: 'defend',
+  END_TURN: 'endTurn',
+
+  // Turn phases - END_TURN runs these in order, UIs may dispatch them one by one
+  COMBO_BONUS: 'comboBonus',
+  PROCESS_END_OF_TURN: 'processEndOfTurn',
+  APPLY_ENERGY_DECAY: 'applyEnergyDecay',
+  INCREMENT_TURN: 'incrementTurn',
+  SET_ACTIVE_PLAYER: 'setActivePlayer',
+  DRAW_CARDS: 'drawCards',
+  REGENERATE_ENERGY: 'regenerateEnergy',
+  APPLY_ONGOING_EFFECTS: 'applyOngoingEffects',
+  UPDATE_CHARGE_EFFECTS: 'updateChargeEffects',
+
+  ADD_LOG: 'addLog'
+};
+
+// ===== STATE HELPERS =====
+
+const SIDES = ['player', 'enemy'];
+
+const opponentOf = (side) => side === 'player' ? 'enemy' : 'player';
+
+const fieldKey = (side) => `${side}Field`;
+const handKey = (side) => `${side}Hand`;
+const energyKey = (side) => `${side}Energy`;
+const toolsKey = (side) => `${side}Tools`;
+const spellsKey = (side) => `${side}Spells`;
+const synergiesKey = (side) => side === 'player' ? 'activeSynergies' : 'enemyActiveSynergies';
+
+// Actions may reference creatures and items either by object or by id
+const refId = (ref) => (ref && typeof ref === 'object' ? ref.id : ref);
+
+const findById = (list, id) => (id === undefined || id === null ? null : (list || []).find(item => item.id === id) || null);
+
+// Which side's field a creature is currently on
+const findCreatureSide = (state, creatureId) => {
+  if (state.playerField.some(c => c.id === creatureId)) return 'player';
+  if (state.enemyField.some(c => c.id === creatureId)) return 'enemy';
+  return null;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Append one or more messages to the battle log. A message can also be an
+// object ({ message, rationale }) to carry extra fields into the entry.
+const appendLog = (state, messages) => {
+  const list = (Array.isArray(messages) ? messages : [messages]).filter(Boolean);
+  if (list.length === 0) return state;
+
+  let sequence = state.logSequence || 0;
+  const entries = list.map(message => ({
+    id: `log-${++sequence}`,
+    turn: state.turn,
+    ...(typeof message === 'string' ? { message } : message)
+  }));
+
+  return {
+    ...state,
+    battleLog: [...(state.battleLog || []), ...entries],
+    logSequence: sequence
+  };
+};
+
+// Count an action towards combos (and energy momentum when it spent energy)
+const registerAction = (state, side, momentumGain = 0) => ({
+  ...state,
+  consecutiveActions: {
+    ...state.consecutiveActions,
+    [side]: state.consecutiveActions[side] + 1
+  },
+  energyMomentum: {
+    ...state.energyMomentum,
+    [side]: state.energyMomentum[side] + momentumGain
+  }
+});
+
+const spendEnergy = (state, side, amount) => ({
+  ...state,
+  [energyKey(side)]: Math.max(0, state[energyKey(side)] - amount)
+});
+
+// Remove defeated creatures and reapply field synergies
+const settleField = (state, side, field) => {
+  const livingField = field.filter(c => c.currentHealth > 0);
+  return {
+    ...state,
+    [fieldKey(side)]: applyFieldSynergies(livingField),
+    [synergiesKey(side)]: checkFieldSynergies(livingField)
+  };
+};
+
+const replaceCreature = (field, updated) => field.map(c => c.id === updated.id ? updated : c);
+
+// Normalize the many damage properties processAttack returns
+const extractDamage = (result, target) => {
+  let damage = result.damage ??
+               result.finalDamage ??
+               result.totalDamage ??
+               result.damageDealt ??
+               null;
+
+  if (damage === null && result.updatedDefender && target) {
+    damage = Math.max(0, (target.currentHealth || 0) - (result.updatedDefender.currentHealth || 0));
+  }
+
+  return typeof damage === 'number' ? damage : 0;
+};
+
+// Log lines for status conditions an item applied or cleansed
+const describeConditionChanges = (target, result) => {
+  const messages = [];
+  if (result.cleansedConditions?.length > 0) {
+    messages.push(`${target.species_name} is no longer ${result.cleansedConditions.join(', ').toLowerCase()}.`);
+  }
+  if (result.appliedConditions?.length > 0) {
+    messages.push(`${target.species_name} is now ${result.appliedConditions.join(', ').toLowerCase()}!`);
+  }
+  return messages;
+};
+
+// ===== PUBLIC HELPERS =====
+
+// FIXED: Calculate energy cost for a creature
+export const calculateCreatureEnergyCost = (creature) => {
+  let energyCost = 5;
+
+  if (creature.form !== undefined && creature.form !== null) {
+    energyCost += parseInt(creature.form) || 0;
+  }
+
+  return energyCost;
+};
+
+// Deploy cost, guarding against corrupted battleStats.energyCost values
+export const getDeployCost = (creature) => {
+  const statCost = creature.battleStats?.energyCost;
+  if (statCost && statCost <= MAX_ENERGY) {
+    return statCost;
+  }
+  return calculateCreatureEnergyCost(creature);
+};
+
+// Attacks use whichever attack stat is higher
+export const getAttackType = (creature) => {
+  return creature.battleStats.physicalAttack > creature.battleStats.magicalAttack
+    ? 'physical'
+    : 'magical';
+};
+
+// Turn a collection NFT (or generated enemy) into a battle-ready creature
+export const prepareBattleCreature = (creature) => {
+  const baseCreature = {
+    ...creature,
+    specialty_stats: creature.specialty_stats || []
+  };
+
+  const derivedStats = calculateDerivedStats(baseCreature);
+
+  return {
+    ...baseCreature,
+    battleStats: {
+      ...derivedStats,
+      energyCost: calculateCreatureEnergyCost(baseCreature)
+    },
+    // NEW: Gauntlet survivors bring the health they finished the last wave with
+    currentHealth: Math.min(derivedStats.maxHealth, creature.carriedHealth ?? derivedStats.maxHealth),
+    activeEffects: [],
+    isDefending: false
+  };
+};
+
+// Returns 'victory', 'defeat' or null (from the player's point of view)
+export const getBattleOutcome = (state) => {
+  if (state.enemyField.length === 0 && state.enemyHand.length === 0 && state.enemyDeck.length === 0) {
+    return 'victory';
+  }
+  if (state.playerField.length === 0 && state.playerHand.length === 0 && state.playerDeck.length === 0) {
+    return 'defeat';
+  }
+  return null;
+};
+
+// ===== BATTLE CREATION =====
+
+/**
+ * Create a fresh battle state.
+ * @param {Object} config
+ * @param {string} config.difficulty - easy | medium | hard | expert
+ * @param {number|null} [config.adaptiveRating] - Adaptive rating; overrides difficulty with the preset it rounds to
+ * @param {Object|null} [config.customDifficulty] - Custom difficulty knobs; overrides difficulty with the preset of its AI level
+ * @param {Array} config.playerCreatures - Player team (raw creatures, prepared here; carriedHealth sets their opening health)
+ * @param {Array} [config.playerTools] - Player tools
+ * @param {Array} [config.playerSpells] - Player spells
+ * @param {Array} [config.enemyCreatures] - Enemy deck; generated from difficulty when omitted
+ * @param {Array} [config.enemyTools] - Enemy tools; generated with spells when both are omitted
+ * @param {Array} [config.enemySpells] - Enemy spells
+ * @param {number} [config.playerStartingEnergy]
+ * @param {number} [config.enemyStartingEnergy] - Defaults to the difficulty's startingEnergy
+ * @param {number} [config.enemyHandSize] - Enemy opening hand; defaults to the difficulty's initialHandSize
+ * @param {number} [config.enemyMaxFieldSize] - Defaults to the difficulty's maxFieldSize
+ * @param {string|null} [config.campaignEncounterId] - Campaign encounter being played (see campaign.js)
+ * @param {string|null} [config.dailyChallengeDate] - Day of the daily challenge being played (see dailyChallenge.js)
+ * @param {number|null} [config.gauntletWave] - Gauntlet wave being played (see gauntlet.js)
+ * @param {boolean} [config.mirrorMatch] - Enemy plays a copy of the player's team under the player's hand size and regen (see mirrorMatch.js)
+ * @param {boolean} [config.draftMatch] - Both teams were drafted; the enemy plays under the player's hand size and regen (see draftMode.js)
+ * @param {number|string} [config.seed] - Battle seed; a fresh one is generated when omitted
+ * @param {string|null} [config.enemyArchetype] - Enemy team archetype id (see enemyArchetypes.js); derived from the seed when
+ *   the enemy team is generated and this is omitted, null for none
+ * @param {string|null} [config.enemyPersonality] - AI personality id; the archetype's, or derived from the seed, when omitted; null for none
+ * @param {string|null} [config.playerPersonality] - AI personality id for an AI-driven player side
+ * @param {boolean} [config.record] - Keep a replay log of applied actions in state.replayActions
+ * @returns {Object} - Battle state ready for applyAction
+ */
+export const createBattle = (config = {}) => {
+  // NEW: Adaptive battles play at the nearest preset with interpolated enemy generation
+  const adaptiveRating = typeof config.adaptiveRating === 'number' ? config.adaptiveRating : null;
+  // NEW: Custom battles play at the preset of their AI level with their own knobs
+  const customDifficulty = config.customDifficulty ? normalizeCustomDifficulty(config.customDifficulty) : null;
+  const difficulty = customDifficulty ? getCustomBaseDifficulty(customDifficulty)
+    : adaptiveRating !== null ? getAdaptiveBaseDifficulty(adaptiveRating) : (config.difficulty || 'medium');
+  const settings = getDifficultySettings(difficulty, adaptiveRating, customDifficulty);
+  const seed = config.seed ?? generateSeed();
+  const rng = createRng(seed);
+
+  const playerCreatures = (config.playerCreatures || []).map(prepareBattleCreature);
+
+  // NEW: Generated teams follow an archetype; like the personality it comes from its own stream
+  const enemyArchetype = config.enemyArchetype !== undefined
+    ? getEnemyArchetype(config.enemyArchetype)?.id || null
+    : config.enemyCreatures ? null : pickEnemyArchetype(seed);
+  const archetype = getEnemyArchetype(enemyArchetype);
+
+  // Enemy generation draws from the battle seed
+  const rawEnemyCreatures = config.enemyCreatures || withRandomSource(rng, () =>
+    generateEnemyCreatures(difficulty, settings.enemyDeckSize, playerCreatures, settings, archetype)
+  );
+  const enemyCreatures = rawEnemyCreatures.map(prepareBattleCreature);
+
+  let enemyTools = config.enemyTools;
+  let enemySpells = config.enemySpells;
+  if (!enemyTools && !enemySpells) {
+    const enemyItems = withRandomSource(rng, () => generateEnemyItems(difficulty, archetype));
+    enemyTools = enemyItems.tools;
+    enemySpells = enemyItems.spells;
+  }
+  enemyTools = enemyTools || [];
+  enemySpells = enemySpells || [];
+
+  const playerHandSize = Math.min(PLAYER_INITIAL_HAND_SIZE, playerCreatures.length);
+  const enemyHandSize = config.enemyHandSize ?? settings.initialHandSize;
+
+  // The personality comes from its own stream, so it doesn't shift the battle's rolls
+  const enemyPersonality = config.enemyPersonality !== undefined
+    ? getPersonality(config.enemyPersonality)?.id || null
+    : archetype?.personality || pickPersonality(seed);
+  const playerPersonality = getPersonality(config.playerPersonality)?.id || null;
+
+  const playerStartingEnergy = config.playerStartingEnergy ?? PLAYER_STARTING_ENERGY;
+  const enemyStartingEnergy = config.enemyStartingEnergy ?? (settings.startingEnergy || 10);
+
+  const battle = {
+    difficulty,
+    adaptiveRating,
+    customDifficulty,
+    campaignEncounterId: config.campaignEncounterId ?? null,
+    dailyChallengeDate: config.dailyChallengeDate ?? null,
+    gauntletWave: config.gauntletWave ?? null,
+    // NEW: Mirror and draft matches hold the enemy to the player's hand size and energy regen
+    mirrorMatch: !!config.mirrorMatch,
+    draftMatch: !!config.draftMatch,
+    seed,
+    rngState: rng.getState(),
+    turn: 1,
+    activePlayer: 'player',
+
+    playerDeck: playerCreatures.slice(playerHandSize),
+    playerHand: playerCreatures.slice(0, playerHandSize),
+    playerField: [],
+    playerEnergy: playerStartingEnergy,
+    playerTools: config.playerTools || [],
+    playerSpells: config.playerSpells || [],
+
+    enemyDeck: enemyCreatures.slice(enemyHandSize),
+    enemyHand: enemyCreatures.slice(0, enemyHandSize),
+    enemyField: [],
+    enemyEnergy: enemyStartingEnergy,
+    enemyTools,
+    enemySpells,
+
+    maxFieldSize: {
+      player: PLAYER_MAX_FIELD_SIZE,
+      enemy: config.enemyMaxFieldSize ?? settings.maxFieldSize
+    },
+
+    // NEW: AI personality ids (see aiPersonalities.js)
+    playerPersonality,
+    enemyPersonality,
+    enemyArchetype,
+
+    battleLog: [],
+    logSequence: 0,
+
+    consecutiveActions: { player: 0, enemy: 0 },
+    energyMomentum: { player: 0, enemy: 0 },
+    energyMomentumDetails: { player: null, enemy: null },
+    lastRegenAmounts: null,
+
+    activeSynergies: [],
+    enemyActiveSynergies: [],
+
+    // Last resolved actions, used by UIs to drive animations
+    lastAttack: null,
+    lastSpellCast: null,
+    lastToolUse: null,
+    lastDefend: null,
+
+    // NEW: Replay log - only present when recording
+    ...(config.record ? { replayActions: [] } : {})
+  };
+
+  return appendLog(battle, [
+    `Battle started! Difficulty: ${capitalize(difficulty)} - Enemy starts with ${enemyStartingEnergy} energy!`,
+    `Battle started! Enemy has ${enemyTools.length + enemySpells.length} special items and ${enemyStartingEnergy} starting energy!`,
+    archetype && `Enemy team: ${describeEnemyArchetype(archetype.id)}`,
+    describePersonality(enemyPersonality)
+  ]);
+};
+
+// ===== ACTION RESOLUTION =====
+
+const deploy = (state, action) => {
+  const side = action.player || 'player';
+  const creature = findById(state[handKey(side)], action.creatureId ?? refId(action.creature));
+
+  if (!creature) {
+    console.error(`${side} tried to deploy a creature that is not in hand`);
+    return state;
+  }
+
+  if (state[fieldKey(side)].some(c => c.id === creature.id)) {
+    console.error("Creature already deployed!");
+    return state;
+  }
+
+  const maxFieldSize = state.maxFieldSize?.[side];
+  if (maxFieldSize && state[fieldKey(side)].length >= maxFieldSize) {
+    console.error(`${side} battlefield is full`);
+    return state;
+  }
+
+  // NEW: Formation - an explicit row must have room, otherwise fill the front row first
+  const field = state[fieldKey(side)];
+  const fieldSize = maxFieldSize || field.length + 1;
+  if (action.row && (!Object.values(ROWS).includes(action.row) || !hasRowSpace(field, action.row, fieldSize))) {
+    console.error(`${side} can't deploy to the ${action.row} row`);
+    return state;
+  }
+  const row = action.row || getDefaultRow(field, fieldSize);
+
+  const energyCost = getDeployCost(creature);
+  if (state[energyKey(side)] < energyCost) {
+    console.error(`${side} doesn't have enough energy to deploy`);
+    return state;
+  }
+
+  // CRITICAL FIX: Ensure the deployed creature has proper initial health
+  const deployedCreature = {
+    ...creature,
+    row,
+    currentHealth: creature.currentHealth || creature.battleStats?.maxHealth || creature.health,
+    maxHealth: creature.battleStats?.maxHealth || creature.health
+  };
+
+  const comboCount = state.consecutiveActions[side];
+  const message = side === 'player'
+    ? `You deployed ${creature.species_name} to the ${row} row! (-${energyCost} energy)${comboCount > 0 ? ` Combo x${comboCount + 1}!` : ''}`
+    : `Enemy deployed ${creature.species_name} to the ${row} row! (-${energyCost} energy)`;
+
+  let next = {
+    ...state,
+    [handKey(side)]: state[handKey(side)].filter(c => c.id !== creature.id)
+  };
+  next = settleField(next, side, [...state[fieldKey(side)], deployedCreature]);
+  next = spendEnergy(next, side, energyCost);
+  next = registerAction(next, side, energyCost);
+
+  return appendLog(next, message);
+};
+
+const attack = (state, action) => {
+  const attackerId = action.attackerId ?? refId(action.attacker);
+  const targetId = action.targetId ?? refId(action.target);
+
+  const side = action.player || findCreatureSide(state, attackerId);
+  if (!side) {
+    console.error("Attack failed - attacker is not on the battlefield");
+    return state;
+  }
+  const opponent = opponentOf(side);
+
+  const attacker = findById(state[fieldKey(side)], attackerId);
+  const target = findById(state[fieldKey(opponent)], targetId);
+
+  if (!attacker || !target) {
+    console.error("Attack failed - missing attacker or target", { attackerId, targetId });
+    return state;
+  }
+
+  if (target.currentHealth <= 0) {
+    console.error(`Attack failed - ${target.species_name} is already defeated`);
+    return state;
+  }
+
+  const blockedMessage = describeActionBlocker(attacker, 'attack');
+  if (blockedMessage) {
+    console.error(`Attack failed - ${blockedMessage}`);
+    return state;
+  }
+
+  if (!isValidTarget(state[fieldKey(opponent)], target)) {
+    console.error(`Attack failed - ${target.species_name} is not taunting while another creature is`);
+    return state;
+  }
+
+  const attackType = action.attackType || getAttackType(attacker);
+  const formationBlock = describeFormationBlock(state[fieldKey(opponent)], target, attackType);
+  if (formationBlock) {
+    console.error(`Attack failed - ${formationBlock}`);
+    return state;
+  }
+
+  const energyCost = ATTACK_ENERGY_COST;
+  if (state[energyKey(side)] < energyCost) {
+    console.error(`${side} doesn't have enough energy for attack`);
+    return state;
+  }
+
+  const comboCount = state.consecutiveActions[side];
+  const attackResult = processAttack(attacker, target, attackType, comboCount);
+
+  const damage = extractDamage(attackResult, target);
+  const isBlocked = attackResult.isBlocked || (damage === 0 && !!target.isDefending);
+
+  const message = side === 'player'
+    ? `${attackResult.battleLog} (-${energyCost} energy)${comboCount > 0 ? ` Combo x${comboCount + 1}!` : ''}`
+    : `Enemy: ${attackResult.battleLog} (-${energyCost} energy)`;
+
+  // FIXED: Remove defeated creatures and reapply synergies
+  let next = settleField(state, side, replaceCreature(state[fieldKey(side)], attackResult.updatedAttacker));
+  next = settleField(next, opponent, replaceCreature(state[fieldKey(opponent)], attackResult.updatedDefender));
+  next = spendEnergy(next, side, energyCost);
+  next = registerAction(next, side, energyCost);
+
+  next = {
+    ...next,
+    lastAttack: {
+      attackerId: attacker.id,
+      targetId: target.id,
+      damage,
+      isCritical: attackResult.isCritical || false,
+      attackType: attackResult.attackType || 'physical',
+      isBlocked,
+      damageType: attackResult.damageResult?.damageType || 'normal'
+    }
+  };
+
+  return appendLog(next, message);
+};
+
+const useTool = (state, action) => {
+  const side = action.player || 'player';
+  const tool = findById(state[toolsKey(side)], action.toolId ?? refId(action.tool));
+
+  if (!tool) {
+    console.error(`${side} tried to use a tool it doesn't have`);
+    return state;
+  }
+
+  const targetId = action.targetId ?? refId(action.target);
+  const targetSide = findCreatureSide(state, targetId);
+  const target = targetSide && findById(state[fieldKey(targetSide)], targetId);
+
+  if (!target) {
+    console.error("Tool target is not on the battlefield:", targetId);
+    return state;
+  }
+
+  const energyCost = TOOL_ENERGY_COST;
+  if (state[energyKey(side)] < energyCost) {
+    console.error(`${side} doesn't have enough energy for tool`);
+    return state;
+  }
+
+  const result = applyTool(target, tool, state.difficulty, state.turn);
+
+  if (!result || !result.updatedCreature) {
+    console.error("Invalid tool result:", result);
+    return state;
+  }
+
+  const messages = [];
+  if (side === 'player') {
+    const targetDescription = targetSide === 'player' ? target.species_name : `enemy ${target.species_name}`;
+    messages.push(`${tool.name || "Tool"} was used on ${targetDescription}.`);
+
+    if (result.toolEffect?.statChanges) {
+      const statChanges = Object.entries(result.toolEffect.statChanges)
+        .map(([stat, value]) => `${stat} ${value > 0 ? '+' : ''}${value}`)
+        .join(', ');
+
+      if (statChanges) {
+        messages.push(`Effect: ${statChanges}`);
+      }
+    }
+
+    if (result.toolEffect?.healthChange > 0) {
+      messages.push(`Healed for ${result.toolEffect.healthChange} health.`);
+    }
+  } else {
+    messages.push(`Enemy used ${tool.name} on ${target.species_name}!`);
+  }
+  messages.push(...describeConditionChanges(target, result));
+
+  let next = {
+    ...state,
+    [fieldKey(targetSide)]: replaceCreature(state[fieldKey(targetSide)], result.updatedCreature),
+    [toolsKey(side)]: state[toolsKey(side)].filter(t => t.id !== tool.id),
+    lastToolUse: {
+      toolId: tool.id,
+      targetId: target.id,
+      tool,
+      statChanges: result.toolEffect?.statChanges || null
+    }
+  };
+  next = spendEnergy(next, side, energyCost);
+  next = registerAction(next, side);
+
+  return appendLog(next, messages);
+};
+
+const useSpell = (state, action) => {
+  const casterId = action.casterId ?? refId(action.caster);
+  const side = action.player || findCreatureSide(state, casterId);
+
+  if (!side) {
+    console.error("Spell failed - caster is not on the battlefield");
+    return state;
+  }
+
+  const spell = findById(state[spellsKey(side)], action.spellId ?? refId(action.spell));
+  const caster = findById(state[fieldKey(side)], casterId);
+
+  if (!spell || !caster) {
+    console.error("Spell failed - missing spell or caster", { spell, casterId });
+    return state;
+  }
+
+  // Spells without a target are cast on the caster
+  const targetId = action.targetId ?? refId(action.target) ?? caster.id;
+  const targetSide = findCreatureSide(state, targetId);
+  const target = targetSide && findById(state[fieldKey(targetSide)], targetId);
+
+  if (!target) {
+    console.error("Spell target is not on the battlefield:", targetId);
+    return state;
+  }
+
+  const blockedMessage = describeActionBlocker(caster, 'useSpell');
+  if (blockedMessage) {
+    console.error(`Spell failed - ${blockedMessage}`);
+    return state;
+  }
+
+  if (targetSide !== side && !isValidTarget(state[fieldKey(targetSide)], target)) {
+    console.error(`Spell failed - ${target.species_name} is not taunting while another creature is`);
+    return state;
+  }
+
+  const energyCost = SPELL_ENERGY_COST;
+  if (state[energyKey(side)] < energyCost) {
+    console.error(`${side} doesn't have enough energy for spell`);
+    return state;
+  }
+
+  const opponent = opponentOf(side);
+  const spellResult = applySpellToTargets(
+    caster,
+    target,
+    spell,
+    { allies: state[fieldKey(side)], enemies: state[fieldKey(opponent)] },
+    state.difficulty,
+    state.turn
+  );
+
+  if (!spellResult || !spellResult.updatedCaster || !spellResult.updatedTarget) {
+    console.error("Invalid spell result:", spellResult);
+    return state;
+  }
+
+  const isSelfCast = caster.id === target.id;
+  const spellDamage = spellResult.spellEffect?.damage || spellResult.spellEffect?.healing || 0;
+  const hits = spellResult.hits || [];
+  const isMultiHit = hits.length > 1;
+
+  const messages = [];
+  if (side === 'player') {
+    const targetText = isSelfCast
+      ? 'on self'
+      : `on ${targetSide === 'player' ? '' : 'enemy '}${target.species_name}`;
+    messages.push(`${caster.species_name} cast ${spell.name} ${targetText}. (-${energyCost} energy)`);
+
+    if (spellResult.spellEffect?.damage && !isMultiHit) {
+      messages.push(`The spell dealt ${spellResult.spellEffect.damage} damage!`);
+    }
+    if (spellResult.spellEffect?.healing && !isMultiHit) {
+      messages.push(`The spell healed for ${spellResult.spellEffect.healing} health!`);
+    }
+  } else {
+    const targetName = isSelfCast ? 'themselves' : target.species_name;
+    messages.push(`Enemy ${caster.species_name} cast ${spell.name} on ${targetName}! (-${energyCost} energy)`);
+  }
+
+  // NEW: Multi-target spells report every creature they reached
+  if (isMultiHit) {
+    hits.forEach(hit => {
+      const hitCreature = findById(state[fieldKey(findCreatureSide(state, hit.targetId))] || [], hit.targetId);
+      if (!hitCreature) return;
+
+      if (hit.damage > 0) {
+        messages.push(`${spell.name} hits ${hitCreature.species_name} for ${hit.damage} damage${hit.wasCritical ? ' (critical!)' : ''}.`);
+      } else if (hit.healing > 0) {
+        messages.push(`${spell.name} heals ${hitCreature.species_name} for ${hit.healing} health.`);
+      } else {
+        messages.push(`${spell.name} reaches ${hitCreature.species_name}.`);
+      }
+      messages.push(...describeConditionChanges(hitCreature, hit));
+    });
+  } else {
+    messages.push(...describeConditionChanges(target, spellResult));
+  }
+
+  // The caster copy carries drain healing and self-cast effects; every other
+  // creature hit comes back in updatedTargets (results built by applySpell
+  // alone only have updatedTarget)
+  const updatedTargets = spellResult.updatedTargets || (isSelfCast ? [] : [spellResult.updatedTarget]);
+  const updatedCaster = !spellResult.updatedTargets && isSelfCast ? spellResult.updatedTarget : spellResult.updatedCaster;
+
+  let ownField = replaceCreature(state[fieldKey(side)], updatedCaster);
+  let opposingField = state[fieldKey(opponent)];
+  updatedTargets.forEach(updated => {
+    if (ownField.some(c => c.id === updated.id)) {
+      ownField = replaceCreature(ownField, updated);
+    } else {
+      opposingField = replaceCreature(opposingField, updated);
+    }
+  });
+
+  let next = settleField(state, side, ownField);
+  if (updatedTargets.some(updated => opposingField.some(c => c.id === updated.id))) {
+    next = settleField(next, opponent, opposingField);
+  }
+
+  next = {
+    ...next,
+    [spellsKey(side)]: state[spellsKey(side)].filter(s => s.id !== spell.id),
+    lastSpellCast: {
+      spellId: spell.id,
+      casterId: caster.id,
+      targetId: target.id,
+      targetIds: hits.length > 0 ? hits.map(hit => hit.targetId) : [target.id],
+      spell,
+      damage: typeof spellDamage === 'number' ? spellDamage : 0
+    }
+  };
+  next = spendEnergy(next, side, energyCost);
+  next = registerAction(next, side, energyCost);
+
+  return appendLog(next, messages);
+};
+
+const defend = (state, action) => {
+  const creatureId = action.creatureId ?? refId(action.creature);
+  const side = action.player || findCreatureSide(state, creatureId);
+  const creature = side && findById(state[fieldKey(side)], creatureId);
+
+  if (!creature) {
+    console.error("Defend failed - creature is not on the battlefield:", creatureId);
+    return state;
+  }
+
+  const blockedMessage = describeActionBlocker(creature, 'defend');
+  if (blockedMessage) {
+    console.error(`Defend failed - ${blockedMessage}`);
+    return state;
+  }
+
+  const energyCost = DEFEND_ENERGY_COST;
+  if (state[energyKey(side)] < energyCost) {
+    console.error(`${side} doesn't have enough energy to defend`);
+    return state;
+  }
+
+  const updatedCreature = defendCreature(creature, state.difficulty);
+
+  let next = {
+    ...state,
+    [fieldKey(side)]: replaceCreature(state[fieldKey(side)], updatedCreature),
+    lastDefend: {
+      defenderId: creature.id
+    }
+  };
+  next = spendEnergy(next, side, energyCost);
+  next = registerAction(next, side);
+
+  return appendLog(next, `${side === 'player' ? '' : 'Enemy '}${creature.species_name} took a defensive stance! (-${energyCost} energy)`);
+};
+
+// ===== TURN PHASES =====
+
+// 3+ consecutive actions grant the whole field +2 attack
+const comboBonus = (state, action) => {
+  const side = action.player || state.activePlayer;
+
+  if (state.consecutiveActions[side] < 3) {
+    return state;
+  }
+
+  const next = {
+    ...state,
+    [fieldKey(side)]: state[fieldKey(side)].map(creature => ({
+      ...creature,
+      battleStats: {
+        ...creature.battleStats,
+        physicalAttack: creature.battleStats.physicalAttack + 2,
+        magicalAttack: creature.battleStats.magicalAttack + 2
+      }
+    }))
+  };
+
+  return appendLog(next, side === 'player'
+    ? "You achieved a combo bonus! All creatures gain +2 attack!"
+    : "Enemy achieved a combo bonus!");
+};
+
+// Tick effect durations at the end of a turn, keeping synergies intact
+const tickEndOfTurnEffects = (creature, turn, synergies, effectLog) => {
+  const updatedCreature = {
+    ...creature,
+    currentTurn: turn,
+    isDefending: false
+  };
+
+  const activeEffects = updatedCreature.activeEffects || [];
+  if (activeEffects.length > 0) {
+    const remainingEffects = [];
+
+    activeEffects.forEach(effect => {
+      if (!effect) return;
+
+      // Defense effects should expire at the end of the turn
+      if (effect.type === 'defense') {
+        const newDuration = (effect.duration || 1) - 1;
+
+        if (newDuration > 0) {
+          remainingEffects.push({ ...effect, duration: newDuration });
+        } else {
+          effectLog.push(`${effect.name} on ${updatedCreature.species_name} has expired`);
+        }
+        return;
+      }
+
+      if (effect.duration === undefined) {
+        // Permanent effects
+        remainingEffects.push(effect);
+        return;
+      }
+
+      // Apply health over time effects before checking expiration
+      if (effect.healthOverTime !== undefined && effect.healthOverTime !== 0) {
+        const previousHealth = updatedCreature.currentHealth;
+        updatedCreature.currentHealth = Math.min(
+          updatedCreature.battleStats.maxHealth,
+          Math.max(0, updatedCreature.currentHealth + effect.healthOverTime)
+        );
+
+        const healthChange = updatedCreature.currentHealth - previousHealth;
+        if (healthChange !== 0) {
+          const changeType = healthChange > 0 ? 'heal' : 'damage';
+          effectLog.push(`${effect.name} ${changeType}s ${Math.abs(healthChange)} HP to ${updatedCreature.species_name}`);
+        }
+      }
+
+      const newDuration = effect.duration - 1;
+      if (newDuration > 0) {
+        remainingEffects.push({ ...effect, duration: newDuration });
+      } else {
+        effectLog.push(`${effect.name} effect on ${updatedCreature.species_name} has expired`);
+      }
+    });
+
+    updatedCreature.activeEffects = remainingEffects;
+  }
+
+  // CRITICAL FIX: Recalculate stats WITHOUT removing synergies
+  return {
+    ...updatedCreature,
+    battleStats: calculateDerivedStats(updatedCreature, synergies),
+    activeSynergies: synergies
+  };
+};
+
+// End-of-turn bookkeeping for the side that just acted; hands the turn over
+const processEndOfTurn = (state) => {
+  const effectLog = [];
+
+  const playerField = state.playerField
+    .map(creature => tickEndOfTurnEffects(creature, state.turn, state.activeSynergies, effectLog))
+    .filter(c => c.currentHealth > 0);
+
+  const enemyField = state.enemyField
+    .map(creature => tickEndOfTurnEffects(creature, state.turn, state.enemyActiveSynergies, effectLog))
+    .filter(c => c.currentHealth > 0);
+
+  const endingSide = state.activePlayer;
+
+  let next = appendLog({ ...state, playerField, enemyField }, effectLog);
+  next = appendLog(next, `${endingSide === 'player' ? 'Your' : 'Enemy'} turn ended. ${endingSide === 'player' ? 'Enemy' : 'Your'} turn begins!`);
+
+  return {
+    ...next,
+    activePlayer: opponentOf(endingSide),
+    turn: endingSide === 'enemy' ? state.turn + 1 : state.turn,
+    consecutiveActions: { ...state.consecutiveActions, [endingSide]: 0 },
+    energyMomentum: { ...state.energyMomentum, [endingSide]: 0 }
+  };
+};
+
+// Energy decay prevents hoarding - only kicks in above the threshold
+const applyEnergyDecay = (state) => {
+  if (state.playerEnergy <= ENERGY_DECAY_THRESHOLD && state.enemyEnergy <= ENERGY_DECAY_THRESHOLD) {
+    return state;
+  }
+
+  const playerDecay = Math.floor(state.playerEnergy * ENERGY_DECAY_RATE);
+  const enemyDecay = Math.floor(state.enemyEnergy * ENERGY_DECAY_RATE);
+
+  return {
+    ...state,
+    playerEnergy: Math.max(0, state.playerEnergy - playerDecay),
+    enemyEnergy: Math.max(0, state.enemyEnergy - enemyDecay)
+  };
+};
+
+const setActivePlayer = (state, action) => ({
+  ...state,
+  activePlayer: action.player,
+  consecutiveActions: { player: 0, enemy: 0 }
+});
+
+const incrementTurn = (state) => ({
+  ...state,
+  turn: state.turn + 1
+});
+
+// Mirror and draft battles give the enemy no difficulty advantages
+const hasEvenRules = (state) => !!(state.mirrorMatch || state.draftMatch);
+
+// Each side draws one card if below its hand limit
+const drawCards = (state) => {
+  let next = { ...state };
+
+  const maxHandSize = getMaxHandSize(state.difficulty);
+  if (next.playerHand.length < maxHandSize && next.playerDeck.length > 0) {
+    const drawnCard = next.playerDeck[0];
+    next = appendLog({
+      ...next,
+      playerHand: [...next.playerHand, drawnCard],
+      playerDeck: next.playerDeck.slice(1)
+    }, `You drew ${drawnCard.species_name}.`);
+  }
+
+  const enemyMaxHandSize = hasEvenRules(state) ? maxHandSize
+    : getDifficultySettings(state.difficulty, state.adaptiveRating, state.customDifficulty).initialHandSize + 1;
+  if (next.enemyHand.length < enemyMaxHandSize && next.enemyDeck.length > 0) {
+    const drawnCard = next.enemyDeck[0];
+    next = appendLog({
+      ...next,
+      enemyHand: [...next.enemyHand, drawnCard],
+      enemyDeck: next.enemyDeck.slice(1)
+    }, `Enemy drew a card.`);
+  }
+
+  return next;
+};
+
+// Regen = base + 1 per 10 creature energy (+ difficulty bonus for the enemy) + momentum
+const regenerateEnergy = (state) => {
+  const totalCreatureEnergy = (field) => field.reduce((sum, creature) => sum + (creature.stats?.energy || 0), 0);
+
+  const playerTotalEnergy = totalCreatureEnergy(state.playerField);
+  const enemyTotalEnergy = totalCreatureEnergy(state.enemyField);
+
+  const difficultySettings = getDifficultySettings(state.difficulty, state.adaptiveRating, state.customDifficulty);
+  const enemyDifficultyBonus = hasEvenRules(state) ? 0 : Math.floor(difficultySettings.enemyEnergyRegen || 0) - 2;
+
+  const playerRegen = BASE_ENERGY_REGEN + Math.floor(playerTotalEnergy / 10);
+  const enemyRegen = BASE_ENERGY_REGEN + Math.floor(enemyTotalEnergy / 10) + enemyDifficultyBonus;
+
+  const playerMomentumData = processEnergyMomentum(state.energyMomentum.player);
+  const enemyMomentumData = processEnergyMomentum(state.energyMomentum.enemy);
+
+  return {
+    ...state,
+    playerEnergy: Math.min(MAX_ENERGY, state.playerEnergy + playerRegen + playerMomentumData.bonusRegen),
+    enemyEnergy: Math.min(MAX_ENERGY, state.enemyEnergy + enemyRegen + enemyMomentumData.bonusRegen),
+    energyMomentum: { player: 0, enemy: 0 },
+    energyMomentumDetails: {
+      player: playerMomentumData,
+      enemy: enemyMomentumData
+    },
+    lastRegenAmounts: {
+      playerRegen,
+      enemyRegen,
+      playerTotalEnergy,
+      enemyTotalEnergy,
+      playerMomentumBonus: playerMomentumData.bonusRegen,
+      enemyMomentumBonus: enemyMomentumData.bonusRegen
+    }
+  };
+};
+
+// Start-of-turn effect processing: stat mods, health over time, charge bursts
+const processOngoingEffects = (creature, turn, namePrefix, battleLog) => {
+  const updatedCreature = {
+    ...creature,
+    battleStats: { ...creature.battleStats },
+    currentTurn: turn,
+    isDefending: false
+  };
+  const creatureName = `${namePrefix}${updatedCreature.species_name}`;
+
+  const activeEffects = updatedCreature.activeEffects || [];
+  if (activeEffects.length === 0) {
+    return updatedCreature;
+  }
+
+  const remainingEffects = [];
+  const effectLog = [];
+
+  activeEffects.forEach(effect => {
+    if (!effect) return;
+
+    const processedEffect = processTimedEffect(effect, turn, effect.startTurn || 0);
+
+    if (processedEffect.statModifications) {
+      Object.entries(processedEffect.statModifications).forEach(([stat, value]) => {
+        if (updatedCreature.battleStats[stat] !== undefined) {
+          updatedCreature.battleStats[stat] += value;
+        }
+      });
+    }
+
+    if (processedEffect.healthOverTime !== undefined && processedEffect.healthOverTime !== 0) {
+      const previousHealth = updatedCreature.currentHealth;
+      updatedCreature.currentHealth = Math.min(
+        updatedCreature.battleStats.maxHealth,
+        Math.max(0, updatedCreature.currentHealth + processedEffect.healthOverTime)
+      );
+
+      const healthChange = updatedCreature.currentHealth - previousHealth;
+      if (healthChange !== 0) {
+        const changeType = healthChange > 0 ? 'healed' : 'damaged';
+        effectLog.push(`${creatureName} ${changeType} for ${Math.abs(healthChange)} from ${effect.name}`);
+      }
+    }
+
+    // Charge completes into a one-off bonus on the next attack
+    if (effect.effectType === 'Charge' && effect.chargeEffect) {
+      const turnsActive = turn - (effect.startTurn || 0);
+      if (turnsActive >= (effect.chargeEffect.maxTurns || 3)) {
+        updatedCreature.nextAttackBonus = (updatedCreature.nextAttackBonus || 0) + effect.chargeEffect.finalBurst;
+        effectLog.push(`${creatureName}'s charge is complete! Next attack +${effect.chargeEffect.finalBurst} damage!`);
+        return;
+      }
+    }
+
+    const updatedEffect = { ...processedEffect, duration: effect.duration - 1 };
+
+    if (updatedEffect.duration > 0) {
+      remainingEffects.push(updatedEffect);
+    } else {
+      effectLog.push(`${effect.name} effect has expired on ${creatureName}`);
+    }
+  });
+
+  updatedCreature.activeEffects = remainingEffects;
+
+  // One log entry per creature
+  if (effectLog.length > 0) {
+    battleLog.push(effectLog.join('. '));
+  }
+
+  return updatedCreature;
+};
+
+// Status conditions: the side starting its turn takes damage over time,
+// the side that just finished counts its durations down
+const processStatusConditions = (creature, side, activeSide, effectLog) => {
+  const namePrefix = side === 'player' ? '' : 'Enemy ';
+  const { creature: updatedCreature, messages } = side === activeSide
+    ? applyStatusConditionDamage(creature, namePrefix)
+    : tickStatusConditions(creature, namePrefix);
+
+  effectLog.push(...messages);
+  return updatedCreature;
+};
+
+const applyOngoingEffects = (state) => {
+  const effectLog = [];
+
+  const playerField = state.playerField
+    .map(creature => processOngoingEffects(creature, state.turn, '', effectLog))
+    .map(creature => processStatusConditions(creature, 'player', state.activePlayer, effectLog))
+    .filter(c => c.currentHealth > 0);
+
+  const enemyField = state.enemyField
+    .map(creature => processOngoingEffects(creature, state.turn, 'Enemy ', effectLog))
+    .map(creature => processStatusConditions(creature, 'enemy', state.activePlayer, effectLog))
+    .filter(c => c.currentHealth > 0);
+
+  return appendLog({ ...state, playerField, enemyField }, effectLog);
+};
+
+const updateAllChargeEffects = (state) => ({
+  ...state,
+  playerField: state.playerField.map(creature => updateChargeEffects(creature, state.turn)),
+  enemyField: state.enemyField.map(creature => updateChargeEffects(creature, state.turn))
+});
+
+// Full hand-over: everything that happens between one side ending and the next acting
+const endTurn = (state, action) => {
+  const side = action.player || state.activePlayer;
+  let next = state;
+
+  if (side === 'player') {
+    next = comboBonus(next, { player: 'player' });
+    next = processEndOfTurn({ ...next, activePlayer: 'player' });
+    next = applyEnergyDecay(next);
+    next = setActivePlayer(next, { player: 'enemy' });
+    next = appendLog(next, `Turn ${next.turn} - Enemy's turn.`);
+    next = applyOngoingEffects(next);
+  } else {
+    next = appendLog(next, "Enemy ended their turn.");
+    next = applyEnergyDecay(next);
+    next = incrementTurn(next);
+    next = comboBonus(next, { player: 'enemy' });
+    next = setActivePlayer(next, { player: 'player' });
+    next = drawCards(next);
+    next = regenerateEnergy(next);
+    next = applyOngoingEffects(next);
+    next = appendLog(next, `Turn ${next.turn} - Your turn.`);
+  }
+
+  return updateAllChargeEffects(next);
+};
+
+// Dispatch one action to its handler
+const resolveAction = (state, action) => {
+  switch (action.type) {
+    case ENGINE_ACTIONS.DEPLOY:
+      return deploy(state, action);
+    case ENGINE_ACTIONS.ATTACK:
+      return attack(state, action);
+    case ENGINE_ACTIONS.USE_TOOL:
+      return useTool(state, action);
+    case ENGINE_ACTIONS.USE_SPELL:
+      return useSpell(state, action);
+    case ENGINE_ACTIONS.DEFEND:
+      return defend(state, action);
+    case ENGINE_ACTIONS.END_TURN:
+      return endTurn(state, action);
+
+    case ENGINE_ACTIONS.COMBO_BONUS:
+      return comboBonus(state, action);
+    case ENGINE_ACTIONS.PROCESS_END_OF_TURN:
+      return processEndOfTurn(state);
+    case ENGINE_ACTIONS.APPLY_ENERGY_DECAY:
+      return applyEnergyDecay(state);
+    case ENGINE_ACTIONS.INCREMENT_TURN:
+      return incrementTurn(state);
+    case ENGINE_ACTIONS.SET_ACTIVE_PLAYER:
+      return SIDES.includes(action.player) ? setActivePlayer(state, action) : state;
+    case ENGINE_ACTIONS.DRAW_CARDS:
+      return drawCards(state);
+    case ENGINE_ACTIONS.REGENERATE_ENERGY:
+      return regenerateEnergy(state);
+    case ENGINE_ACTIONS.APPLY_ONGOING_EFFECTS:
+      return applyOngoingEffects(state);
+    case ENGINE_ACTIONS.UPDATE_CHARGE_EFFECTS:
+      return updateAllChargeEffects(state);
+
+    case ENGINE_ACTIONS.ADD_LOG:
+      // NEW: AI moves log the rationale behind them (see aiRationale.js)
+      return appendLog(state, action.rationale ? { message: action.message, rationale: action.rationale } : action.message);
+
+    default:
+      console.error("applyAction: unknown action type", action.type);
+      return state;
+  }
+};
+
+// ===== BOSS PHASES =====
+
+// Put a phase's adds on the boss's field while there is room, into its hand after that
+const summonBossAdds = (state, side, boss, phase) => {
+  const adds = createBossSummons(boss, phase, boss.boss.phase).map(prepareBattleCreature);
+  if (adds.length === 0) return state;
+
+  const maxFieldSize = state.maxFieldSize?.[side] || state[fieldKey(side)].length + adds.length;
+  let field = state[fieldKey(side)];
+  const reserves = [];
+
+  adds.forEach(add => {
+    if (field.length < maxFieldSize) {
+      field = [...field, { ...add, row: getDefaultRow(field, maxFieldSize), maxHealth: add.battleStats.maxHealth }];
+    } else {
+      reserves.push(add);
+    }
+  });
+
+  const next = settleField(state, side, field);
+  return {
+    ...next,
+    [handKey(side)]: [...next[handKey(side)], ...reserves]
+  };
+};
+
+// Damage, heal or afflict every creature on one field
+const applyBossFieldEffect = (state, side, effect) => {
+  const field = state[fieldKey(side)].map(creature => {
+    let updated = creature;
+    if (effect.damage) {
+      updated = { ...updated, currentHealth: Math.max(0, updated.currentHealth - effect.damage) };
+    }
+    if (effect.heal) {
+      updated = { ...updated, currentHealth: Math.min(updated.battleStats.maxHealth, updated.currentHealth + effect.heal) };
+    }
+    if (effect.status) {
+      updated = applyStatusCondition(updated, effect.status, { duration: effect.duration, source: 'boss' });
+    }
+    return updated;
+  });
+
+  return settleField(state, side, field);
+};
+
+// Begin the next phase of one boss: stats, script, adds, field effect and log line
+const advanceBossPhase = (state, side, boss) => {
+  const phase = boss.boss.phases[boss.boss.phase];
+  const entered = enterBossPhase(boss);
+
+  let next = settleField(state, side, replaceCreature(state[fieldKey(side)], entered));
+  next = summonBossAdds(next, side, entered, phase);
+
+  if (phase.fieldEffect) {
+    const effectSide = phase.fieldEffect.target === 'allies' ? side : opponentOf(side);
+    next = applyBossFieldEffect(next, effectSide, phase.fieldEffect);
+  }
+
+  return appendLog(next, `👑 ${boss.species_name} enters ${phase.name}! ${phase.message}`);
+};
+
+// Start every phase a boss's health has reached. Field effects can push
+// another boss past a threshold, so keep going until nothing is pending.
+const resolveBossPhases = (state) => {
+  let next = state;
+
+  for (let step = 0; step < 20; step++) {
+    const side = SIDES.find(candidate => next[fieldKey(candidate)].some(getPendingBossPhase));
+    if (!side) break;
+
+    next = advanceBossPhase(next, side, next[fieldKey(side)].find(getPendingBossPhase));
+  }
+
+  return next;
+};
+
+// The creature a resolved action was played by, if it was a combat move
+const getActingCreatureId = (state, action) => {
+  switch (action.type) {
+    case ENGINE_ACTIONS.ATTACK:
+      return state.lastAttack?.attackerId;
+    case ENGINE_ACTIONS.DEFEND:
+      return state.lastDefend?.defenderId;
+    case ENGINE_ACTIONS.USE_SPELL:
+      return state.lastSpellCast?.casterId;
+    default:
+      return null;
+  }
+};
+
+// A boss that just acted has played the first step of its phase script
+const advanceBossScript = (state, action) => {
+  const creatureId = getActingCreatureId(state, action);
+  const side = creatureId && findCreatureSide(state, creatureId);
+  const creature = side && findById(state[fieldKey(side)], creatureId);
+
+  if (!isBossCreature(creature) || !getBossScriptStep(creature)) {
+    return state;
+  }
+
+  return {
+    ...state,
+    [fieldKey(side)]: replaceCreature(state[fieldKey(side)], consumeBossScriptStep(creature))
+  };
+};
+
+// ===== REPLAY RECORDING =====
+
+// Object references an action may carry, and the id field each one becomes
+const REPLAY_REFERENCES = {
+  creature: 'creatureId',
+  attacker: 'attackerId',
+  target: 'targetId',
+  caster: 'casterId',
+  tool: 'toolId',
+  spell: 'spellId'
+};
+
+// Plain fields applyAction reads from an action
+const REPLAY_FIELDS = [
+  'type', 'player', 'creatureId', 'attackerId', 'targetId', 'casterId',
+  'toolId', 'spellId', 'attackType', 'row', 'message'
+];
+
+// Compact form of an action: ids instead of objects, and the stream position
+// its rolls started from, so replaying it rolls the same numbers again
+const toReplayAction = (action, rngState) => {
+  const entry = {};
+
+  Object.entries(REPLAY_REFERENCES).forEach(([key, idKey]) => {
+    if (action[key] !== undefined && action[key] !== null) {
+      entry[idKey] = refId(action[key]);
+    }
+  });
+
+  REPLAY_FIELDS.forEach(key => {
+    if (action[key] !== undefined) {
+      entry[key] = action[key];
+    }
+  });
+
+  Object.keys(entry).forEach(key => entry[key] === undefined && delete entry[key]);
+
+  return { ...entry, rngState };
+};
+
+/**
+ * Apply one action to a battle state and return the next state.
+ * Invalid actions (wrong side, not enough energy, unknown ids) return the
+ * same state object, so callers can detect rejection with `next === state`.
+ *
+ * Combat outcomes are always rolled here, from `action.rngState` when given
+ * (the caller's stream position) or the state's own stream. A UI animates them
+ * from the returned state's lastAttack, lastSpellCast, lastToolUse and lastDefend.
+ * @param {Object} state - Battle state from createBattle
+ * @param {Object} action - { type, player, ...payload }
+ * @returns {Object} - Next battle state
+ */
+export const applyAction = (state, action) => {
+  if (!state || !action) {
+    console.error("applyAction: missing state or action", { state, action });
+    return state;
+  }
+
+  const startState = action.rngState ?? state.rngState ?? generateSeed();
+  const rng = createRng(startState);
+  const resolved = withRandomSource(rng, () => resolveAction(state, action));
+
+  if (resolved === state) {
+    return state;
+  }
+
+  // NEW: Boss phase changes happen as soon as an action pushes a boss past a threshold
+  const next = withRandomSource(rng, () => resolveBossPhases(advanceBossScript(resolved, action)));
+
+  return {
+    ...next,
+    rngState: rng.getState(),
+    ...(state.replayActions
+      ? { replayActions: [...state.replayActions, toReplayAction(action, startState)] }
+      : {})
+  };
+};
+
+// The engine and AI log every step; simulations and searches that play out
+// thousands of actions would flood the console
+export const withQuietConsole = (fn) => {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    console.error = error;
+  }
+};
+
+// Apply a list of actions in order (e.g. a multi-action AI plan)
+export const applyActions = (state, actions, player) => {
+  return (actions || []).reduce(
+    (current, action) => applyAction(current, player ? { ...action, player } : action),
+    state
+  );
+};
+
+export default {
+  createBattle,
+  applyAction,
+  applyActions,
+  getBattleOutcome,
+  ENGINE_ACTIONS
+};
@@ -0,0 +1,201 @@
+// src/utils/battleHints.js - PLAYER COACH HINTS
+// Runs the battle AI's planners from the player's side and turns the start of
+// the plan into a hint: which creature to act with, its target, the item to
+// use and a one-line reason. The plan is played out on a copy of the battle
+// with a stream derived from the battle's, so asking for a hint never changes
+// how the battle itself rolls.
+import { applyAction, getAttackType, withQuietConsole, ENGINE_ACTIONS } from './battleEngine';
+import { planSideTurn } from './battleSimulator';
+import { forecastAttack } from './battleCore';
+import { canCreatureAct } from './statusConditions';
+import { ROW_MODIFIERS, canReachTarget } from './battleFormation';
+import { ITEM_TYPES } from './itemDefinitions';
+import { getItemUsageTip } from './itemEffects';
+import { getDifficultySettings } from './difficultySettings';
+import { createRng, hashSeed } from './random';
+
+// Hints always come from the strongest planner, whatever the battle's difficulty
+export const HINT_AI_LEVEL = 'expert';
+
+export const getHintLimit = (difficulty) => getDifficultySettings(difficulty).hintsPerBattle ?? 0;
+
+// The creature a step is about: who deploys, attacks, defends, casts or gets the tool
+const getActor = (action) => {
+  switch (action.type) {
+    case ENGINE_ACTIONS.ATTACK:
+      return action.attacker;
+    case ENGINE_ACTIONS.USE_TOOL:
+      return action.target;
+    case ENGINE_ACTIONS.USE_SPELL:
+      return action.caster;
+    default:
+      return action.creature;
+  }
+};
+
+const getItem = (action) => action.tool || action.spell || null;
+const getItemKind = (action) => action.tool ? 'tool' : action.spell ? 'spell' : null;
+
+// "Speed tool", "Magic spell"
+const getItemLabel = (action) => {
+  const kind = getItemKind(action);
+  const item = getItem(action);
+  return `${ITEM_TYPES[item[`${kind}_type`]]?.label || item.name} ${kind}`;
+};
+
+const findCreature = (state, id) =>
+  state.playerField.find(creature => creature.id === id) ||
+  state.enemyField.find(creature => creature.id === id) ||
+  null;
+
+// Attack stat an attack would use, with a pending charge bonus
+const getStrikingPower = (creature) => {
+  const stat = getAttackType(creature) === 'physical' ? 'physicalAttack' : 'magicalAttack';
+  return (creature.battleStats?.[stat] || 0) + (creature.nextAttackBonus || 0);
+};
+
+// Buffs on one creature followed by its attack read as a single move,
+// as long as they actually make the attack hit harder
+const findFollowUpAttack = (steps) => {
+  const actorId = getActor(steps[0].action)?.id;
+  let index = 0;
+
+  while (index < steps.length && getItem(steps[index].action) && getActor(steps[index].action)?.id === actorId) {
+    index++;
+  }
+
+  const attack = steps.slice(index).find(step =>
+    step.action.type === ENGINE_ACTIONS.ATTACK && step.action.attacker.id === actorId
+  );
+  if (!attack) return null;
+
+  const unbuffed = findCreature(steps[0].before, actorId);
+  const buffed = findCreature(attack.before, actorId);
+  return unbuffed && buffed && getStrikingPower(buffed) > getStrikingPower(unbuffed)
+    ? { setup: steps.slice(0, index), attack }
+    : null;
+};
+
+const describeAttack = (setup, { action, before }) => {
+  const attacker = findCreature(before, action.attacker.id);
+  const target = findCreature(before, action.target.id);
+  const forecast = forecastAttack(attacker, target, getAttackType(attacker), before.consecutiveActions.player);
+  const name = target.species_name;
+
+  if (!forecast) return `Attack ${name} with ${attacker.species_name}`;
+
+  const parts = [...setup.map(step => getItemLabel(step.action)), `${forecast.attackType} attack`].join(' + ');
+  const range = `${forecast.minDamage}-${forecast.maxDamage} damage`;
+
+  if (forecast.isLethal) return `Lethal on ${name} with ${parts}`;
+  if (forecast.maxDamage >= target.currentHealth) return `Can finish ${name} with ${parts} (${range} vs ${target.currentHealth} HP)`;
+  return `${range} on ${name} with ${parts}`;
+};
+
+// Most damage the enemy's field could do to one of the player's creatures next turn
+const getWorstIncoming = (state, creature) => state.enemyField.reduce((worst, enemy) => {
+  const attackType = enemy.battleStats ? getAttackType(enemy) : 'physical';
+  if (!canCreatureAct(enemy, 'attack') || !canReachTarget(state.playerField, creature, attackType)) return worst;
+
+  const forecast = forecastAttack(enemy, creature, attackType);
+  return Math.max(worst, forecast?.maxDamage || 0);
+}, 0);
+
+const describeStep = ({ action, before, after }) => {
+  const actor = getActor(action);
+
+  switch (action.type) {
+    case ENGINE_ACTIONS.DEPLOY:
+      return `Deploy ${actor.species_name} in the ${ROW_MODIFIERS[action.row].label.toLowerCase()} (${ROW_MODIFIERS[action.row].description})`;
+
+    case ENGINE_ACTIONS.DEFEND: {
+      const creature = findCreature(before, actor.id);
+      const incoming = getWorstIncoming(before, creature);
+      return incoming > 0
+        ? `Defend ${creature.species_name} - the enemy can hit it for up to ${incoming} of its ${creature.currentHealth} HP`
+        : `Defend ${creature.species_name} to soak the enemy's next attack`;
+    }
+
+    case ENGINE_ACTIONS.USE_SPELL: {
+      const target = action.target && before.enemyField.find(creature => creature.id === action.target.id);
+      if (!target) return `Cast the ${getItemLabel(action)} on ${(action.target || actor).species_name}`;
+
+      // The copy's rolls are a sample, so the damage is rounded off as "about"
+      const survivor = after.enemyField.find(creature => creature.id === target.id);
+      if (!survivor) return `Lethal on ${target.species_name} with ${getItemLabel(action)}`;
+      const damage = target.currentHealth - survivor.currentHealth;
+      return damage > 0
+        ? `Cast the ${getItemLabel(action)} on ${target.species_name} for about ${damage} damage`
+        : `Cast the ${getItemLabel(action)} on ${target.species_name}`;
+    }
+
+    case ENGINE_ACTIONS.USE_TOOL:
+      return `Use the ${getItemLabel(action)} on ${actor.species_name}`;
+
+    default:
+      return describeAttack([], { action, before });
+  }
+};
+
+/**
+ * Ask the AI what the player should do next.
+ * @param {Object} state - Battle state (UI state is ignored), player to act
+ * @param {Object} [options]
+ * @param {string} [options.aiDifficulty] - Planner to ask (HINT_AI_LEVEL)
+ * @param {boolean} [options.lookahead] - Let the planner search (see battleSearch.js); the
+ *   search is too slow for the main thread, so only the AI worker passes true
+ * @returns {Object} - { actionType, creatureId, targetId, itemId, itemKind, row, reason, tip, plannedSteps }
+ */
+export const getBattleHint = (state, { aiDifficulty = HINT_AI_LEVEL, lookahead = false } = {}) => {
+  // The player's own play style, not an AI personality, so none is passed
+  const start = { ...state, playerPersonality: null, rngState: hashSeed(`${state.rngState}:hint`) };
+  const rng = createRng(hashSeed(`${state.rngState}:hint:planner`));
+
+  return withQuietConsole(() => {
+    const plan = planSideTurn(start, 'player', aiDifficulty, rng, lookahead);
+
+    // Steps the rules reject are dropped - the planner sizes the field like the enemy's
+    const steps = [];
+    plan.reduce((current, action) => {
+      const next = applyAction(current, { ...action, player: 'player' });
+      if (next !== current) steps.push({ action, before: current, after: next });
+      return next;
+    }, start);
+
+    if (steps.length === 0) {
+      return {
+        actionType: ENGINE_ACTIONS.END_TURN,
+        creatureId: null,
+        targetId: null,
+        itemId: null,
+        itemKind: null,
+        row: null,
+        reason: `Nothing is worth the energy right now - end the turn and carry ${state.playerEnergy} energy over`,
+        tip: null,
+        plannedSteps: 0
+      };
+    }
+
+    const first = steps[0].action;
+    const combo = getItem(first) ? findFollowUpAttack(steps) : null;
+    const target = combo ? combo.attack.action.target : first.type === ENGINE_ACTIONS.USE_TOOL ? null : first.target;
+
+    return {
+      actionType: first.type,
+      creatureId: getActor(first)?.id || null,
+      targetId: target?.id || null,
+      itemId: getItem(first)?.id || null,
+      itemKind: getItemKind(first),
+      row: first.row || null,
+      reason: combo ? describeAttack(combo.setup, combo.attack) : describeStep(steps[0]),
+      tip: getItem(first) ? getItemUsageTip(getItem(first)) : null,
+      plannedSteps: steps.length
+    };
+  });
+};
+
+export default {
+  HINT_AI_LEVEL,
+  getHintLimit,
+  getBattleHint
+};
@@ -0,0 +1,195 @@
+// src/utils/battleReplay.js - BATTLE REPLAY RECORDING AND PLAYBACK
+// A replay is the battle seed, difficulty, both starting teams and the ordered
+// list of compact actions the engine recorded. Feeding those actions back
+// through applyAction rebuilds every intermediate state of the battle.
+import { createBattle, applyAction, getBattleOutcome } from './battleEngine';
+
+// Bump whenever a rules change makes recorded actions play out differently:
+// 2 - status conditions, formation rows, the item table, bosses, carried health
+//     between battles and action costs decided by the engine
+export const REPLAY_VERSION = 2;
+
+const REPLAY_STORAGE_KEY = 'battle_replays';
+const MAX_SAVED_REPLAYS = 10;
+
+// Battle-only fields are rebuilt by createBattle, so they are not stored
+const toReplayCreature = ({ battleStats, currentHealth, activeEffects, isDefending, statusConditions, row, ...creature }) => creature;
+
+const getStartingTeam = (battle, side) => ({
+  // Hand first, then deck - createBattle deals the opening hand from the front
+  creatures: [...battle[`${side}Hand`], ...battle[`${side}Deck`]].map(toReplayCreature),
+  tools: battle[`${side}Tools`] || [],
+  spells: battle[`${side}Spells`] || [],
+  startingEnergy: battle[`${side}Energy`],
+  handSize: battle[`${side}Hand`].length,
+  maxFieldSize: battle.maxFieldSize[side],
+  personality: battle[`${side}Personality`] || null,
+  archetype: battle[`${side}Archetype`] || null
+});
+
+/**
+ * Build a replay from a recorded battle.
+ * @param {Object} initialBattle - State returned by createBattle({ record: true })
+ * @param {Object} finalBattle - Battle state at the end of the match
+ * @param {string} [outcome] - 'victory' | 'defeat'; read from the final state when omitted
+ * @returns {Object} - Replay record
+ */
+export const createReplay = (initialBattle, finalBattle, outcome) => {
+  if (!initialBattle || !finalBattle?.replayActions) {
+    console.error("createReplay: battle was not recorded");
+    return null;
+  }
+
+  return {
+    id: `replay-${initialBattle.seed}-${Date.now()}`,
+    version: REPLAY_VERSION,
+    recordedAt: Date.now(),
+    seed: initialBattle.seed,
+    difficulty: initialBattle.difficulty,
+    adaptiveRating: initialBattle.adaptiveRating ?? null,
+    customDifficulty: initialBattle.customDifficulty ?? null,
+    campaignEncounterId: initialBattle.campaignEncounterId ?? null,
+    dailyChallengeDate: initialBattle.dailyChallengeDate ?? null,
+    gauntletWave: initialBattle.gauntletWave ?? null,
+    mirrorMatch: !!initialBattle.mirrorMatch,
+    draftMatch: !!initialBattle.draftMatch,
+    rngState: initialBattle.rngState,
+    teams: {
+      player: getStartingTeam(initialBattle, 'player'),
+      enemy: getStartingTeam(initialBattle, 'enemy')
+    },
+    actions: finalBattle.replayActions,
+    result: {
+      outcome: outcome || getBattleOutcome(finalBattle),
+      turns: finalBattle.turn
+    }
+  };
+};
+
+// Replays recorded under other rules can't be rebuilt - the engine would reject
+// or replay their actions differently
+export const isReplayPlayable = (replay) => replay?.version === REPLAY_VERSION;
+
+// Opening battle state of a replay
+export const createReplayBattle = (replay) => {
+  const { player, enemy } = replay.teams;
+
+  const battle = createBattle({
+    difficulty: replay.difficulty,
+    adaptiveRating: replay.adaptiveRating ?? null,
+    customDifficulty: replay.customDifficulty ?? null,
+    campaignEncounterId: replay.campaignEncounterId ?? null,
+    dailyChallengeDate: replay.dailyChallengeDate ?? null,
+    gauntletWave: replay.gauntletWave ?? null,
+    mirrorMatch: !!replay.mirrorMatch,
+    draftMatch: !!replay.draftMatch,
+    seed: replay.seed,
+    playerCreatures: player.creatures,
+    playerTools: player.tools,
+    playerSpells: player.spells,
+    playerStartingEnergy: player.startingEnergy,
+    enemyCreatures: enemy.creatures,
+    enemyTools: enemy.tools,
+    enemySpells: enemy.spells,
+    enemyStartingEnergy: enemy.startingEnergy,
+    enemyHandSize: enemy.handSize,
+    enemyMaxFieldSize: enemy.maxFieldSize,
+    enemyPersonality: enemy.personality,
+    playerPersonality: player.personality,
+    // Shown only - the stored team already reflects the archetype
+    enemyArchetype: enemy.archetype ?? null
+  });
+
+  // The stored teams skip enemy generation, so restore the stream position it left
+  return { ...battle, rngState: replay.rngState };
+};
+
+/**
+ * Rebuild every state of a replay.
+ * Frame 0 is the opening state; frame N is the state after action N-1.
+ * A frame is flagged `rejected` when the engine refused its action, which
+ * means the replay no longer matches the rules it was recorded with.
+ * @param {Object} replay
+ * @returns {Array} - [{ state, action, rejected }]
+ */
+export const buildReplayFrames = (replay) => {
+  if (!isReplayPlayable(replay)) {
+    console.error("buildReplayFrames: replay version", replay?.version, "does not match", REPLAY_VERSION);
+    return [];
+  }
+
+  const frames = [{ state: createReplayBattle(replay), action: null, rejected: false }];
+
+  replay.actions.forEach(action => {
+    const previous = frames[frames.length - 1].state;
+    const next = applyAction(previous, action);
+    frames.push({ state: next, action, rejected: next === previous });
+  });
+
+  return frames;
+};
+
+// True when the rebuilt battle ends the way the recorded one did
+export const isReplayInSync = (replay, frames) => {
+  if (!frames.length || frames.some(frame => frame.rejected)) return false;
+
+  const finalState = frames[frames.length - 1].state;
+  return getBattleOutcome(finalState) === replay.result.outcome && finalState.turn === replay.result.turns;
+};
+
+// ===== STORAGE =====
+
+// Replays from other versions stay listed (labelled with isReplayPlayable) so players can see and delete them
+export const getSavedReplays = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REPLAY_STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(replay => replay?.id && replay.result) : [];
+  } catch (error) {
+    console.error("Error loading saved replays:", error);
+    return [];
+  }
+};
+
+// Newest first; only the last MAX_SAVED_REPLAYS battles are kept
+export const saveReplay = (replay) => {
+  if (!replay) return getSavedReplays();
+
+  let replays = [replay, ...getSavedReplays().filter(r => r.id !== replay.id)].slice(0, MAX_SAVED_REPLAYS);
+
+  // Drop the oldest replays until the list fits in storage
+  while (replays.length > 0) {
+    try {
+      localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replays));
+      return replays;
+    } catch (error) {
+      console.error("Error saving replay, dropping oldest:", error);
+      replays = replays.slice(0, -1);
+    }
+  }
+
+  return replays;
+};
+
+export const deleteReplay = (replayId) => {
+  const replays = getSavedReplays().filter(replay => replay.id !== replayId);
+
+  try {
+    localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replays));
+  } catch (error) {
+    console.error("Error deleting replay:", error);
+  }
+
+  return replays;
+};
+
+export default {
+  REPLAY_VERSION,
+  isReplayPlayable,
+  createReplay,
+  createReplayBattle,
+  buildReplayFrames,
+  isReplayInSync,
+  getSavedReplays,
+  saveReplay,
+  deleteReplay
+};
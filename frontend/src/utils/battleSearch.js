@@ -0,0 +1,449 @@
+// src/utils/battleSearch.js - LOOKAHEAD TURN SEARCH
+// Beam search over the legal action sequences of one turn. Candidates are
+// played out on copies of the battle through the headless engine, which
+// never mutates its input, and scored by a static evaluation of the position
+// they leave behind. Each candidate is rolled in a few sampled "worlds":
+// rng streams seeded from the AI's own rolls, never the battle's real stream,
+// so the search can't peek at upcoming dice.
+// Every first action is tried; deeper in the turn only the `branching` best
+// of them (and moves that weren't possible at the start) are tried again.
+// The expansion cap keeps a search reproducible; the time budget is a safety
+// net for slow devices and only cuts in when the cap is set too high.
+import {
+  applyAction,
+  getAttackType,
+  getDeployCost,
+  withQuietConsole,
+  ENGINE_ACTIONS,
+  ATTACK_ENERGY_COST,
+  DEFEND_ENERGY_COST,
+  SPELL_ENERGY_COST,
+  TOOL_ENERGY_COST,
+  PLAYER_MAX_FIELD_SIZE
+} from './battleEngine';
+import { random } from './random';
+import { STATUS_CONDITIONS, canCreatureAct, isValidTarget, getConditionDamage } from './statusConditions';
+import { ROWS, hasRowSpace, canReachTarget } from './battleFormation';
+import { getPersonality } from './aiPersonalities';
+
+// The searching side always plays 'enemy' in the search state, like determineAIAction
+const SELF = 'enemy';
+
+export const DEFAULT_SEARCH_OPTIONS = {
+  beamWidth: 4,        // Sequences kept after each action
+  branching: 12,       // Best first actions tried again further into the turn
+  maxDepth: 5,         // Actions per turn
+  samples: 2,          // Sampled worlds per candidate
+  maxExpansions: 500,  // Candidate actions tried, across all depths
+  timeBudgetMs: 1000
+};
+
+// Evaluation weights, in health points
+export const EVALUATION_WEIGHTS = {
+  creature: 25,      // Having a creature on the field at all
+  power: 1,          // Per point of best attack plus average defense
+  buff: 0.3,         // Per point of that power from effects that will wear off
+  health: 1,         // Per point of current health
+  handCreature: 0.4, // Share of a hand creature's field worth
+  energy: 1,         // Per point of energy carried into the next turn
+  tool: 6,           // Per unused tool
+  spell: 10,         // Per unused spell
+  threat: 0.6,       // Share of the damage the opponent can deal next turn
+  condition: 4       // Per remaining turn of a harmful status condition
+};
+
+// Personalities scale the weights (see searchWeights in aiPersonalities.js)
+const getEvaluationWeights = (personality) => {
+  const scales = getPersonality(personality)?.searchWeights || {};
+  return Object.fromEntries(
+    Object.entries(EVALUATION_WEIGHTS).map(([key, weight]) => [key, weight * (scales[key] ?? 1)])
+  );
+};
+
+/**
+ * Build a battle state the engine can play the searching side's turn on.
+ * The searching side sits in the enemy slots; the opponent's hand, deck and
+ * items are unknown to it and left empty.
+ * @param {Object} position - { hand, field, opposingField, tools, spells, energy, maxFieldSize, difficulty, turn, consecutiveActions }
+ * @returns {Object} - Battle state
+ */
+export const createSearchState = ({
+  hand,
+  field,
+  opposingField,
+  tools = [],
+  spells = [],
+  energy,
+  maxFieldSize,
+  difficulty = 'expert',
+  turn = 1,
+  consecutiveActions = {}
+}) => ({
+  difficulty,
+  turn,
+  activePlayer: SELF,
+
+  enemyDeck: [],
+  enemyHand: hand,
+  enemyField: field,
+  enemyEnergy: energy,
+  enemyTools: tools,
+  enemySpells: spells,
+
+  playerDeck: [],
+  playerHand: [],
+  playerField: opposingField,
+  playerEnergy: 0,
+  playerTools: [],
+  playerSpells: [],
+
+  maxFieldSize: { player: PLAYER_MAX_FIELD_SIZE, enemy: maxFieldSize },
+  consecutiveActions: { player: 0, enemy: 0, ...consecutiveActions },
+  energyMomentum: { player: 0, enemy: 0 },
+  activeSynergies: [],
+  enemyActiveSynergies: [],
+  battleLog: [],
+  logSequence: 0
+});
+
+// ===== CANDIDATE ACTIONS =====
+
+// Copies of the same item play out the same way, so only one is tried
+const getDistinctItems = (items, getKey) => {
+  const seen = new Set();
+  return (items || []).filter(item => {
+    const key = getKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const getToolKey = (tool) => `${tool.tool_effect}:${tool.tool_type}:${tool.rarity}`;
+const getSpellKey = (spell) => `${spell.spell_effect}:${spell.spell_type}:${spell.rarity}`;
+
+// The two strongest casters able to cast - weaker casters rarely win and cost a lot of search
+const getCasters = (field) => field
+  .filter(creature => canCreatureAct(creature, 'useSpell'))
+  .sort((a, b) => (b.battleStats?.magicalAttack || 0) - (a.battleStats?.magicalAttack || 0))
+  .slice(0, 2);
+
+/**
+ * Every action the searching side could take next, in the id-based form the engine accepts.
+ * Moves the engine would reject anyway (stunned attackers, unreachable back rows) are skipped.
+ * @param {Object} state - Search state
+ * @returns {Array}
+ */
+export const getCandidateActions = (state) => {
+  const actions = [];
+  const energy = state.enemyEnergy;
+  const field = state.enemyField;
+  const opposingField = state.playerField;
+  const maxFieldSize = state.maxFieldSize.enemy;
+
+  if (field.length < maxFieldSize) {
+    state.enemyHand.forEach(creature => {
+      const energyCost = getDeployCost(creature);
+      if (energyCost > energy) return;
+
+      Object.values(ROWS).forEach(row => {
+        if (hasRowSpace(field, row, maxFieldSize)) {
+          actions.push({ type: ENGINE_ACTIONS.DEPLOY, creatureId: creature.id, row, energyCost });
+        }
+      });
+    });
+  }
+
+  if (energy >= ATTACK_ENERGY_COST) {
+    field.forEach(attacker => {
+      if (!canCreatureAct(attacker, 'attack')) return;
+      const attackType = getAttackType(attacker);
+
+      opposingField.forEach(target => {
+        if (isValidTarget(opposingField, target) && canReachTarget(opposingField, target, attackType)) {
+          actions.push({ type: ENGINE_ACTIONS.ATTACK, attackerId: attacker.id, targetId: target.id, energyCost: ATTACK_ENERGY_COST });
+        }
+      });
+    });
+  }
+
+  if (energy >= DEFEND_ENERGY_COST) {
+    field.forEach(creature => {
+      if (!creature.isDefending && canCreatureAct(creature, 'defend')) {
+        actions.push({ type: ENGINE_ACTIONS.DEFEND, creatureId: creature.id, energyCost: DEFEND_ENERGY_COST });
+      }
+    });
+  }
+
+  getDistinctItems(state.enemyTools, getToolKey).forEach(tool => {
+    field.forEach(target => {
+      actions.push({ type: ENGINE_ACTIONS.USE_TOOL, toolId: tool.id, targetId: target.id, energyCost: TOOL_ENERGY_COST });
+    });
+  });
+
+  if (energy >= SPELL_ENERGY_COST) {
+    const targets = [...field, ...opposingField.filter(target => isValidTarget(opposingField, target))];
+
+    getDistinctItems(state.enemySpells, getSpellKey).forEach(spell => {
+      getCasters(field).forEach(caster => {
+        targets.forEach(target => {
+          actions.push({ type: ENGINE_ACTIONS.USE_SPELL, spellId: spell.id, casterId: caster.id, targetId: target.id, energyCost: SPELL_ENERGY_COST });
+        });
+      });
+    });
+  }
+
+  return actions;
+};
+
+// Order-independent identity of a sequence, so only the better of "A then B" and "B then A" is kept
+const getActionKey = (action) => [
+  action.type,
+  action.creatureId,
+  action.row,
+  action.attackerId,
+  action.toolId,
+  action.spellId,
+  action.casterId,
+  action.targetId
+].filter(part => part !== undefined).join(':');
+
+const getSequenceKey = (actions) => actions.map(getActionKey).sort().join('|');
+
+// ===== EVALUATION =====
+
+const getPower = (stats) =>
+  Math.max(stats.physicalAttack || 0, stats.magicalAttack || 0) +
+  ((stats.physicalDefense || 0) + (stats.magicalDefense || 0)) / 2;
+
+// Stats without the active effects' modifications - what the creature keeps once they wear off
+const getLastingStats = (creature) => (creature.activeEffects || []).reduce((stats, effect) => {
+  Object.entries(effect.statModifications || {}).forEach(([stat, value]) => {
+    if (stats[stat] !== undefined) stats[stat] -= value;
+  });
+  return stats;
+}, { ...(creature.battleStats || {}) });
+
+// A buff only pays off through what it does this turn (damage dealt, threat
+// blunted), so the power it adds counts for little by itself
+const getCreatureWorth = (creature, weights) => {
+  const power = getPower(creature.battleStats || {});
+  const lastingPower = getPower(getLastingStats(creature));
+
+  return weights.creature +
+    lastingPower * weights.power +
+    (power - lastingPower) * weights.buff +
+    Math.max(0, creature.currentHealth) * weights.health;
+};
+
+// Turns of harmful conditions left on a creature, with damage over time counted on top
+const getConditionLoad = (creature) => (creature.statusConditions || []).reduce((load, condition) => {
+  if (!STATUS_CONDITIONS[condition.status]?.harmful) return load;
+  return load + condition.duration + getConditionDamage(condition) * condition.duration / 5;
+}, 0);
+
+// Rough damage of one attack, like the AI's own estimate, with formation reach
+const estimateIncomingDamage = (attacker, defender, defenderField) => {
+  const attackType = getAttackType(attacker);
+  if (!canReachTarget(defenderField, defender, attackType)) return 0;
+
+  const attack = attackType === 'physical' ? attacker.battleStats.physicalAttack : attacker.battleStats.magicalAttack;
+  const defense = attackType === 'physical' ? defender.battleStats?.physicalDefense : defender.battleStats?.magicalDefense;
+  const damage = Math.max(1, (attack || 0) - (defense || 0) * 0.5);
+
+  return defender.isDefending ? damage * 0.3 : damage;
+};
+
+// Damage the opponent's field could deal next turn, one attack per creature on its best target
+const getThreat = (attackers, defenders) => attackers.reduce((total, attacker) => {
+  if (!attacker.battleStats || !canCreatureAct(attacker, 'attack')) return total;
+
+  const best = defenders.reduce((most, defender) => {
+    const damage = Math.min(estimateIncomingDamage(attacker, defender, defenders), defender.currentHealth);
+    return Math.max(most, damage);
+  }, 0);
+  return total + best;
+}, 0);
+
+/**
+ * Score a position for the searching side. Higher is better.
+ * @param {Object} state - Search state
+ * @param {Object} [weights] - EVALUATION_WEIGHTS, possibly scaled by a personality
+ * @returns {number}
+ */
+export const evaluatePosition = (state, weights = EVALUATION_WEIGHTS) => {
+  const ownField = state.enemyField;
+  const opposingField = state.playerField;
+
+  const ownWorth = ownField.reduce((sum, creature) => sum + getCreatureWorth(creature, weights), 0);
+  const opposingWorth = opposingField.reduce((sum, creature) => sum + getCreatureWorth(creature, weights), 0);
+  const handWorth = state.enemyHand.reduce((sum, creature) => sum + getCreatureWorth(creature, weights), 0);
+
+  const conditions = opposingField.reduce((sum, creature) => sum + getConditionLoad(creature), 0) -
+    ownField.reduce((sum, creature) => sum + getConditionLoad(creature), 0);
+
+  return ownWorth - opposingWorth +
+    handWorth * weights.handCreature +
+    state.enemyEnergy * weights.energy +
+    state.enemyTools.length * weights.tool +
+    state.enemySpells.length * weights.spell +
+    conditions * weights.condition -
+    getThreat(opposingField, ownField) * weights.threat;
+};
+
+// ===== SEARCH =====
+
+const now = () => Date.now();
+
+/**
+ * Find the best action sequence for the searching side's turn.
+ * @param {Object} state - Search state (see createSearchState)
+ * @param {Object} [options] - DEFAULT_SEARCH_OPTIONS overrides, plus `personality`
+ * @returns {Object} - { actions, stepScores, score, baseline, expansions, depth, timedOut }
+ *   stepScores[i] is the position's score after actions[i]
+ */
+export const searchTurn = (state, options = {}) => {
+  const { beamWidth, branching, maxDepth, samples, maxExpansions, timeBudgetMs } = { ...DEFAULT_SEARCH_OPTIONS, ...options };
+  const weights = getEvaluationWeights(options.personality);
+  const deadline = now() + timeBudgetMs;
+
+  // Sampled worlds draw their seeds from the AI's random source
+  const worlds = Array.from({ length: Math.max(1, samples) }, () => ({
+    ...state,
+    rngState: Math.floor(random() * 0x100000000)
+  }));
+
+  const score = (states) => states.reduce((sum, world) => sum + evaluatePosition(world, weights), 0) / states.length;
+
+  const root = { worlds, actions: [], stepScores: [], score: score(worlds) };
+  let best = root;
+  let beam = [root];
+  let expansions = 0;
+  let depth = 0;
+  let timedOut = false;
+
+  // First-action gains by action key; rejected moves are kept at -Infinity so they aren't retried
+  const rootGains = new Map();
+  let shortlist = null;
+
+  // Moves not seen at the root (a freshly deployed creature's attacks) are always tried
+  const isPromising = (action) => {
+    const key = getActionKey(action);
+    return !rootGains.has(key) || shortlist.has(key);
+  };
+
+  withQuietConsole(() => {
+    while (depth < maxDepth && beam.length > 0 && !timedOut) {
+      const children = new Map();
+
+      for (const node of beam) {
+        const candidates = getCandidateActions(node.worlds[0]);
+
+        for (const action of depth === 0 ? candidates : candidates.filter(isPromising)) {
+          if (expansions >= maxExpansions || now() > deadline) {
+            timedOut = true;
+            break;
+          }
+          expansions++;
+
+          const actions = [...node.actions, action];
+          const step = { ...action, player: SELF };
+          const first = applyAction(node.worlds[0], step);
+          if (first === node.worlds[0]) {
+            // Rejected by the rules
+            if (depth === 0) rootGains.set(getActionKey(action), -Infinity);
+            continue;
+          }
+
+          // A move can still fail in another world (its target already fell there)
+          const nextWorlds = [first, ...node.worlds.slice(1).map(world => applyAction(world, step))];
+          const childScore = score(nextWorlds);
+          const child = { worlds: nextWorlds, actions, stepScores: [...node.stepScores, childScore], score: childScore };
+          if (depth === 0) rootGains.set(getActionKey(action), child.score - root.score);
+
+          // Buffing before or after an attack matters, so same-set sequences compete
+          const key = getSequenceKey(actions);
+          if (!children.has(key) || children.get(key).score < child.score) {
+            children.set(key, child);
+          }
+        }
+        if (timedOut) break;
+      }
+
+      if (children.size === 0) break;
+
+      if (depth === 0) {
+        shortlist = new Set(
+          [...rootGains.entries()]
+            .filter(([, gain]) => gain > -Infinity)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, branching)
+            .map(([key]) => key)
+        );
+      }
+
+      beam = [...children.values()].sort((a, b) => b.score - a.score).slice(0, beamWidth);
+      depth++;
+
+      if (beam[0].score > best.score) {
+        best = beam[0];
+      }
+    }
+  });
+
+  return {
+    actions: best.actions,
+    stepScores: best.stepScores,
+    score: best.score,
+    baseline: root.score,
+    expansions,
+    depth,
+    timedOut
+  };
+};
+
+/**
+ * Turn searched engine actions back into the object form determineAIAction
+ * returns, with creatures and items taken from the position the search started from.
+ * @param {Array} actions - From searchTurn
+ * @param {Object} position - Same shape as createSearchState's argument
+ * @returns {Array}
+ */
+export const toAIActions = (actions, { hand, field, opposingField, tools = [], spells = [] }) => {
+  const own = [...field, ...hand];
+  const find = (list, id) => list.find(item => item.id === id);
+
+  return actions.map(action => {
+    switch (action.type) {
+      case ENGINE_ACTIONS.DEPLOY:
+        return { type: 'deploy', creature: find(hand, action.creatureId), row: action.row, energyCost: action.energyCost, priority: 'lookahead' };
+      case ENGINE_ACTIONS.ATTACK:
+        return { type: 'attack', attacker: find(own, action.attackerId), target: find(opposingField, action.targetId), energyCost: action.energyCost, priority: 'lookahead' };
+      case ENGINE_ACTIONS.DEFEND:
+        return { type: 'defend', creature: find(own, action.creatureId), energyCost: action.energyCost, priority: 'lookahead' };
+      case ENGINE_ACTIONS.USE_TOOL:
+        return { type: 'useTool', tool: find(tools, action.toolId), target: find(own, action.targetId), energyCost: action.energyCost, priority: 'lookahead' };
+      case ENGINE_ACTIONS.USE_SPELL:
+        return {
+          type: 'useSpell',
+          spell: find(spells, action.spellId),
+          caster: find(own, action.casterId),
+          target: find([...own, ...opposingField], action.targetId),
+          energyCost: action.energyCost,
+          priority: 'lookahead'
+        };
+      default:
+        return null;
+    }
+  }).filter(Boolean);
+};
+
+export default {
+  DEFAULT_SEARCH_OPTIONS,
+  EVALUATION_WEIGHTS,
+  createSearchState,
+  getCandidateActions,
+  evaluatePosition,
+  searchTurn,
+  toAIActions
+};
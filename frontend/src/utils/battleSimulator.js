@@ -0,0 +1,565 @@
+// src/utils/battleSimulator.js - OFFLINE AI-VS-AI BATTLE SIMULATOR
+// Plays complete battles through the headless engine with determineAIAction
+// driving both sides, then aggregates balance numbers: win rates, turn counts
+// and damage / healing per species, tool and spell. No React or DOM, so it can
+// run from a dev console, a worker or Node: from frontend/, run
+// `node scripts/simulateBattles.mjs` (options in its header) for a batch report.
+import {
+  createBattle,
+  applyAction,
+  getBattleOutcome,
+  withQuietConsole,
+  ENGINE_ACTIONS
+} from './battleEngine';
+import { determineAIAction } from './battleAI';
+import { createRng, hashSeed } from './random';
+
+export const DEFAULT_MAX_TURNS = 50;
+export const SIMULATION_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+const opponentOf = (side) => side === 'player' ? 'enemy' : 'player';
+
+// ===== AI TURNS =====
+
+/**
+ * Ask the AI what one side should do this turn.
+ * determineAIAction always thinks of itself as "enemy", so the acting side's
+ * pieces are passed in the enemy slots.
+ * @param {Object} state - Battle state
+ * @param {string} side - 'player' | 'enemy'
+ * @param {string} aiDifficulty - AI level to plan with
+ * @param {Function} [rng] - Seeded source for the AI's own rolls
+ * @param {boolean} [lookahead] - Let AI levels with a search budget search (see battleSearch.js)
+ * @returns {Array} - Planned actions (never includes endTurn)
+ */
+export const planSideTurn = (state, side, aiDifficulty, rng = null, lookahead = true) => {
+  const opponent = opponentOf(side);
+
+  const plan = determineAIAction(
+    aiDifficulty,
+    state[`${side}Hand`],
+    state[`${side}Field`],
+    state[`${opponent}Field`],
+    state[`${side}Tools`],
+    state[`${side}Spells`],
+    state[`${side}Energy`],
+    {
+      turn: state.turn,
+      consecutiveActions: {
+        enemy: state.consecutiveActions[side],
+        player: state.consecutiveActions[opponent]
+      },
+      personality: state[`${side}Personality`],
+      // Only the enemy side of an adaptive or custom battle plays at its settings
+      adaptiveRating: side === 'enemy' ? state.adaptiveRating : null,
+      customDifficulty: side === 'enemy' ? state.customDifficulty : null,
+      maxFieldSize: state.maxFieldSize?.[side],
+      lookahead
+    },
+    rng
+  );
+
+  return (Array.isArray(plan) ? plan : [plan])
+    .filter(action => action && action.type && action.type !== ENGINE_ACTIONS.END_TURN);
+};
+
+/**
+ * Let the AI play one full turn for a side and hand the turn over.
+ * Actions the engine rejects (stale targets, field full) are skipped.
+ * @param {Object} state - Battle state
+ * @param {string} side - Side to play, normally state.activePlayer
+ * @param {string} aiDifficulty
+ * @param {Function} [onAction] - (before, after, action, side) for every accepted action
+ * @param {boolean} [lookahead] - See planSideTurn
+ * @returns {Object} - State after the turn has ended
+ */
+export const playAITurn = (state, side, aiDifficulty, onAction = null, lookahead = true) => {
+  // The AI's choices draw from the battle stream, like the in-game AI
+  const rng = createRng(state.rngState);
+  const plan = planSideTurn(state, side, aiDifficulty, rng, lookahead);
+
+  let current = { ...state, rngState: rng.getState() };
+
+  plan.forEach(action => {
+    const next = applyAction(current, { ...action, player: side });
+    if (next !== current && onAction) {
+      onAction(current, next, action, side);
+    }
+    current = next;
+  });
+
+  return applyAction(current, { type: ENGINE_ACTIONS.END_TURN, player: side });
+};
+
+// ===== SINGLE BATTLE =====
+
+/**
+ * Play a battle on from any state with the AI on both sides.
+ * @param {Object} state - Battle state to start from
+ * @param {Object} [options]
+ * @param {string} [options.playerAI] - AI level for the player side (defaults to the battle difficulty)
+ * @param {string} [options.enemyAI] - AI level for the enemy side (defaults to the battle difficulty)
+ * @param {boolean} [options.playerLookahead] - Allow lookahead search for the player side (default true)
+ * @param {boolean} [options.enemyLookahead] - Allow lookahead search for the enemy side (default true)
+ * @param {number} [options.maxTurns] - Turns to play before calling it a draw
+ * @param {Function} [options.onAction] - (before, after, action, side)
+ * @returns {Object} - { outcome: 'victory' | 'defeat' | 'draw', turns, finalState }
+ */
+export const rolloutBattle = (state, {
+  playerAI = state.difficulty,
+  enemyAI = state.difficulty,
+  playerLookahead = true,
+  enemyLookahead = true,
+  maxTurns = DEFAULT_MAX_TURNS,
+  onAction = null
+} = {}) => {
+  let current = state;
+
+  // Two half-turns per turn; the step cap also guards against a stuck hand-over
+  for (let step = 0; step < maxTurns * 2 && !getBattleOutcome(current); step++) {
+    const side = current.activePlayer;
+    current = side === 'player'
+      ? playAITurn(current, side, playerAI, onAction, playerLookahead)
+      : playAITurn(current, side, enemyAI, onAction, enemyLookahead);
+  }
+
+  return {
+    outcome: getBattleOutcome(current) || 'draw',
+    turns: current.turn,
+    finalState: current
+  };
+};
+
+/**
+ * Simulate one battle with the AI on both sides.
+ * @param {Object} config
+ * @param {string} [config.difficulty] - Battle difficulty (enemy generation, field sizes)
+ * @param {Object} config.playerTeam - { creatures, tools, spells }
+ * @param {Object} [config.enemyTeam] - Same shape; generated from difficulty when omitted
+ * @param {string} [config.playerAI] - AI level for the player side (defaults to difficulty)
+ * @param {string} [config.enemyAI] - AI level for the enemy side (defaults to difficulty)
+ * @param {number|string} [config.seed]
+ * @param {string|null} [config.playerPersonality] - AI personality for the player side
+ * @param {string|null} [config.enemyPersonality] - AI personality for the enemy side; none by default so balance runs stay neutral
+ * @param {boolean} [config.playerLookahead] - Allow lookahead search for the player side, e.g. false to pit search against greedy expert play
+ * @param {boolean} [config.enemyLookahead] - Allow lookahead search for the enemy side
+ * @param {number} [config.maxTurns] - Battles still running after this are draws
+ * @param {Function} [config.onAction] - (before, after, action, side)
+ * @returns {Object} - { outcome: 'victory' | 'defeat' | 'draw', turns, seed, initialState, finalState }
+ */
+export const simulateBattle = ({
+  difficulty = 'medium',
+  playerTeam,
+  enemyTeam = null,
+  playerAI = difficulty,
+  enemyAI = difficulty,
+  seed,
+  playerPersonality = null,
+  enemyPersonality = null,
+  playerLookahead = true,
+  enemyLookahead = true,
+  maxTurns = DEFAULT_MAX_TURNS,
+  onAction = null
+}) => {
+  const initialState = createBattle({
+    difficulty,
+    seed,
+    playerPersonality,
+    enemyPersonality,
+    playerCreatures: playerTeam.creatures,
+    playerTools: playerTeam.tools || [],
+    playerSpells: playerTeam.spells || [],
+    ...(enemyTeam ? {
+      enemyCreatures: enemyTeam.creatures,
+      enemyTools: enemyTeam.tools || [],
+      enemySpells: enemyTeam.spells || []
+    } : {})
+  });
+
+  const { outcome, turns, finalState } = rolloutBattle(initialState, {
+    playerAI,
+    enemyAI,
+    playerLookahead,
+    enemyLookahead,
+    maxTurns,
+    onAction
+  });
+
+  return {
+    outcome,
+    turns,
+    seed: initialState.seed,
+    initialState,
+    finalState
+  };
+};
+
+// ===== STATISTICS =====
+
+const capitalize = (text) => text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+
+// Items are grouped by effect and type, so rarities of the same item share a row
+const getToolKey = (tool) => tool.tool_effect && tool.tool_type
+  ? `${tool.tool_effect} ${capitalize(tool.tool_type)} Tool`
+  : tool.name || 'Unknown Tool';
+
+const getSpellKey = (spell) => spell.spell_effect && spell.spell_type
+  ? `${spell.spell_effect} ${capitalize(spell.spell_type)} Spell`
+  : spell.name || 'Unknown Spell';
+
+const getEntry = (table, key) => {
+  if (!table[key]) {
+    table[key] = {
+      games: 0,
+      wins: 0,
+      uses: 0,
+      damage: 0,
+      healing: 0,
+      defeated: 0
+    };
+  }
+  return table[key];
+};
+
+// Health lost by one side and healed on another between two states.
+// Creatures removed from the field count as dropping to 0.
+const getHealthChanges = (before, after, side) => {
+  let lost = 0;
+  let gained = 0;
+  const defeated = [];
+
+  before[`${side}Field`].forEach(creature => {
+    const updated = after[`${side}Field`].find(c => c.id === creature.id);
+    const healthAfter = updated ? updated.currentHealth : 0;
+    const change = healthAfter - creature.currentHealth;
+
+    if (change < 0) lost -= change;
+    if (change > 0) gained += change;
+    if (!updated || healthAfter <= 0) defeated.push(creature);
+  });
+
+  return { lost, gained, defeated };
+};
+
+const findOnField = (state, side, ref) => {
+  const id = ref && typeof ref === 'object' ? ref.id : ref;
+  return state[`${side}Field`].find(c => c.id === id) || state[`${side}Hand`].find(c => c.id === id);
+};
+
+// Attribute one accepted action's damage and healing to its species and item
+export const recordActionStats = (report, before, after, action, side) => {
+  const opponent = opponentOf(side);
+  const enemyChanges = getHealthChanges(before, after, opponent);
+  const ownChanges = getHealthChanges(before, after, side);
+
+  const damage = enemyChanges.lost;
+  const healing = ownChanges.gained;
+
+  [...enemyChanges.defeated, ...ownChanges.defeated].forEach(creature => {
+    getEntry(report.species, creature.species_name).defeated++;
+  });
+
+  let actor = null;
+
+  switch (action.type) {
+    case ENGINE_ACTIONS.DEPLOY:
+      actor = findOnField(before, side, action.creature);
+      if (actor) getEntry(report.species, actor.species_name).uses++;
+      return;
+
+    case ENGINE_ACTIONS.ATTACK:
+      actor = findOnField(before, side, action.attacker);
+      break;
+
+    case ENGINE_ACTIONS.USE_SPELL: {
+      actor = findOnField(before, side, action.caster);
+      const spellEntry = getEntry(report.spells, getSpellKey(action.spell));
+      spellEntry.uses++;
+      spellEntry.damage += damage;
+      spellEntry.healing += healing;
+      break;
+    }
+
+    case ENGINE_ACTIONS.USE_TOOL: {
+      const toolEntry = getEntry(report.tools, getToolKey(action.tool));
+      toolEntry.uses++;
+      toolEntry.damage += damage;
+      toolEntry.healing += healing;
+      return;
+    }
+
+    default:
+      return;
+  }
+
+  if (actor) {
+    const speciesEntry = getEntry(report.species, actor.species_name);
+    speciesEntry.damage += damage;
+    speciesEntry.healing += healing;
+  }
+};
+
+// Count games and wins for every species and item each side brought
+export const recordBattleStats = (report, result) => {
+  const { initialState, outcome } = result;
+
+  ['player', 'enemy'].forEach(side => {
+    const won = (side === 'player' && outcome === 'victory') || (side === 'enemy' && outcome === 'defeat');
+
+    const creatures = [...initialState[`${side}Hand`], ...initialState[`${side}Deck`]];
+    const species = new Set(creatures.map(c => c.species_name));
+    const tools = new Set(initialState[`${side}Tools`].map(getToolKey));
+    const spells = new Set(initialState[`${side}Spells`].map(getSpellKey));
+
+    [[report.species, species], [report.tools, tools], [report.spells, spells]].forEach(([table, keys]) => {
+      keys.forEach(key => {
+        const entry = getEntry(table, key);
+        entry.games++;
+        if (won) entry.wins++;
+      });
+    });
+  });
+};
+
+// Add rates and per-use averages once all battles are in
+const finalizeTable = (table) => {
+  Object.values(table).forEach(entry => {
+    entry.winRate = entry.games > 0 ? entry.wins / entry.games : 0;
+    entry.damagePerUse = entry.uses > 0 ? entry.damage / entry.uses : 0;
+    entry.healingPerUse = entry.uses > 0 ? entry.healing / entry.uses : 0;
+  });
+  return table;
+};
+
+// ===== BATCH RUNS =====
+
+/**
+ * Run many simulated battles and aggregate balance statistics.
+ * Every team plays every opponent at every difficulty. Without opponents,
+ * teams face enemies generated for the difficulty, as in PvE.
+ * Each battle gets its own seed derived from `seed`, so a batch is reproducible.
+ * @param {Object} config
+ * @param {Array} config.teams - [{ name, creatures, tools, spells }]
+ * @param {Array} [config.opponents] - Fixed enemy teams, same shape as teams
+ * @param {Array} [config.difficulties] - Defaults to all four difficulties
+ * @param {number} [config.matches] - Battles per team / opponent / difficulty
+ * @param {number|string} [config.seed]
+ * @param {number} [config.maxTurns]
+ * @param {boolean} [config.quiet] - Silence engine and AI console output (default true)
+ * @param {Function} [config.onProgress] - (completed, total)
+ * @returns {Object} - { matchups, species, tools, spells, totalMatches }
+ */
+export const runBatchSimulation = ({
+  teams = [],
+  opponents = null,
+  difficulties = SIMULATION_DIFFICULTIES,
+  matches = 100,
+  seed = 'balance',
+  maxTurns = DEFAULT_MAX_TURNS,
+  quiet = true,
+  onProgress = null
+}) => {
+  const report = {
+    matchups: [],
+    species: {},
+    tools: {},
+    spells: {},
+    totalMatches: 0
+  };
+
+  const opponentList = opponents && opponents.length > 0 ? opponents : [null];
+  const total = teams.length * opponentList.length * difficulties.length * matches;
+
+  const run = () => {
+    teams.forEach(team => {
+      opponentList.forEach(opponent => {
+        const opponentName = opponent ? opponent.name : 'Generated';
+
+        difficulties.forEach(difficulty => {
+          const matchup = {
+            team: team.name,
+            opponent: opponentName,
+            difficulty,
+            matches: 0,
+            wins: 0,
+            losses: 0,
+            draws: 0,
+            totalTurns: 0
+          };
+
+          for (let i = 0; i < matches; i++) {
+            const result = simulateBattle({
+              difficulty,
+              playerTeam: team,
+              enemyTeam: opponent,
+              seed: hashSeed(`${seed}:${team.name}:${opponentName}:${difficulty}:${i}`),
+              maxTurns,
+              onAction: (before, after, action, side) => recordActionStats(report, before, after, action, side)
+            });
+
+            recordBattleStats(report, result);
+
+            matchup.matches++;
+            matchup.totalTurns += result.turns;
+            if (result.outcome === 'victory') matchup.wins++;
+            else if (result.outcome === 'defeat') matchup.losses++;
+            else matchup.draws++;
+
+            report.totalMatches++;
+            if (onProgress) onProgress(report.totalMatches, total);
+          }
+
+          matchup.winRate = matchup.matches > 0 ? matchup.wins / matchup.matches : 0;
+          matchup.averageTurns = matchup.matches > 0 ? matchup.totalTurns / matchup.matches : 0;
+          report.matchups.push(matchup);
+        });
+      });
+    });
+  };
+
+  if (quiet) {
+    withQuietConsole(run);
+  } else {
+    run();
+  }
+
+  finalizeTable(report.species);
+  finalizeTable(report.tools);
+  finalizeTable(report.spells);
+
+  return report;
+};
+
+// ===== WIN PROBABILITY =====
+
+// Battle fields a rollout needs. Leaves out animation, log and replay state so
+// the snapshot stays small and can be posted to a worker.
+const ROLLOUT_FIELDS = [
+  'difficulty', 'adaptiveRating', 'customDifficulty', 'mirrorMatch', 'draftMatch', 'seed', 'rngState', 'turn', 'activePlayer',
+  'playerDeck', 'playerHand', 'playerField', 'playerEnergy', 'playerTools', 'playerSpells',
+  'enemyDeck', 'enemyHand', 'enemyField', 'enemyEnergy', 'enemyTools', 'enemySpells',
+  'maxFieldSize', 'playerPersonality', 'enemyPersonality', 'consecutiveActions', 'energyMomentum', 'energyMomentumDetails',
+  'lastRegenAmounts', 'activeSynergies', 'enemyActiveSynergies', 'logSequence'
+];
+
+export const toRolloutState = (state) => ({
+  ...ROLLOUT_FIELDS.reduce((snapshot, field) => {
+    if (state[field] !== undefined) snapshot[field] = state[field];
+    return snapshot;
+  }, {}),
+  battleLog: []
+});
+
+/**
+ * Estimate the player's chance of winning from the current state by playing
+ * it out many times with the AI on both sides. Each rollout gets its own
+ * stream derived from the battle's, so the same state gives the same estimate.
+ * Draws count as half a win.
+ * @param {Object} state - Battle state (UI state is ignored)
+ * @param {Object} [options]
+ * @param {number} [options.rollouts] - Battles to play out
+ * @param {number} [options.maxTurns] - Turns per rollout before it counts as a draw
+ * @param {string} [options.aiDifficulty] - AI level for both sides (defaults to the battle difficulty)
+ * @param {boolean} [options.quiet] - Silence engine and AI console output (default true)
+ * @returns {Object} - { probability, wins, losses, draws, rollouts, turn, activePlayer }
+ */
+export const estimateWinProbability = (state, {
+  rollouts = 24,
+  maxTurns = 20,
+  aiDifficulty = state.difficulty,
+  quiet = true
+} = {}) => {
+  const snapshot = toRolloutState(state);
+  const tally = { wins: 0, losses: 0, draws: 0 };
+
+  const run = () => {
+    for (let i = 0; i < rollouts; i++) {
+      const { outcome } = rolloutBattle(
+        { ...snapshot, rngState: hashSeed(`${snapshot.rngState}:rollout:${i}`) },
+        // Rollouts play greedily - a search on every turn of every rollout would take seconds
+        { playerAI: aiDifficulty, enemyAI: aiDifficulty, playerLookahead: false, enemyLookahead: false, maxTurns }
+      );
+
+      if (outcome === 'victory') tally.wins++;
+      else if (outcome === 'defeat') tally.losses++;
+      else tally.draws++;
+    }
+  };
+
+  if (quiet) {
+    withQuietConsole(run);
+  } else {
+    run();
+  }
+
+  return {
+    probability: rollouts > 0 ? (tally.wins + tally.draws * 0.5) / rollouts : 0.5,
+    ...tally,
+    rollouts,
+    turn: snapshot.turn,
+    activePlayer: snapshot.activePlayer
+  };
+};
+
+/**
+ * Points in a battle where the estimate moved sharply.
+ * @param {Array} history - Estimates in battle order
+ * @param {number} [threshold] - Minimum change in probability (0-1)
+ * @returns {Array} - The swinging estimates, each with `change` from the one before
+ */
+export const findWinProbabilitySwings = (history, threshold = 0.2) =>
+  history.slice(1)
+    .map((estimate, index) => ({ ...estimate, change: estimate.probability - history[index].probability }))
+    .filter(estimate => Math.abs(estimate.change) >= threshold);
+
+// Print a report as console tables, strongest entries first
+export const printSimulationReport = (report) => {
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  const round = (value) => Math.round(value * 10) / 10;
+
+  const toRows = (table) => Object.entries(table)
+    .sort(([, a], [, b]) => b.winRate - a.winRate)
+    .map(([name, entry]) => ({
+      name,
+      games: entry.games,
+      winRate: percent(entry.winRate),
+      uses: entry.uses,
+      damage: entry.damage,
+      healing: entry.healing,
+      damagePerUse: round(entry.damagePerUse),
+      healingPerUse: round(entry.healingPerUse),
+      defeated: entry.defeated
+    }));
+
+  console.log(`=== BATTLE SIMULATION: ${report.totalMatches} matches ===`);
+  console.table(report.matchups.map(m => ({
+    team: m.team,
+    opponent: m.opponent,
+    difficulty: m.difficulty,
+    matches: m.matches,
+    winRate: percent(m.winRate),
+    draws: m.draws,
+    averageTurns: round(m.averageTurns)
+  })));
+
+  console.log('--- Species ---');
+  console.table(toRows(report.species));
+  console.log('--- Tools ---');
+  console.table(toRows(report.tools));
+  console.log('--- Spells ---');
+  console.table(toRows(report.spells));
+};
+
+export default {
+  planSideTurn,
+  playAITurn,
+  rolloutBattle,
+  simulateBattle,
+  runBatchSimulation,
+  recordActionStats,
+  recordBattleStats,
+  toRolloutState,
+  estimateWinProbability,
+  findWinProbabilitySwings,
+  printSimulationReport
+};
@@ -0,0 +1,316 @@
+// src/utils/bossCreatures.js - MULTI-PHASE BOSS CREATURES
+// A boss is an enemy creature (see createEnemyCreature) carrying a `boss` block:
+// a larger health pool, status immunities and phases that begin as its health
+// falls past thresholds. Entering a phase can change the boss's stats, summon
+// adds, hit a whole field and queue a scripted move. The engine resolves phase
+// changes after every action (battleEngine.js) and the AI plays queued moves
+// ahead of its own plan (determineAIAction).
+import { createEnemyCreature } from './enemyCreatures';
+import { STATUS_CONDITIONS } from './statusConditions';
+
+// Derived stats a phase may change; maxHealth only scales with healthMultiplier
+export const BOSS_PHASE_STATS = [
+  'physicalAttack', 'magicalAttack', 'physicalDefense', 'magicalDefense',
+  'initiative', 'criticalChance', 'dodgeChance'
+];
+
+// Scripted moves: attack the weakest (lowest health) or strongest (highest attack)
+// creature the boss can reach, or defend
+export const BOSS_SCRIPT_TARGETS = ['weakest', 'strongest'];
+
+// Definition fields:
+//   title - shown above the boss health bar
+//   healthMultiplier - scales the boss's derived maxHealth
+//   immunities - status condition ids that never stick to the boss
+//   phases - in order of descending threshold:
+//     threshold - health fraction at or below which the phase begins
+//     name / message - phase name and the line logged when it begins
+//     statChanges - { stat: amount } added to the boss's derived stats
+//     summons - { species, form, rarity, stats, specialties, name } adds
+//     fieldEffect - { target: 'enemies' | 'allies', damage, heal, status, duration }
+//     script - [{ type: 'attack', target: 'weakest' | 'strongest' } | { type: 'defend' }]
+export const BOSS_DEFINITIONS = {
+  'bullx-gatekeeper': {
+    title: 'Border Gate Guardian',
+    healthMultiplier: 1.5,
+    immunities: ['stun'],
+    phases: [
+      {
+        threshold: 0.6,
+        name: 'Enraged',
+        message: 'The Gatekeeper lowers its horns and charges!',
+        statChanges: { physicalAttack: 8, physicalDefense: -4 },
+        script: [{ type: 'attack', target: 'weakest' }]
+      },
+      {
+        threshold: 0.25,
+        name: 'Last Stand',
+        message: 'The Gatekeeper bellows for help and digs in at the gate.',
+        statChanges: { physicalDefense: 8 },
+        summons: [
+          { species: 'cudoge', form: 1, rarity: 'Common', name: 'Gate Cudoge', stats: { energy: 7, strength: 9, magic: 5, stamina: 9, speed: 7 }, specialties: ['strength', 'stamina'] }
+        ],
+        fieldEffect: { target: 'allies', heal: 20 },
+        script: [{ type: 'defend' }]
+      }
+    ]
+  },
+  'overseer-satoshium': {
+    title: 'Warden of the Mines',
+    healthMultiplier: 1.75,
+    immunities: ['stun', 'poison'],
+    phases: [
+      {
+        threshold: 0.66,
+        name: 'Wardens Called',
+        message: 'The Overseer calls fresh wardens from the tunnels.',
+        summons: [
+          { species: 'xerdian', form: 1, rarity: 'Rare', name: 'Tunnel Warden', stats: { energy: 10, strength: 8, magic: 7, stamina: 13, speed: 7 }, specialties: ['stamina', 'energy'] },
+          { species: 'xerdian', form: 1, rarity: 'Rare', name: 'Tunnel Warden', stats: { energy: 10, strength: 8, magic: 7, stamina: 13, speed: 7 }, specialties: ['stamina', 'energy'] }
+        ],
+        script: [{ type: 'defend' }]
+      },
+      {
+        threshold: 0.33,
+        name: 'Unmoved',
+        message: 'The Overseer plants itself and the mine falls silent.',
+        statChanges: { physicalDefense: 10, magicalDefense: 10 },
+        fieldEffect: { target: 'enemies', status: 'silence', duration: 2 },
+        script: [{ type: 'attack', target: 'strongest' }]
+      }
+    ]
+  },
+  'etherion-archon': {
+    title: 'Master of the Spire',
+    healthMultiplier: 2,
+    immunities: ['stun', 'silence', 'burn'],
+    phases: [
+      {
+        threshold: 0.7,
+        name: 'Storm Gathering',
+        message: 'Raw energy crackles across the spire.',
+        statChanges: { magicalAttack: 10 },
+        fieldEffect: { target: 'enemies', damage: 12 }
+      },
+      {
+        threshold: 0.4,
+        name: 'Tempest',
+        message: 'The Archon tears open the sky and a Corvax answers.',
+        summons: [
+          { species: 'corvax', form: 2, rarity: 'Epic', name: 'Storm Corvax', stats: { energy: 13, strength: 8, magic: 16, stamina: 10, speed: 11 }, specialties: ['magic', 'energy'] }
+        ],
+        fieldEffect: { target: 'enemies', status: 'burn', duration: 2 },
+        script: [{ type: 'attack', target: 'weakest' }]
+      },
+      {
+        threshold: 0.15,
+        name: 'Final Form',
+        message: 'The Archon burns everything it has left.',
+        statChanges: { magicalAttack: 10, initiative: 10, dodgeChance: 5 },
+        fieldEffect: { target: 'enemies', damage: 20 },
+        script: [{ type: 'attack', target: 'strongest' }, { type: 'attack', target: 'weakest' }]
+      }
+    ]
+  }
+};
+
+export const isBossCreature = (creature) => !!creature?.boss;
+
+export const getBossDefinition = (bossId) => BOSS_DEFINITIONS[bossId] || null;
+
+/**
+ * Create a boss: an enemy creature with its definition's phases and immunities.
+ * @param {string} speciesId - Creature template id
+ * @param {number} form
+ * @param {string} rarity
+ * @param {Object} stats - Base stats (energy, strength, magic, stamina, speed)
+ * @param {string|Object} bossDefinition - Key of BOSS_DEFINITIONS or a definition
+ * @returns {Object|null} - Raw creature, ready for prepareBattleCreature
+ */
+export const createBossCreature = (speciesId, form, rarity, stats, bossDefinition) => {
+  const definition = typeof bossDefinition === 'string' ? getBossDefinition(bossDefinition) : bossDefinition;
+  if (!definition) {
+    console.error("createBossCreature: unknown boss", bossDefinition);
+    return null;
+  }
+
+  return {
+    ...createEnemyCreature(speciesId, form, rarity, stats),
+    statusImmunities: [...(definition.immunities || [])],
+    boss: {
+      id: typeof bossDefinition === 'string' ? bossDefinition : null,
+      title: definition.title,
+      healthMultiplier: definition.healthMultiplier || 1,
+      phases: [...definition.phases].sort((a, b) => b.threshold - a.threshold),
+      phase: 0 // Phases entered so far
+    },
+    bossScript: []
+  };
+};
+
+// Phases the boss has already entered, in order
+export const getEnteredBossPhases = (creature) =>
+  isBossCreature(creature) ? creature.boss.phases.slice(0, creature.boss.phase) : [];
+
+export const getCurrentBossPhase = (creature) => getEnteredBossPhases(creature).slice(-1)[0] || null;
+
+// Next phase the boss's health has reached but that hasn't begun yet, or null
+export const getPendingBossPhase = (creature) => {
+  if (!isBossCreature(creature) || creature.currentHealth <= 0) return null;
+
+  const next = creature.boss.phases[creature.boss.phase];
+  const maxHealth = creature.battleStats?.maxHealth || creature.maxHealth;
+  if (!next || !maxHealth) return null;
+
+  return creature.currentHealth / maxHealth <= next.threshold ? next : null;
+};
+
+const addStatChanges = (stats, statChanges) => {
+  const changed = { ...stats };
+  Object.entries(statChanges || {}).forEach(([stat, amount]) => {
+    if (BOSS_PHASE_STATS.includes(stat) && changed[stat] !== undefined) {
+      changed[stat] = Math.max(stat.includes('Attack') || stat.includes('Defense') ? 1 : 0, changed[stat] + amount);
+    }
+  });
+  return changed;
+};
+
+// Boss modifiers on derived stats: the health pool and every entered phase's
+// stat changes. Applied by calculateDerivedStats, so recalculations keep them.
+export const applyBossModifiers = (creature, stats) => {
+  if (!isBossCreature(creature)) return stats;
+
+  return getEnteredBossPhases(creature).reduce(
+    (modified, phase) => addStatChanges(modified, phase.statChanges),
+    { ...stats, maxHealth: Math.round(stats.maxHealth * creature.boss.healthMultiplier) }
+  );
+};
+
+/**
+ * Begin the boss's next phase: its stat changes land on battleStats and its
+ * script replaces whatever was still queued. Summons and field effects touch
+ * other creatures, so the engine applies those.
+ * @param {Object} creature - Boss on the battlefield
+ * @returns {Object} - Updated boss copy
+ */
+export const enterBossPhase = (creature) => {
+  const phase = creature.boss.phases[creature.boss.phase];
+  if (!phase) return creature;
+
+  return {
+    ...creature,
+    battleStats: addStatChanges(creature.battleStats, phase.statChanges),
+    boss: { ...creature.boss, phase: creature.boss.phase + 1 },
+    bossScript: phase.script ? phase.script.map(step => ({ ...step })) : creature.bossScript || []
+  };
+};
+
+// Raw creatures for a phase's summons, with stable ids so replays rebuild them
+export const createBossSummons = (boss, phase, phaseNumber) =>
+  (phase.summons || []).map((summon, index) => {
+    const creature = createEnemyCreature(summon.species, summon.form, summon.rarity, { ...summon.stats });
+    return {
+      ...creature,
+      id: `${boss.id}-add-${phaseNumber}-${index}`,
+      species_name: summon.name || creature.species_name,
+      specialty_stats: summon.specialties || creature.specialty_stats
+    };
+  });
+
+export const getBossScriptStep = (creature) => creature?.bossScript?.[0] || null;
+
+// Drop the scripted step the boss just played
+export const consumeBossScriptStep = (creature) =>
+  creature?.bossScript?.length > 0 ? { ...creature, bossScript: creature.bossScript.slice(1) } : creature;
+
+// Short description of what a phase does, for the boss health bar
+export const describeBossPhase = (phase) => {
+  const parts = [];
+  const changes = Object.entries(phase.statChanges || {})
+    .map(([stat, amount]) => `${amount > 0 ? '+' : ''}${amount} ${stat.replace(/([A-Z])/g, ' $1').toLowerCase()}`);
+  if (changes.length > 0) parts.push(changes.join(', '));
+  if (phase.summons?.length) parts.push(`summons ${phase.summons.length}`);
+
+  const effect = phase.fieldEffect;
+  if (effect) {
+    const side = effect.target === 'allies' ? 'allies' : 'your field';
+    if (effect.damage) parts.push(`${effect.damage} damage to ${side}`);
+    if (effect.heal) parts.push(`heals ${side} for ${effect.heal}`);
+    if (effect.status) parts.push(`${STATUS_CONDITIONS[effect.status]?.name.toLowerCase() || effect.status} on ${side}`);
+  }
+
+  return `${Math.round(phase.threshold * 100)}% ${phase.name}${parts.length > 0 ? ` - ${parts.join('; ')}` : ''}`;
+};
+
+/**
+ * Check every boss definition: thresholds, stats, statuses, summons and scripts.
+ * @returns {Array<string>} - Problems found; empty when all bosses are valid
+ */
+export const validateBossDefinitions = () => {
+  const errors = [];
+
+  Object.entries(BOSS_DEFINITIONS).forEach(([bossId, definition]) => {
+    if (!definition.title) errors.push(`${bossId}: missing title`);
+    if (!(definition.healthMultiplier >= 1)) errors.push(`${bossId}: healthMultiplier must be at least 1`);
+    (definition.immunities || []).forEach(status => {
+      if (!STATUS_CONDITIONS[status]) errors.push(`${bossId}: unknown immunity "${status}"`);
+    });
+
+    definition.phases.forEach((phase, index) => {
+      const path = `${bossId}.phases[${index}]`;
+
+      if (!(phase.threshold > 0 && phase.threshold < 1)) errors.push(`${path}: threshold must be between 0 and 1`);
+      if (index > 0 && phase.threshold >= definition.phases[index - 1].threshold) {
+        errors.push(`${path}: thresholds must descend`);
+      }
+      if (!phase.name || !phase.message) errors.push(`${path}: missing name or message`);
+      Object.keys(phase.statChanges || {}).forEach(stat => {
+        if (!BOSS_PHASE_STATS.includes(stat)) errors.push(`${path}: unknown stat "${stat}"`);
+      });
+      (phase.summons || []).forEach((summon, summonIndex) => {
+        ['energy', 'strength', 'magic', 'stamina', 'speed'].forEach(stat => {
+          if (typeof summon.stats?.[stat] !== 'number') errors.push(`${path}.summons[${summonIndex}]: missing ${stat}`);
+        });
+      });
+      if (phase.fieldEffect) {
+        const { target, status } = phase.fieldEffect;
+        if (!['enemies', 'allies'].includes(target)) errors.push(`${path}: unknown field effect target "${target}"`);
+        if (status && !STATUS_CONDITIONS[status]) errors.push(`${path}: unknown field effect status "${status}"`);
+      }
+      (phase.script || []).forEach(step => {
+        if (step.type === 'attack' && !BOSS_SCRIPT_TARGETS.includes(step.target)) {
+          errors.push(`${path}: unknown script target "${step.target}"`);
+        } else if (step.type !== 'attack' && step.type !== 'defend') {
+          errors.push(`${path}: unknown script step "${step.type}"`);
+        }
+      });
+    });
+  });
+
+  return errors;
+};
+
+// Validate once at load so a bad boss shows up immediately
+const bossErrors = validateBossDefinitions();
+if (bossErrors.length > 0) {
+  console.error("Invalid boss definitions:", bossErrors);
+}
+
+export default {
+  BOSS_PHASE_STATS,
+  BOSS_SCRIPT_TARGETS,
+  BOSS_DEFINITIONS,
+  isBossCreature,
+  getBossDefinition,
+  createBossCreature,
+  getEnteredBossPhases,
+  getCurrentBossPhase,
+  getPendingBossPhase,
+  applyBossModifiers,
+  enterBossPhase,
+  createBossSummons,
+  getBossScriptStep,
+  consumeBossScriptStep,
+  describeBossPhase,
+  validateBossDefinitions
+};
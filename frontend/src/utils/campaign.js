@@ -0,0 +1,514 @@
+// src/utils/campaign.js - CAMPAIGN MODE
+// An ordered chapter map of handcrafted PvE encounters. Each encounter is data:
+// the enemy team (species, form, rarity, final stats), its items, special rules
+// for createBattle and the star targets. Clearing an encounter unlocks the next
+// one; progress and best star ratings are stored per account in localStorage.
+import { createEnemyCreature, getCreatureTemplates } from './enemyCreatures';
+import { createBossCreature, getBossDefinition } from './bossCreatures';
+import { createEnemyTool, createEnemySpell, DIFFICULTY_LEVELS } from './difficultySettings';
+import { ITEM_TYPES, ITEM_EFFECTS } from './itemDefinitions';
+import { AI_PERSONALITIES } from './aiPersonalities';
+
+export const CAMPAIGN_PROGRESS_VERSION = 1;
+
+export const CAMPAIGN_MODE = 'campaign';
+
+// One star for the clear, one for each target met
+export const MAX_STARS = 3;
+
+// Encounter fields:
+//   difficulty - AI tier and item scaling the encounter plays at
+//   personality - enemy AI personality id, null for none
+//   boss - shown as a boss fight on the chapter map
+//   enemies - { species, form, rarity, stats, specialties, name, bossId }; stats are
+//     final, bossId makes the creature a multi-phase boss (see bossCreatures.js)
+//   tools / spells - { type, effect, rarity }
+//   rules - createBattle overrides: enemyStartingEnergy, playerStartingEnergy,
+//     enemyHandSize, enemyMaxFieldSize
+//   stars - { turns, creaturesLost }: win within that many turns / losing at most that many
+export const CAMPAIGN_CHAPTERS = [
+  {
+    id: 'meadow',
+    name: 'The Meadow Border',
+    icon: '🌿',
+    encounters: [
+      {
+        id: 'meadow-scouts',
+        name: 'Meadow Scouts',
+        intro: 'A pair of young scouts blocks the trail. They hit softly, but they never stop moving.',
+        difficulty: 'easy',
+        personality: null,
+        enemies: [
+          { species: 'cvxling', form: 0, rarity: 'Common', stats: { energy: 7, strength: 6, magic: 5, stamina: 6, speed: 9 }, specialties: ['speed', 'energy'] },
+          { species: 'cvxling', form: 0, rarity: 'Common', stats: { energy: 7, strength: 6, magic: 5, stamina: 6, speed: 9 }, specialties: ['speed', 'energy'] },
+          { species: 'hugbloom', form: 1, rarity: 'Common', stats: { energy: 6, strength: 5, magic: 6, stamina: 10, speed: 5 }, specialties: ['stamina'] }
+        ],
+        tools: [],
+        spells: [],
+        rules: { enemyStartingEnergy: 6, enemyHandSize: 2, enemyMaxFieldSize: 3 },
+        stars: { turns: 8, creaturesLost: 0 }
+      },
+      {
+        id: 'hugbloom-grove',
+        name: 'Hugbloom Grove',
+        intro: 'The grove closes ranks behind walls of petals. Break the shields before they wear you down.',
+        difficulty: 'easy',
+        personality: 'turtle',
+        enemies: [
+          { species: 'hugbloom', form: 1, rarity: 'Rare', stats: { energy: 7, strength: 6, magic: 7, stamina: 13, speed: 5 }, specialties: ['stamina'] },
+          { species: 'hugbloom', form: 1, rarity: 'Common', stats: { energy: 6, strength: 6, magic: 6, stamina: 11, speed: 5 }, specialties: ['stamina'] },
+          { species: 'cudoge', form: 1, rarity: 'Common', stats: { energy: 7, strength: 9, magic: 5, stamina: 9, speed: 6 }, specialties: ['strength', 'stamina'] },
+          { species: 'minermole', form: 0, rarity: 'Common', stats: { energy: 6, strength: 8, magic: 4, stamina: 8, speed: 6 }, specialties: ['strength', 'stamina'] }
+        ],
+        tools: [
+          { type: 'stamina', effect: 'Shield', rarity: 'Common' }
+        ],
+        spells: [],
+        rules: { enemyStartingEnergy: 8, enemyHandSize: 2, enemyMaxFieldSize: 4 },
+        stars: { turns: 10, creaturesLost: 1 }
+      },
+      {
+        id: 'bullx-gatekeeper',
+        name: 'Bullx the Gatekeeper',
+        intro: 'An old Bullx guards the border gate. It charges at anything that moves - make it waste its strength.',
+        difficulty: 'medium',
+        personality: 'berserker',
+        boss: true,
+        enemies: [
+          { species: 'bullx', form: 2, rarity: 'Epic', name: 'Bullx the Gatekeeper', bossId: 'bullx-gatekeeper', stats: { energy: 10, strength: 18, magic: 6, stamina: 16, speed: 8 }, specialties: ['strength', 'stamina'] },
+          { species: 'cudoge', form: 1, rarity: 'Common', stats: { energy: 7, strength: 9, magic: 5, stamina: 9, speed: 7 }, specialties: ['strength', 'stamina'] },
+          { species: 'cudoge', form: 1, rarity: 'Common', stats: { energy: 7, strength: 9, magic: 5, stamina: 9, speed: 7 }, specialties: ['strength', 'stamina'] }
+        ],
+        tools: [
+          { type: 'strength', effect: 'Surge', rarity: 'Rare' }
+        ],
+        spells: [],
+        rules: { enemyStartingEnergy: 10, enemyHandSize: 3, enemyMaxFieldSize: 3 },
+        stars: { turns: 10, creaturesLost: 1 }
+      }
+    ]
+  },
+  {
+    id: 'mines',
+    name: 'The Ember Mines',
+    icon: '⛏️',
+    encounters: [
+      {
+        id: 'mole-tunnels',
+        name: 'Mole Tunnels',
+        intro: 'Minermoles burrow through the dark and strike from below. They come in numbers.',
+        difficulty: 'medium',
+        personality: null,
+        enemies: [
+          { species: 'minermole', form: 1, rarity: 'Common', stats: { energy: 7, strength: 11, magic: 5, stamina: 10, speed: 7 }, specialties: ['strength', 'stamina'] },
+          { species: 'minermole', form: 1, rarity: 'Common', stats: { energy: 7, strength: 11, magic: 5, stamina: 10, speed: 7 }, specialties: ['strength', 'stamina'] },
+          { species: 'minermole', form: 1, rarity: 'Rare', stats: { energy: 8, strength: 12, magic: 6, stamina: 11, speed: 8 }, specialties: ['strength', 'stamina'] },
+          { species: 'minermole', form: 2, rarity: 'Rare', stats: { energy: 8, strength: 14, magic: 6, stamina: 13, speed: 8 }, specialties: ['strength', 'stamina'] },
+          { species: 'cvxling', form: 1, rarity: 'Common', stats: { energy: 9, strength: 7, magic: 6, stamina: 7, speed: 11 }, specialties: ['speed', 'energy'] }
+        ],
+        tools: [
+          { type: 'strength', effect: 'Surge', rarity: 'Common' },
+          { type: 'stamina', effect: 'Shield', rarity: 'Common' }
+        ],
+        spells: [
+          { type: 'strength', effect: 'Drain', rarity: 'Common' }
+        ],
+        rules: { enemyStartingEnergy: 10, enemyHandSize: 3, enemyMaxFieldSize: 5 },
+        stars: { turns: 12, creaturesLost: 1 }
+      },
+      {
+        id: 'fomotron-foundry',
+        name: 'Fomotron Foundry',
+        intro: 'The foundry runs hot. Its Fomotrons start with full reserves and burn through them fast.',
+        difficulty: 'medium',
+        personality: 'berserker',
+        enemies: [
+          { species: 'fomotron', form: 2, rarity: 'Rare', stats: { energy: 14, strength: 13, magic: 7, stamina: 10, speed: 9 }, specialties: ['energy', 'strength'] },
+          { species: 'fomotron', form: 1, rarity: 'Rare', stats: { energy: 12, strength: 11, magic: 6, stamina: 9, speed: 8 }, specialties: ['energy', 'strength'] },
+          { species: 'fomotron', form: 1, rarity: 'Common', stats: { energy: 11, strength: 10, magic: 6, stamina: 8, speed: 8 }, specialties: ['energy', 'strength'] },
+          { species: 'bullx', form: 1, rarity: 'Rare', stats: { energy: 8, strength: 13, magic: 5, stamina: 12, speed: 7 }, specialties: ['strength', 'stamina'] }
+        ],
+        tools: [
+          { type: 'energy', effect: 'Drain', rarity: 'Rare' }
+        ],
+        spells: [
+          { type: 'energy', effect: 'Surge', rarity: 'Rare' }
+        ],
+        rules: { enemyStartingEnergy: 16, playerStartingEnergy: 12, enemyHandSize: 3, enemyMaxFieldSize: 4 },
+        stars: { turns: 12, creaturesLost: 1 }
+      },
+      {
+        id: 'overseer-satoshium',
+        name: 'Overseer Satoshium',
+        intro: 'The Overseer has never been moved from its post. Its wardens shield it while it waits you out.',
+        difficulty: 'hard',
+        personality: 'turtle',
+        boss: true,
+        enemies: [
+          { species: 'satoshium', form: 3, rarity: 'Epic', name: 'Overseer Satoshium', bossId: 'overseer-satoshium', stats: { energy: 12, strength: 17, magic: 9, stamina: 22, speed: 8 }, specialties: ['strength', 'stamina'] },
+          { species: 'xerdian', form: 2, rarity: 'Rare', stats: { energy: 11, strength: 9, magic: 8, stamina: 15, speed: 8 }, specialties: ['stamina', 'energy'] },
+          { species: 'xerdian', form: 2, rarity: 'Rare', stats: { energy: 11, strength: 9, magic: 8, stamina: 15, speed: 8 }, specialties: ['stamina', 'energy'] },
+          { species: 'minermole', form: 2, rarity: 'Rare', stats: { energy: 8, strength: 14, magic: 6, stamina: 13, speed: 8 }, specialties: ['strength', 'stamina'] }
+        ],
+        tools: [
+          { type: 'stamina', effect: 'Shield', rarity: 'Epic' },
+          { type: 'stamina', effect: 'Echo', rarity: 'Rare' }
+        ],
+        spells: [
+          { type: 'stamina', effect: 'Shield', rarity: 'Rare' },
+          { type: 'strength', effect: 'Drain', rarity: 'Rare' }
+        ],
+        rules: { enemyStartingEnergy: 12, enemyHandSize: 3, enemyMaxFieldSize: 4 },
+        stars: { turns: 14, creaturesLost: 1 }
+      }
+    ]
+  },
+  {
+    id: 'spire',
+    name: 'The Etherion Spire',
+    icon: '🗼',
+    encounters: [
+      {
+        id: 'corvax-flock',
+        name: 'Corvax Flock',
+        intro: 'Corvax circle the foot of the spire, chaining spells together. Silence the casters first.',
+        difficulty: 'hard',
+        personality: 'comboMage',
+        enemies: [
+          { species: 'corvax', form: 2, rarity: 'Rare', stats: { energy: 13, strength: 7, magic: 15, stamina: 9, speed: 10 }, specialties: ['magic', 'energy'] },
+          { species: 'corvax', form: 2, rarity: 'Rare', stats: { energy: 13, strength: 7, magic: 15, stamina: 9, speed: 10 }, specialties: ['magic', 'energy'] },
+          { species: 'corvax', form: 2, rarity: 'Epic', stats: { energy: 14, strength: 8, magic: 17, stamina: 10, speed: 11 }, specialties: ['magic', 'energy'] },
+          { species: 'cvxling', form: 2, rarity: 'Rare', stats: { energy: 12, strength: 9, magic: 8, stamina: 9, speed: 15 }, specialties: ['speed', 'energy'] },
+          { species: 'etherion', form: 1, rarity: 'Rare', stats: { energy: 11, strength: 7, magic: 13, stamina: 9, speed: 9 }, specialties: ['magic', 'energy'] }
+        ],
+        tools: [
+          { type: 'magic', effect: 'Echo', rarity: 'Rare' },
+          { type: 'speed', effect: 'Charge', rarity: 'Rare' }
+        ],
+        spells: [
+          { type: 'magic', effect: 'Charge', rarity: 'Epic' },
+          { type: 'energy', effect: 'Surge', rarity: 'Rare' },
+          { type: 'magic', effect: 'Nova', rarity: 'Rare' }
+        ],
+        rules: { enemyStartingEnergy: 13, enemyHandSize: 4, enemyMaxFieldSize: 5 },
+        stars: { turns: 14, creaturesLost: 2 }
+      },
+      {
+        id: 'xerdian-wardens',
+        name: 'Xerdian Wardens',
+        intro: 'The wardens of the spire outlast everything. They drain your reserves and wait for you to falter.',
+        difficulty: 'hard',
+        personality: 'attrition',
+        enemies: [
+          { species: 'xerdian', form: 3, rarity: 'Epic', stats: { energy: 15, strength: 11, magic: 10, stamina: 20, speed: 9 }, specialties: ['stamina', 'energy'] },
+          { species: 'xerdian', form: 2, rarity: 'Epic', stats: { energy: 13, strength: 10, magic: 9, stamina: 17, speed: 9 }, specialties: ['stamina', 'energy'] },
+          { species: 'hugbloom', form: 3, rarity: 'Rare', stats: { energy: 10, strength: 8, magic: 11, stamina: 19, speed: 7 }, specialties: ['stamina'] },
+          { species: 'satoshium', form: 2, rarity: 'Rare', stats: { energy: 10, strength: 14, magic: 7, stamina: 15, speed: 8 }, specialties: ['strength', 'stamina'] },
+          { species: 'etherion', form: 2, rarity: 'Rare', stats: { energy: 12, strength: 8, magic: 14, stamina: 11, speed: 9 }, specialties: ['magic', 'energy'] }
+        ],
+        tools: [
+          { type: 'energy', effect: 'Drain', rarity: 'Epic' },
+          { type: 'stamina', effect: 'Shield', rarity: 'Rare' }
+        ],
+        spells: [
+          { type: 'energy', effect: 'Drain', rarity: 'Epic' },
+          { type: 'stamina', effect: 'Echo', rarity: 'Rare' }
+        ],
+        rules: { enemyStartingEnergy: 14, playerStartingEnergy: 8, enemyHandSize: 4, enemyMaxFieldSize: 5 },
+        stars: { turns: 16, creaturesLost: 2 }
+      },
+      {
+        id: 'etherion-archon',
+        name: 'The Etherion Archon',
+        intro: 'At the top of the spire the Archon waits, bending raw energy into storms. Nothing here has ever beaten it.',
+        difficulty: 'expert',
+        personality: 'comboMage',
+        boss: true,
+        enemies: [
+          { species: 'etherion', form: 3, rarity: 'Legendary', name: 'The Etherion Archon', bossId: 'etherion-archon', stats: { energy: 20, strength: 12, magic: 24, stamina: 18, speed: 13 }, specialties: ['magic', 'energy'] },
+          { species: 'corvax', form: 3, rarity: 'Epic', stats: { energy: 15, strength: 9, magic: 18, stamina: 11, speed: 12 }, specialties: ['magic', 'energy'] },
+          { species: 'corvax', form: 3, rarity: 'Epic', stats: { energy: 15, strength: 9, magic: 18, stamina: 11, speed: 12 }, specialties: ['magic', 'energy'] },
+          { species: 'xerdian', form: 3, rarity: 'Epic', stats: { energy: 15, strength: 11, magic: 10, stamina: 20, speed: 9 }, specialties: ['stamina', 'energy'] },
+          { species: 'satoshium', form: 3, rarity: 'Epic', stats: { energy: 11, strength: 18, magic: 8, stamina: 18, speed: 9 }, specialties: ['strength', 'stamina'] }
+        ],
+        tools: [
+          { type: 'magic', effect: 'Echo', rarity: 'Legendary' },
+          { type: 'energy', effect: 'Drain', rarity: 'Epic' },
+          { type: 'stamina', effect: 'Shield', rarity: 'Epic' }
+        ],
+        spells: [
+          { type: 'energy', effect: 'Surge', rarity: 'Legendary' },
+          { type: 'magic', effect: 'Charge', rarity: 'Epic' },
+          { type: 'strength', effect: 'Drain', rarity: 'Epic' }
+        ],
+        rules: { enemyStartingEnergy: 16, enemyHandSize: 4, enemyMaxFieldSize: 5 },
+        stars: { turns: 18, creaturesLost: 2 }
+      }
+    ]
+  }
+];
+
+// Every encounter in play order, tagged with its chapter
+export const CAMPAIGN_ENCOUNTERS = CAMPAIGN_CHAPTERS.flatMap(chapter =>
+  chapter.encounters.map(encounter => ({ ...encounter, chapterId: chapter.id }))
+);
+
+export const getCampaignEncounter = (encounterId) =>
+  CAMPAIGN_ENCOUNTERS.find(encounter => encounter.id === encounterId) || null;
+
+// ===== BATTLE SETUP =====
+
+const createCampaignCreature = (encounter, enemy, index) => {
+  const creature = enemy.bossId
+    ? createBossCreature(enemy.species, enemy.form, enemy.rarity, { ...enemy.stats }, enemy.bossId)
+    : createEnemyCreature(enemy.species, enemy.form, enemy.rarity, { ...enemy.stats });
+
+  return {
+    ...creature,
+    // Stable ids so the same encounter always builds the same team
+    id: `campaign-${encounter.id}-${index}`,
+    species_name: enemy.name || creature.species_name,
+    specialty_stats: enemy.specialties || creature.specialty_stats
+  };
+};
+
+/**
+ * Build the createBattle config for an encounter (without the player's team).
+ * @param {Object|string} encounterOrId - Encounter or its id
+ * @returns {Object|null} - Config to spread into createBattle
+ */
+export const getCampaignBattleConfig = (encounterOrId) => {
+  const encounter = typeof encounterOrId === 'string' ? getCampaignEncounter(encounterOrId) : encounterOrId;
+  if (!encounter) {
+    console.error("getCampaignBattleConfig: unknown encounter", encounterOrId);
+    return null;
+  }
+
+  return {
+    difficulty: encounter.difficulty,
+    adaptiveRating: null,
+    campaignEncounterId: encounter.id,
+    enemyCreatures: encounter.enemies.map((enemy, index) => createCampaignCreature(encounter, enemy, index)),
+    enemyTools: encounter.tools.map((tool, index) => ({
+      ...createEnemyTool(tool.type, tool.effect, tool.rarity, encounter.difficulty, index),
+      id: `campaign-tool-${encounter.id}-${index}`
+    })),
+    enemySpells: encounter.spells.map((spell, index) => ({
+      ...createEnemySpell(spell.type, spell.effect, spell.rarity, encounter.difficulty, index),
+      id: `campaign-spell-${encounter.id}-${index}`
+    })),
+    enemyPersonality: encounter.personality,
+    ...encounter.rules
+  };
+};
+
+// "Enemy starts with 16 energy", one line per special rule
+export const describeCampaignRules = (encounter) => {
+  const { rules = {} } = encounter;
+  const lines = [];
+
+  if (rules.enemyStartingEnergy !== undefined) lines.push(`Enemy starts with ${rules.enemyStartingEnergy} energy`);
+  if (rules.playerStartingEnergy !== undefined) lines.push(`You start with ${rules.playerStartingEnergy} energy`);
+  if (rules.enemyHandSize !== undefined) lines.push(`Enemy opens with ${rules.enemyHandSize} creatures in hand`);
+  if (rules.enemyMaxFieldSize !== undefined) lines.push(`Enemy fields at most ${rules.enemyMaxFieldSize} creatures`);
+  if (encounter.personality) {
+    const personality = AI_PERSONALITIES[encounter.personality];
+    lines.push(`${personality.icon} ${personality.name} AI`);
+  }
+
+  return lines;
+};
+
+// ===== STARS =====
+
+/**
+ * The star targets of an encounter, checked against a result when one is given.
+ * Targets only count on a win, so a defeat meets none of them.
+ * @param {Object} encounter
+ * @param {Object} [result] - { outcome, turns, creaturesLost }
+ * @returns {Array} - [{ text, met }]; met is null without a result
+ */
+export const describeStarTargets = (encounter, result = null) => {
+  const won = result ? result.outcome === 'victory' : null;
+  const { turns, creaturesLost } = encounter.stars;
+
+  return [
+    { text: 'Win the battle', met: won },
+    { text: `Win within ${turns} turns`, met: result ? won && result.turns <= turns : null },
+    {
+      text: creaturesLost === 0 ? 'Lose no creatures' : `Lose at most ${creaturesLost} creature${creaturesLost === 1 ? '' : 's'}`,
+      met: result ? won && result.creaturesLost <= creaturesLost : null
+    }
+  ];
+};
+
+// Stars for a finished encounter, 0 to MAX_STARS - one per target met
+export const getStarRating = (encounter, result) =>
+  describeStarTargets(encounter, result).filter(target => target.met).length;
+
+// ===== STORAGE =====
+
+const getStorageKey = (accountAddress) => `campaign_progress_${accountAddress || 'guest'}`;
+
+const createProgress = () => ({
+  version: CAMPAIGN_PROGRESS_VERSION,
+  encounters: {}
+});
+
+export const loadCampaignProgress = (accountAddress) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getStorageKey(accountAddress)) || 'null');
+    if (!saved || saved.version !== CAMPAIGN_PROGRESS_VERSION || typeof saved.encounters !== 'object') {
+      return createProgress();
+    }
+    return saved;
+  } catch (error) {
+    console.error("Error loading campaign progress:", error);
+    return createProgress();
+  }
+};
+
+const saveCampaignProgress = (accountAddress, progress) => {
+  try {
+    localStorage.setItem(getStorageKey(accountAddress), JSON.stringify(progress));
+  } catch (error) {
+    console.error("Error saving campaign progress:", error);
+  }
+  return progress;
+};
+
+/**
+ * Record a finished encounter. Best stars, turns and losses are kept separately,
+ * so a later quick win with losses doesn't undo an earlier flawless one.
+ * @param {string} accountAddress - Progress owner
+ * @param {string} encounterId
+ * @param {Object} result - { outcome, turns, creaturesLost }
+ * @returns {Object} - { progress, stars } - updated progress and this battle's stars
+ */
+export const recordCampaignResult = (accountAddress, encounterId, result) => {
+  const progress = loadCampaignProgress(accountAddress);
+  const encounter = getCampaignEncounter(encounterId);
+
+  if (!encounter) {
+    console.error("recordCampaignResult: unknown encounter", encounterId);
+    return { progress, stars: 0 };
+  }
+
+  const stars = getStarRating(encounter, result);
+  const previous = progress.encounters[encounterId] || { stars: 0, attempts: 0, bestTurns: null, fewestLost: null };
+  const won = result.outcome === 'victory';
+
+  const entry = {
+    ...previous,
+    attempts: previous.attempts + 1,
+    stars: Math.max(previous.stars, stars),
+    bestTurns: won ? Math.min(previous.bestTurns ?? Infinity, result.turns) : previous.bestTurns,
+    fewestLost: won ? Math.min(previous.fewestLost ?? Infinity, result.creaturesLost) : previous.fewestLost,
+    ...(won && !previous.clearedAt ? { clearedAt: Date.now() } : {})
+  };
+
+  console.log(`Campaign ${encounter.name}: ${result.outcome} in ${result.turns} turns - ${stars}/${MAX_STARS} stars (best ${entry.stars})`);
+
+  return {
+    progress: saveCampaignProgress(accountAddress, {
+      ...progress,
+      encounters: { ...progress.encounters, [encounterId]: entry }
+    }),
+    stars
+  };
+};
+
+export const getEncounterStars = (progress, encounterId) => progress?.encounters?.[encounterId]?.stars || 0;
+
+// The first encounter is always open; every other one needs the previous cleared
+export const isEncounterUnlocked = (progress, encounterId) => {
+  const index = CAMPAIGN_ENCOUNTERS.findIndex(encounter => encounter.id === encounterId);
+  if (index <= 0) return index === 0;
+  return getEncounterStars(progress, CAMPAIGN_ENCOUNTERS[index - 1].id) > 0;
+};
+
+// Next encounter to play - the first one not cleared, or the last one
+export const getNextCampaignEncounter = (progress) =>
+  CAMPAIGN_ENCOUNTERS.find(encounter => getEncounterStars(progress, encounter.id) === 0) ||
+  CAMPAIGN_ENCOUNTERS[CAMPAIGN_ENCOUNTERS.length - 1];
+
+export const getCampaignStarTotals = (progress) => ({
+  earned: CAMPAIGN_ENCOUNTERS.reduce((sum, encounter) => sum + getEncounterStars(progress, encounter.id), 0),
+  total: CAMPAIGN_ENCOUNTERS.length * MAX_STARS
+});
+
+// ===== VALIDATION =====
+
+/**
+ * Check that every encounter refers to real species, items, personalities and
+ * difficulties, and that ids are unique.
+ * @returns {Array<string>} - Problems found; empty when the campaign is valid
+ */
+export const validateCampaign = () => {
+  const errors = [];
+  const species = getCreatureTemplates().map(template => template.id);
+  const seen = new Set();
+
+  CAMPAIGN_ENCOUNTERS.forEach(encounter => {
+    const path = `${encounter.chapterId}.${encounter.id}`;
+
+    if (seen.has(encounter.id)) errors.push(`${path}: duplicate encounter id`);
+    seen.add(encounter.id);
+
+    ['name', 'intro'].forEach(field => {
+      if (!encounter[field]) errors.push(`${path}: missing ${field}`);
+    });
+    if (!DIFFICULTY_LEVELS.includes(encounter.difficulty)) errors.push(`${path}: unknown difficulty "${encounter.difficulty}"`);
+    if (encounter.personality && !AI_PERSONALITIES[encounter.personality]) {
+      errors.push(`${path}: unknown personality "${encounter.personality}"`);
+    }
+    if (!encounter.enemies?.length) errors.push(`${path}: no enemies`);
+    if (typeof encounter.stars?.turns !== 'number' || typeof encounter.stars?.creaturesLost !== 'number') {
+      errors.push(`${path}: missing star targets`);
+    }
+
+    (encounter.enemies || []).forEach((enemy, index) => {
+      if (!species.includes(enemy.species)) errors.push(`${path}.enemies[${index}]: unknown species "${enemy.species}"`);
+      if (enemy.bossId && !getBossDefinition(enemy.bossId)) errors.push(`${path}.enemies[${index}]: unknown boss "${enemy.bossId}"`);
+      ['energy', 'strength', 'magic', 'stamina', 'speed'].forEach(stat => {
+        if (typeof enemy.stats?.[stat] !== 'number') errors.push(`${path}.enemies[${index}]: missing ${stat}`);
+      });
+    });
+
+    [...(encounter.tools || []), ...(encounter.spells || [])].forEach(item => {
+      if (!ITEM_TYPES[item.type]) errors.push(`${path}: unknown item type "${item.type}"`);
+      if (!ITEM_EFFECTS[item.effect]) errors.push(`${path}: unknown item effect "${item.effect}"`);
+    });
+    (encounter.tools || []).forEach(item => {
+      if (ITEM_EFFECTS[item.effect]?.spellOnly) errors.push(`${path}: ${item.effect} is spell-only`);
+    });
+  });
+
+  return errors;
+};
+
+// Validate once at load so a bad encounter shows up immediately
+const campaignErrors = validateCampaign();
+if (campaignErrors.length > 0) {
+  console.error("Invalid campaign encounters:", campaignErrors);
+}
+
+export default {
+  CAMPAIGN_PROGRESS_VERSION,
+  CAMPAIGN_MODE,
+  MAX_STARS,
+  CAMPAIGN_CHAPTERS,
+  CAMPAIGN_ENCOUNTERS,
+  getCampaignEncounter,
+  getCampaignBattleConfig,
+  describeCampaignRules,
+  getStarRating,
+  describeStarTargets,
+  loadCampaignProgress,
+  recordCampaignResult,
+  getEncounterStars,
+  isEncounterUnlocked,
+  getNextCampaignEncounter,
+  getCampaignStarTotals,
+  validateCampaign
+};
@@ -0,0 +1,174 @@
+// src/utils/customDifficulty.js - CUSTOM DIFFICULTY PRESETS
+// Custom difficulties are a set of knob values (see CUSTOM_DIFFICULTY_KNOBS in
+// difficultySettings.js). Players can save them under a name - per account in
+// localStorage - and share them as a short code that stores the knob values in
+// knob order, so codes stay valid as long as knobs are only ever appended.
+import {
+  CUSTOM_DIFFICULTY_KNOBS,
+  getCustomKnob,
+  setCustomKnob,
+  normalizeCustomDifficulty,
+  getCustomDifficultySettings,
+  calculateDifficultyScore
+} from './difficultySettings';
+
+export const CUSTOM_PRESETS_VERSION = 1;
+
+export const MAX_PRESET_NAME_LENGTH = 24;
+const MAX_SAVED_PRESETS = 20;
+
+// Share codes: prefix carries the format version, the rest is base64url JSON
+const SHARE_CODE_PREFIX = 'CD1-';
+
+export const createCustomDifficulty = () => normalizeCustomDifficulty();
+
+// Trimmed, length-capped name; empty names get a default
+export const normalizePresetName = (name) =>
+  String(name || '').trim().slice(0, MAX_PRESET_NAME_LENGTH) || 'Custom';
+
+// "Score 1.85 · ×1.2 stats · Forms 2-3 · 8 creatures · AI 4"
+export const describeCustomDifficulty = (custom) => {
+  const settings = getCustomDifficultySettings(custom);
+  return [
+    `Score ${calculateDifficultyScore(settings).toFixed(2)}`,
+    `×${settings.enemyStatsMultiplier} stats`,
+    `Forms ${settings.enemyCreatureLevel.min}-${settings.enemyCreatureLevel.max}`,
+    `${settings.enemyDeckSize} creatures`,
+    `AI ${settings.enemyAILevel}`
+  ].join(' · ');
+};
+
+// ===== SHARE CODES =====
+
+const toBase64Url = (text) => {
+  const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+/**
+ * Turn a named custom difficulty into a code other players can import.
+ * @param {Object} preset - { name, settings }
+ * @returns {string}
+ */
+export const encodeCustomPreset = ({ name, settings }) => {
+  const custom = normalizeCustomDifficulty(settings);
+  return SHARE_CODE_PREFIX + toBase64Url(JSON.stringify({
+    n: normalizePresetName(name),
+    v: CUSTOM_DIFFICULTY_KNOBS.map(knob => getCustomKnob(custom, knob.key))
+  }));
+};
+
+/**
+ * Read a share code back. Knob values are clamped like any custom difficulty,
+ * so a hand-edited code can't go past the builder's ranges.
+ * @param {string} code
+ * @returns {Object|null} - { name, settings }, null if the code can't be read
+ */
+export const decodeCustomPreset = (code) => {
+  const trimmed = String(code || '').trim();
+  if (!trimmed.startsWith(SHARE_CODE_PREFIX)) {
+    return null;
+  }
+
+  try {
+    const { n, v } = JSON.parse(fromBase64Url(trimmed.slice(SHARE_CODE_PREFIX.length)));
+    if (!Array.isArray(v) || v.length !== CUSTOM_DIFFICULTY_KNOBS.length) {
+      return null;
+    }
+
+    const settings = CUSTOM_DIFFICULTY_KNOBS.reduce(
+      (custom, knob, index) => setCustomKnob(custom, knob.key, v[index]),
+      {}
+    );
+    return { name: normalizePresetName(n), settings: normalizeCustomDifficulty(settings) };
+  } catch (error) {
+    console.error("Error reading custom difficulty code:", error);
+    return null;
+  }
+};
+
+// ===== SAVED PRESETS =====
+
+const getStorageKey = (accountAddress) => `custom_difficulty_${accountAddress || 'guest'}`;
+
+const createPresetList = () => ({
+  version: CUSTOM_PRESETS_VERSION,
+  presets: []
+});
+
+export const loadCustomPresets = (accountAddress) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStorageKey(accountAddress)) || 'null');
+    if (!stored || stored.version !== CUSTOM_PRESETS_VERSION || !Array.isArray(stored.presets)) {
+      return createPresetList();
+    }
+    return {
+      ...stored,
+      presets: stored.presets.map(preset => ({
+        ...preset,
+        name: normalizePresetName(preset.name),
+        settings: normalizeCustomDifficulty(preset.settings)
+      }))
+    };
+  } catch (error) {
+    console.error("Error loading custom difficulty presets:", error);
+    return createPresetList();
+  }
+};
+
+const saveCustomPresets = (accountAddress, presetList) => {
+  try {
+    localStorage.setItem(getStorageKey(accountAddress), JSON.stringify(presetList));
+  } catch (error) {
+    console.error("Error saving custom difficulty presets:", error);
+  }
+  return presetList;
+};
+
+/**
+ * Save a custom difficulty under a name, replacing any preset with that name.
+ * @param {string} accountAddress
+ * @param {string} name
+ * @param {Object} settings - Knob values
+ * @returns {Object} - Updated preset list { version, presets }
+ */
+export const saveCustomPreset = (accountAddress, name, settings) => {
+  const presetList = loadCustomPresets(accountAddress);
+  const preset = {
+    name: normalizePresetName(name),
+    settings: normalizeCustomDifficulty(settings),
+    savedAt: Date.now()
+  };
+
+  // Newest first; the oldest presets drop off past the limit
+  return saveCustomPresets(accountAddress, {
+    ...presetList,
+    presets: [preset, ...presetList.presets.filter(other => other.name !== preset.name)].slice(0, MAX_SAVED_PRESETS)
+  });
+};
+
+export const deleteCustomPreset = (accountAddress, name) => {
+  const presetList = loadCustomPresets(accountAddress);
+  return saveCustomPresets(accountAddress, {
+    ...presetList,
+    presets: presetList.presets.filter(preset => preset.name !== name)
+  });
+};
+
+export default {
+  CUSTOM_PRESETS_VERSION,
+  MAX_PRESET_NAME_LENGTH,
+  createCustomDifficulty,
+  normalizePresetName,
+  describeCustomDifficulty,
+  encodeCustomPreset,
+  decodeCustomPreset,
+  loadCustomPresets,
+  saveCustomPreset,
+  deleteCustomPreset
+};
@@ -0,0 +1,356 @@
+// src/utils/dailyChallenge.js - DAILY CHALLENGE
+// One encounter per UTC day, the same for every player: the date hashes into a
+// seed that picks the difficulty, battle modifiers and AI personality, and
+// generates the enemy loadout through generateCompleteEnemyLoadout. The battle
+// itself is seeded with it too. Each account gets one scored attempt per day;
+// results are kept locally and submitted to the daily leaderboard.
+import { hashSeed, createRng } from './random';
+import { generateCompleteEnemyLoadout, getDifficultySettings } from './difficultySettings';
+import { pickPersonality, getPersonality } from './aiPersonalities';
+
+export const DAILY_MODE = 'daily';
+
+export const DAILY_PROGRESS_VERSION = 1;
+
+// Difficulties a day can roll - the challenge is meant to be a stretch
+export const DAILY_DIFFICULTIES = ['medium', 'hard', 'expert'];
+
+// Modifiers per day; two are rolled, never two that set the same rule
+export const DAILY_MODIFIER_COUNT = 2;
+
+// Local attempts older than this are dropped
+const KEPT_DAYS = 14;
+
+// Battle modifiers - rules are createBattle overrides, like campaign encounter rules
+export const DAILY_MODIFIERS = [
+  {
+    id: 'energy-surge',
+    name: 'Energy Surge',
+    icon: '⚡',
+    description: 'Both sides start with 15 energy',
+    rules: { playerStartingEnergy: 15, enemyStartingEnergy: 15 }
+  },
+  {
+    id: 'lean-start',
+    name: 'Lean Start',
+    icon: '🪫',
+    description: 'You start with 6 energy',
+    rules: { playerStartingEnergy: 6 }
+  },
+  {
+    id: 'war-chest',
+    name: 'War Chest',
+    icon: '💰',
+    description: 'The enemy starts with 18 energy',
+    rules: { enemyStartingEnergy: 18 }
+  },
+  {
+    id: 'ambush',
+    name: 'Ambush',
+    icon: '🗡️',
+    description: 'The enemy opens with 5 creatures in hand',
+    rules: { enemyHandSize: 5 }
+  },
+  {
+    id: 'skirmish',
+    name: 'Skirmish',
+    icon: '🤺',
+    description: 'The enemy fields at most 2 creatures',
+    rules: { enemyMaxFieldSize: 2 }
+  },
+  {
+    id: 'horde',
+    name: 'Horde',
+    icon: '🐜',
+    description: 'The enemy fields up to 5 creatures',
+    rules: { enemyMaxFieldSize: 5 }
+  }
+];
+
+export const getDailyModifier = (modifierId) =>
+  DAILY_MODIFIERS.find(modifier => modifier.id === modifierId) || null;
+
+// "2024-05-01" for the UTC day a moment falls on
+export const getDailyChallengeDate = (now = new Date()) => now.toISOString().slice(0, 10);
+
+export const getDailySeed = (date) => hashSeed(`daily-${date}`);
+
+// Roll the day's modifiers, skipping any that would override a rule already set
+const pickDailyModifiers = (rng) => {
+  const picked = [];
+  const remaining = [...DAILY_MODIFIERS];
+
+  while (picked.length < DAILY_MODIFIER_COUNT && remaining.length > 0) {
+    const [modifier] = remaining.splice(Math.floor(rng() * remaining.length), 1);
+    const ruleKeys = Object.keys(modifier.rules);
+    if (picked.every(other => ruleKeys.every(key => !(key in other.rules)))) {
+      picked.push(modifier);
+    }
+  }
+
+  return picked;
+};
+
+/**
+ * Build the challenge for a UTC day. Everything is derived from the day's seed
+ * in a fixed order, so every player gets the same enemies, items and modifiers.
+ * @param {string} [date] - "YYYY-MM-DD"; today (UTC) when omitted
+ * @returns {Object} - { date, seed, difficulty, personality, modifiers, enemyCreatures, enemyTools, enemySpells }
+ */
+export const getDailyChallenge = (date = getDailyChallengeDate()) => {
+  const seed = getDailySeed(date);
+  const rng = createRng(seed);
+
+  const difficulty = DAILY_DIFFICULTIES[Math.floor(rng() * DAILY_DIFFICULTIES.length)];
+  const modifiers = pickDailyModifiers(rng);
+  const personality = pickPersonality(rng);
+
+  // No player creatures - the loadout must not depend on who is playing
+  const loadout = generateCompleteEnemyLoadout(difficulty, getDifficultySettings(difficulty).enemyDeckSize, [], rng);
+
+  return {
+    date,
+    seed,
+    difficulty,
+    personality,
+    modifiers,
+    enemyCreatures: loadout.creatures,
+    enemyTools: loadout.tools,
+    enemySpells: loadout.spells
+  };
+};
+
+/**
+ * Build the createBattle config for a daily challenge (without the player's team).
+ * @param {Object} challenge - From getDailyChallenge
+ * @returns {Object} - Config to spread into createBattle
+ */
+export const getDailyBattleConfig = (challenge) => ({
+  difficulty: challenge.difficulty,
+  adaptiveRating: null,
+  dailyChallengeDate: challenge.date,
+  seed: challenge.seed,
+  enemyCreatures: challenge.enemyCreatures,
+  enemyTools: challenge.enemyTools,
+  enemySpells: challenge.enemySpells,
+  enemyPersonality: challenge.personality,
+  ...Object.assign({}, ...challenge.modifiers.map(modifier => modifier.rules))
+});
+
+// "⚡ Energy Surge: Both sides start with 15 energy", plus the AI personality
+export const describeDailyChallenge = (challenge) => {
+  const lines = challenge.modifiers.map(modifier => `${modifier.icon} ${modifier.name}: ${modifier.description}`);
+  const personality = getPersonality(challenge.personality);
+  if (personality) {
+    lines.push(`${personality.icon} ${personality.name} AI`);
+  }
+  return lines;
+};
+
+// ===== SCORING =====
+
+// Creatures the player started with, as submitted with the result
+export const describeDailyTeam = (creatures) => creatures.map(creature => ({
+  id: creature.id,
+  species_id: creature.species_id,
+  species_name: creature.species_name,
+  form: creature.form,
+  rarity: creature.rarity
+}));
+
+/**
+ * Score a daily result. Wins always beat losses; among wins, more remaining
+ * health and fewer turns score higher. Losses score the turns survived.
+ * @param {Object} result - { outcome, turns, remainingHealth, maxHealth }
+ * @returns {number}
+ */
+export const getDailyScore = ({ outcome, turns, remainingHealth, maxHealth }) => {
+  if (outcome !== 'victory') {
+    return turns * 5;
+  }
+
+  const healthShare = maxHealth > 0 ? remainingHealth / maxHealth : 0;
+  return 1000 + Math.round(healthShare * 500) + Math.max(0, 30 - turns) * 20;
+};
+
+// ===== ATTEMPTS =====
+
+const getStorageKey = (accountAddress) => `daily_challenge_${accountAddress || 'guest'}`;
+
+const createProgress = () => ({
+  version: DAILY_PROGRESS_VERSION,
+  attempts: {}
+});
+
+export const loadDailyProgress = (accountAddress) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStorageKey(accountAddress)) || 'null');
+    if (!stored || stored.version !== DAILY_PROGRESS_VERSION) {
+      return createProgress();
+    }
+    return stored;
+  } catch (error) {
+    console.error("Error loading daily challenge progress:", error);
+    return createProgress();
+  }
+};
+
+const saveDailyProgress = (accountAddress, progress) => {
+  // Only recent days matter - the leaderboard keeps the history
+  const dates = Object.keys(progress.attempts).sort().slice(-KEPT_DAYS);
+  const trimmed = {
+    ...progress,
+    attempts: Object.fromEntries(dates.map(date => [date, progress.attempts[date]]))
+  };
+
+  try {
+    localStorage.setItem(getStorageKey(accountAddress), JSON.stringify(trimmed));
+  } catch (error) {
+    console.error("Error saving daily challenge progress:", error);
+  }
+
+  return trimmed;
+};
+
+export const getDailyAttempt = (progress, date = getDailyChallengeDate()) => progress?.attempts?.[date] || null;
+
+export const hasPlayedDailyChallenge = (progress, date = getDailyChallengeDate()) => !!getDailyAttempt(progress, date);
+
+/**
+ * Use up the day's attempt as the battle starts, so leaving mid-battle doesn't
+ * hand out a retry.
+ * @returns {Object|null} - Updated progress, or null if the attempt was already used
+ */
+export const startDailyAttempt = (accountAddress, date) => {
+  const progress = loadDailyProgress(accountAddress);
+  if (hasPlayedDailyChallenge(progress, date)) {
+    console.log(`Daily challenge ${date} already attempted`);
+    return null;
+  }
+
+  return saveDailyProgress(accountAddress, {
+    ...progress,
+    attempts: {
+      ...progress.attempts,
+      [date]: { startedAt: Date.now(), result: null, submitted: false }
+    }
+  });
+};
+
+/**
+ * Record the scored result of the day's attempt.
+ * @param {string} accountAddress
+ * @param {string} date - Challenge day
+ * @param {Object} result - { outcome, turns, remainingHealth, maxHealth, team }
+ * @returns {Object} - { progress, entry } - entry includes the score
+ */
+export const recordDailyResult = (accountAddress, date, result) => {
+  const progress = loadDailyProgress(accountAddress);
+  const attempt = getDailyAttempt(progress, date) || { startedAt: Date.now() };
+
+  // A second result for the same day is not scored
+  if (attempt.result) {
+    console.log(`Daily challenge ${date} already has a result`);
+    return { progress, entry: attempt.result };
+  }
+
+  const entry = { ...result, date, score: getDailyScore(result), finishedAt: Date.now() };
+  const updated = saveDailyProgress(accountAddress, {
+    ...progress,
+    attempts: {
+      ...progress.attempts,
+      [date]: { ...attempt, result: entry, submitted: false }
+    }
+  });
+
+  return { progress: updated, entry };
+};
+
+const markSubmitted = (accountAddress, date, rank) => {
+  const progress = loadDailyProgress(accountAddress);
+  const attempt = getDailyAttempt(progress, date);
+  if (!attempt) return progress;
+
+  return saveDailyProgress(accountAddress, {
+    ...progress,
+    attempts: { ...progress.attempts, [date]: { ...attempt, submitted: true, rank: rank ?? null } }
+  });
+};
+
+// ===== LEADERBOARD =====
+
+/**
+ * Submit a recorded result to the daily leaderboard.
+ * @param {string} accountAddress
+ * @param {Object} entry - From recordDailyResult
+ * @returns {Promise<Object|null>} - Server response ({ rank, ... }), null on failure
+ */
+export const submitDailyResult = async (accountAddress, entry) => {
+  try {
+    const response = await fetch('/api/daily/submit', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        accountAddress,
+        date: entry.date,
+        seed: getDailySeed(entry.date),
+        outcome: entry.outcome,
+        turns: entry.turns,
+        remainingHealth: entry.remainingHealth,
+        maxHealth: entry.maxHealth,
+        score: entry.score,
+        team: entry.team
+      })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      console.error('Daily result rejected:', data.error);
+      // Already on the board - nothing left to retry
+      if (response.status === 409) markSubmitted(accountAddress, entry.date, data.rank);
+      return null;
+    }
+
+    markSubmitted(accountAddress, entry.date, data.rank);
+    return data;
+  } catch (error) {
+    console.error('Error submitting daily result:', error);
+    return null;
+  }
+};
+
+// Retry results that were recorded while the leaderboard couldn't be reached
+export const submitPendingDailyResults = async (accountAddress) => {
+  const progress = loadDailyProgress(accountAddress);
+  const pending = Object.values(progress.attempts).filter(attempt => attempt.result && !attempt.submitted);
+
+  for (const attempt of pending) {
+    await submitDailyResult(accountAddress, attempt.result);
+  }
+
+  return pending.length;
+};
+
+export default {
+  DAILY_MODE,
+  DAILY_PROGRESS_VERSION,
+  DAILY_DIFFICULTIES,
+  DAILY_MODIFIER_COUNT,
+  DAILY_MODIFIERS,
+  getDailyModifier,
+  getDailyChallengeDate,
+  getDailySeed,
+  getDailyChallenge,
+  getDailyBattleConfig,
+  describeDailyChallenge,
+  describeDailyTeam,
+  getDailyScore,
+  loadDailyProgress,
+  getDailyAttempt,
+  hasPlayedDailyChallenge,
+  startDailyAttempt,
+  recordDailyResult,
+  submitDailyResult,
+  submitPendingDailyResults
+};
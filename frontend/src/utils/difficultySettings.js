@@ -3,10 +3,28 @@ import {
   getRandomCreatureTemplate, 
   createEnemyCreature 
 } from './enemyCreatures';
+import { random, withRandomSource } from './random';
+import { ITEM_TYPES, ITEM_EFFECTS, ITEM_TYPE_NAMES, TOOL_EFFECT_NAMES, SPELL_EFFECT_NAMES } from './itemDefinitions';
+import { pickArchetypeSpecies, getArchetypeSpecialties, applyArchetypeStatFocus } from './enemyArchetypes';
+
+// Preset order - an adaptive rating is a position on this ladder (0 = easy, 3 = expert)
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'expert'];
+export const ADAPTIVE_DIFFICULTY = 'adaptive';
+export const CUSTOM_DIFFICULTY = 'custom';
 
 // ===== SIGNIFICANTLY INCREASED DIFFICULTY SETTINGS =====
 // Balanced to require specific creature compositions to win
-export const getDifficultySettings = (difficulty) => {
+// NEW: Pass an adaptive rating to get settings interpolated between the presets
+// NEW: Pass custom difficulty knobs (see CUSTOM_DIFFICULTY_KNOBS) to build settings from them
+export const getDifficultySettings = (difficulty, adaptiveRating = null, customDifficulty = null) => {
+  if (customDifficulty) {
+    return getCustomDifficultySettings(customDifficulty);
+  }
+  
+  if (typeof adaptiveRating === 'number') {
+    return getAdaptiveDifficultySettings(adaptiveRating);
+  }
+  
   const settings = {
     easy: {
       // Easy now requires: 1 Form 3, 1 Form 2, 1 Form 1 + good spell usage
@@ -15,6 +33,7 @@ export const getDifficultySettings = (difficulty) => {
         min: 1, // More Form 1-2 creatures
         max: 2  // Up to Form 2 creatures
       },
+      maxFormChance: 0.3,            // NEW: Chance an enemy is drawn at the highest form; otherwise any form in range
       enemyRarity: {
         common: 0.4,
         rare: 0.35,
@@ -33,7 +52,8 @@ export const getDifficultySettings = (difficulty) => {
       bonusStartingItems: 1,         // New: Extra starting items
       focusFireChance: 0.4,          // New: Chance to focus attacks
       comboAwareness: 0.3,           // New: Awareness of combo mechanics
-      predictiveDepth: 1             // New: Turns to look ahead
+      predictiveDepth: 1,            // New: Turns to look ahead
+      hintsPerBattle: 5              // NEW: Player coach hints (see battleHints.js)
     },
     
     medium: {
@@ -43,6 +63,7 @@ export const getDifficultySettings = (difficulty) => {
         min: 1, // Form 1-3 creatures
         max: 3
       },
+      maxFormChance: 0.1,            // NEW: 40% Form 3, 30% Form 2, 30% Form 1
       enemyRarity: {
         common: 0.2,
         rare: 0.35,
@@ -61,7 +82,8 @@ export const getDifficultySettings = (difficulty) => {
       bonusStartingItems: 2,         // New
       focusFireChance: 0.6,          // New
       comboAwareness: 0.5,           // New
-      predictiveDepth: 2             // New
+      predictiveDepth: 2,            // New
+      hintsPerBattle: 3              // NEW
     },
     
     hard: {
@@ -71,6 +93,7 @@ export const getDifficultySettings = (difficulty) => {
         min: 2, // Form 2-3 creatures
         max: 3
       },
+      maxFormChance: 0.65,            // NEW
       enemyRarity: {
         common: 0.05,
         rare: 0.25,
@@ -89,7 +112,8 @@ export const getDifficultySettings = (difficulty) => {
       bonusStartingItems: 3,          // New
       focusFireChance: 0.8,           // New
       comboAwareness: 0.7,            // New
-      predictiveDepth: 3              // New
+      predictiveDepth: 3,             // New
+      hintsPerBattle: 2               // NEW
     },
     
     expert: {
@@ -99,6 +123,7 @@ export const getDifficultySettings = (difficulty) => {
         min: 2, // Mostly Form 3 creatures
         max: 3
       },
+      maxFormChance: 0.8,             // NEW
       enemyRarity: {
         common: 0,
         rare: 0.1,
@@ -117,17 +142,230 @@ export const getDifficultySettings = (difficulty) => {
       bonusStartingItems: 5,          // New
       focusFireChance: 0.95,          // New
       comboAwareness: 0.9,            // New
-      predictiveDepth: 4              // New
+      predictiveDepth: 4,             // New
+      hintsPerBattle: 1,              // NEW
+      lookaheadSearch: {              // NEW: Beam search over the whole turn (see battleSearch.js)
+        beamWidth: 4,
+        branching: 12,
+        samples: 2,
+        maxExpansions: 500,
+        timeBudgetMs: 1000
+      }
     }
   };
   
   return settings[difficulty] || settings.medium;
 };
 
+// ===== ADAPTIVE DIFFICULTY =====
+// The preset a rating rounds to - AI level, items and energy come from it
+export const getAdaptiveBaseDifficulty = (rating) => {
+  const index = Math.min(DIFFICULTY_LEVELS.length - 1, Math.max(0, Math.round(rating)));
+  return DIFFICULTY_LEVELS[index];
+};
+
+// Value at a ladder position; below easy and above expert continue the end slopes
+const interpolatePreset = (rating, getValue) => {
+  const index = Math.min(DIFFICULTY_LEVELS.length - 2, Math.max(0, Math.floor(rating)));
+  const from = getValue(getDifficultySettings(DIFFICULTY_LEVELS[index]));
+  const to = getValue(getDifficultySettings(DIFFICULTY_LEVELS[index + 1]));
+  return from + (to - from) * (rating - index);
+};
+
+const clampValue = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Settings for an adaptive rating. Enemy stats, multi-action chance, deck size
+ * and creature rarity are interpolated between (and extrapolated beyond) the
+ * presets; everything else comes from the preset the rating rounds to.
+ * @param {number} rating - 0 = easy, 1 = medium, 2 = hard, 3 = expert
+ * @returns {Object} - Difficulty settings plus adaptiveRating and baseDifficulty
+ */
+export const getAdaptiveDifficultySettings = (rating) => {
+  const baseDifficulty = getAdaptiveBaseDifficulty(rating);
+  
+  // Rarity weights can run out of range past the ends, so clamp and renormalise
+  const rarityWeights = Object.fromEntries(
+    Object.keys(getDifficultySettings('easy').enemyRarity).map(rarity => [
+      rarity,
+      Math.max(0, interpolatePreset(rating, settings => settings.enemyRarity[rarity]))
+    ])
+  );
+  const totalWeight = Object.values(rarityWeights).reduce((sum, weight) => sum + weight, 0) || 1;
+  
+  return {
+    ...getDifficultySettings(baseDifficulty),
+    enemyStatsMultiplier: Math.round(clampValue(interpolatePreset(rating, settings => settings.enemyStatsMultiplier), 0.8, 1.6) * 100) / 100,
+    multiActionChance: Math.round(clampValue(interpolatePreset(rating, settings => settings.multiActionChance), 0.1, 1) * 100) / 100,
+    enemyDeckSize: Math.round(clampValue(interpolatePreset(rating, settings => settings.enemyDeckSize), 4, 12)),
+    enemyRarity: Object.fromEntries(
+      Object.entries(rarityWeights).map(([rarity, weight]) => [rarity, weight / totalWeight])
+    ),
+    adaptiveRating: rating,
+    baseDifficulty
+  };
+};
+
+// ===== CUSTOM DIFFICULTY =====
+// Knobs the custom difficulty builder exposes - key is the path into the settings
+export const CUSTOM_DIFFICULTY_KNOBS = [
+  { key: 'enemyStatsMultiplier', label: 'Enemy Stats', min: 0.5, max: 2, step: 0.05 },
+  { key: 'enemyCreatureLevel.min', label: 'Lowest Form', min: 1, max: 3, step: 1 },
+  { key: 'enemyCreatureLevel.max', label: 'Highest Form', min: 1, max: 3, step: 1 },
+  { key: 'enemyRarity.common', label: 'Common Weight', min: 0, max: 1, step: 0.05 },
+  { key: 'enemyRarity.rare', label: 'Rare Weight', min: 0, max: 1, step: 0.05 },
+  { key: 'enemyRarity.epic', label: 'Epic Weight', min: 0, max: 1, step: 0.05 },
+  { key: 'enemyRarity.legendary', label: 'Legendary Weight', min: 0, max: 1, step: 0.05 },
+  { key: 'enemyDeckSize', label: 'Enemy Creatures', min: 3, max: 12, step: 1 },
+  { key: 'initialHandSize', label: 'Opening Hand', min: 1, max: 6, step: 1 },
+  { key: 'maxFieldSize', label: 'Field Size', min: 2, max: 6, step: 1 },
+  { key: 'enemyEnergyRegen', label: 'Energy Regen', min: 1, max: 6, step: 1 },
+  { key: 'enemyAILevel', label: 'AI Level', min: 2, max: 5, step: 1 },
+  { key: 'aggressionLevel', label: 'Aggression', min: 0, max: 1, step: 0.05 }
+];
+
+// Custom difficulties start from medium's knobs
+const CUSTOM_STARTING_PRESET = 'medium';
+
+export const getCustomKnob = (settings, key) => key.split('.').reduce((value, part) => value?.[part], settings);
+
+export const setCustomKnob = (settings, key, value) => {
+  const [field, nested] = key.split('.');
+  return nested
+    ? { ...settings, [field]: { ...settings[field], [nested]: value } }
+    : { ...settings, [field]: value };
+};
+
+/**
+ * Clamp a custom difficulty to the knob ranges, snapping to each knob's step.
+ * Missing or invalid knobs fall back to the starting preset.
+ * @param {Object} [custom] - Knob values in settings shape
+ * @returns {Object} - Every knob, and nothing else
+ */
+export const normalizeCustomDifficulty = (custom = {}) => {
+  const fallback = getDifficultySettings(CUSTOM_STARTING_PRESET);
+  
+  let normalized = CUSTOM_DIFFICULTY_KNOBS.reduce((settings, knob) => {
+    const value = Number(getCustomKnob(custom, knob.key));
+    const snapped = Number.isFinite(value)
+      ? clampValue(Math.round(value / knob.step) * knob.step, knob.min, knob.max)
+      : getCustomKnob(fallback, knob.key);
+    return setCustomKnob(settings, knob.key, Math.round(snapped * 100) / 100);
+  }, {});
+  
+  // The form range can't cross, and the rarity weights need something to draw
+  normalized = setCustomKnob(normalized, 'enemyCreatureLevel.min',
+    Math.min(normalized.enemyCreatureLevel.min, normalized.enemyCreatureLevel.max));
+  if (Object.values(normalized.enemyRarity).every(weight => weight === 0)) {
+    normalized = { ...normalized, enemyRarity: { ...fallback.enemyRarity } };
+  }
+  
+  return normalized;
+};
+
+// AI tactics come from the preset with the same AI level (easy = 2 ... expert = 5)
+export const getCustomBaseDifficulty = (custom) => {
+  const { enemyAILevel } = normalizeCustomDifficulty(custom);
+  return DIFFICULTY_LEVELS[clampValue(enemyAILevel - 2, 0, DIFFICULTY_LEVELS.length - 1)];
+};
+
+/**
+ * Settings for a custom difficulty. The knobs override the preset picked by
+ * the AI level; everything else (multi-action chance, focus fire, lookahead,
+ * items, hints) comes from that preset.
+ * @param {Object} custom - Knob values, see CUSTOM_DIFFICULTY_KNOBS
+ * @returns {Object} - Difficulty settings plus customDifficulty and baseDifficulty
+ */
+export const getCustomDifficultySettings = (custom) => {
+  const customDifficulty = normalizeCustomDifficulty(custom);
+  const baseDifficulty = getCustomBaseDifficulty(customDifficulty);
+  const totalWeight = Object.values(customDifficulty.enemyRarity).reduce((sum, weight) => sum + weight, 0);
+  
+  const settings = {
+    ...getDifficultySettings(baseDifficulty),
+    ...customDifficulty,
+    enemyRarity: Object.fromEntries(
+      Object.entries(customDifficulty.enemyRarity).map(([rarity, weight]) => [rarity, weight / totalWeight])
+    ),
+    customDifficulty,
+    baseDifficulty
+  };
+  
+  return {
+    ...settings,
+    rewardMultiplier: getDifficultyScoreRewardMultiplier(calculateDifficultyScore(settings))
+  };
+};
+
+// ===== DIFFICULTY SCORE =====
+// Scores run on the preset ladder like adaptive ratings (0 = easy, 3 = expert)
+const MIN_DIFFICULTY_SCORE = -1;
+const MAX_DIFFICULTY_SCORE = 4;
+
+// Enemy base stats by rarity, relative to common (7 / 8 / 9 / 10)
+const RARITY_POWER = { common: 1, rare: 1.14, epic: 1.29, legendary: 1.43 };
+// Each form above 1 adds roughly this share of stats through evolution boosts
+const FORM_POWER = 0.3;
+
+// Form an enemy is drawn at: the highest form at maxFormChance, otherwise any form in range
+const selectForm = (settings) => {
+  const { min, max } = settings.enemyCreatureLevel;
+  return random() < (settings.maxFormChance || 0) ? max : Math.floor(random() * (max - min + 1)) + min;
+};
+
+// Average form selectForm draws
+const getExpectedForm = (settings) => {
+  const { min, max } = settings.enemyCreatureLevel;
+  const maxFormChance = settings.maxFormChance || 0;
+  return maxFormChance * max + (1 - maxFormChance) * (min + max) / 2;
+};
+
+// Rough enemy strength: creature power times team size, nudged by tempo and AI
+const getEnemyThreat = (settings) => {
+  const rarityWeights = Object.entries(settings.enemyRarity);
+  const totalWeight = rarityWeights.reduce((sum, [, weight]) => sum + weight, 0) || 1;
+  const rarityPower = rarityWeights.reduce((sum, [rarity, weight]) => sum + weight * (RARITY_POWER[rarity] || 1), 0) / totalWeight;
+  const averageForm = getExpectedForm(settings);
+  const creaturePower = settings.enemyStatsMultiplier * rarityPower * (1 + FORM_POWER * (averageForm - 1));
+  
+  const tempo = 1 + 0.1 * (settings.enemyEnergyRegen - 3) + 0.05 * (settings.initialHandSize - 3) + 0.05 * (settings.maxFieldSize - 5);
+  const tactics = 1 + 0.1 * (settings.enemyAILevel - 3) + 0.1 * (settings.aggressionLevel - 0.65);
+  
+  return creaturePower * settings.enemyDeckSize * Math.max(0.25, tempo) * Math.max(0.25, tactics);
+};
+
+const PRESET_THREATS = DIFFICULTY_LEVELS.map(level => getEnemyThreat(getDifficultySettings(level)));
+
+/**
+ * Place any settings on the preset ladder by how strong the enemy they
+ * generate is. Presets score exactly 0-3; stronger or weaker settings
+ * continue the end slopes, within -1 to 4.
+ * @param {Object} settings - From getDifficultySettings (preset, adaptive or custom)
+ * @returns {number}
+ */
+export const calculateDifficultyScore = (settings) => {
+  const threat = getEnemyThreat(settings);
+  
+  let index = 0;
+  while (index < PRESET_THREATS.length - 2 && threat > PRESET_THREATS[index + 1]) {
+    index++;
+  }
+  
+  const from = PRESET_THREATS[index];
+  const to = PRESET_THREATS[index + 1];
+  const score = index + (threat - from) / (to - from);
+  return Math.round(clampValue(score, MIN_DIFFICULTY_SCORE, MAX_DIFFICULTY_SCORE) * 100) / 100;
+};
+
+// Reward multiplier at a ladder position - presets keep their own
+export const getDifficultyScoreRewardMultiplier = (score) =>
+  Math.round(Math.max(0.1, interpolatePreset(score, settings => settings.rewardMultiplier)) * 100) / 100;
+
 // ===== ENHANCED ENEMY CREATURE GENERATION =====
 // Generate enemy creatures with increased power
-export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures = []) => {
-  const settings = getDifficultySettings(difficulty);
+// Adaptive battles pass their interpolated settings
+// NEW: An archetype (see enemyArchetypes.js) biases species, specialties and stats toward its synergy
+export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures = [], settings = getDifficultySettings(difficulty), archetype = null) => {
   
   const maxCreatureCount = settings.enemyDeckSize || 5;
   const adjustedCount = Math.min(count, maxCreatureCount);
@@ -157,42 +395,25 @@ export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures =
     const rarity = selectRarity(settings.enemyRarity);
     
     // Generate form level with bias towards higher forms
-    let form;
-    if (difficulty === 'expert') {
-      // Expert: 80% chance for max form
-      form = Math.random() < 0.8 ? settings.enemyCreatureLevel.max : 
-             Math.floor(Math.random() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)) + settings.enemyCreatureLevel.min;
-    } else if (difficulty === 'hard') {
-      // Hard: 65% chance for max form
-      form = Math.random() < 0.65 ? settings.enemyCreatureLevel.max : 
-             Math.floor(Math.random() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)) + settings.enemyCreatureLevel.min;
-    } else if (difficulty === 'medium') {
-      // Medium: Balanced distribution with slight bias to higher forms
-      const rand = Math.random();
-      if (rand < 0.4) {
-        form = settings.enemyCreatureLevel.max;
-      } else if (rand < 0.7) {
-        form = Math.max(settings.enemyCreatureLevel.min, settings.enemyCreatureLevel.max - 1);
-      } else {
-        form = settings.enemyCreatureLevel.min;
-      }
-    } else {
-      // Easy: Still challenging but more manageable
-      form = Math.random() < 0.3 ? settings.enemyCreatureLevel.max : 
-             Math.floor(Math.random() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)) + settings.enemyCreatureLevel.min;
-    }
+    // FIXED: The bias comes from the settings, so the difficulty score sees the same forms
+    const form = selectForm(settings);
     
     // Select a species ID
     let speciesId;
-    if (speciesPool.length > 0) {
-      speciesId = speciesPool[Math.floor(Math.random() * speciesPool.length)];
+    if (archetype && random() < archetype.speciesShare) {
+      speciesId = pickArchetypeSpecies(archetype, creatures);
+    } else if (speciesPool.length > 0) {
+      speciesId = speciesPool[Math.floor(random() * speciesPool.length)];
     } else {
       const template = getRandomCreatureTemplate();
       speciesId = template.id;
     }
     
     // Generate enhanced stats
-    const stats = generateEnemyStats(rarity, form, settings.enemyStatsMultiplier);
+    let stats = generateEnemyStats(rarity, form, settings.enemyStatsMultiplier);
+    if (archetype) {
+      stats = applyArchetypeStatFocus(stats, archetype);
+    }
     
     // Determine specialty stats (more specialties on higher difficulties)
     let specialtyStats = [];
@@ -201,17 +422,21 @@ export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures =
     
     // Enhanced specialty count based on difficulty
     const specialtyCount = (difficulty === 'expert') ? 
-      (Math.random() < 0.8 ? 3 : 2) : // Expert: 80% chance for 3 specialties
+      (random() < 0.8 ? 3 : 2) : // Expert: 80% chance for 3 specialties
       (difficulty === 'hard') ?
-      (Math.random() < 0.7 ? 2 : 1) : // Hard: 70% chance for 2 specialties
+      (random() < 0.7 ? 2 : 1) : // Hard: 70% chance for 2 specialties
       (difficulty === 'medium') ?
-      (Math.random() < 0.5 ? 2 : 1) : // Medium: 50% chance for 2 specialties
-      (Math.random() < 0.3 ? 2 : 1);  // Easy: 30% chance for 2 specialties
+      (random() < 0.5 ? 2 : 1) : // Medium: 50% chance for 2 specialties
+      (random() < 0.3 ? 2 : 1);  // Easy: 30% chance for 2 specialties
     
-    for (let j = 0; j < specialtyCount; j++) {
-      const availableStats = statTypes.filter(stat => !specialtyStats.includes(stat));
-      const randomStat = availableStats[Math.floor(Math.random() * availableStats.length)];
-      specialtyStats.push(randomStat);
+    if (archetype) {
+      specialtyStats = getArchetypeSpecialties(archetype, i, specialtyCount);
+    } else {
+      for (let j = 0; j < specialtyCount; j++) {
+        const availableStats = statTypes.filter(stat => !specialtyStats.includes(stat));
+        const randomStat = availableStats[Math.floor(random() * availableStats.length)];
+        specialtyStats.push(randomStat);
+      }
     }
     
     // Create the enemy creature
@@ -229,10 +454,10 @@ export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures =
     // Add combination bonuses on harder difficulties
     if (difficulty === 'hard' || difficulty === 'expert') {
       const combinationChance = difficulty === 'expert' ? 0.7 : 0.5;
-      if (Math.random() < combinationChance) {
+      if (random() < combinationChance) {
         const combinationLevel = difficulty === 'expert' ? 
-          Math.floor(Math.random() * 3) + 2 : // 2-4 combination levels
-          Math.floor(Math.random() * 2) + 1;  // 1-2 combination levels
+          Math.floor(random() * 3) + 2 : // 2-4 combination levels
+          Math.floor(random() * 2) + 1;  // 1-2 combination levels
         creature.combination_level = combinationLevel;
         applyCombinationBonuses(creature, combinationLevel);
       }
@@ -248,8 +473,9 @@ export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures =
 
 /**
  * Generate enemy tools based on difficulty
+ * NEW: An archetype's signature tools replace the random and strategic picks
  */
-export const generateEnemyTools = (difficulty, count = 2) => {
+export const generateEnemyTools = (difficulty, count = 2, archetype = null) => {
   const settings = getDifficultySettings(difficulty);
   const tools = [];
   
@@ -264,8 +490,8 @@ export const generateEnemyTools = (difficulty, count = 2) => {
   const actualCount = toolCounts[difficulty] || count;
   
   // Tool types and effects
-  const toolTypes = ['energy', 'strength', 'magic', 'stamina', 'speed'];
-  const toolEffects = ['Surge', 'Shield', 'Echo', 'Drain', 'Charge'];
+  const toolTypes = ITEM_TYPE_NAMES;
+  const toolEffects = TOOL_EFFECT_NAMES;
   
   // Enhanced rarity distribution
   const rarityDistribution = {
@@ -289,43 +515,55 @@ export const generateEnemyTools = (difficulty, count = 2) => {
   for (let i = 0; i < actualCount; i++) {
     let toolType, toolEffect;
     
-    // On higher difficulties, prefer strategic combinations
-    if ((difficulty === 'hard' || difficulty === 'expert') && Math.random() < 0.7) {
+    // Archetypes bring their own tools; on higher difficulties, prefer strategic combinations
+    if (archetype) {
+      const combo = archetype.tools[i % archetype.tools.length];
+      toolType = combo.type;
+      toolEffect = combo.effect;
+    } else if ((difficulty === 'hard' || difficulty === 'expert') && random() < 0.7) {
       const combo = strategicCombos[i % strategicCombos.length];
       toolType = combo.type;
       toolEffect = combo.effect;
     } else {
-      toolType = toolTypes[Math.floor(Math.random() * toolTypes.length)];
-      toolEffect = toolEffects[Math.floor(Math.random() * toolEffects.length)];
+      toolType = toolTypes[Math.floor(random() * toolTypes.length)];
+      toolEffect = toolEffects[Math.floor(random() * toolEffects.length)];
     }
     
     // Generate rarity
     const rarity = selectItemRarity(distribution);
     
-    // Create enhanced tool object
-    const tool = {
-      id: `enemy_tool_${Date.now()}_${i}`,
-      name: `${rarity} ${toolEffect} ${toolType.charAt(0).toUpperCase() + toolType.slice(1)} Tool`,
-      tool_type: toolType,
-      tool_effect: toolEffect,
-      rarity: rarity,
-      image_url: `/assets/tools/${toolType}_${toolEffect.toLowerCase()}.png`,
-      description: generateToolDescription(toolType, toolEffect, rarity),
-      power_level: calculateEnhancedItemPowerLevel(rarity, difficulty),
-      usage_cost: 0,
-      strategic_value: calculateStrategicValue(toolType, toolEffect, difficulty)
-    };
-    
-    tools.push(tool);
+    tools.push(createEnemyTool(toolType, toolEffect, rarity, difficulty, i));
   }
   
   return tools;
 };
 
+/**
+ * Create one enemy tool - also used for authored loadouts (see campaign.js)
+ * @param {string} toolType - Key of ITEM_TYPES
+ * @param {string} toolEffect - Key of ITEM_EFFECTS
+ * @param {string} rarity - Common, Rare, Epic or Legendary
+ * @param {string} difficulty - Scales power level and strategic value
+ * @param {number} [index] - Keeps ids unique within one loadout
+ */
+export const createEnemyTool = (toolType, toolEffect, rarity, difficulty, index = 0) => ({
+  id: `enemy_tool_${Math.floor(random() * 1e13)}_${index}`, // FIXED: seeded and unique even for bonus items
+  name: `${rarity} ${toolEffect} ${toolType.charAt(0).toUpperCase() + toolType.slice(1)} Tool`,
+  tool_type: toolType,
+  tool_effect: toolEffect,
+  rarity: rarity,
+  image_url: `/assets/tools/${toolType}_${toolEffect.toLowerCase()}.png`,
+  description: generateToolDescription(toolType, toolEffect, rarity),
+  power_level: calculateEnhancedItemPowerLevel(rarity, difficulty),
+  usage_cost: 0,
+  strategic_value: calculateStrategicValue(toolType, toolEffect, difficulty)
+});
+
 /**
  * Generate enemy spells based on difficulty
+ * NEW: An archetype's signature spells replace the random and lethal picks
  */
-export const generateEnemySpells = (difficulty, count = 2) => {
+export const generateEnemySpells = (difficulty, count = 2, archetype = null) => {
   const settings = getDifficultySettings(difficulty);
   const spells = [];
   
@@ -340,8 +578,8 @@ export const generateEnemySpells = (difficulty, count = 2) => {
   const actualCount = spellCounts[difficulty] || count;
   
   // Spell types and effects
-  const spellTypes = ['energy', 'strength', 'magic', 'stamina', 'speed'];
-  const spellEffects = ['Surge', 'Shield', 'Echo', 'Drain', 'Charge'];
+  const spellTypes = ITEM_TYPE_NAMES;
+  const spellEffects = SPELL_EFFECT_NAMES;
   
   // Enhanced rarity distribution for spells
   const rarityDistribution = {
@@ -364,52 +602,64 @@ export const generateEnemySpells = (difficulty, count = 2) => {
   for (let i = 0; i < actualCount; i++) {
     let spellType, spellEffect;
     
-    // On expert, always use optimal spell combinations
-    if (difficulty === 'expert' && i < lethalCombos.length) {
+    // Archetypes bring their own spells; on expert, always use optimal spell combinations
+    if (archetype) {
+      const combo = archetype.spells[i % archetype.spells.length];
+      spellType = combo.type;
+      spellEffect = combo.effect;
+    } else if (difficulty === 'expert' && i < lethalCombos.length) {
       const combo = lethalCombos[i];
       spellType = combo.type;
       spellEffect = combo.effect;
-    } else if (difficulty === 'hard' && Math.random() < 0.6) {
-      const combo = lethalCombos[Math.floor(Math.random() * lethalCombos.length)];
+    } else if (difficulty === 'hard' && random() < 0.6) {
+      const combo = lethalCombos[Math.floor(random() * lethalCombos.length)];
       spellType = combo.type;
       spellEffect = combo.effect;
     } else {
-      spellType = spellTypes[Math.floor(Math.random() * spellTypes.length)];
-      spellEffect = spellEffects[Math.floor(Math.random() * spellEffects.length)];
+      spellType = spellTypes[Math.floor(random() * spellTypes.length)];
+      spellEffect = spellEffects[Math.floor(random() * spellEffects.length)];
     }
     
     // Generate rarity
     const rarity = selectItemRarity(distribution);
     
-    // Create enhanced spell object
-    const spell = {
-      id: `enemy_spell_${Date.now()}_${i}`,
-      name: `${rarity} ${spellEffect} ${spellType.charAt(0).toUpperCase() + spellType.slice(1)} Spell`,
-      spell_type: spellType,
-      spell_effect: spellEffect,
-      rarity: rarity,
-      image_url: `/assets/spells/${spellType}_${spellEffect.toLowerCase()}.png`,
-      description: generateSpellDescription(spellType, spellEffect, rarity),
-      power_level: calculateEnhancedItemPowerLevel(rarity, difficulty),
-      mana_cost: 4,
-      strategic_value: calculateStrategicValue(spellType, spellEffect, difficulty)
-    };
-    
-    spells.push(spell);
+    spells.push(createEnemySpell(spellType, spellEffect, rarity, difficulty, i));
   }
   
   return spells;
 };
 
+/**
+ * Create one enemy spell - also used for authored loadouts (see campaign.js)
+ * @param {string} spellType - Key of ITEM_TYPES
+ * @param {string} spellEffect - Key of ITEM_EFFECTS
+ * @param {string} rarity - Common, Rare, Epic or Legendary
+ * @param {string} difficulty - Scales power level and strategic value
+ * @param {number} [index] - Keeps ids unique within one loadout
+ */
+export const createEnemySpell = (spellType, spellEffect, rarity, difficulty, index = 0) => ({
+  id: `enemy_spell_${Math.floor(random() * 1e13)}_${index}`, // FIXED: seeded and unique even for bonus items
+  name: `${rarity} ${spellEffect} ${spellType.charAt(0).toUpperCase() + spellType.slice(1)} Spell`,
+  spell_type: spellType,
+  spell_effect: spellEffect,
+  rarity: rarity,
+  image_url: `/assets/spells/${spellType}_${spellEffect.toLowerCase()}.png`,
+  description: generateSpellDescription(spellType, spellEffect, rarity),
+  power_level: calculateEnhancedItemPowerLevel(rarity, difficulty),
+  mana_cost: 4,
+  strategic_value: calculateStrategicValue(spellType, spellEffect, difficulty)
+});
+
 /**
  * Generate a balanced set of enemy items with strategic diversity
+ * NEW: Pass an archetype to use its signature items
  */
-export const generateEnemyItems = (difficulty) => {
+export const generateEnemyItems = (difficulty, archetype = null) => {
   const settings = getDifficultySettings(difficulty);
   
   // Generate base items
-  const tools = generateEnemyTools(difficulty);
-  const spells = generateEnemySpells(difficulty);
+  const tools = generateEnemyTools(difficulty, 2, archetype);
+  const spells = generateEnemySpells(difficulty, 2, archetype);
   
   // Add bonus items based on difficulty settings
   const bonusItems = settings.bonusStartingItems || 0;
@@ -417,12 +667,12 @@ export const generateEnemyItems = (difficulty) => {
   if (bonusItems > 0) {
     // Add strategic bonus items
     for (let i = 0; i < bonusItems; i++) {
-      if (Math.random() < 0.6) {
+      if (random() < 0.6) {
         // 60% chance for bonus tool
-        tools.push(...generateEnemyTools(difficulty, 1));
+        tools.push(...generateEnemyTools(difficulty, 1, archetype));
       } else {
         // 40% chance for bonus spell
-        spells.push(...generateEnemySpells(difficulty, 1));
+        spells.push(...generateEnemySpells(difficulty, 1, archetype));
       }
     }
   }
@@ -437,10 +687,16 @@ export const generateEnemyItems = (difficulty) => {
 
 /**
  * Generate complete enemy loadout with enhanced power
+ * Pass a seeded rng (see createRng) to get the same loadout for the same seed
+ * NEW: Pass an archetype to build a themed team (see enemyArchetypes.js)
  */
-export const generateCompleteEnemyLoadout = (difficulty, creatureCount, playerCreatures = []) => {
-  const creatures = generateEnemyCreatures(difficulty, creatureCount, playerCreatures);
-  const items = generateEnemyItems(difficulty);
+export const generateCompleteEnemyLoadout = (difficulty, creatureCount, playerCreatures = [], rng = null, archetype = null) => {
+  if (rng) {
+    return withRandomSource(rng, () => generateCompleteEnemyLoadout(difficulty, creatureCount, playerCreatures, null, archetype));
+  }
+  
+  const creatures = generateEnemyCreatures(difficulty, creatureCount, playerCreatures, getDifficultySettings(difficulty), archetype);
+  const items = generateEnemyItems(difficulty, archetype);
   
   // Calculate total enemy power for balancing
   const totalPower = calculateTotalPower(creatures, items);
@@ -450,6 +706,7 @@ export const generateCompleteEnemyLoadout = (difficulty, creatureCount, playerCr
     tools: items.tools,
     spells: items.spells,
     difficulty: difficulty,
+    archetype: archetype?.id || null,
     settings: getDifficultySettings(difficulty),
     totalPower: totalPower,
     composition: analyzeCreatureComposition(creatures)
@@ -460,7 +717,7 @@ export const generateCompleteEnemyLoadout = (difficulty, creatureCount, playerCr
 
 // Select rarity based on probability distribution
 function selectRarity(rarityDistribution) {
-  const rnd = Math.random();
+  const rnd = random();
   let cumulativeProbability = 0;
   
   for (const [rarity, probability] of Object.entries(rarityDistribution)) {
@@ -475,12 +732,12 @@ function selectRarity(rarityDistribution) {
 
 // Select item rarity
 function selectItemRarity(distribution) {
-  const random = Math.random();
+  const roll = random();
   let cumulative = 0;
   
   for (const [rarity, probability] of Object.entries(distribution)) {
     cumulative += probability;
-    if (random <= cumulative) {
+    if (roll <= cumulative) {
       return rarity;
     }
   }
@@ -510,7 +767,7 @@ function generateEnemyStats(rarity, form, statsMultiplier) {
   const stats = {};
   for (const [stat, value] of Object.entries(baseStats)) {
     // Apply the difficulty multiplier with less variance for consistency
-    const variance = 0.95 + (Math.random() * 0.1); // ±5% variance
+    const variance = 0.95 + (random() * 0.1); // ±5% variance
     stats[stat] = Math.round(value * statsMultiplier * variance);
     
     // Ensure stats are within reasonable bounds
@@ -581,11 +838,11 @@ function addEnhancedStatUpgrades(creature, form, difficulty) {
     let statToUpgrade;
     
     // 70% chance to upgrade a specialty stat
-    if (creature.specialty_stats && creature.specialty_stats.length > 0 && Math.random() < 0.7) {
-      statToUpgrade = creature.specialty_stats[Math.floor(Math.random() * creature.specialty_stats.length)];
+    if (creature.specialty_stats && creature.specialty_stats.length > 0 && random() < 0.7) {
+      statToUpgrade = creature.specialty_stats[Math.floor(random() * creature.specialty_stats.length)];
     } else {
       const availableStats = Object.keys(stats);
-      statToUpgrade = availableStats[Math.floor(Math.random() * availableStats.length)];
+      statToUpgrade = availableStats[Math.floor(random() * availableStats.length)];
     }
     
     stats[statToUpgrade] += 1;
@@ -658,15 +915,7 @@ function calculateStrategicValue(type, effect, difficulty) {
   let value = 0;
   
   // Base value by effect
-  const effectValues = {
-    'Surge': 30,    // Immediate impact
-    'Shield': 35,   // Protection value
-    'Echo': 25,     // Long-term value
-    'Drain': 40,    // Versatile effect
-    'Charge': 45    // High potential
-  };
-  
-  value += effectValues[effect] || 20;
+  value += ITEM_EFFECTS[effect]?.strategicValue || 20;
   
   // Type synergies
   const typeSynergies = {
@@ -701,25 +950,9 @@ function generateToolDescription(toolType, toolEffect, rarity) {
     Legendary: 'legendary'
   };
   
-  const typeDescriptions = {
-    energy: 'energy manipulation',
-    strength: 'physical enhancement',
-    magic: 'magical amplification',
-    stamina: 'endurance boosting',
-    speed: 'agility enhancement'
-  };
-  
-  const effectDescriptions = {
-    Surge: 'provides a powerful but temporary boost',
-    Shield: 'offers protective enhancement',
-    Echo: 'creates lasting effects over time',
-    Drain: 'converts defensive power to offense',
-    Charge: 'builds up power for devastating results'
-  };
-  
   const adjective = rarityAdjectives[rarity] || 'basic';
-  const typeDesc = typeDescriptions[toolType] || 'enhancement';
-  const effectDesc = effectDescriptions[toolEffect] || 'enhances abilities';
+  const typeDesc = ITEM_TYPES[toolType]?.toolTheme || 'enhancement';
+  const effectDesc = ITEM_EFFECTS[toolEffect]?.toolFlavor || 'enhances abilities';
   
   return `A ${adjective} tool for ${typeDesc} that ${effectDesc}.`;
 }
@@ -733,25 +966,9 @@ function generateSpellDescription(spellType, spellEffect, rarity) {
     Legendary: 'legendary'
   };
   
-  const typeDescriptions = {
-    energy: 'energy',
-    strength: 'force',
-    magic: 'arcane',
-    stamina: 'vitality',
-    speed: 'temporal'
-  };
-  
-  const effectDescriptions = {
-    Surge: 'unleashes immediate powerful effects',
-    Shield: 'creates protective magical barriers',
-    Echo: 'resonates with lasting magical effects',
-    Drain: 'siphons life force and power',
-    Charge: 'builds magical energy for explosive release'
-  };
-  
   const adjective = rarityAdjectives[rarity] || 'minor';
-  const typeDesc = typeDescriptions[spellType] || 'magical';
-  const effectDesc = effectDescriptions[spellEffect] || 'affects the target';
+  const typeDesc = ITEM_TYPES[spellType]?.spellTheme || 'magical';
+  const effectDesc = ITEM_EFFECTS[spellEffect]?.spellFlavor || 'affects the target';
   
   return `A ${adjective} ${typeDesc} spell that ${effectDesc}.`;
 }
@@ -837,6 +1054,48 @@ export const getDifficultyTips = (difficulty) => {
       "AI plays perfectly with multi-turn planning",
       "Requires at least 7 Form 3, 3 Form 2, and 2 Form 1 creatures",
       "Perfect resource management and execution required to win"
+    ],
+    adaptive: [
+      "Enemy stats, deck size and rarity scale with your rating",
+      "Quick wins that keep your team alive raise the rating fastest",
+      "Defeats lower it - the rating can drop below Easy and climb past Expert",
+      "AI tactics follow the preset your rating is closest to"
+    ],
+    custom: [
+      "Every knob of the enemy's generation is yours to set",
+      "AI level picks which preset's tactics, items and hints you face",
+      "Rewards scale with the difficulty score, not the name of the preset",
+      "Save presets by name and share them with a code"
+    ],
+    campaign: [
+      "Every encounter has a fixed enemy team - losing teaches you what to expect",
+      "Special rules change starting energy, hand size and field limits",
+      "Earn stars by winning quickly and keeping your creatures alive",
+      "Each chapter ends with a boss; clear an encounter to unlock the next"
+    ],
+    daily: [
+      "Every player faces the same enemy team, items and modifiers today",
+      "You get one scored attempt - leaving the battle still uses it",
+      "Wins rank above losses; remaining health and speed decide the order",
+      "A new challenge starts every day at midnight UTC"
+    ],
+    gauntlet: [
+      "Waves keep coming - every wave has stronger, rarer enemies than the last",
+      "Damage carries over and fallen creatures stay down for the rest of the run",
+      "Used tools and spells are gone; nothing is refilled between waves",
+      "After each wave pick a boon: a heal, a stat boost or an extra tool"
+    ],
+    mirror: [
+      "The enemy plays an exact copy of your team, tools and spells",
+      "Both sides share the same hand size, field size and energy regen",
+      "The AI level only changes how well your copy is played",
+      "Compare the synergies each side kept up to see which ones carry your team"
+    ],
+    draft: [
+      "No NFTs needed - both you and the AI draft from the same random packs",
+      "Take one option per pack; the AI takes another and the rest is gone",
+      "First pick alternates every round, so plan for what the AI will grab",
+      "Picks that complete species or stat synergies are worth more than raw stats"
     ]
   };
   
@@ -0,0 +1,258 @@
+// src/utils/draftMode.js - DRAFT MODE
+// Instead of owned NFTs, both sides build their team from random packs. Every
+// round a pack of creatures or items is opened; the player and the AI take one
+// option each - who picks first alternates - and the rest is discarded. The
+// drafted teams then battle under the mirror match's even rules. Packs and the
+// AI's picks come from the draft seed, so a draft can be replayed pick by pick.
+import { createRng, generateSeed, withRandomSource } from './random';
+import { generateEnemyTools, generateEnemySpells } from './difficultySettings';
+import { createEnemyCreature, getRandomCreatureTemplate } from './enemyCreatures';
+import { checkFieldSynergies } from './battleCalculations';
+import { PLAYER_MAX_FIELD_SIZE, PLAYER_INITIAL_HAND_SIZE, PLAYER_STARTING_ENERGY } from './battleEngine';
+import { MIRROR_AI_LEVELS, getMirrorLevel, getMirrorSettings } from './mirrorMatch';
+
+export const DRAFT_MODE = 'draft';
+
+// The level sets how well the AI drafts and plays
+export const DRAFT_AI_LEVELS = MIRROR_AI_LEVELS;
+
+export const getDraftLevel = getMirrorLevel;
+
+// Options in every pack; both drafters take one
+export const DRAFT_PACK_SIZE = 4;
+
+// Pack kinds in pick order - each drafter ends up with 7 creatures and 4 items
+export const DRAFT_ROUNDS = [
+  'creature', 'creature', 'creature', 'creature', 'creature', 'creature', 'creature',
+  'item', 'item', 'item', 'item'
+];
+
+// Creature packs: rarity odds and form odds (forms 1-3)
+const DRAFT_RARITY = { Common: 0.4, Rare: 0.3, Epic: 0.2, Legendary: 0.1 };
+const DRAFT_FORMS = { 1: 0.3, 2: 0.45, 3: 0.25 };
+
+// Base stat per rarity, and what each form adds on top (specialties get the form 2 boost twice)
+const RARITY_BASE_STAT = { Common: 7, Rare: 8, Epic: 9, Legendary: 10 };
+const FORM_STAT_BONUS = [0, 2, 4, 7];
+
+// Item packs use the medium loadouts - enough tools and spells to fill a pack
+const ITEM_PACK_TIER = 'medium';
+
+// Each synergy a creature adds to the drafted team is worth this share of its stats
+const SYNERGY_PICK_WEIGHT = 0.15;
+
+// How far the AI's valuation wanders from the truth at each level
+const AI_PICK_NOISE = { easy: 0.35, medium: 0.2, hard: 0.1, expert: 0 };
+
+const createDraftTeam = () => ({ creatures: [], tools: [], spells: [] });
+
+export const isDraftComplete = (draft) => draft.round >= DRAFT_ROUNDS.length;
+
+// The player picks first on even rounds, the AI on odd ones
+export const isEnemyFirstPick = (round) => round % 2 === 1;
+
+// ===== PACKS =====
+
+const rollWeighted = (weights, rng) => {
+  const roll = rng();
+  let cumulative = 0;
+
+  for (const [value, weight] of Object.entries(weights)) {
+    cumulative += weight;
+    if (roll <= cumulative) {
+      return value;
+    }
+  }
+
+  return Object.keys(weights)[0];
+};
+
+const rollDraftStats = (rarity, form, specialties, rng) => Object.fromEntries(
+  ['energy', 'strength', 'magic', 'stamina', 'speed'].map(stat => {
+    const variance = 0.9 + rng() * 0.2;
+    const specialtyBonus = form >= 2 && specialties.includes(stat) ? 2 : 0;
+    return [stat, Math.round(RARITY_BASE_STAT[rarity] * variance) + FORM_STAT_BONUS[form] + specialtyBonus];
+  })
+);
+
+const rollDraftCreature = (rng) => {
+  const template = getRandomCreatureTemplate(rng);
+  const rarity = rollWeighted(DRAFT_RARITY, rng);
+  const form = Number(rollWeighted(DRAFT_FORMS, rng));
+  const creature = createEnemyCreature(template.id, form, rarity, rollDraftStats(rarity, form, template.specialtyStats || [], rng));
+
+  // Drafted creatures aren't enemies - they keep the species' own name
+  return { ...creature, species_name: template.name };
+};
+
+const rollItemPack = (rng) => {
+  const items = [
+    ...generateEnemyTools(ITEM_PACK_TIER).map(item => ({ kind: 'tool', item })),
+    ...generateEnemySpells(ITEM_PACK_TIER).map(item => ({ kind: 'spell', item }))
+  ];
+
+  // Shuffle so a pack isn't always tools first
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+
+  return items.slice(0, DRAFT_PACK_SIZE);
+};
+
+/**
+ * Open the pack for a round. The same seed and round always give the same pack.
+ * @param {number|string} seed - Draft seed
+ * @param {number} round - 0-based
+ * @returns {Array} - [{ kind: 'creature' | 'tool' | 'spell', item }]
+ */
+export const rollDraftPack = (seed, round) => {
+  const rng = createRng(`${seed}-pack-${round}`);
+
+  return withRandomSource(rng, () => DRAFT_ROUNDS[round] === 'creature'
+    ? Array.from({ length: DRAFT_PACK_SIZE }, () => ({ kind: 'creature', item: rollDraftCreature(rng) }))
+    : rollItemPack(rng)
+  );
+};
+
+// ===== AI PICKS =====
+
+const getStatTotal = (creature) => Object.values(creature.stats || {}).reduce((sum, value) => sum + value, 0);
+
+/**
+ * What an option is worth to a drafted team: creatures by stats plus the
+ * synergies (see checkFieldSynergies) they would add, items by power and strategic value.
+ * @param {Object} option - { kind, item }
+ * @param {Object} team - { creatures, tools, spells } drafted so far
+ * @returns {number}
+ */
+export const getDraftPickValue = (option, team) => {
+  if (option.kind !== 'creature') {
+    return (option.item.power_level || 1) * (option.item.strategic_value || 20);
+  }
+
+  const synergyGain = checkFieldSynergies([...team.creatures, option.item]).length - checkFieldSynergies(team.creatures).length;
+  return getStatTotal(option.item) * (1 + SYNERGY_PICK_WEIGHT * Math.max(0, synergyGain));
+};
+
+// The AI takes the option it values most; lower levels misjudge the values
+const chooseEnemyPick = (draft) => {
+  const rng = createRng(`${draft.seed}-ai-${draft.round}`);
+  const noise = AI_PICK_NOISE[draft.level] ?? AI_PICK_NOISE.medium;
+
+  return draft.pack.reduce((best, option) => {
+    const value = getDraftPickValue(option, draft.enemy) * (1 + noise * (rng() * 2 - 1));
+    return !best || value > best.value ? { option, value } : best;
+  }, null)?.option || null;
+};
+
+// ===== DRAFTING =====
+
+const TEAM_KEYS = { creature: 'creatures', tool: 'tools', spell: 'spells' };
+
+const takeDraftPick = (draft, side, option) => {
+  const team = draft[side];
+  const key = TEAM_KEYS[option.kind];
+
+  return {
+    ...draft,
+    pack: draft.pack.filter(other => other !== option),
+    [side]: { ...team, [key]: [...team[key], option.item] },
+    history: [...draft.history, { round: draft.round, side, kind: option.kind, name: option.item.species_name || option.item.name }]
+  };
+};
+
+// Open the current round's pack; on the AI's rounds it takes its pick straight away
+const openDraftPack = (draft) => {
+  if (isDraftComplete(draft)) {
+    return { ...draft, pack: [] };
+  }
+
+  const opened = { ...draft, pack: rollDraftPack(draft.seed, draft.round) };
+  return isEnemyFirstPick(draft.round) ? takeDraftPick(opened, 'enemy', chooseEnemyPick(opened)) : opened;
+};
+
+/**
+ * Start a draft.
+ * @param {string} level - AI level, one of DRAFT_AI_LEVELS
+ * @param {number|string} [seed] - Draft seed; every pack and AI pick derives from it
+ * @returns {Object} - { seed, level, round, pack, player, enemy, history }
+ */
+export const createDraft = (level, seed = generateSeed()) => openDraftPack({
+  seed,
+  level: getDraftLevel(level),
+  round: 0,
+  pack: [],
+  player: createDraftTeam(),
+  enemy: createDraftTeam(),
+  history: []
+});
+
+/**
+ * Take an option from the current pack. The AI picks from what is left if it
+ * hasn't yet, then the next pack opens.
+ * @param {Object} draft
+ * @param {string} itemId - Id of the creature, tool or spell to take
+ * @returns {Object} - Updated draft
+ */
+export const pickDraftOption = (draft, itemId) => {
+  const option = draft.pack.find(candidate => candidate.item.id === itemId);
+  if (!option || isDraftComplete(draft)) {
+    console.error("pickDraftOption: option is not in the current pack", itemId);
+    return draft;
+  }
+
+  let next = takeDraftPick(draft, 'player', option);
+  if (!isEnemyFirstPick(draft.round)) {
+    next = takeDraftPick(next, 'enemy', chooseEnemyPick(next));
+  }
+
+  return openDraftPack({ ...next, round: draft.round + 1 });
+};
+
+// "Pick 3 of 11 · Creature pack"
+export const describeDraftRound = (draft) => isDraftComplete(draft)
+  ? 'Draft complete'
+  : `Pick ${draft.round + 1} of ${DRAFT_ROUNDS.length} · ${DRAFT_ROUNDS[draft.round] === 'creature' ? 'Creature' : 'Item'} pack`;
+
+// ===== BATTLE =====
+
+/**
+ * Build the createBattle config for a finished draft (without the player's team,
+ * which the player picks from their drafted pool).
+ * @param {Object} draft
+ * @returns {Object} - Config to spread into createBattle
+ */
+export const getDraftBattleConfig = (draft) => ({
+  difficulty: draft.level,
+  adaptiveRating: null,
+  customDifficulty: null,
+  draftMatch: true,
+  enemyArchetype: null,
+  enemyCreatures: draft.enemy.creatures,
+  enemyTools: draft.enemy.tools,
+  enemySpells: draft.enemy.spells,
+  enemyStartingEnergy: PLAYER_STARTING_ENERGY,
+  enemyHandSize: PLAYER_INITIAL_HAND_SIZE,
+  enemyMaxFieldSize: PLAYER_MAX_FIELD_SIZE
+});
+
+// Drafted teams play under the mirror's rules, so they're scored the same way
+export const getDraftSettings = (draft) => getMirrorSettings(draft.level, draft.enemy.creatures);
+
+export default {
+  DRAFT_MODE,
+  DRAFT_AI_LEVELS,
+  DRAFT_PACK_SIZE,
+  DRAFT_ROUNDS,
+  getDraftLevel,
+  isDraftComplete,
+  isEnemyFirstPick,
+  rollDraftPack,
+  getDraftPickValue,
+  createDraft,
+  pickDraftOption,
+  describeDraftRound,
+  getDraftBattleConfig,
+  getDraftSettings
+};
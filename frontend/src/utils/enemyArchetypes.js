@@ -0,0 +1,246 @@
+// src/utils/enemyArchetypes.js - THEMED ENEMY TEAM ARCHETYPES
+// An archetype gives a generated enemy team an identity: species and specialties
+// picked to set off one of the field synergies checkFieldSynergies looks for,
+// signature tools and spells, and the AI personality that plays it. Enemy
+// generation (difficultySettings.js) takes the archetype as a bias, so teams
+// still vary in rarity, form and the odd off-theme creature.
+import { createRng, hashSeed, random } from './random';
+import { getCreatureTemplates } from './enemyCreatures';
+import { ITEM_TYPES, ITEM_EFFECTS } from './itemDefinitions';
+import { AI_PERSONALITIES } from './aiPersonalities';
+
+const STAT_TYPES = ['energy', 'strength', 'magic', 'stamina', 'speed'];
+
+// Archetype fields:
+//   synergy - name of the checkFieldSynergies synergy the team is built around
+//   species - species ids to draw from, or null for a team of distinct species
+//   speciesShare - chance each creature is drawn from the archetype's species
+//   specialties - specialty stats given first; 'rotate' spreads all five across the team
+//   statFocus - { stat: amount } added to each creature's generated stats
+//   tools / spells - { type, effect } signature items, cycled through for the item count
+//   personality - AI personality id that plays the team
+export const ENEMY_ARCHETYPES = [
+  {
+    id: 'bullx-pack',
+    name: 'Bullx Pack',
+    icon: '🐂',
+    description: 'A herd of Bullx that hits harder the more of them take the field',
+    synergy: 'Enemy Bullx Pack',
+    species: ['bullx'],
+    speciesShare: 0.8,
+    specialties: ['strength', 'stamina'],
+    statFocus: { strength: 2, stamina: 1 },
+    tools: [
+      { type: 'strength', effect: 'Surge' },
+      { type: 'stamina', effect: 'Shield' }
+    ],
+    spells: [
+      { type: 'strength', effect: 'Drain' },
+      { type: 'energy', effect: 'Surge' }
+    ],
+    personality: 'berserker'
+  },
+  {
+    id: 'arcane-resonance',
+    name: 'Arcane Resonance',
+    icon: '✨',
+    description: 'A caster squad of Corvax and Etherion feeding each other magic and energy',
+    synergy: 'Arcane Resonance',
+    species: ['corvax', 'etherion'],
+    speciesShare: 0.85,
+    specialties: ['magic', 'energy'],
+    statFocus: { magic: 2, energy: 2 },
+    tools: [
+      { type: 'magic', effect: 'Echo' },
+      { type: 'energy', effect: 'Drain' }
+    ],
+    spells: [
+      { type: 'magic', effect: 'Charge' },
+      { type: 'magic', effect: 'Nova' },
+      { type: 'energy', effect: 'Surge' }
+    ],
+    personality: 'comboMage'
+  },
+  {
+    id: 'fortress-formation',
+    name: 'Fortress Formation',
+    icon: '🏰',
+    description: 'Sturdy bruisers that dig in behind shields and win the long fight',
+    synergy: 'Fortress Formation',
+    species: ['hugbloom', 'minermole', 'satoshium', 'cudoge'],
+    speciesShare: 0.8,
+    specialties: ['stamina', 'strength'],
+    statFocus: { stamina: 3 },
+    tools: [
+      { type: 'stamina', effect: 'Shield' },
+      { type: 'strength', effect: 'Echo' }
+    ],
+    spells: [
+      { type: 'stamina', effect: 'Shield' },
+      { type: 'strength', effect: 'Drain' }
+    ],
+    personality: 'turtle'
+  },
+  {
+    id: 'blitz-assault',
+    name: 'Blitz Assault',
+    icon: '⚡',
+    description: 'Fast strikers that try to end the battle before you set up',
+    synergy: 'Blitz Assault',
+    species: ['cvxling', 'fomotron'],
+    speciesShare: 0.75,
+    specialties: ['speed', 'strength'],
+    statFocus: { speed: 2, strength: 2 },
+    tools: [
+      { type: 'speed', effect: 'Charge' },
+      { type: 'strength', effect: 'Surge' }
+    ],
+    spells: [
+      { type: 'energy', effect: 'Surge' },
+      { type: 'speed', effect: 'Nova' }
+    ],
+    personality: 'berserker'
+  },
+  {
+    id: 'balanced-formation',
+    name: 'Balanced Formation',
+    icon: '⚖️',
+    description: 'No two alike - a diverse team that covers every weakness',
+    synergy: 'Balanced Formation',
+    species: null,
+    speciesShare: 1,
+    specialties: 'rotate',
+    statFocus: {},
+    tools: [
+      { type: 'stamina', effect: 'Shield' },
+      { type: 'magic', effect: 'Echo' },
+      { type: 'strength', effect: 'Surge' }
+    ],
+    spells: [
+      { type: 'strength', effect: 'Drain' },
+      { type: 'magic', effect: 'Charge' }
+    ],
+    personality: 'attrition'
+  }
+];
+
+export const ENEMY_ARCHETYPE_IDS = ENEMY_ARCHETYPES.map(archetype => archetype.id);
+
+export const getEnemyArchetype = (archetypeId) =>
+  ENEMY_ARCHETYPES.find(archetype => archetype.id === archetypeId) || null;
+
+/**
+ * Pick an archetype for a generated enemy team.
+ * @param {Function|number|string} [source] - rng function, or a seed to derive one from
+ * @returns {string} - Archetype id
+ */
+export const pickEnemyArchetype = (source = random) => {
+  const rng = typeof source === 'function' ? source : createRng(hashSeed(`${source}:archetype`));
+  return ENEMY_ARCHETYPE_IDS[Math.floor(rng() * ENEMY_ARCHETYPE_IDS.length)];
+};
+
+/**
+ * Species for the next creature of an archetype team.
+ * @param {Object} archetype
+ * @param {Array} team - Creatures generated so far
+ * @param {Function} [rng]
+ * @returns {string} - Species id
+ */
+export const pickArchetypeSpecies = (archetype, team, rng = random) => {
+  if (archetype.species) {
+    return archetype.species[Math.floor(rng() * archetype.species.length)];
+  }
+
+  // Distinct species first; a team larger than the roster starts repeating
+  const used = new Set(team.map(creature => creature.species_id));
+  const templates = getCreatureTemplates();
+  const unused = templates.filter(template => !used.has(template.id));
+  const pool = unused.length > 0 ? unused : templates;
+  return pool[Math.floor(rng() * pool.length)].id;
+};
+
+/**
+ * Specialty stats for the creature at `index` of an archetype team.
+ * @param {Object} archetype
+ * @param {number} index - Position in the team
+ * @param {number} count - Specialties the difficulty allows
+ * @param {Function} [rng]
+ * @returns {Array} - Stat names
+ */
+export const getArchetypeSpecialties = (archetype, index, count, rng = random) => {
+  // Rotating pairs cover four or more stats once three creatures are out
+  const preferred = archetype.specialties === 'rotate'
+    ? STAT_TYPES.map((_, offset) => STAT_TYPES[(index * 2 + offset) % STAT_TYPES.length])
+    : archetype.specialties;
+
+  const specialties = preferred.slice(0, count);
+  while (specialties.length < count) {
+    const available = STAT_TYPES.filter(stat => !specialties.includes(stat));
+    specialties.push(available[Math.floor(rng() * available.length)]);
+  }
+  return specialties;
+};
+
+// Archetype stat focus on top of generated stats
+export const applyArchetypeStatFocus = (stats, archetype) => Object.fromEntries(
+  Object.entries(stats).map(([stat, value]) => [stat, value + (archetype.statFocus[stat] || 0)])
+);
+
+// "🐂 Bullx Pack - A herd of Bullx that ..."
+export const describeEnemyArchetype = (archetypeId) => {
+  const archetype = getEnemyArchetype(archetypeId);
+  return archetype ? `${archetype.icon} ${archetype.name} - ${archetype.description}` : null;
+};
+
+// ===== VALIDATION =====
+
+export const validateEnemyArchetypes = () => {
+  const errors = [];
+  const speciesIds = new Set(getCreatureTemplates().map(template => template.id));
+
+  ENEMY_ARCHETYPES.forEach(archetype => {
+    const { id } = archetype;
+
+    if (!archetype.name || !archetype.synergy) errors.push(`${id}: missing name or synergy`);
+    (archetype.species || []).forEach(species => {
+      if (!speciesIds.has(species)) errors.push(`${id}: unknown species "${species}"`);
+    });
+    if (!(archetype.speciesShare > 0 && archetype.speciesShare <= 1)) errors.push(`${id}: speciesShare must be in (0, 1]`);
+    if (archetype.specialties !== 'rotate') {
+      archetype.specialties.forEach(stat => {
+        if (!STAT_TYPES.includes(stat)) errors.push(`${id}: unknown specialty "${stat}"`);
+      });
+    }
+    Object.keys(archetype.statFocus).forEach(stat => {
+      if (!STAT_TYPES.includes(stat)) errors.push(`${id}: unknown focus stat "${stat}"`);
+    });
+    [...archetype.tools, ...archetype.spells].forEach(item => {
+      if (!ITEM_TYPES[item.type]) errors.push(`${id}: unknown item type "${item.type}"`);
+      if (!ITEM_EFFECTS[item.effect]) errors.push(`${id}: unknown item effect "${item.effect}"`);
+    });
+    archetype.tools.forEach(item => {
+      if (ITEM_EFFECTS[item.effect]?.spellOnly) errors.push(`${id}: ${item.effect} is spell-only`);
+    });
+    if (archetype.tools.length === 0 || archetype.spells.length === 0) errors.push(`${id}: needs signature tools and spells`);
+    if (!AI_PERSONALITIES[archetype.personality]) errors.push(`${id}: unknown personality "${archetype.personality}"`);
+  });
+
+  return errors;
+};
+
+const archetypeErrors = validateEnemyArchetypes();
+if (archetypeErrors.length > 0) {
+  console.error("Invalid enemy archetypes:", archetypeErrors);
+}
+
+export default {
+  ENEMY_ARCHETYPES,
+  ENEMY_ARCHETYPE_IDS,
+  getEnemyArchetype,
+  pickEnemyArchetype,
+  pickArchetypeSpecies,
+  getArchetypeSpecialties,
+  applyArchetypeStatFocus,
+  describeEnemyArchetype,
+  validateEnemyArchetypes
+};
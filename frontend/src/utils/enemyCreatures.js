@@ -4,6 +4,8 @@
  * to avoid 404 issues with enemy creature images
  */
 
+import { random, randomId } from './random';
+
 // Base folder for creature assets - now pointing to public assets folder
 const baseAssetUrl = "/assets/evolving_creatures";
 
@@ -103,10 +105,11 @@ export const getCreatureTemplates = () => {
 
 /**
  * Get a random creature template
+ * @param {Function} [rng] - Random source, defaults to the active battle source
  * @returns {Object} - A randomly selected creature template
  */
-export const getRandomCreatureTemplate = () => {
-  const randomIndex = Math.floor(Math.random() * creatureTemplates.length);
+export const getRandomCreatureTemplate = (rng = random) => {
+  const randomIndex = Math.floor(rng() * creatureTemplates.length);
   return creatureTemplates[randomIndex];
 };
 
@@ -122,8 +125,8 @@ export const createEnemyCreature = (speciesId, form, rarity, stats) => {
   // Find the template
   const template = creatureTemplates.find(t => t.id === speciesId) || getRandomCreatureTemplate();
   
-  // Generate a unique ID
-  const uniqueId = `enemy-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  // Generate a unique ID (from the active source so seeded battles get stable ids)
+  const uniqueId = `enemy-${Math.floor(random() * 1e13)}-${randomId()}`;
   
   // Get the image URL
   const imageUrl = getCreatureImageUrl(template.id, form);
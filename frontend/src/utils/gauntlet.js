@@ -0,0 +1,306 @@
+// src/utils/gauntlet.js - SURVIVAL GAUNTLET
+// An endless run of enemy waves against one team. Each wave scales the enemy
+// stat multiplier and rarity weights of its difficulty tier, creatures carry
+// their damage into the next wave and used items are gone for good. Between
+// waves the player takes one of three boons. The run itself lives in memory;
+// the best wave reached is stored per account in localStorage.
+import { hashSeed, createRng, generateSeed, withRandomSource } from './random';
+import { DIFFICULTY_LEVELS, getDifficultySettings, generateEnemyCreatures, createEnemyTool } from './difficultySettings';
+import { calculateDerivedStats } from './battleCalculations';
+import { ITEM_TYPE_NAMES, TOOL_EFFECT_NAMES } from './itemDefinitions';
+
+export const GAUNTLET_MODE = 'gauntlet';
+
+export const GAUNTLET_PROGRESS_VERSION = 1;
+
+// Waves fought at each preset before moving up a tier; expert repeats forever
+export const WAVES_PER_TIER = 3;
+
+// Enemy stats grow by this share of the tier's multiplier every wave
+const WAVE_STAT_GROWTH = 0.05;
+
+// Share of each rarity's weight that moves up one rarity every wave
+const WAVE_RARITY_SHIFT = 0.08;
+const MAX_RARITY_SHIFT = 0.6;
+
+// Creatures in the first wave; every second wave adds one, up to the tier's deck size
+const FIRST_WAVE_SIZE = 3;
+
+const RARITY_ORDER = ['common', 'rare', 'epic', 'legendary'];
+
+// Boons offered between waves - one of each kind is rolled
+export const GAUNTLET_BOONS = [
+  { id: 'mend', kind: 'heal', icon: '💚', name: 'Mend', description: 'Every creature recovers 30% of its max health', heal: { share: 0.3 } },
+  { id: 'second-wind', kind: 'heal', icon: '💖', name: 'Second Wind', description: 'Your most injured creature is fully healed', heal: { share: 1, mostInjured: true } },
+  { id: 'might', kind: 'stat', icon: '💪', name: 'Might', description: '+3 strength for every creature', stat: { strength: 3 } },
+  { id: 'focus', kind: 'stat', icon: '🔮', name: 'Focus', description: '+3 magic for every creature', stat: { magic: 3 } },
+  { id: 'fortitude', kind: 'stat', icon: '🛡️', name: 'Fortitude', description: '+3 stamina for every creature', stat: { stamina: 3 } },
+  { id: 'swiftness', kind: 'stat', icon: '💨', name: 'Swiftness', description: '+3 speed for every creature', stat: { speed: 3 } },
+  { id: 'armory', kind: 'tool', icon: '🧰', name: 'Armory', description: 'Gain a random tool - rarer on later waves', tool: true }
+];
+
+export const GAUNTLET_BOON_KINDS = ['heal', 'stat', 'tool'];
+
+export const getGauntletBoon = (boonId) => GAUNTLET_BOONS.find(boon => boon.id === boonId) || null;
+
+// ===== WAVES =====
+
+export const getGauntletWaveDifficulty = (wave) =>
+  DIFFICULTY_LEVELS[Math.min(DIFFICULTY_LEVELS.length - 1, Math.floor((wave - 1) / WAVES_PER_TIER))];
+
+// Move part of every rarity's weight up one step; legendary keeps what it gets
+const shiftRarity = (enemyRarity, shift) => {
+  const shifted = Object.fromEntries(RARITY_ORDER.map(rarity => [rarity, 0]));
+
+  RARITY_ORDER.forEach((rarity, index) => {
+    const weight = enemyRarity[rarity] || 0;
+    const next = RARITY_ORDER[index + 1];
+    if (next) {
+      shifted[rarity] += weight * (1 - shift);
+      shifted[next] += weight * shift;
+    } else {
+      shifted[rarity] += weight;
+    }
+  });
+
+  return shifted;
+};
+
+/**
+ * Difficulty settings for a wave: the tier's preset with a stat multiplier and
+ * rarity weights that keep growing, so the run never levels off.
+ * @param {number} wave - 1-based
+ * @returns {Object} - Difficulty settings plus gauntletWave
+ */
+export const getGauntletWaveSettings = (wave) => {
+  const settings = getDifficultySettings(getGauntletWaveDifficulty(wave));
+  const growth = 1 + (wave - 1) * WAVE_STAT_GROWTH;
+  const shift = Math.min(MAX_RARITY_SHIFT, (wave - 1) * WAVE_RARITY_SHIFT);
+
+  return {
+    ...settings,
+    enemyStatsMultiplier: Math.round(settings.enemyStatsMultiplier * growth * 100) / 100,
+    enemyRarity: shiftRarity(settings.enemyRarity, shift),
+    enemyDeckSize: Math.min(settings.enemyDeckSize, FIRST_WAVE_SIZE + Math.floor((wave - 1) / 2)),
+    gauntletWave: wave
+  };
+};
+
+const getWaveSeed = (run) => hashSeed(`${run.seed}-wave-${run.wave}`);
+
+/**
+ * Build the createBattle config for the run's current wave.
+ * @param {Object} run - From createGauntletRun / chooseGauntletBoon
+ * @returns {Object} - Complete createBattle config, player side included
+ */
+export const getGauntletBattleConfig = (run) => {
+  const difficulty = getGauntletWaveDifficulty(run.wave);
+  const settings = getGauntletWaveSettings(run.wave);
+  const seed = getWaveSeed(run);
+
+  // Enemies come from the wave seed; items are left to the battle seed
+  const enemyCreatures = withRandomSource(createRng(`${seed}-enemies`), () =>
+    generateEnemyCreatures(difficulty, settings.enemyDeckSize, [], settings)
+  );
+
+  return {
+    difficulty,
+    adaptiveRating: null,
+    gauntletWave: run.wave,
+    seed,
+    enemyCreatures,
+    playerCreatures: run.creatures,
+    playerTools: run.tools,
+    playerSpells: run.spells
+  };
+};
+
+// ===== RUNS =====
+
+/**
+ * Start a run with the player's chosen team.
+ * @param {Object} team - { creatures, tools, spells } from TeamSelector
+ * @param {number} [seed] - Run seed; every wave and boon roll derives from it
+ * @returns {Object} - { seed, wave, creatures, tools, spells, boons }
+ */
+export const createGauntletRun = (team, seed = generateSeed()) => ({
+  seed,
+  wave: 1,
+  creatures: team.creatures || [],
+  tools: team.tools || [],
+  spells: team.spells || [],
+  boons: []
+});
+
+const getMaxHealth = (creature) => calculateDerivedStats(creature).maxHealth;
+
+// Battle-only fields are rebuilt by createBattle; the damage taken is kept as carriedHealth.
+// Buffs can lift health past the base maximum, which doesn't outlast the wave.
+const toCarriedCreature = ({ battleStats, currentHealth, maxHealth, activeEffects, isDefending, statusConditions, row, ...creature }) => ({
+  ...creature,
+  carriedHealth: Math.max(0, Math.min(getMaxHealth(creature), currentHealth))
+});
+
+/**
+ * Carry the survivors of a won wave into the run. Fallen creatures and used
+ * items stay gone - nothing is refilled between waves.
+ * @param {Object} run
+ * @param {Object} battle - Final battle state of the wave
+ * @returns {Object} - Updated run, still on the cleared wave until a boon is chosen
+ */
+export const carryOverGauntletTeam = (run, battle) => ({
+  ...run,
+  creatures: [...battle.playerField, ...battle.playerHand, ...battle.playerDeck]
+    .filter(creature => creature.currentHealth > 0)
+    .map(toCarriedCreature),
+  tools: battle.playerTools || [],
+  spells: battle.playerSpells || []
+});
+
+// One boon of each kind, rolled from the run seed so a wave always offers the same three
+export const rollGauntletBoons = (run) => {
+  const rng = createRng(`${run.seed}-boons-${run.wave}`);
+
+  return GAUNTLET_BOON_KINDS.map(kind => {
+    const options = GAUNTLET_BOONS.filter(boon => boon.kind === kind);
+    return options[Math.floor(rng() * options.length)];
+  });
+};
+
+const getCarriedHealth = (creature) => Math.min(getMaxHealth(creature), creature.carriedHealth ?? getMaxHealth(creature));
+
+const applyHealBoon = (creatures, { share, mostInjured }) => {
+  const missing = creature => getMaxHealth(creature) - getCarriedHealth(creature);
+  const target = mostInjured
+    ? creatures.reduce((worst, creature) => (!worst || missing(creature) > missing(worst) ? creature : worst), null)
+    : null;
+
+  return creatures.map(creature => {
+    if (target && creature !== target) return creature;
+    const maxHealth = getMaxHealth(creature);
+    return { ...creature, carriedHealth: Math.min(maxHealth, getCarriedHealth(creature) + Math.round(maxHealth * share)) };
+  });
+};
+
+const applyStatBoon = (creatures, statChanges) => creatures.map(creature => ({
+  ...creature,
+  stats: Object.fromEntries(
+    Object.entries(creature.stats || {}).map(([stat, value]) => [stat, value + (statChanges[stat] || 0)])
+  )
+}));
+
+// Tool rarity climbs with the wave: Common on the first tier up to Legendary
+const createBoonTool = (run) => {
+  const rng = createRng(`${run.seed}-tool-${run.wave}`);
+  const rarity = ['Common', 'Rare', 'Epic', 'Legendary'][Math.min(3, Math.floor(run.wave / WAVES_PER_TIER))];
+
+  return withRandomSource(rng, () => {
+    const toolType = ITEM_TYPE_NAMES[Math.floor(rng() * ITEM_TYPE_NAMES.length)];
+    const toolEffect = TOOL_EFFECT_NAMES[Math.floor(rng() * TOOL_EFFECT_NAMES.length)];
+    return {
+      ...createEnemyTool(toolType, toolEffect, rarity, getGauntletWaveDifficulty(run.wave)),
+      id: `gauntlet_tool_${run.seed}_${run.wave}`
+    };
+  });
+};
+
+/**
+ * Apply the boon picked after a cleared wave and move on to the next wave.
+ * @param {Object} run - From carryOverGauntletTeam
+ * @param {string} boonId
+ * @returns {Object} - Run on the next wave
+ */
+export const chooseGauntletBoon = (run, boonId) => {
+  const boon = getGauntletBoon(boonId);
+  if (!boon) {
+    console.error("chooseGauntletBoon: unknown boon", boonId);
+    return { ...run, wave: run.wave + 1 };
+  }
+
+  console.log(`Gauntlet wave ${run.wave} cleared - took ${boon.name}`);
+
+  return {
+    ...run,
+    wave: run.wave + 1,
+    creatures: boon.heal ? applyHealBoon(run.creatures, boon.heal)
+      : boon.stat ? applyStatBoon(run.creatures, boon.stat)
+      : run.creatures,
+    tools: boon.tool ? [...run.tools, createBoonTool(run)] : run.tools,
+    boons: [...run.boons, boon.id]
+  };
+};
+
+// "Wave 4 · Medium · ×1.27 enemy stats · 4 creatures"
+export const describeGauntletWave = (wave) => {
+  const settings = getGauntletWaveSettings(wave);
+  const difficulty = getGauntletWaveDifficulty(wave);
+  return `Wave ${wave} · ${difficulty.charAt(0).toUpperCase() + difficulty.slice(1)} · ×${settings.enemyStatsMultiplier} enemy stats · ${settings.enemyDeckSize} creatures`;
+};
+
+// ===== STORAGE =====
+
+const getStorageKey = (accountAddress) => `gauntlet_progress_${accountAddress || 'guest'}`;
+
+const createProgress = () => ({
+  version: GAUNTLET_PROGRESS_VERSION,
+  bestWave: 0,
+  runs: 0
+});
+
+export const loadGauntletProgress = (accountAddress) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getStorageKey(accountAddress)) || 'null');
+    if (!saved || saved.version !== GAUNTLET_PROGRESS_VERSION) {
+      return createProgress();
+    }
+    return saved;
+  } catch (error) {
+    console.error("Error loading gauntlet progress:", error);
+    return createProgress();
+  }
+};
+
+const saveGauntletProgress = (accountAddress, progress) => {
+  try {
+    localStorage.setItem(getStorageKey(accountAddress), JSON.stringify(progress));
+  } catch (error) {
+    console.error("Error saving gauntlet progress:", error);
+  }
+  return progress;
+};
+
+/**
+ * Record that a run reached a wave. Called as each wave starts, so a run that
+ * is abandoned mid-wave still counts the wave it got to.
+ * @param {string} accountAddress
+ * @param {number} wave
+ * @returns {Object} - Updated progress
+ */
+export const recordGauntletWave = (accountAddress, wave) => {
+  const progress = loadGauntletProgress(accountAddress);
+
+  return saveGauntletProgress(accountAddress, {
+    ...progress,
+    bestWave: Math.max(progress.bestWave, wave),
+    runs: wave === 1 ? progress.runs + 1 : progress.runs
+  });
+};
+
+export default {
+  GAUNTLET_MODE,
+  GAUNTLET_PROGRESS_VERSION,
+  WAVES_PER_TIER,
+  GAUNTLET_BOONS,
+  GAUNTLET_BOON_KINDS,
+  getGauntletBoon,
+  getGauntletWaveDifficulty,
+  getGauntletWaveSettings,
+  getGauntletBattleConfig,
+  createGauntletRun,
+  carryOverGauntletTeam,
+  rollGauntletBoons,
+  chooseGauntletBoon,
+  describeGauntletWave,
+  loadGauntletProgress,
+  recordGauntletWave
+};
@@ -0,0 +1,742 @@
+// src/utils/itemDefinitions.js - DECLARATIVE TOOL AND SPELL DEFINITIONS
+// Every item is a type (the stat it channels) plus an effect (how it behaves).
+// This table is the single source for both: combat values, descriptions,
+// icons, visuals and AI hints. Adding an item means adding data here - the
+// engine, AI, tooltips and enemy generation all read from it.
+import { STATUS_CONDITIONS } from './statusConditions';
+
+// ===== ITEM TYPES =====
+export const ITEM_TYPES = {
+  energy: {
+    label: 'Energy',
+    icon: '⚡',
+    statDescription: 'Affects energy generation and capacity',
+    toolTheme: 'energy manipulation',
+    spellTheme: 'energy'
+  },
+  strength: {
+    label: 'Strength',
+    icon: '💪',
+    statDescription: 'Affects physical power and damage',
+    toolTheme: 'physical enhancement',
+    spellTheme: 'force'
+  },
+  magic: {
+    label: 'Magic',
+    icon: '✨',
+    statDescription: 'Affects magical abilities and spellcasting',
+    toolTheme: 'magical amplification',
+    spellTheme: 'arcane'
+  },
+  stamina: {
+    label: 'Stamina',
+    icon: '❤️',
+    statDescription: 'Affects health, durability, and resistance',
+    toolTheme: 'endurance boosting',
+    spellTheme: 'vitality'
+  },
+  speed: {
+    label: 'Speed',
+    icon: '💨',
+    statDescription: 'Affects movement speed and action rate',
+    toolTheme: 'agility enhancement',
+    spellTheme: 'temporal'
+  }
+};
+
+// What an effect is for - the AI scores items by role, not by name
+export const ITEM_ROLES = {
+  BURST: 'burst',       // Immediate impact, best right before attacking
+  PROTECT: 'protect',   // Defense and healing, best on hurt creatures
+  SUSTAIN: 'sustain',   // Value spread over several turns
+  CONVERT: 'convert',   // Trades defense or life for offense
+  SETUP: 'setup'        // Builds up, needs time to pay off
+};
+
+// ===== SPELL TARGETING =====
+// Which creatures a spell hits. `side` is the field the hits land on and
+// `needsTarget` marks patterns centred on a creature the caster picks.
+// Descriptions use {falloff} (percent of full power) and {count} placeholders.
+export const SPELL_TARGET_PATTERNS = {
+  single: {
+    label: 'Single target',
+    icon: '🎯',
+    side: 'any',
+    needsTarget: false,
+    description: 'Hits one creature'
+  },
+  all_enemies: {
+    label: 'All enemies',
+    icon: '💥',
+    side: 'enemy',
+    needsTarget: false,
+    description: 'Hits every enemy - the target takes full power, the rest {falloff}%'
+  },
+  adjacent: {
+    label: 'Target and neighbours',
+    icon: '↔️',
+    side: 'enemy',
+    needsTarget: true,
+    description: 'Hits the target and the enemies beside it for {falloff}%'
+  },
+  random_enemies: {
+    label: 'Random enemies',
+    icon: '🎲',
+    side: 'enemy',
+    needsTarget: false,
+    description: 'Hits {count} random enemies, each hit {falloff}% of the one before'
+  },
+  all_allies: {
+    label: 'All allies',
+    icon: '🛡️',
+    side: 'ally',
+    needsTarget: false,
+    description: 'Affects every ally - the target gets full power, the rest {falloff}%'
+  }
+};
+
+export const SPELL_TARGET_PATTERN_NAMES = Object.keys(SPELL_TARGET_PATTERNS);
+
+// Spells without a `targeting` entry hit one creature at full power
+export const DEFAULT_SPELL_TARGETING = { pattern: 'single', falloff: 1, count: 1 };
+
+// ===== ITEM EFFECTS =====
+// Descriptions use {power} and {type} placeholders; toolUsage / spellUsage are
+// player-facing advice on when to use the item (battle hints, item modal)
+export const ITEM_EFFECTS = {
+  Surge: {
+    role: ITEM_ROLES.BURST,
+    summary: 'Rapidly increases effect but burns out quickly',
+    toolIcon: '⚡',
+    spellIcon: '💥',
+    toolDescription: 'Provides a {power} but short-lived boost to {type} capabilities.',
+    spellDescription: 'Unleashes a {power} burst of {type} energy, dealing immediate damage.',
+    toolFlavor: 'provides a powerful but temporary boost',
+    spellFlavor: 'unleashes immediate powerful effects',
+    toolUsage: 'Wears off after a turn or two - use it right before the same creature attacks',
+    spellUsage: 'Hits at once - good for finishing off a wounded enemy',
+    activeDescriptions: {
+      weak: 'Minor surge of power',
+      normal: 'Surge of enhanced abilities',
+      strong: 'Powerful surge of overwhelming might',
+      maximum: 'Ultimate surge of devastating power'
+    },
+    strategicValue: 30,
+    visual: { color: '#FFD700', animation: 'pulse-gold', particles: 'lightning', duration: 600, intensity: 'high' }
+  },
+  Shield: {
+    role: ITEM_ROLES.PROTECT,
+    summary: 'Absorbs negative effects',
+    toolIcon: '🛡️',
+    spellIcon: '✨',
+    toolDescription: 'Grants {power} defensive protection and resilience.',
+    spellDescription: 'Creates a {power} magical barrier that absorbs damage and heals.',
+    toolFlavor: 'offers protective enhancement',
+    spellFlavor: 'creates protective magical barriers',
+    toolUsage: 'Best on a creature the enemy is about to focus, before the hits land',
+    spellUsage: 'Heals as well as shields - save it for a creature that has taken damage',
+    activeDescriptions: {
+      weak: 'Basic protective barrier',
+      normal: 'Solid defensive enhancement',
+      strong: 'Powerful defensive fortress',
+      maximum: 'Impenetrable defensive barrier'
+    },
+    strategicValue: 35,
+    visual: { color: '#4FC3F7', animation: 'shield-glow', particles: 'sparkles', duration: 1000, intensity: 'medium' }
+  },
+  Echo: {
+    role: ITEM_ROLES.SUSTAIN,
+    summary: 'Repeats the action over time',
+    toolIcon: '🔊',
+    spellIcon: '🌊',
+    toolDescription: 'Creates a {power} repeating effect with extended duration.',
+    spellDescription: 'Applies {power} effects that repeat over multiple turns.',
+    toolFlavor: 'creates lasting effects over time',
+    spellFlavor: 'resonates with lasting magical effects',
+    toolUsage: 'Pays off over several turns - use it early on a creature that will stay on the field, not as an emergency heal',
+    spellUsage: 'Works over three turns - cast it early, on a target that will live that long',
+    activeDescriptions: {
+      weak: 'Faint repeating effect',
+      normal: 'Resonating enhancement',
+      strong: 'Powerful echoing phenomenon',
+      maximum: 'Overwhelming echo cascade'
+    },
+    strategicValue: 25,
+    visual: { color: '#E1BEE7', animation: 'wave-ripple', particles: 'rings', duration: 1500, intensity: 'low' }
+  },
+  Drain: {
+    role: ITEM_ROLES.CONVERT,
+    summary: 'Converts one resource to another',
+    toolIcon: '🩸',
+    spellIcon: '🌙',
+    toolDescription: 'Converts defensive power to offense in a {power} way.',
+    spellDescription: 'Steals life force from the target with {power} efficiency.',
+    toolFlavor: 'converts defensive power to offense',
+    spellFlavor: 'siphons life force and power',
+    toolUsage: 'Trades defense for attack - use it on a creature about to attack, not one that needs to survive',
+    spellUsage: 'Damages the target and heals the caster - best when your caster is hurt',
+    activeDescriptions: {
+      weak: 'Minor energy drain',
+      normal: 'Life force absorption',
+      strong: 'Powerful vampiric drain',
+      maximum: 'Devastating soul drain'
+    },
+    strategicValue: 40,
+    visual: { color: '#F44336', animation: 'drain-spiral', particles: 'smoke', duration: 1200, intensity: 'high' }
+  },
+  Charge: {
+    role: ITEM_ROLES.SETUP,
+    summary: 'Builds up power slowly for greater effect',
+    toolIcon: '🔋',
+    spellIcon: '☄️',
+    toolDescription: 'Builds up power over time for a {power} payoff.',
+    spellDescription: 'Requires preparation but delivers a {power} delayed effect.',
+    toolFlavor: 'builds up power for devastating results',
+    spellFlavor: 'builds magical energy for explosive release',
+    toolUsage: 'Builds up over three turns before it pays off - use it early on a healthy creature, never on one about to fall',
+    spellUsage: 'Goes off a turn after casting - make sure the caster survives until then',
+    activeDescriptions: {
+      weak: 'Slow power buildup',
+      normal: 'Steady power accumulation',
+      strong: 'Rapid power concentration',
+      maximum: 'Explosive power convergence'
+    },
+    strategicValue: 45,
+    visual: { color: '#FF9800', animation: 'charge-buildup', particles: 'energy', duration: 2000, intensity: 'building' }
+  },
+  // NEW: Spell-only effects (spellOnly) - there are no Nova or Aura tools
+  Nova: {
+    role: ITEM_ROLES.BURST,
+    spellOnly: true,
+    summary: 'Spreads its power over several enemies',
+    spellIcon: '🌟',
+    spellDescription: 'Releases a {power} wave of {type} energy that strikes several enemies at once.',
+    spellFlavor: 'strikes across the enemy line',
+    spellUsage: 'Spreads its damage - best against a full enemy field',
+    activeDescriptions: {
+      weak: 'Faint afterglow',
+      normal: 'Lingering starlight',
+      strong: 'Blazing starlight',
+      maximum: 'Blinding stellar flare'
+    },
+    strategicValue: 35,
+    visual: { color: '#FFF176', animation: 'pulse-gold', particles: 'lightning', duration: 800, intensity: 'high' }
+  },
+  Aura: {
+    role: ITEM_ROLES.SUSTAIN,
+    spellOnly: true,
+    summary: 'Strengthens the whole team at once',
+    spellIcon: '🌈',
+    spellDescription: 'Surrounds every ally with a {power} aura of {type} energy.',
+    spellFlavor: 'empowers the whole team',
+    spellUsage: 'Reaches every ally - cast it when most of your team is on the field',
+    activeDescriptions: {
+      weak: 'Faint protective aura',
+      normal: 'Steady team aura',
+      strong: 'Radiant team aura',
+      maximum: 'Overwhelming team aura'
+    },
+    strategicValue: 30,
+    visual: { color: '#A5D6A7', animation: 'shield-glow', particles: 'sparkles', duration: 1200, intensity: 'medium' }
+  }
+};
+
+// Effect names from the first item collection - still shown in the inventory
+export const LEGACY_EFFECT_SUMMARIES = {
+  Energize: 'Increases energy generation',
+  Empower: 'Boosts strength attributes',
+  Enchant: 'Enhances magical abilities',
+  Fortify: 'Improves stamina and resistance',
+  Hasten: 'Increases speed and agility'
+};
+
+export const ITEM_TYPE_NAMES = Object.keys(ITEM_TYPES);
+export const ITEM_EFFECT_NAMES = Object.keys(ITEM_EFFECTS);
+export const TOOL_EFFECT_NAMES = ITEM_EFFECT_NAMES.filter(effect => !ITEM_EFFECTS[effect].spellOnly);
+export const SPELL_EFFECT_NAMES = ITEM_EFFECT_NAMES;
+
+// Stats an item may modify
+const ITEM_STATS = [
+  'physicalAttack', 'magicalAttack', 'physicalDefense', 'magicalDefense',
+  'maxHealth', 'initiative', 'dodgeChance', 'criticalChance', 'energyCost'
+];
+
+// ===== COMBAT VALUES =====
+// Spell values marked with scalesWithMagic grow with the caster's magic stat:
+// value = base * magicPower^exponent, where magicPower = 1 + magic * 0.15
+const scalesWithMagic = (base, { exponent = 1, round = false } = {}) => ({
+  scalesWithMagic: true,
+  base,
+  exponent,
+  round
+});
+
+// TOOL_DEFINITIONS[effect][type]; `default` covers every type without its own entry
+export const TOOL_DEFINITIONS = {
+  Surge: {
+    energy: {
+      statChanges: { energyCost: -1 },
+      energyGain: 2,
+      healthChange: 0,
+      duration: 1
+    },
+    // Hyperscale Capacitor - BUFFED
+    strength: {
+      statChanges: { physicalAttack: 10, physicalDefense: 5 },
+      duration: 2
+    },
+    magic: {
+      statChanges: { physicalDefense: 20, magicalDefense: 20, maxHealth: 30 },
+      healthChange: 7.5,
+      duration: 1
+    },
+    stamina: {
+      statChanges: { physicalDefense: 10 },
+      healthChange: 15,
+      chargeEffect: { targetStat: 'physicalDefense', perTurnBonus: 3, maxTurns: 3, finalBurst: 25 },
+      duration: 1
+    },
+    speed: {
+      statChanges: { physicalAttack: 16, magicalAttack: 16, physicalDefense: -4, magicalDefense: -4 },
+      healthChange: 7.5,
+      duration: 1
+    }
+  },
+
+  Shield: {
+    // Ledger Lens - NERFED
+    magic: {
+      statChanges: { physicalDefense: 10, magicalDefense: 10, maxHealth: 15 },
+      healthChange: 5,
+      duration: 2
+    },
+    // NEW: Guardian - draws enemy attacks onto the shielded creature
+    stamina: {
+      statChanges: { physicalDefense: 10, magicalDefense: 10, maxHealth: 15 },
+      healthChange: 8,
+      conditions: [{ status: 'taunt', duration: 2 }],
+      duration: 3
+    },
+    default: {
+      statChanges: { physicalDefense: 10, magicalDefense: 10, maxHealth: 15 },
+      healthChange: 8,
+      duration: 3
+    }
+  },
+
+  Echo: {
+    // Babylon Keystone - NERFED
+    energy: {
+      statChanges: { energyCost: -0.5 },
+      healthOverTime: 2,
+      duration: 3
+    },
+    strength: {
+      statChanges: { physicalAttack: 7, physicalDefense: 4 },
+      healthOverTime: 0,
+      duration: 5
+    },
+    magic: {
+      statChanges: { physicalDefense: 7, magicalDefense: 7, maxHealth: 11 },
+      healthChange: 5,
+      healthOverTime: 1,
+      duration: 5
+    },
+    stamina: {
+      statChanges: { physicalDefense: 4 },
+      healthChange: 10,
+      healthOverTime: 3,
+      chargeEffect: { targetStat: 'physicalDefense', perTurnBonus: 3, maxTurns: 3, finalBurst: 25 },
+      duration: 5
+    },
+    speed: {
+      statChanges: { physicalAttack: 6, magicalAttack: 6, physicalDefense: -1, magicalDefense: -1 },
+      healthChange: 5,
+      healthOverTime: 1,
+      duration: 5
+    }
+  },
+
+  Drain: {
+    // Validator Core - BUFFED (less penalty)
+    speed: {
+      statChanges: { physicalAttack: 8, magicalAttack: 8, physicalDefense: -2, magicalDefense: -2 },
+      healthChange: 5,
+      duration: 3
+    },
+    default: {
+      statChanges: { physicalAttack: 8, magicalAttack: 8, physicalDefense: -3, magicalDefense: -3 },
+      healthChange: 5,
+      duration: 3
+    }
+  },
+
+  Charge: {
+    energy: {
+      statChanges: {},
+      chargeEffect: { targetStat: 'energyCost', perTurnBonus: 3, maxTurns: 3, finalBurst: 15 },
+      duration: 3
+    },
+    magic: {
+      statChanges: {},
+      chargeEffect: { targetStat: 'physicalDefense', perTurnBonus: 3, maxTurns: 3, finalBurst: 15 },
+      duration: 3
+    },
+    // Olympia Emblem - BUFFED
+    stamina: {
+      statChanges: { physicalDefense: 3 },
+      chargeEffect: { targetStat: 'physicalDefense', perTurnBonus: 3, maxTurns: 3, finalBurst: 25 },
+      duration: 3
+    },
+    default: {
+      statChanges: {},
+      chargeEffect: { targetStat: 'physicalAttack', perTurnBonus: 3, maxTurns: 3, finalBurst: 15 },
+      duration: 3
+    }
+  }
+};
+
+// SPELL_DEFINITIONS[effect][type]; `default` covers every type without its own entry
+export const SPELL_DEFINITIONS = {
+  Surge: {
+    // Babylon Burst
+    energy: {
+      damage: scalesWithMagic(25),
+      criticalChance: 15,
+      armorPiercing: true,
+      conditions: [{ status: 'burn', chance: 0.3, duration: 2, potency: 4 }],
+      duration: 0
+    },
+    strength: {
+      damage: scalesWithMagic(45),
+      criticalChance: 15,
+      armorPiercing: true,
+      duration: 0
+    },
+    default: {
+      damage: 37.5,
+      criticalChance: 15,
+      armorPiercing: true,
+      duration: 0
+    }
+  },
+
+  Shield: {
+    // Cerberus Chain - NERFED
+    stamina: {
+      statChanges: { physicalDefense: 8, magicalDefense: 8, maxHealth: 15 },
+      healing: scalesWithMagic(15),
+      damageReduction: 0.15,
+      duration: 3
+    },
+    default: {
+      statChanges: { physicalDefense: 12, magicalDefense: 12, maxHealth: 20 },
+      healing: scalesWithMagic(15),
+      damageReduction: 0.2,
+      duration: 3
+    }
+  },
+
+  Echo: {
+    energy: {
+      healthOverTime: scalesWithMagic(-20 / 3, { exponent: 2, round: true }),
+      statChanges: {},
+      duration: 3
+    },
+    strength: {
+      healthOverTime: scalesWithMagic(-6, { exponent: 2, round: true }),
+      statChanges: {},
+      duration: 3
+    },
+    // NEW: Hush - silences instead of doing nothing
+    magic: {
+      healthOverTime: 0,
+      statChanges: {},
+      conditions: [{ status: 'silence', duration: 2 }],
+      duration: 3
+    },
+    stamina: {
+      healthOverTime: scalesWithMagic(5, { exponent: 2, round: true }),
+      statChanges: { physicalDefense: 2, magicalDefense: 2, maxHealth: 5 },
+      duration: 3
+    },
+    // Engine Overclock - BUFFED, now heals
+    speed: {
+      statChanges: { initiative: 5, dodgeChance: 3, criticalChance: 3 },
+      healthOverTime: 3,
+      duration: 3
+    }
+  },
+
+  Drain: {
+    // Scrypto Surge
+    default: {
+      damage: scalesWithMagic(18),
+      selfHeal: scalesWithMagic(10),
+      statDrain: { physicalAttack: -3, magicalAttack: -3 },
+      statGain: { physicalAttack: 2, magicalAttack: 2 },
+      conditions: [{ status: 'poison', chance: 0.5, duration: 3, potency: 3 }],
+      duration: 2
+    }
+  },
+
+  Charge: {
+    // Shardstorm
+    default: {
+      prepareEffect: {
+        name: 'Charging Spell',
+        turns: 1,
+        damage: scalesWithMagic(35),
+        areaEffect: true,
+        stunChance: 0.2
+      },
+      chargeBonus: scalesWithMagic(5),
+      conditions: [{ status: 'stun', chance: 0.2, duration: 1 }],
+      duration: 1
+    }
+  },
+
+  // NEW: Multi-target spells - each type spreads its damage a different way
+  Nova: {
+    // Arc Flash - the target and its neighbours
+    energy: {
+      damage: scalesWithMagic(25),
+      criticalChance: 10,
+      targeting: { pattern: 'adjacent', falloff: 0.5 },
+      duration: 0
+    },
+    // Scatter Bolt - three hits on random enemies
+    speed: {
+      damage: scalesWithMagic(20),
+      criticalChance: 10,
+      targeting: { pattern: 'random_enemies', count: 3, falloff: 0.75 },
+      duration: 0
+    },
+    // Starfall - washes over the whole enemy field
+    default: {
+      damage: scalesWithMagic(24),
+      criticalChance: 10,
+      targeting: { pattern: 'all_enemies', falloff: 0.6 },
+      duration: 0
+    }
+  },
+
+  // NEW: Team-wide support spells
+  Aura: {
+    // Tailwind
+    speed: {
+      statChanges: { initiative: 5, dodgeChance: 3, criticalChance: 3 },
+      healthOverTime: 3,
+      targeting: { pattern: 'all_allies', falloff: 1 },
+      duration: 3
+    },
+    // Warding Circle
+    default: {
+      statChanges: { physicalDefense: 3, magicalDefense: 3 },
+      healthOverTime: 3,
+      targeting: { pattern: 'all_allies', falloff: 1 },
+      duration: 3
+    }
+  }
+};
+
+const DEFINITION_TABLES = {
+  tool: TOOL_DEFINITIONS,
+  spell: SPELL_DEFINITIONS
+};
+
+// Look up the raw definition for an item kind ('tool' | 'spell'), type and effect
+export const getItemDefinition = (kind, type, effect) => {
+  const effectDefinitions = DEFINITION_TABLES[kind]?.[effect];
+  if (!effectDefinitions || !ITEM_TYPES[type]) return null;
+
+  return effectDefinitions[type] || effectDefinitions.default || null;
+};
+
+const isMagicScaled = (value) => !!value && typeof value === 'object' && value.scalesWithMagic === true;
+
+// Build a fresh effect object from a definition, resolving magic-scaled values
+export const resolveItemDefinition = (definition, magicPower = 1) => {
+  if (isMagicScaled(definition)) {
+    const scaled = definition.base * Math.pow(magicPower, definition.exponent);
+    return definition.round ? Math.round(scaled) : scaled;
+  }
+
+  if (Array.isArray(definition)) {
+    return definition.map(value => resolveItemDefinition(value, magicPower));
+  }
+
+  if (definition && typeof definition === 'object') {
+    return Object.entries(definition).reduce((acc, [key, value]) => {
+      acc[key] = resolveItemDefinition(value, magicPower);
+      return acc;
+    }, {});
+  }
+
+  return definition;
+};
+
+// Fill {placeholders} in a description template
+export const formatItemText = (template, values = {}) =>
+  (template || '').replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+// ===== VALIDATION =====
+const validateDefinition = (definition, path, errors) => {
+  if (!definition || typeof definition !== 'object') {
+    errors.push(`${path}: missing definition`);
+    return;
+  }
+
+  if (typeof definition.duration !== 'number' || definition.duration < 0) {
+    errors.push(`${path}: duration must be a non-negative number`);
+  }
+
+  ['statChanges', 'statDrain', 'statGain'].forEach(group => {
+    Object.entries(definition[group] || {}).forEach(([stat, value]) => {
+      if (!ITEM_STATS.includes(stat)) {
+        errors.push(`${path}.${group}: unknown stat "${stat}"`);
+      }
+      if (typeof value !== 'number') {
+        errors.push(`${path}.${group}.${stat}: must be a number`);
+      }
+    });
+  });
+
+  if (definition.chargeEffect && !ITEM_STATS.includes(definition.chargeEffect.targetStat)) {
+    errors.push(`${path}.chargeEffect: unknown target stat "${definition.chargeEffect.targetStat}"`);
+  }
+
+  (definition.conditions || []).forEach(({ status, chance = 1 }) => {
+    if (!STATUS_CONDITIONS[status]) {
+      errors.push(`${path}.conditions: unknown status "${status}"`);
+    }
+    if (typeof chance !== 'number' || chance <= 0 || chance > 1) {
+      errors.push(`${path}.conditions.${status}: chance must be in (0, 1]`);
+    }
+  });
+
+  if (definition.targeting) {
+    const { pattern, falloff = 1, count = 1 } = definition.targeting;
+    if (!SPELL_TARGET_PATTERNS[pattern]) {
+      errors.push(`${path}.targeting: unknown pattern "${pattern}"`);
+    }
+    if (typeof falloff !== 'number' || falloff <= 0 || falloff > 1) {
+      errors.push(`${path}.targeting: falloff must be in (0, 1]`);
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      errors.push(`${path}.targeting: count must be a positive integer`);
+    }
+  }
+
+  // Resolving with a sample magic power must leave only plain numbers behind
+  const checkResolved = (value, valuePath) => {
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      errors.push(`${valuePath}: resolves to ${value}`);
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => checkResolved(child, `${valuePath}.${key}`));
+    }
+  };
+  checkResolved(resolveItemDefinition(definition, 1.75), path);
+};
+
+/**
+ * Check that every effect resolves for every item type and that the text and
+ * AI hints consumers rely on are present.
+ * @returns {Array<string>} - Problems found; empty when the table is valid
+ */
+export const validateItemDefinitions = () => {
+  const errors = [];
+  const roles = Object.values(ITEM_ROLES);
+
+  ITEM_TYPE_NAMES.forEach(type => {
+    ['label', 'icon', 'statDescription', 'toolTheme', 'spellTheme'].forEach(field => {
+      if (!ITEM_TYPES[type][field]) errors.push(`ITEM_TYPES.${type}: missing ${field}`);
+    });
+  });
+
+  SPELL_TARGET_PATTERN_NAMES.forEach(pattern => {
+    ['label', 'icon', 'side', 'description'].forEach(field => {
+      if (!SPELL_TARGET_PATTERNS[pattern][field]) errors.push(`SPELL_TARGET_PATTERNS.${pattern}: missing ${field}`);
+    });
+  });
+
+  Object.entries(TOOL_DEFINITIONS).forEach(([effect, definitions]) => {
+    Object.entries(definitions).forEach(([type, definition]) => {
+      if (definition.targeting) errors.push(`tool.${effect}.${type}: only spells can have targeting`);
+    });
+  });
+
+  ITEM_EFFECT_NAMES.forEach(effect => {
+    const effectInfo = ITEM_EFFECTS[effect];
+
+    if (!roles.includes(effectInfo.role)) {
+      errors.push(`ITEM_EFFECTS.${effect}: unknown role "${effectInfo.role}"`);
+    }
+    const textFields = effectInfo.spellOnly
+      ? ['summary', 'spellIcon', 'spellDescription', 'spellFlavor', 'visual']
+      : ['summary', 'toolIcon', 'spellIcon', 'toolDescription', 'spellDescription', 'toolFlavor', 'spellFlavor', 'visual'];
+    textFields.forEach(field => {
+      if (!effectInfo[field]) errors.push(`ITEM_EFFECTS.${effect}: missing ${field}`);
+    });
+    ['weak', 'normal', 'strong', 'maximum'].forEach(level => {
+      if (!effectInfo.activeDescriptions?.[level]) {
+        errors.push(`ITEM_EFFECTS.${effect}: missing ${level} active description`);
+      }
+    });
+
+    Object.entries(DEFINITION_TABLES).forEach(([kind, table]) => {
+      if (kind === 'tool' && effectInfo.spellOnly) {
+        if (table[effect]) errors.push(`tool definitions: ${effect} is spell-only`);
+        return;
+      }
+      if (!table[effect]) {
+        errors.push(`${kind} definitions: missing effect ${effect}`);
+        return;
+      }
+
+      Object.keys(table[effect]).forEach(type => {
+        if (type !== 'default' && !ITEM_TYPES[type]) {
+          errors.push(`${kind}.${effect}: unknown type "${type}"`);
+        }
+      });
+
+      ITEM_TYPE_NAMES.forEach(type => {
+        validateDefinition(getItemDefinition(kind, type, effect), `${kind}.${effect}.${type}`, errors);
+      });
+    });
+  });
+
+  Object.entries(DEFINITION_TABLES).forEach(([kind, table]) => {
+    Object.keys(table).forEach(effect => {
+      if (!ITEM_EFFECTS[effect]) errors.push(`${kind} definitions: effect ${effect} has no ITEM_EFFECTS entry`);
+    });
+  });
+
+  return errors;
+};
+
+// Validate once at load so a bad table entry shows up immediately
+const definitionErrors = validateItemDefinitions();
+if (definitionErrors.length > 0) {
+  console.error("Invalid item definitions:", definitionErrors);
+}
+
+export default {
+  ITEM_TYPES,
+  ITEM_ROLES,
+  ITEM_EFFECTS,
+  SPELL_TARGET_PATTERNS,
+  SPELL_TARGET_PATTERN_NAMES,
+  DEFAULT_SPELL_TARGETING,
+  LEGACY_EFFECT_SUMMARIES,
+  ITEM_TYPE_NAMES,
+  ITEM_EFFECT_NAMES,
+  TOOL_EFFECT_NAMES,
+  SPELL_EFFECT_NAMES,
+  TOOL_DEFINITIONS,
+  SPELL_DEFINITIONS,
+  getItemDefinition,
+  resolveItemDefinition,
+  formatItemText,
+  validateItemDefinitions
+};
@@ -0,0 +1,142 @@
+// src/utils/mirrorMatch.js - MIRROR MATCH
+// The enemy fields a copy of the player's own team - creatures, tools and
+// spells - under the player's rules: no stat bonus, the player's starting
+// energy, hand size, field size and energy regen. The chosen level only sets
+// how well the AI plays it. Afterwards the synergies each side kept on the
+// field are compared, to show which ones the composition actually leans on.
+import { DIFFICULTY_LEVELS, getDifficultySettings } from './difficultySettings';
+import { PLAYER_MAX_FIELD_SIZE, PLAYER_INITIAL_HAND_SIZE, PLAYER_STARTING_ENERGY } from './battleEngine';
+import { buildReplayFrames } from './battleReplay';
+
+export const MIRROR_MODE = 'mirror';
+
+// The level only picks the AI's tactics - the teams are always even
+export const MIRROR_AI_LEVELS = DIFFICULTY_LEVELS;
+
+export const DEFAULT_MIRROR_LEVEL = 'medium';
+
+// Regen the engine treats as "no difficulty bonus"
+const NEUTRAL_ENERGY_REGEN = 2;
+
+export const getMirrorLevel = (level) => MIRROR_AI_LEVELS.includes(level) ? level : DEFAULT_MIRROR_LEVEL;
+
+// ===== TEAM =====
+
+// Copies get their own ids so targeting never confuses a creature with its twin
+const cloneItem = (item) => ({ ...item, id: `mirror-${item.id}` });
+
+/**
+ * Copy the player's team for the enemy side.
+ * @param {Object} team - { creatures, tools, spells } from TeamSelector
+ * @returns {Object} - { creatures, tools, spells } with mirror ids
+ */
+export const cloneMirrorTeam = (team) => ({
+  creatures: (team?.creatures || []).map(creature => ({
+    ...cloneItem(creature),
+    stats: { ...creature.stats },
+    specialty_stats: [...(creature.specialty_stats || [])]
+  })),
+  tools: (team?.tools || []).map(cloneItem),
+  spells: (team?.spells || []).map(cloneItem)
+});
+
+/**
+ * Build the createBattle config for a mirror match (without the player's team).
+ * @param {Object} team - { creatures, tools, spells } from TeamSelector
+ * @param {string} level - AI level, one of MIRROR_AI_LEVELS
+ * @returns {Object} - Config to spread into createBattle
+ */
+export const getMirrorBattleConfig = (team, level) => {
+  const mirror = cloneMirrorTeam(team);
+
+  return {
+    difficulty: getMirrorLevel(level),
+    adaptiveRating: null,
+    customDifficulty: null,
+    mirrorMatch: true,
+    enemyArchetype: null,
+    enemyCreatures: mirror.creatures,
+    enemyTools: mirror.tools,
+    enemySpells: mirror.spells,
+    enemyStartingEnergy: PLAYER_STARTING_ENERGY,
+    enemyHandSize: PLAYER_INITIAL_HAND_SIZE,
+    enemyMaxFieldSize: PLAYER_MAX_FIELD_SIZE
+  };
+};
+
+/**
+ * Difficulty settings describing the copied team, so the difficulty score and
+ * rewards follow how strong the team is rather than the AI level's preset.
+ * @param {string} level - AI level
+ * @param {Array} creatures - The player's creatures
+ * @returns {Object} - Difficulty settings plus mirrorMatch
+ */
+export const getMirrorSettings = (level, creatures = []) => {
+  const settings = getDifficultySettings(getMirrorLevel(level));
+  const forms = creatures.map(creature => creature.form || 1);
+
+  const enemyRarity = Object.fromEntries(Object.keys(settings.enemyRarity).map(rarity => [rarity, 0]));
+  creatures.forEach(creature => {
+    const rarity = String(creature.rarity || 'common').toLowerCase();
+    enemyRarity[rarity] = (enemyRarity[rarity] || 0) + 1;
+  });
+
+  return {
+    ...settings,
+    enemyStatsMultiplier: 1,
+    enemyRarity: creatures.length > 0 ? enemyRarity : settings.enemyRarity,
+    enemyCreatureLevel: forms.length > 0 ? { min: Math.min(...forms), max: Math.max(...forms) } : settings.enemyCreatureLevel,
+    enemyDeckSize: creatures.length,
+    initialHandSize: PLAYER_INITIAL_HAND_SIZE,
+    maxFieldSize: PLAYER_MAX_FIELD_SIZE,
+    startingEnergy: PLAYER_STARTING_ENERGY,
+    enemyEnergyRegen: NEUTRAL_ENERGY_REGEN,
+    mirrorMatch: true
+  };
+};
+
+// ===== SYNERGY REPORT =====
+
+/**
+ * Count how many of its own turns each side ended with each field synergy
+ * (see checkFieldSynergies) active. Both sides have the same team, so a
+ * synergy only one side kept up shows what it was worth.
+ * @param {Object} replay - Replay of the finished mirror match
+ * @returns {Object} - { turns: { player, enemy }, synergies: [{ name, icon, player, enemy }] }, most used first
+ */
+export const getMirrorSynergyReport = (replay) => {
+  const frames = buildReplayFrames(replay);
+  const turns = { player: 0, enemy: 0 };
+  const synergies = {};
+
+  frames.forEach((frame, index) => {
+    // A turn's last frame is the one before the other side becomes active
+    const next = frames[index + 1];
+    if (next && next.state.activePlayer === frame.state.activePlayer) return;
+
+    const side = frame.state.activePlayer;
+    turns[side]++;
+
+    const active = side === 'player' ? frame.state.activeSynergies : frame.state.enemyActiveSynergies;
+    (active || []).forEach(synergy => {
+      const entry = synergies[synergy.name] || (synergies[synergy.name] = { name: synergy.name, icon: synergy.icon || '✨', player: 0, enemy: 0 });
+      entry[side]++;
+    });
+  });
+
+  return {
+    turns,
+    synergies: Object.values(synergies).sort((a, b) => (b.player + b.enemy) - (a.player + a.enemy) || a.name.localeCompare(b.name))
+  };
+};
+
+export default {
+  MIRROR_MODE,
+  MIRROR_AI_LEVELS,
+  DEFAULT_MIRROR_LEVEL,
+  getMirrorLevel,
+  cloneMirrorTeam,
+  getMirrorBattleConfig,
+  getMirrorSettings,
+  getMirrorSynergyReport
+};
@@ -0,0 +1,110 @@
+// src/utils/random.js - SEEDABLE RANDOM NUMBER GENERATION
+// All battle, AI and enemy-generation rolls go through here so a battle can be
+// reproduced from its seed. Rules code calls random() (or takes an rng param),
+// never Math.random directly.
+
+const UINT32 = 0x100000000;
+
+// Normalize numbers and strings into an unsigned 32-bit seed
+export const hashSeed = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.floor(value) >>> 0;
+  }
+
+  // FNV-1a for strings (e.g. "daily-2024-05-01")
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Fresh seed for a new battle - the only place allowed to use Math.random
+export const generateSeed = () => {
+  return (Date.now() ^ Math.floor(Math.random() * UINT32)) >>> 0;
+};
+
+/**
+ * Create a seeded PRNG (mulberry32).
+ * The returned function behaves like Math.random and exposes its position via
+ * getState(), so createRng(rng.getState()) resumes the same stream.
+ * @param {number|string} seed
+ * @returns {Function} - () => float in [0, 1)
+ */
+export const createRng = (seed) => {
+  let state = hashSeed(seed);
+
+  const rng = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  };
+
+  rng.getState = () => state;
+
+  return rng;
+};
+
+// ===== ACTIVE SOURCE =====
+
+// Unseeded by default so code outside a seeded battle behaves as before
+let activeRng = Math.random;
+
+// Roll with whatever source is active (seeded battle or Math.random)
+export const random = () => activeRng();
+
+export const setRandomSource = (rng) => {
+  activeRng = rng || Math.random;
+};
+
+// Run fn with rng as the active source, restoring the previous one afterwards.
+// Passing no rng simply runs fn with the current source.
+export const withRandomSource = (rng, fn) => {
+  if (!rng) return fn();
+
+  const previous = activeRng;
+  activeRng = rng;
+  try {
+    return fn();
+  } finally {
+    activeRng = previous;
+  }
+};
+
+// ===== HELPERS =====
+
+export const randomInt = (max, rng = random) => Math.floor(rng() * max);
+
+export const randomChoice = (list, rng = random) => {
+  if (!list || list.length === 0) return undefined;
+  return list[randomInt(list.length, rng)];
+};
+
+export const chance = (probability, rng = random) => rng() < probability;
+
+// Short base-36 id suffix, e.g. for generated enemy creatures
+export const randomId = (length = 7, rng = random) => {
+  return rng().toString(36).substring(2, 2 + length).padEnd(length, '0');
+};
+
+// Cosmetic randomness (particles, jitter) lives on its own stream so
+// animations never consume rolls from a seeded battle
+export const cosmeticRandom = () => Math.random();
+
+export default {
+  createRng,
+  generateSeed,
+  hashSeed,
+  random,
+  setRandomSource,
+  withRandomSource,
+  randomInt,
+  randomChoice,
+  chance,
+  randomId,
+  cosmeticRandom
+};
@@ -0,0 +1,307 @@
+// src/utils/statusConditions.js - STATUS CONDITIONS (STUN, POISON, BURN, SILENCE, TAUNT)
+// Conditions live on creature.statusConditions, apart from activeEffects, and
+// follow one clock: damage over time lands at the start of the owner's turn and
+// durations count down when the owner's turn ends. A condition with duration N
+// is therefore in force for N of its owner's turns, whenever it was applied.
+import { random } from './random';
+
+// Stacking rules when a condition is applied to a creature that already has it
+export const STACKING_RULES = {
+  REFRESH: 'refresh', // Keep the longer duration and the stronger potency
+  STACK: 'stack',     // Add a stack (up to maxStacks) and refresh the duration
+  EXTEND: 'extend'    // Add the durations together, up to maxDuration
+};
+
+// cleansedBy lists the item effects (see ITEM_EFFECTS) and actions that remove a condition
+export const STATUS_CONDITIONS = {
+  stun: {
+    name: 'Stunned',
+    icon: '💫',
+    harmful: true,
+    description: 'Cannot attack, defend or cast spells',
+    blocks: ['attack', 'defend', 'useSpell'],
+    stacking: STACKING_RULES.REFRESH,
+    defaultDuration: 1,
+    maxDuration: 2,
+    cleansedBy: ['Shield']
+  },
+  poison: {
+    name: 'Poisoned',
+    icon: '☠️',
+    harmful: true,
+    description: 'Loses {damage} HP at the start of each turn',
+    damagePerTurn: true,
+    stacking: STACKING_RULES.STACK,
+    maxStacks: 3,
+    defaultDuration: 3,
+    maxDuration: 4,
+    defaultPotency: 3,
+    cleansedBy: ['Shield', 'Echo']
+  },
+  burn: {
+    name: 'Burning',
+    icon: '🔥',
+    harmful: true,
+    description: 'Loses {damage} HP at the start of each turn - defending puts it out',
+    damagePerTurn: true,
+    stacking: STACKING_RULES.REFRESH,
+    defaultDuration: 2,
+    maxDuration: 3,
+    defaultPotency: 5,
+    cleansedBy: ['Shield', 'defend']
+  },
+  silence: {
+    name: 'Silenced',
+    icon: '🔇',
+    harmful: true,
+    description: 'Cannot cast spells',
+    blocks: ['useSpell'],
+    stacking: STACKING_RULES.EXTEND,
+    defaultDuration: 2,
+    maxDuration: 3,
+    cleansedBy: ['Shield']
+  },
+  taunt: {
+    name: 'Taunting',
+    icon: '🎯',
+    harmful: false,
+    description: 'Enemies must target this creature',
+    forcesTargeting: true,
+    stacking: STACKING_RULES.REFRESH,
+    defaultDuration: 2,
+    maxDuration: 3,
+    cleansedBy: []
+  }
+};
+
+export const STATUS_CONDITION_NAMES = Object.keys(STATUS_CONDITIONS);
+
+const getConditions = (creature) => creature?.statusConditions || [];
+
+export const getStatusCondition = (creature, status) =>
+  getConditions(creature).find(condition => condition.status === status) || null;
+
+export const hasStatusCondition = (creature, status) => !!getStatusCondition(creature, status);
+
+// Bosses list the conditions that never stick to them (see bossCreatures.js)
+export const isImmuneToStatus = (creature, status) => (creature?.statusImmunities || []).includes(status);
+
+// Damage a condition deals each turn, after stacks
+export const getConditionDamage = (condition) => {
+  const definition = STATUS_CONDITIONS[condition?.status];
+  if (!definition?.damagePerTurn) return 0;
+  return (condition.potency || definition.defaultPotency || 0) * (condition.stacks || 1);
+};
+
+/**
+ * Apply a status condition, following its stacking rule.
+ * @param {Object} creature
+ * @param {string} status - Key of STATUS_CONDITIONS
+ * @param {Object} [options] - { duration, potency, source }
+ * @returns {Object} - Updated creature copy (the same creature if the status is unknown or the creature is immune)
+ */
+export const applyStatusCondition = (creature, status, options = {}) => {
+  const definition = STATUS_CONDITIONS[status];
+  if (!creature || !definition) {
+    console.error("applyStatusCondition: unknown status or creature", status);
+    return creature;
+  }
+
+  if (isImmuneToStatus(creature, status)) {
+    console.log(`${creature.species_name} is immune to ${definition.name.toLowerCase()}`);
+    return creature;
+  }
+
+  const duration = Math.min(options.duration || definition.defaultDuration, definition.maxDuration);
+  const potency = options.potency || definition.defaultPotency || 0;
+  const existing = getStatusCondition(creature, status);
+
+  let condition;
+  if (!existing) {
+    condition = { status, duration, potency, stacks: 1, source: options.source || null };
+  } else {
+    switch (definition.stacking) {
+      case STACKING_RULES.STACK:
+        condition = {
+          ...existing,
+          stacks: Math.min((existing.stacks || 1) + 1, definition.maxStacks || 1),
+          duration: Math.max(existing.duration, duration),
+          potency: Math.max(existing.potency, potency)
+        };
+        break;
+      case STACKING_RULES.EXTEND:
+        condition = {
+          ...existing,
+          duration: Math.min(existing.duration + duration, definition.maxDuration)
+        };
+        break;
+      case STACKING_RULES.REFRESH:
+      default:
+        condition = {
+          ...existing,
+          duration: Math.max(existing.duration, duration),
+          potency: Math.max(existing.potency, potency)
+        };
+    }
+  }
+
+  return {
+    ...creature,
+    statusConditions: [
+      ...getConditions(creature).filter(c => c.status !== status),
+      condition
+    ]
+  };
+};
+
+/**
+ * Remove every condition the source cleanses.
+ * @param {Object} creature
+ * @param {string} source - Item effect name ('Shield', ...) or action ('defend')
+ * @returns {Object} - { creature, removed: [condition names] }
+ */
+export const cleanseStatusConditions = (creature, source) => {
+  const conditions = getConditions(creature);
+  const removed = conditions.filter(c => STATUS_CONDITIONS[c.status]?.cleansedBy.includes(source));
+
+  if (removed.length === 0) {
+    return { creature, removed: [] };
+  }
+
+  return {
+    creature: { ...creature, statusConditions: conditions.filter(c => !removed.includes(c)) },
+    removed: removed.map(c => STATUS_CONDITIONS[c.status].name)
+  };
+};
+
+// The condition stopping a creature from taking an action, or null if it may act
+export const getActionBlocker = (creature, actionType) => {
+  const blocking = getConditions(creature).find(c => STATUS_CONDITIONS[c.status]?.blocks?.includes(actionType));
+  return blocking ? STATUS_CONDITIONS[blocking.status] : null;
+};
+
+export const canCreatureAct = (creature, actionType) => !getActionBlocker(creature, actionType);
+
+// Log-ready reason a creature can't act
+export const describeActionBlocker = (creature, actionType) => {
+  const blocker = getActionBlocker(creature, actionType);
+  return blocker ? `${creature.species_name} is ${blocker.name.toLowerCase()} and can't ${actionType === 'useSpell' ? 'cast spells' : actionType}!` : null;
+};
+
+// Creatures on a field that enemies are forced to target
+export const getTauntingCreatures = (field) =>
+  (field || []).filter(creature => getConditions(creature).some(c => STATUS_CONDITIONS[c.status]?.forcesTargeting));
+
+// A target is legal when nobody on its side is taunting, or when it is taunting itself
+export const isValidTarget = (field, target) => {
+  const taunting = getTauntingCreatures(field);
+  return taunting.length === 0 || taunting.some(creature => creature.id === target?.id);
+};
+
+// Start of the owner's turn: damage over time
+export const applyStatusConditionDamage = (creature, namePrefix = '') => {
+  const messages = [];
+  let currentHealth = creature.currentHealth;
+
+  getConditions(creature).forEach(condition => {
+    const damage = getConditionDamage(condition);
+    if (damage <= 0 || currentHealth <= 0) return;
+
+    const previousHealth = currentHealth;
+    currentHealth = Math.max(0, currentHealth - damage);
+    messages.push(`${namePrefix}${creature.species_name} takes ${previousHealth - currentHealth} ${condition.status} damage`);
+  });
+
+  if (currentHealth === creature.currentHealth) {
+    return { creature, messages };
+  }
+
+  return { creature: { ...creature, currentHealth }, messages };
+};
+
+// End of the owner's turn: count durations down and drop expired conditions
+export const tickStatusConditions = (creature, namePrefix = '') => {
+  const conditions = getConditions(creature);
+  if (conditions.length === 0) {
+    return { creature, messages: [] };
+  }
+
+  const messages = [];
+  const remaining = [];
+
+  conditions.forEach(condition => {
+    const duration = condition.duration - 1;
+    if (duration > 0) {
+      remaining.push({ ...condition, duration });
+    } else {
+      messages.push(`${namePrefix}${creature.species_name} is no longer ${STATUS_CONDITIONS[condition.status]?.name.toLowerCase() || condition.status}`);
+    }
+  });
+
+  return { creature: { ...creature, statusConditions: remaining }, messages };
+};
+
+/**
+ * Roll the conditions an item carries (see `conditions` in itemDefinitions.js).
+ * Harmful conditions only land on other creatures; guaranteed conditions
+ * don't consume a roll so they leave the random stream untouched, and neither
+ * do conditions the target is immune to.
+ * @param {Object} target
+ * @param {Array} conditions - [{ status, chance, duration, potency }]
+ * @param {Object} options - { isSelfTarget, source, rng }
+ * @returns {Object} - { creature, applied: [condition names] }
+ */
+export const applyItemConditions = (target, conditions, { isSelfTarget = false, source = null, rng = random } = {}) => {
+  let creature = target;
+  const applied = [];
+
+  (conditions || []).forEach(({ status, chance = 1, duration, potency }) => {
+    const definition = STATUS_CONDITIONS[status];
+    if (!definition || (definition.harmful && isSelfTarget) || isImmuneToStatus(creature, status)) return;
+    if (chance < 1 && rng() >= chance) return;
+
+    creature = applyStatusCondition(creature, status, { duration, potency, source });
+    applied.push(definition.name);
+  });
+
+  return { creature, applied };
+};
+
+// Display data for a condition, shaped like an active effect for the creature card
+export const getStatusConditionDisplay = (condition) => {
+  const definition = STATUS_CONDITIONS[condition.status];
+  if (!definition) return null;
+
+  return {
+    id: `status-${condition.status}`,
+    name: definition.name,
+    icon: definition.icon,
+    type: 'status',
+    status: condition.status,
+    harmful: definition.harmful,
+    description: definition.description.replace('{damage}', getConditionDamage(condition)),
+    duration: condition.duration,
+    stacks: condition.stacks
+  };
+};
+
+export default {
+  STACKING_RULES,
+  STATUS_CONDITIONS,
+  STATUS_CONDITION_NAMES,
+  getStatusCondition,
+  hasStatusCondition,
+  isImmuneToStatus,
+  getConditionDamage,
+  applyStatusCondition,
+  cleanseStatusConditions,
+  getActionBlocker,
+  canCreatureAct,
+  describeActionBlocker,
+  getTauntingCreatures,
+  isValidTarget,
+  applyStatusConditionDamage,
+  tickStatusConditions,
+  applyItemConditions,
+  getStatusConditionDisplay
+};
@@ -0,0 +1,15 @@
+// src/utils/winProbabilityWorker.js - WIN PROBABILITY ROLLOUTS OFF THE MAIN THREAD
+// Receives { id, state, options } and answers { id, ...estimate }, echoing the id
+// so the battle screen can drop answers for states it has already moved past.
+import { estimateWinProbability } from './battleSimulator';
+
+self.onmessage = (event) => {
+  const { id, state, options } = event.data;
+
+  try {
+    self.postMessage({ id, ...estimateWinProbability(state, options) });
+  } catch (error) {
+    console.error("Win probability estimate failed:", error);
+    self.postMessage({ id, error: error.message });
+  }
+};